@@ -32,6 +32,23 @@ const envSchema = Joi.object({
     TLS_KEY: Joi.string().allow(null),
     TLS_CERT: Joi.string().allow(null),
     TLS_CA: Joi.string().allow(null),
+    MQTT_REJECT_UNAUTHORIZED: Joi.boolean().default(true),
+    MQTT_ENTERPRISE_BROKER_URL: Joi.string().uri().allow(null, '').optional(),
+    MQTT_ENTERPRISE_USERNAME: Joi.string().allow(null, '').optional(),
+    MQTT_ENTERPRISE_PASSWORD: Joi.string().allow(null, '').optional(),
+    MQTT_ENTERPRISE_TLS_KEY: Joi.string().allow(null, '').optional(),
+    MQTT_ENTERPRISE_TLS_CERT: Joi.string().allow(null, '').optional(),
+    MQTT_ENTERPRISE_TLS_CA: Joi.string().allow(null, '').optional(),
+    MQTT_ENTERPRISE_OEE_TOPIC: Joi.string().default('enterprise/{plant}/{area}/{machine}/OEE'),
+    MQTT_COMMAND_ACK_TIMEOUT: Joi.number().integer().min(100).default(10000),
+    SPARKPLUG_EDGE_NODE_ENABLED: Joi.boolean().default(false),
+    SPARKPLUG_EDGE_NODE_BROKER: Joi.string().default('area'),
+    SPARKPLUG_GROUP_ID: Joi.string().pattern(/^[^/+#]+$/).default('OEE'),
+    SPARKPLUG_EDGE_NODE_ID: Joi.string().pattern(/^[^/+#]+$/).default('OEE-Calculator'),
+    SPARKPLUG_PUBLISH_INTERVAL: Joi.number().integer().min(1000).default(10000),
+    SPARKPLUG_DEADBAND: Joi.number().min(0).default(0.5),
+    TACT_UNIT: Joi.string().valid('seconds', 'minutes').default('seconds'),
+    TACT_MAX_DEVIATION: Joi.number().min(1).default(10),
     METHOD: Joi.string().default('parris'),
     PORT: Joi.number().integer().default(3000),
     LOG_RETENTION_DAYS: Joi.number().integer().default(2),
@@ -64,18 +81,39 @@ const tlsKey = envVars.TLS_KEY === 'null' ? null : envVars.TLS_KEY || jsonConfig
 const tlsCert = envVars.TLS_CERT === 'null' ? null : envVars.TLS_CERT || jsonConfig.tls.cert;
 const tlsCa = envVars.TLS_CA === 'null' ? null : envVars.TLS_CA || jsonConfig.tls.ca;
 
+// The enterprise broker is only connected if it has its own URL
+const enterpriseConfig = jsonConfig.mqtt.enterprise || {};
+const enterpriseTls = enterpriseConfig.tls || {};
+
 module.exports = {
     mqtt: {
         brokers: {
             area: {
                 url: envVars.MQTT_BROKER_URL,
-                port: envVars.MQTT_BROKER_PORT
+                port: envVars.MQTT_BROKER_PORT,
+                clientId: jsonConfig.mqtt.clientId,
+                username: envVars.MQTT_USERNAME,
+                password: envVars.MQTT_PASSWORD,
+                tls: { key: tlsKey, cert: tlsCert, ca: tlsCa }
             },
             enterprise: {
-                url: envVars.MQTT_BROKER_URL,
-                port: envVars.MQTT_BROKER_PORT
-            }
+                url: envVars.MQTT_ENTERPRISE_BROKER_URL || enterpriseConfig.brokerUrl || null,
+                port: enterpriseConfig.brokerPort,
+                clientId: enterpriseConfig.clientId || (jsonConfig.mqtt.clientId && `${jsonConfig.mqtt.clientId}_enterprise`),
+                username: envVars.MQTT_ENTERPRISE_USERNAME || enterpriseConfig.username,
+                password: envVars.MQTT_ENTERPRISE_PASSWORD || enterpriseConfig.password,
+                tls: {
+                    key: envVars.MQTT_ENTERPRISE_TLS_KEY || enterpriseTls.key || null,
+                    cert: envVars.MQTT_ENTERPRISE_TLS_CERT || enterpriseTls.cert || null,
+                    ca: envVars.MQTT_ENTERPRISE_TLS_CA || enterpriseTls.ca || null
+                }
+            },
+            // Further brokers, e.g. of other areas: { "<name>": { url, clientId, username, password, tls } }
+            ...(jsonConfig.mqtt.brokers || {})
         },
+        rejectUnauthorized: envVars.MQTT_REJECT_UNAUTHORIZED,
+        enterpriseOeeTopic: envVars.MQTT_ENTERPRISE_OEE_TOPIC,
+        commandAckTimeout: envVars.MQTT_COMMAND_ACK_TIMEOUT,  // Milliseconds to wait for the answer of a machine to a command
         topics: jsonConfig.topics || {
             parris: 'spBv1.0/Plant1:Area1:Line1:Cell1/DDATA/device1',
             schultz: 'spBv1.0/+/+/NDATA/+'
@@ -102,6 +140,20 @@ module.exports = {
         bucket: envVars.INFLUXDB_BUCKET || jsonConfig.influxdb.bucket
     },
     topicFormat: envVars.TOPIC_FORMAT || jsonConfig.topicFormat,
+    // The service as Sparkplug B edge node publishing the computed OEE, one device per workcenter
+    sparkplugEdgeNode: {
+        enabled: envVars.SPARKPLUG_EDGE_NODE_ENABLED,
+        broker: envVars.SPARKPLUG_EDGE_NODE_BROKER,
+        groupId: envVars.SPARKPLUG_GROUP_ID,
+        edgeNodeId: envVars.SPARKPLUG_EDGE_NODE_ID,
+        publishInterval: envVars.SPARKPLUG_PUBLISH_INTERVAL,  // Milliseconds between two DDATA checks
+        deadband: envVars.SPARKPLUG_DEADBAND  // Minimum change of a number before it is published again
+    },
+    // Unit of sollMin/sollMax in the Tact master data and how far the ideal cycle time may deviate from the planned takt
+    tact: {
+        unit: envVars.TACT_UNIT,
+        maxDeviation: envVars.TACT_MAX_DEVIATION  // Factor, a Tact outside planned takt / factor to planned takt * factor is ignored
+    },
     api: {
         plannedDowntimeUrl: envVars.PLANNED_DOWNTIME_API_URL || jsonConfig.plannedDowntimeApiUrl,
         oeeApiUrl: envVars.OEE_API_URL || jsonConfig.oeeApiUrl
@@ -0,0 +1,131 @@
+// Role based access control: roles and the permissions granted to them.
+// A permission is "<resource>:<action>", routers are guarded with <resource>:read for GET/HEAD
+// and <resource>:write for all other methods (see routes/apiRoutes.js).
+
+const ROLES = ['Viewer', 'Operator', 'Supervisor', 'Planner', 'Admin'];
+
+// Roles of existing users that are mapped to a role above (Google login created users with role "User")
+const ROLE_ALIASES = {
+    User: 'Viewer',
+};
+
+// Permissions every role has
+const READ_PERMISSIONS = [
+    'workcenters:read',
+    'processorders:read',
+    'planneddowntime:read',
+    'unplanneddowntime:read',
+    'microstops:read',
+    'shiftmodels:read',
+    'calendars:read',
+    'structure:read',
+    'topics:read',
+    'ratings:read',
+    'reasoncodes:read',
+    'oee:read',
+    'tacts:read',
+    'reports:read',
+    'orderreviews:read',
+    'machinecommands:read',
+];
+
+const PERMISSIONS = {
+    Viewer: [
+        ...READ_PERMISSIONS,
+    ],
+    Operator: [
+        ...READ_PERMISSIONS,
+        'unplanneddowntime:write',
+        'microstops:write',
+        'downtime:classify',
+        'machinecommands:write',
+    ],
+    Supervisor: [
+        ...READ_PERMISSIONS,
+        'workcenters:write',
+        'planneddowntime:write',
+        'unplanneddowntime:write',
+        'microstops:write',
+        'ratings:write',
+        'reasoncodes:write',
+        'downtime:classify',
+        'audit:read',
+        'orderreviews:write',
+        'machinecommands:write',
+    ],
+    Planner: [
+        ...READ_PERMISSIONS,
+        'processorders:write',
+        'planneddowntime:write',
+        'shiftmodels:write',
+        'calendars:write',
+        'tacts:write',
+    ],
+    Admin: [
+        ...READ_PERMISSIONS,
+        'workcenters:write',
+        'planneddowntime:write',
+        'unplanneddowntime:write',
+        'microstops:write',
+        'shiftmodels:write',
+        'calendars:write',
+        'structure:write',
+        'ratings:write',
+        'reasoncodes:write',
+        'tacts:write',
+        'oee:write',
+        'downtime:classify',
+        'oeeconfig:read',
+        'oeeconfig:write',
+        'settings:read',
+        'settings:write',
+        'users:read',
+        'users:write',
+        'apikeys:read',
+        'apikeys:write',
+        'audit:read',
+        'orderreviews:write',
+        'machinecommands:write',
+    ],
+};
+
+/**
+ * Resolves the role of a user to one of ROLES.
+ * @param {string} role - The role as stored on the user.
+ * @returns {string|null} The role or null if it is unknown.
+ */
+function normalizeRole(role) {
+    if (!role) {
+        return null;
+    }
+    const name = ROLE_ALIASES[role] || role;
+    return ROLES.find(known => known.toLowerCase() === String(name).toLowerCase()) || null;
+}
+
+/**
+ * Checks whether a role has a permission.
+ * @param {string} role - The role of the user.
+ * @param {string} permission - The permission, e.g. "processorders:write".
+ * @returns {boolean} True if the role grants the permission.
+ */
+function hasPermission(role, permission) {
+    const normalized = normalizeRole(role);
+    return normalized !== null && PERMISSIONS[normalized].includes(permission);
+}
+
+/**
+ * Returns the roles granting a permission, e.g. for error messages.
+ * @param {string} permission - The permission.
+ * @returns {string[]} The roles granting the permission.
+ */
+function getRolesWithPermission(permission) {
+    return ROLES.filter(role => PERMISSIONS[role].includes(permission));
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    normalizeRole,
+    hasPermission,
+    getRolesWithPermission,
+};
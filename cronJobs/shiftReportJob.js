@@ -0,0 +1,23 @@
+const cron = require('node-cron');
+const { defaultLogger, errorLogger } = require('../utils/logger');
+const { finalizeDueShifts } = require('../services/shiftReportService');
+
+/**
+ * Starts the cron job that finalizes shift reports.
+ * Runs every minute and stores the report of each shift that has ended since the last run,
+ * shifts that ended before the last run are not looked at again.
+ */
+function startShiftReportJob() {
+    cron.schedule('* * * * *', async() => {
+        try {
+            const finalized = await finalizeDueShifts();
+            if (finalized > 0) {
+                defaultLogger.info(`Shift report job finalized ${finalized} shift(s).`);
+            }
+        } catch (error) {
+            errorLogger.error(`Error during shift report job: ${error.message}`);
+        }
+    });
+}
+
+module.exports = startShiftReportJob;
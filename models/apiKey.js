@@ -0,0 +1,66 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// API key of an integration (e.g. MES, Grafana) with its scopes, only the hash of the key is stored
+module.exports = (sequelize) => {
+    const ApiKey = sequelize.define('ApiKey', {
+        api_key_id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+            field: 'api_key_id'  // Database column name
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'name'  // Owner of the key, e.g. "MES integration"
+        },
+        key_prefix: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            field: 'key_prefix'  // First characters of the key to recognize it in lists and logs
+        },
+        key_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true,
+            field: 'key_hash'  // SHA-256 of the key
+        },
+        scopes: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            field: 'scopes'  // Permissions of the key, e.g. ["oee:read", "unplanneddowntime:write"]
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'expires_at'  // No expiry if null
+        },
+        last_used_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_used_at'  // Database column name
+        },
+        created_by: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'created_by'  // Database column name
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'created_at'  // Database column name
+        },
+        revoked_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'revoked_at'  // Revoked keys are kept for the audit trail
+        }
+    }, {
+        tableName: 'api_keys',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return ApiKey;
+};
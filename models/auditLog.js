@@ -0,0 +1,82 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Append-only audit trail of changes to master and production data (who changed what, when and why)
+module.exports = (sequelize) => {
+    const AuditLog = sequelize.define('AuditLog', {
+        audit_id: {
+            type: DataTypes.BIGINT,
+            primaryKey: true,
+            autoIncrement: true,
+            field: 'audit_id'  // Database column name
+        },
+        entity: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'entity'  // Changed entity, e.g. ProcessOrder
+        },
+        entity_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'entity_id'  // Primary key of the changed record
+        },
+        action: {
+            type: DataTypes.ENUM('create', 'update', 'delete'),
+            allowNull: false,
+            field: 'action'  // Database column name
+        },
+        changed_by: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'changed_by'  // Username, API key name or "system"
+        },
+        role: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'role'  // Role of the user at the time of the change
+        },
+        changed_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'changed_at'  // Database column name
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'reason'  // Reason for change given by the user
+        },
+        changed_fields: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            field: 'changed_fields'  // Fields that differ between before and after
+        },
+        before: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+            field: 'before'  // Record before the change, null on create
+        },
+        after: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+            field: 'after'  // Record after the change, null on delete
+        }
+    }, {
+        tableName: 'audit_log',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['entity', 'entity_id'] },
+            { fields: ['changed_by'] },
+            { fields: ['changed_at'] },
+        ],
+        hooks: {
+            // Entries are never changed or removed, the database trigger enforces this for other clients as well
+            beforeUpdate: () => { throw new Error('Audit log entries are append-only'); },
+            beforeBulkUpdate: () => { throw new Error('Audit log entries are append-only'); },
+            beforeDestroy: () => { throw new Error('Audit log entries are append-only'); },
+            beforeBulkDestroy: () => { throw new Error('Audit log entries are append-only'); },
+        },
+    });
+
+    return AuditLog;
+};
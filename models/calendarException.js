@@ -0,0 +1,52 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Holiday or plant closure of a shift calendar; counts as non-scheduled time
+module.exports = (sequelize) => {
+    const CalendarException = sequelize.define('CalendarException', {
+        exception_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'exception_id'  // Database column name
+        },
+        calendar_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'calendar_id'  // Database column name
+        },
+        type: {
+            type: DataTypes.ENUM('holiday', 'closure'),
+            allowNull: false,
+            field: 'type'  // Database column name
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'name'  // Database column name
+        },
+        start_date: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'start_date'  // Database column name
+        },
+        end_date: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'end_date'  // Database column name
+        },
+        ical_uid: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'ical_uid'  // UID of the imported iCal event, used to skip duplicates on re-import
+        },
+    }, {
+        tableName: 'calendar_exceptions',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    CalendarException.associate = (models) => {
+        CalendarException.belongsTo(models.ShiftCalendar, { foreignKey: 'calendar_id', as: 'calendar' });
+    };
+
+    return CalendarException;
+};
@@ -0,0 +1,45 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Assignment of a shift model to a shift calendar with its weekday pattern and crew rotation
+module.exports = (sequelize) => {
+    const CalendarShift = sequelize.define('CalendarShift', {
+        calendar_shift_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'calendar_shift_id'  // Database column name
+        },
+        calendar_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'calendar_id'  // Database column name
+        },
+        shift_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'shift_id'  // Shift model that is scheduled by the calendar
+        },
+        weekdays: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [1, 2, 3, 4, 5, 6, 7],
+            field: 'weekdays'  // ISO weekdays (1 = Monday ... 7 = Sunday) on which the shift starts
+        },
+        crew_rotation: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            field: 'crew_rotation'  // Crew per day of the rotation cycle, null = shift not worked that day
+        },
+    }, {
+        tableName: 'calendar_shifts',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    CalendarShift.associate = (models) => {
+        CalendarShift.belongsTo(models.ShiftCalendar, { foreignKey: 'calendar_id', as: 'calendar' });
+        CalendarShift.belongsTo(models.ShiftModel, { foreignKey: 'shift_id', as: 'shiftModel' });
+    };
+
+    return CalendarShift;
+};
@@ -0,0 +1,38 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Reason code assigned to a planned or unplanned downtime
+module.exports = (sequelize) => {
+    const DowntimeReason = sequelize.define('DowntimeReason', {
+        downtime_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: 'downtime_id'  // plannedOrder_ID of the planned or unplanned downtime
+        },
+        downtime_type: {
+            type: DataTypes.ENUM('planned', 'unplanned'),
+            allowNull: false,
+            field: 'downtime_type'  // Database column name
+        },
+        reason_code_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'reason_code_id'  // Database column name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        assigned_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'assigned_at'  // Database column name
+        }
+    }, {
+        tableName: 'downtime_reasons',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return DowntimeReason;
+};
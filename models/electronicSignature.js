@@ -0,0 +1,83 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Electronic signature of the OEE result of a process order (append-only)
+module.exports = (sequelize) => {
+    const ElectronicSignature = sequelize.define('ElectronicSignature', {
+        signature_id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+            field: 'signature_id'  // Database column name
+        },
+        order_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'order_id'  // Database column name
+        },
+        snapshot_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'snapshot_id'  // Signed OEE snapshot
+        },
+        snapshot_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            field: 'snapshot_hash'  // content_hash of the snapshot at the time of signing
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'user_id'  // Database column name
+        },
+        username: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'username'  // Database column name
+        },
+        full_name: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'full_name'  // Printed name of the signer
+        },
+        role: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'role'  // Role of the signer at the time of signing
+        },
+        meaning: {
+            type: DataTypes.ENUM('reviewed', 'approved'),
+            allowNull: false,
+            field: 'meaning'  // Meaning of the signature
+        },
+        comment: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'comment'  // Database column name
+        },
+        signed_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'signed_at'  // Database column name
+        },
+        signature_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            field: 'signature_hash'  // SHA-256 binding signer, meaning, time and snapshot hash
+        }
+    }, {
+        tableName: 'electronic_signatures',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['order_id'] },
+        ],
+        hooks: {
+            beforeUpdate: () => { throw new Error('Electronic signatures are append-only'); },
+            beforeBulkUpdate: () => { throw new Error('Electronic signatures are append-only'); },
+            beforeDestroy: () => { throw new Error('Electronic signatures are append-only'); },
+            beforeBulkDestroy: () => { throw new Error('Electronic signatures are append-only'); },
+        },
+    });
+
+    return ElectronicSignature;
+};
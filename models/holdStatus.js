@@ -0,0 +1,27 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Open Hold signals per workcenter, closed again by the Unhold command
+module.exports = (sequelize) => {
+    const HoldStatus = sequelize.define('HoldStatus', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        start_timestamp: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'start_timestamp'  // Time the Hold command was received
+        },
+        order_id: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'order_id'  // Database column name
+        }
+    }, {
+        tableName: 'hold_status',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return HoldStatus;
+};
@@ -0,0 +1,33 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Failed login counter and lockout of a user account
+module.exports = (sequelize) => {
+    const LoginAttempt = sequelize.define('LoginAttempt', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            field: 'user_id'  // Database column name
+        },
+        failed_attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'failed_attempts'  // Consecutive failed logins, reset on success
+        },
+        last_failed_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_failed_at'  // Database column name
+        },
+        locked_until: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'locked_until'  // Account is locked until this time
+        }
+    }, {
+        tableName: 'login_attempts',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return LoginAttempt;
+};
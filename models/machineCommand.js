@@ -0,0 +1,84 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Commands sent to the machines via the API (DCMD) and whether the machine acknowledged them with a state change
+module.exports = (sequelize) => {
+    const MachineCommand = sequelize.define('MachineCommand', {
+        command_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'command_id'  // Database column name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        command: {
+            type: DataTypes.ENUM('Hold', 'Unhold', 'Start', 'End'),
+            allowNull: false,
+            field: 'command'  // Metric name of the command in the OEE configuration
+        },
+        value: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            field: 'value'  // Value of the command metric
+        },
+        status: {
+            type: DataTypes.ENUM('sent', 'acknowledged', 'timeout', 'failed'),
+            allowNull: false,
+            defaultValue: 'sent',
+            field: 'status'  // Database column name
+        },
+        broker: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'broker'  // MQTT broker the command was published to
+        },
+        topic: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'topic'  // MQTT topic the command was published on
+        },
+        issued_by: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'issued_by'  // Username, API key name or "system"
+        },
+        role: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'role'  // Role of the user at the time of the command
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'reason'  // Reason given by the user
+        },
+        sent_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'sent_at'  // Database column name
+        },
+        acknowledged_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'acknowledged_at'  // Time of the first data of the machine answering the command
+        },
+        error: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'error'  // Why the command could not be published
+        }
+    }, {
+        tableName: 'machine_commands',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['workcenter_id', 'sent_at'] },
+        ],
+    });
+
+    return MachineCommand;
+};
@@ -0,0 +1,41 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Configuration of the automatic downtime detection from a machine state metric
+module.exports = (sequelize) => {
+    const MachineStateConfig = sequelize.define('MachineStateConfig', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+            field: 'enabled'  // Database column name
+        },
+        state_metric: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'MachineState',
+            field: 'state_metric'  // Name of the metric carrying the machine state
+        },
+        state_mapping: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'state_mapping'  // Raw state value -> running, idle, fault or setup
+        },
+        thresholds: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'thresholds'  // Seconds a state must last before a downtime is opened, per category
+        }
+    }, {
+        tableName: 'machine_state_configs',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return MachineStateConfig;
+};
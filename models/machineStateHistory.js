@@ -0,0 +1,66 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// PackML state history of a workcenter, one row per state with its OEE loss category
+module.exports = (sequelize) => {
+    const MachineStateHistory = sequelize.define('MachineStateHistory', {
+        history_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'history_id'  // Database column name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        state_code: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'state_code'  // PackML StateCurrent (1-17)
+        },
+        state: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'state'  // PackML state name, e.g. Execute
+        },
+        mode_code: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'mode_code'  // PackML ModeCurrent, null until the mode was received
+        },
+        mode: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'mode'  // PackML mode name, e.g. Production
+        },
+        loss_category: {
+            type: DataTypes.ENUM('production', 'downtime', 'unplanned', 'idle', 'planned'),
+            allowNull: false,
+            field: 'loss_category'  // OEE loss category of the state in its mode
+        },
+        start_time: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'start_time'  // Database column name
+        },
+        end_time: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'end_time'  // Null while the state is current
+        },
+        duration: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+            field: 'duration'  // Seconds, set when the state ends
+        }
+    }, {
+        tableName: 'machine_state_history',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['workcenter_id', 'start_time'] }
+        ]
+    });
+
+    return MachineStateHistory;
+};
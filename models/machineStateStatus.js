@@ -0,0 +1,42 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Current machine state of a workcenter and the downtime opened for it
+module.exports = (sequelize) => {
+    const MachineStateStatus = sequelize.define('MachineStateStatus', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        state: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'state'  // Raw state value as received
+        },
+        category: {
+            type: DataTypes.ENUM('running', 'idle', 'fault', 'setup'),
+            allowNull: false,
+            field: 'category'  // Database column name
+        },
+        since: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'since'  // Start of the state
+        },
+        downtime_type: {
+            type: DataTypes.ENUM('planned', 'unplanned'),
+            allowNull: true,
+            field: 'downtime_type'  // Downtime type of the category, null while running
+        },
+        downtime_id: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'downtime_id'  // Open planned or unplanned downtime, null until the threshold is exceeded
+        }
+    }, {
+        tableName: 'machine_state_status',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return MachineStateStatus;
+};
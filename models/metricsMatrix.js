@@ -0,0 +1,33 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Persistent copy of the metrics matrix kept by the message handler
+module.exports = (sequelize) => {
+    const MetricsMatrix = sequelize.define('MetricsMatrix', {
+        metric: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'metric'  // Database column name
+        },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'source'  // Database column name
+        },
+        value: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+            field: 'value'  // Database column name
+        },
+        valid: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: 'valid'  // Database column name
+        }
+    }, {
+        tableName: 'metrics_matrix',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return MetricsMatrix;
+};
@@ -0,0 +1,40 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// MQTT broker, payload format and topic layout of a workcenter, Sparkplug B on the area broker with the global topic format if none is stored
+module.exports = (sequelize) => {
+    const MqttTopicConfig = sequelize.define('MqttTopicConfig', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        broker: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'area',
+            field: 'broker'  // Name of the MQTT broker in the config file the workcenter is connected to
+        },
+        payload_format: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'sparkplug',
+            field: 'payload_format'  // sparkplug, json or value
+        },
+        topic_template: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'topic_template'  // e.g. factory/{machine}/{metric}, the topicFormat setting if empty
+        },
+        metric_topics: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'metric_topics'  // Metric name of the OEE configuration -> value of {metric}, e.g. {"ActualProductionYield":"counter/good"}
+        }
+    }, {
+        tableName: 'mqtt_topic_configs',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return MqttTopicConfig;
+};
@@ -0,0 +1,40 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Snapshot of the running OEE calculator and metric buffer per workcenter
+module.exports = (sequelize) => {
+    const OEECalculatorState = sequelize.define('OEECalculatorState', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        order_id: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'order_id'  // Process order the snapshot belongs to
+        },
+        oee_data: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'oee_data'  // Serialized calculator.oeeData[machineId]
+        },
+        metric_buffer: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'metric_buffer'  // Last metric values received via MQTT
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'updated_at'  // Database column name
+        }
+    }, {
+        tableName: 'oee_calculator_state',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return OEECalculatorState;
+};
@@ -0,0 +1,68 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// OPC UA connection of a workcenter and the nodes mapped to the OEE metrics
+module.exports = (sequelize) => {
+    const OpcUaConfig = sequelize.define('OpcUaConfig', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+            field: 'enabled'  // Database column name
+        },
+        endpoint_url: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'endpoint_url'  // e.g. opc.tcp://line1-plc:4840
+        },
+        security_mode: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'None',
+            field: 'security_mode'  // None, Sign or SignAndEncrypt
+        },
+        security_policy: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'None',
+            field: 'security_policy'  // None, Basic256Sha256, Aes128_Sha256_RsaOaep, ...
+        },
+        username: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'username'  // Anonymous session if empty
+        },
+        password: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'password'  // Database column name
+        },
+        publishing_interval: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1000,
+            field: 'publishing_interval'  // Milliseconds between the notifications of the subscription
+        },
+        sampling_interval: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 500,
+            field: 'sampling_interval'  // Milliseconds between the samples of a monitored node
+        },
+        node_mapping: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'node_mapping'  // Metric name of the OEE configuration -> node ID, e.g. {"ActualPerformance":"ns=2;s=Line1.Counter"}
+        }
+    }, {
+        tableName: 'opcua_configs',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return OpcUaConfig;
+};
@@ -0,0 +1,63 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// OEE result of a finished process order awaiting review, immutable once the order is approved
+module.exports = (sequelize) => {
+    const OrderOEESnapshot = sequelize.define('OrderOEESnapshot', {
+        snapshot_id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+            field: 'snapshot_id'  // Database column name
+        },
+        order_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            unique: true,
+            field: 'order_id'  // Process order the OEE result belongs to
+        },
+        workcenter_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        metrics: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            field: 'metrics'  // OEE metrics at the end of the order
+        },
+        content_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            field: 'content_hash'  // SHA-256 of order_id and metrics, signed by the reviewers
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'created_at'  // Database column name
+        },
+        locked_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'locked_at'  // Set by the approval, the snapshot cannot be changed afterwards
+        }
+    }, {
+        tableName: 'order_oee_snapshots',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        hooks: {
+            // Locked snapshots are immutable, the database trigger enforces this for other clients as well
+            beforeUpdate: (snapshot) => {
+                if (snapshot.previous('locked_at')) {
+                    throw new Error('Signed OEE snapshots are immutable');
+                }
+            },
+            beforeDestroy: (snapshot) => {
+                if (snapshot.locked_at) {
+                    throw new Error('Signed OEE snapshots are immutable');
+                }
+            },
+        },
+    });
+
+    return OrderOEESnapshot;
+};
@@ -0,0 +1,28 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Rating offered to the operators for classifying stoppages, formerly stored in config.json
+module.exports = (sequelize) => {
+    const Rating = sequelize.define('Rating', {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'rating_id'  // Database column name
+        },
+        description: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'description'  // Database column name
+        },
+        color: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'color'  // Display color in the frontend
+        }
+    }, {
+        tableName: 'ratings',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return Rating;
+};
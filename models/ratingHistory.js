@@ -0,0 +1,57 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Versioned change history of the ratings, one row per create, update and delete
+module.exports = (sequelize) => {
+    const RatingHistory = sequelize.define('RatingHistory', {
+        history_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'history_id'  // Database column name
+        },
+        rating_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'rating_id'  // Database column name
+        },
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'version'  // Consecutive per rating, starting at 1
+        },
+        action: {
+            type: DataTypes.ENUM('create', 'update', 'delete'),
+            allowNull: false,
+            field: 'action'  // Database column name
+        },
+        changed_by: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'changed_by'  // User or process that made the change
+        },
+        changed_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'changed_at'  // Database column name
+        },
+        previous: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+            field: 'previous'  // Rating before the change, null on create
+        },
+        current: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+            field: 'current'  // Rating after the change, null on delete
+        }
+    }, {
+        tableName: 'rating_history',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { unique: true, fields: ['rating_id', 'version'] }
+        ]
+    });
+
+    return RatingHistory;
+};
@@ -0,0 +1,69 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Node of the hierarchical reason-code tree (category -> reason -> detail)
+module.exports = (sequelize) => {
+    const ReasonCode = sequelize.define('ReasonCode', {
+        reason_code_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'reason_code_id'  // Database column name
+        },
+        parent_id: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'parent_id'  // Parent node, null for categories
+        },
+        level: {
+            type: DataTypes.ENUM('category', 'reason', 'detail'),
+            allowNull: false,
+            field: 'level'  // Derived from the parent
+        },
+        code: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true,
+            field: 'code'  // Short code referenced by downtimes and microstops, e.g. MAINT-ELEC
+        },
+        description: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'description'  // Database column name
+        },
+        color: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'color'  // Display color, inherited from the parent if empty
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'workcenter_id'  // Restricts the code to a workcenter, null for all
+        },
+        area: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'area'  // Restricts the code to an area, null for all
+        },
+        active: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+            field: 'active'  // Inactive codes are kept for existing records but cannot be assigned
+        },
+        sort_order: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'sort_order'  // Order among siblings
+        }
+    }, {
+        tableName: 'reason_codes',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['parent_id'] }
+        ]
+    });
+
+    return ReasonCode;
+};
@@ -0,0 +1,59 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Server-side refresh token of a login session, rotated on every refresh
+module.exports = (sequelize) => {
+    const RefreshToken = sequelize.define('RefreshToken', {
+        token_id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+            field: 'token_id'  // Database column name
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'user_id'  // Owner of the session
+        },
+        token_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true,
+            field: 'token_hash'  // SHA-256 of the token, the token itself is never stored
+        },
+        family_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'family_id'  // Shared by all rotations of one login, revoked together on reuse
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'expires_at'  // Database column name
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'created_at'  // Database column name
+        },
+        revoked_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'revoked_at'  // Set on rotation, logout or detected reuse
+        },
+        replaced_by: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'replaced_by'  // Token issued when this one was rotated
+        }
+    }, {
+        tableName: 'refresh_tokens',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['family_id'] },
+        ],
+    });
+
+    return RefreshToken;
+};
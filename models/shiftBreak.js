@@ -0,0 +1,42 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// A break within a shift model; a shift model can have any number of breaks
+module.exports = (sequelize) => {
+    const ShiftBreak = sequelize.define('ShiftBreak', {
+        break_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'break_id'  // Database column name
+        },
+        shift_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'shift_id'  // Shift model the break belongs to
+        },
+        break_name: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'break_name'  // Database column name
+        },
+        break_start: {
+            type: DataTypes.TIME,
+            allowNull: false,
+            field: 'break_start'  // Database column name
+        },
+        break_end: {
+            type: DataTypes.TIME,
+            allowNull: false,
+            field: 'break_end'  // May be before break_start if the break crosses midnight
+        },
+    }, {
+        tableName: 'shift_breaks',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    ShiftBreak.associate = (models) => {
+        ShiftBreak.belongsTo(models.ShiftModel, { foreignKey: 'shift_id', as: 'shiftModel' });
+    };
+
+    return ShiftBreak;
+};
@@ -0,0 +1,43 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Shift calendar: weekday patterns and crew rotation of shift models plus holidays and closures
+module.exports = (sequelize) => {
+    const ShiftCalendar = sequelize.define('ShiftCalendar', {
+        calendar_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'calendar_id'  // Database column name
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'name'  // Database column name
+        },
+        description: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'description'  // Database column name
+        },
+        plant: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'plant'  // Holidays and closures apply to all workcenters of this plant
+        },
+        rotation_start_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            field: 'rotation_start_date'  // Day 0 of the crew rotation cycle
+        },
+    }, {
+        tableName: 'shift_calendars',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    ShiftCalendar.associate = (models) => {
+        ShiftCalendar.hasMany(models.CalendarShift, { foreignKey: 'calendar_id', as: 'shifts', onDelete: 'CASCADE' });
+        ShiftCalendar.hasMany(models.CalendarException, { foreignKey: 'calendar_id', as: 'exceptions', onDelete: 'CASCADE' });
+    };
+
+    return ShiftCalendar;
+};
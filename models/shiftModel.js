@@ -45,5 +45,10 @@ module.exports = (sequelize) => {
         timestamps: false,  // No `createdAt` or `updatedAt` columns
     });
 
+    // Breaks of the shift; break_start/break_end above are only used if no breaks are defined
+    ShiftModel.associate = (models) => {
+        ShiftModel.hasMany(models.ShiftBreak, { foreignKey: 'shift_id', as: 'breaks', onDelete: 'CASCADE' });
+    };
+
     return ShiftModel;  // Return the model definition
 };
@@ -0,0 +1,139 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// OEE, downtimes and quantities of one shift instance on one workcenter
+module.exports = (sequelize) => {
+    const ShiftReport = sequelize.define('ShiftReport', {
+        report_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'report_id'  // Database column name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        shift_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'shift_id'  // Shift model the instance was derived from
+        },
+        shift_name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'shift_name'  // Database column name
+        },
+        crew: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'crew'  // Crew according to the shift calendar rotation
+        },
+        shift_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            field: 'shift_date'  // Local date on which the shift started
+        },
+        shift_start: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'shift_start'  // Database column name
+        },
+        shift_end: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'shift_end'  // Database column name
+        },
+        production_time: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'production_time'  // Minutes
+        },
+        break_time: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'break_time'  // Minutes
+        },
+        unplanned_downtime: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'unplanned_downtime'  // Minutes
+        },
+        planned_downtime: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'planned_downtime'  // Minutes
+        },
+        microstop_time: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'microstop_time'  // Minutes
+        },
+        non_scheduled_time: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'non_scheduled_time'  // Minutes of holidays and closures within the shift
+        },
+        produced_quantity: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'produced_quantity'  // Database column name
+        },
+        good_quantity: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'good_quantity'  // Database column name
+        },
+        availability: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'availability'  // Database column name
+        },
+        performance: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'performance'  // Database column name
+        },
+        quality: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'quality'  // Database column name
+        },
+        oee: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'oee'  // Database column name
+        },
+        orders: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            field: 'orders'  // Share of each process order in the shift
+        },
+        finalized_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'finalized_at'  // Set by the shift report job at shift end
+        }
+    }, {
+        tableName: 'shift_reports',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { unique: true, fields: ['workcenter_id', 'shift_id', 'shift_start'] }
+        ]
+    });
+
+    return ShiftReport;
+};
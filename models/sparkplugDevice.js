@@ -0,0 +1,59 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Sparkplug B session state of a device below an edge node
+module.exports = (sequelize) => {
+    const SparkplugDevice = sequelize.define('SparkplugDevice', {
+        device_key: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'device_key'  // "<plant>/<area>/<edge node>/<device>"
+        },
+        node_key: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'node_key'  // Edge node the device belongs to
+        },
+        device_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'device_id'  // Database column name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        online: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: 'online'  // Database column name
+        },
+        aliases: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'aliases'  // Alias -> metric name from the DBIRTH
+        },
+        birth_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'birth_at'  // Database column name
+        },
+        death_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'death_at'  // Database column name
+        },
+        communication_loss_id: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'communication_loss_id'  // Open "communication loss" unplanned downtime, closed by the next DBIRTH
+        }
+    }, {
+        tableName: 'sparkplug_devices',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return SparkplugDevice;
+};
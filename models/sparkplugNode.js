@@ -0,0 +1,74 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Sparkplug B session state of an edge node (one machine in the topic layout of this application)
+module.exports = (sequelize) => {
+    const SparkplugNode = sequelize.define('SparkplugNode', {
+        node_key: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'node_key'  // "<plant>/<area>/<edge node>"
+        },
+        plant: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'plant'  // Database column name
+        },
+        area: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'area'  // Database column name
+        },
+        edge_node_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'edge_node_id'  // Machine name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        online: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: 'online'  // Database column name
+        },
+        bd_seq: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'bd_seq'  // bdSeq of the current NBIRTH
+        },
+        last_seq: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'last_seq'  // Sequence number of the NBIRTH (0-255), data sequence numbers are not tracked
+        },
+        aliases: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            field: 'aliases'  // Alias -> metric name from the NBIRTH
+        },
+        birth_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'birth_at'  // Database column name
+        },
+        death_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'death_at'  // Database column name
+        },
+        communication_loss_id: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'communication_loss_id'  // Open "communication loss" unplanned downtime, closed by the next NBIRTH
+        }
+    }, {
+        tableName: 'sparkplug_nodes',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return SparkplugNode;
+};
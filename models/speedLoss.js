@@ -0,0 +1,84 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Interval of a process order in which the actual cycle time was outside the Tact range
+module.exports = (sequelize) => {
+    const SpeedLoss = sequelize.define('SpeedLoss', {
+        speed_loss_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'speed_loss_id'  // Database column name
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        order_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'order_id'  // Process order running in the interval
+        },
+        material: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'material'  // Material number the Tact was looked up for
+        },
+        start_date: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'start_date'  // Database column name
+        },
+        end_date: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'end_date'  // Database column name
+        },
+        quantity: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'quantity'  // Units produced in the interval
+        },
+        production_time: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'production_time'  // Minutes without breaks and downtimes
+        },
+        actual_takt: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+            field: 'actual_takt'  // Seconds per unit, null if nothing was produced
+        },
+        soll_min: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'soll_min'  // Seconds per unit
+        },
+        soll_max: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'soll_max'  // Seconds per unit
+        },
+        loss_type: {
+            type: DataTypes.ENUM('slow', 'fast'),
+            allowNull: false,
+            field: 'loss_type'  // Slower than sollMax or faster than sollMin
+        },
+        loss_time: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'loss_time'  // Minutes lost against the ideal cycle time
+        }
+    }, {
+        tableName: 'speed_losses',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['workcenter_id', 'start_date'] }
+        ]
+    });
+
+    return SpeedLoss;
+};
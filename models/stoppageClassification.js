@@ -0,0 +1,68 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Classification of a microstop or downtime by an operator, one row per classification (never updated)
+module.exports = (sequelize) => {
+    const StoppageClassification = sequelize.define('StoppageClassification', {
+        classification_id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            defaultValue: DataTypes.UUIDV4,
+            field: 'classification_id'  // Database column name
+        },
+        stoppage_type: {
+            type: DataTypes.ENUM('microstop', 'unplanned', 'planned'),
+            allowNull: false,
+            field: 'stoppage_type'  // Database column name
+        },
+        stoppage_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'stoppage_id'  // microstop_ID or plannedOrder_ID of the downtime
+        },
+        workcenter_id: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'workcenter_id'  // Database column name
+        },
+        reason_code_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'reason_code_id'  // Database column name
+        },
+        reason_code: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'reason_code'  // Code at the time of the classification
+        },
+        previous_reason: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'previous_reason'  // Reason code before the classification, null if unclassified
+        },
+        comment: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'comment'  // Free text of the operator
+        },
+        classified_by: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'classified_by'  // Operator identity
+        },
+        classified_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'classified_at'  // Database column name
+        }
+    }, {
+        tableName: 'stoppage_classifications',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+        indexes: [
+            { fields: ['stoppage_id'] },
+            { fields: ['workcenter_id', 'classified_at'] }
+        ]
+    });
+
+    return StoppageClassification;
+};
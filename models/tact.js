@@ -22,12 +22,12 @@ module.exports = (sequelize) => {
         sollMax: {
             type: DataTypes.INTEGER,
             allowNull: false,
-            field: 'sollmax'  // "sollMax" in der Datenbank
+            field: 'sollmax'  // Maximal zulässige Taktzeit pro Einheit in TACT_UNIT (Standard: Sekunden)
         },
         sollMin: {
             type: DataTypes.INTEGER,
             allowNull: false,
-            field: 'sollmin'  // "sollMin" in der Datenbank
+            field: 'sollmin'  // Ideale Taktzeit pro Einheit in TACT_UNIT (Standard: Sekunden)
         }
     }, {
         tableName: 'tact',  // Der Name der Tabelle in der Datenbank
@@ -0,0 +1,23 @@
+const { Sequelize, DataTypes } = require('sequelize');
+
+// OEE calculation settings per workcenter
+module.exports = (sequelize) => {
+    const WorkCenterOEESettings = sequelize.define('WorkCenterOEESettings', {
+        workcenter_id: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            field: 'workcenter_id'  // Database column name
+        },
+        calculation_mode: {
+            type: DataTypes.ENUM('standard', 'teep', 'ooe', 'sixBigLosses'),
+            allowNull: false,
+            defaultValue: 'standard',
+            field: 'calculation_mode'  // Lens used for the headline value of the workcenter
+        },
+    }, {
+        tableName: 'workcenter_oee_settings',  // Database table name
+        timestamps: false,  // No `createdAt` or `updatedAt` columns
+    });
+
+    return WorkCenterOEESettings;
+};
@@ -4,12 +4,19 @@ let messageQueue = []; // Warteschlange für Nachrichten, bis der WebSocket geö
 
 document.addEventListener("DOMContentLoaded", () => {
     const connectWebSocket = () => {
-        ws = new WebSocket(`ws://${window.location.host}`);
+        // Der Server verlangt ein gültiges JWT, übergeben als Subprotokoll "bearer, <token>"
+        const token = new URLSearchParams(window.location.search).get("token") || localStorage.getItem("token");
+        ws = token
+            ? new WebSocket(`ws://${window.location.host}`, ["bearer", token])
+            : new WebSocket(`ws://${window.location.host}`);
 
         ws.onopen = () => {
             console.log("WebSocket connection opened");
             document.getElementById("status").innerText = "Connected";
 
+            // Dieses Dashboard zeigt alle Werke, Bereiche und Arbeitsplätze
+            ws.send(JSON.stringify({ type: 'subscribe', data: { scopes: ['#'] } }));
+
             // Sende alle wartenden Nachrichten
             while (messageQueue.length > 0) {
                 const message = messageQueue.shift();
@@ -54,6 +61,11 @@ document.addEventListener("DOMContentLoaded", () => {
 
         ws.onclose = (event) => {
             console.log("WebSocket connection closed. Code:", event.code, "Reason:", event.reason);
+            if (event.code === 4001) {
+                // Token abgelaufen, ein neuer Verbindungsaufbau mit demselben Token wäre zwecklos
+                document.getElementById("status").innerText = "Token expired";
+                return;
+            }
             document.getElementById("status").innerText = "Disconnected";
             setTimeout(connectWebSocket, reconnectInterval); // Erneuten Verbindungsaufbau nach einem Intervall versuchen
         };
@@ -15,13 +15,14 @@ const getAll = async () => {
 /**
  * Holt einen Prozessauftrag nach ID.
  * @param {string} id - Die UUID des Prozessauftrags.
+ * @param {Object} [options] - Sequelize-Optionen, z. B. die Transaktion.
  * @returns {Promise<Object|null>} Der Prozessauftrag oder null, wenn nicht gefunden.
  */
 
 // Funktion zum Abrufen eines Prozessauftrags anhand der ID
-const getById  = async (id) => {
+const getById  = async (id, options = {}) => {
     try {
-        const processOrder = await ProcessOrder.findByPk(id);
+        const processOrder = await ProcessOrder.findByPk(id, options);
         if (!processOrder) {
             throw new Error(`Process order with ID ${id} not found.`);
         }
@@ -34,11 +35,12 @@ const getById  = async (id) => {
 /**
  * Erstellt einen neuen Prozessauftrag.
  * @param {Object} data - Die Daten des neuen Prozessauftrags.
+ * @param {Object} [options] - Sequelize-Optionen, z. B. die Transaktion.
  * @returns {Promise<Object>} Der erstellte Prozessauftrag.
  */
-const create = async (data) => {
+const create = async (data, options = {}) => {
     try {
-        return await ProcessOrder.create(data);
+        return await ProcessOrder.create(data, options);
     } catch (error) {
         throw new Error(`Failed to create process order: ${error.message}`);
     }
@@ -48,15 +50,16 @@ const create = async (data) => {
  * Aktualisiert einen bestehenden Prozessauftrag.
  * @param {string} id - Die UUID des zu aktualisierenden Prozessauftrags.
  * @param {Object} data - Die aktualisierten Daten.
+ * @param {Object} [options] - Sequelize-Optionen, z. B. die Transaktion.
  * @returns {Promise<Object>} Der aktualisierte Prozessauftrag.
  */
-const update = async (id, data) => {
+const update = async (id, data, options = {}) => {
     try {
-        const order = await ProcessOrder.findByPk(id);
+        const order = await ProcessOrder.findByPk(id, options);
         if (!order) {
             throw new Error('Process order not found');
         }
-        return await order.update(data);
+        return await order.update(data, options);
     } catch (error) {
         throw new Error(`Failed to update process order with ID ${id}: ${error.message}`);
     }
@@ -65,15 +68,16 @@ const update = async (id, data) => {
 /**
  * Löscht einen Prozessauftrag.
  * @param {string} id - Die UUID des zu löschenden Prozessauftrags.
+ * @param {Object} [options] - Sequelize-Optionen, z. B. die Transaktion.
  * @returns {Promise<boolean>} True, wenn der Auftrag erfolgreich gelöscht wurde.
  */
-const deleteOrder = async (id) => {
+const deleteOrder = async (id, options = {}) => {
     try {
-        const order = await ProcessOrder.findByPk(id);
+        const order = await ProcessOrder.findByPk(id, options);
         if (!order) {
             throw new Error('Process order not found');
         }
-        await order.destroy();
+        await order.destroy(options);
         return true;
     } catch (error) {
         throw new Error(`Failed to delete process order with ID ${id}: ${error.message}`);
@@ -0,0 +1,185 @@
+const { validate } = require('uuid');
+const { sequelize, Rating, RatingHistory } = require('../models');
+
+/**
+ * Returns the JSON shape of a rating as served to the frontend.
+ * @param {Object} rating - The Sequelize instance of the rating.
+ * @returns {Object} The rating ({ id, description, color }).
+ */
+const toJSON = (rating) => ({
+    id: rating.id,
+    description: rating.description,
+    color: rating.color,
+});
+
+/**
+ * Appends a version to the change history of a rating.
+ * @param {string} ratingId - The UUID of the rating.
+ * @param {string} action - create, update or delete.
+ * @param {string} changedBy - User or process that made the change.
+ * @param {Object|null} previous - The rating before the change.
+ * @param {Object|null} current - The rating after the change.
+ * @param {Object} transaction - The running transaction.
+ * @returns {Promise<void>}
+ */
+const addHistory = async (ratingId, action, changedBy, previous, current, transaction) => {
+    const version = (await RatingHistory.max('version', { where: { rating_id: ratingId }, transaction }) || 0) + 1;
+    await RatingHistory.create({
+        rating_id: ratingId,
+        version,
+        action,
+        changed_by: changedBy,
+        changed_at: new Date(),
+        previous,
+        current,
+    }, { transaction });
+};
+
+/**
+ * Holt alle Ratings.
+ * @returns {Promise<Array>} Eine Liste von Ratings.
+ */
+const getAll = async () => {
+    try {
+        const ratings = await Rating.findAll({ order: [['description', 'ASC']] });
+        return ratings.map(toJSON);
+    } catch (error) {
+        throw new Error(`Failed to retrieve ratings: ${error.message}`);
+    }
+};
+
+/**
+ * Holt ein Rating nach ID.
+ * @param {string} id - Die UUID des Ratings.
+ * @returns {Promise<Object>} Das Rating.
+ */
+const getById = async (id) => {
+    try {
+        const rating = await Rating.findByPk(id);
+        if (!rating) {
+            throw new Error(`Rating with ID ${id} not found.`);
+        }
+        return toJSON(rating);
+    } catch (error) {
+        throw new Error(`Error loading rating with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Erstellt ein neues Rating und die erste Version der Historie.
+ * @param {Object} data - Die Daten des neuen Ratings (description, color).
+ * @param {string} changedBy - Benutzer oder Prozess, der die Änderung vornimmt.
+ * @returns {Promise<Object>} Das erstellte Rating.
+ */
+const create = async (data, changedBy) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const rating = await Rating.create(data, { transaction });
+            await addHistory(rating.id, 'create', changedBy, null, toJSON(rating), transaction);
+            return toJSON(rating);
+        });
+    } catch (error) {
+        throw new Error(`Failed to create rating: ${error.message}`);
+    }
+};
+
+/**
+ * Aktualisiert ein bestehendes Rating. Die Zeile wird für die Dauer der Änderung gesperrt.
+ * @param {string} id - Die UUID des Ratings.
+ * @param {Object} data - Die aktualisierten Daten.
+ * @param {string} changedBy - Benutzer oder Prozess, der die Änderung vornimmt.
+ * @returns {Promise<Object>} Das aktualisierte Rating.
+ */
+const update = async (id, data, changedBy) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const rating = await Rating.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!rating) {
+                throw new Error(`Rating with ID ${id} not found.`);
+            }
+            const previous = toJSON(rating);
+            await rating.update(data, { transaction });
+            await addHistory(id, 'update', changedBy, previous, toJSON(rating), transaction);
+            return toJSON(rating);
+        });
+    } catch (error) {
+        throw new Error(`Failed to update rating with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Löscht ein Rating. Die Historie bleibt erhalten.
+ * @param {string} id - Die UUID des Ratings.
+ * @param {string} changedBy - Benutzer oder Prozess, der die Änderung vornimmt.
+ * @returns {Promise<boolean>} True, wenn das Rating gelöscht wurde.
+ */
+const deleteRating = async (id, changedBy) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const rating = await Rating.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!rating) {
+                throw new Error(`Rating with ID ${id} not found.`);
+            }
+            const previous = toJSON(rating);
+            await rating.destroy({ transaction });
+            await addHistory(id, 'delete', changedBy, previous, null, transaction);
+            return true;
+        });
+    } catch (error) {
+        throw new Error(`Failed to delete rating with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Holt die Änderungshistorie eines Ratings, auch nach dem Löschen.
+ * @param {string} id - Die UUID des Ratings.
+ * @returns {Promise<Array>} Die Versionen in aufsteigender Reihenfolge.
+ */
+const getHistory = async (id) => {
+    try {
+        const history = await RatingHistory.findAll({ where: { rating_id: id }, order: [['version', 'ASC']] });
+        if (history.length === 0) {
+            throw new Error(`Rating with ID ${id} not found.`);
+        }
+        return history.map(version => version.dataValues);
+    } catch (error) {
+        throw new Error(`Error loading history of rating with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Übernimmt die Ratings aus config.json beim ersten Start, solange die Tabelle leer ist.
+ * Die bisherigen IDs bleiben erhalten.
+ * @param {Array<Object>} ratings - Die Ratings aus der Konfiguration (id, description, color).
+ * @returns {Promise<number>} Die Anzahl der übernommenen Ratings.
+ */
+const migrateFromConfig = async (ratings = []) => {
+    try {
+        if (await Rating.count() > 0) {
+            return 0;
+        }
+        await sequelize.transaction(async (transaction) => {
+            for (const { id, description, color } of ratings) {
+                const rating = await Rating.create({
+                    id: validate(String(id)) ? id : undefined,
+                    description,
+                    color,
+                }, { transaction });
+                await addHistory(rating.id, 'create', 'migration', null, toJSON(rating), transaction);
+            }
+        });
+        return ratings.length;
+    } catch (error) {
+        throw new Error(`Failed to migrate ratings from config.json: ${error.message}`);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    delete: deleteRating,
+    getHistory,
+    migrateFromConfig,
+};
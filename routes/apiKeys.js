@@ -0,0 +1,238 @@
+const express = require('express');
+const Joi = require('joi');
+const sanitizeHtml = require('sanitize-html');
+const apiKeyService = require('../services/apiKeyService');
+
+const router = express.Router();
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const issueSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...apiKeyService.API_KEY_SCOPES)).min(1).required(),
+  expires_at: Joi.date().iso().optional().allow(null),
+});
+
+/**
+ * Maps service errors to HTTP responses.
+ *
+ * @param {Error} error - The error thrown by the service.
+ * @param {Object} res - The Express response.
+ */
+const handleApiKeyError = (error, res) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.startsWith('Invalid issuer')) {
+    return res.status(403).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Fehler bei der Verarbeitung der API-Schlüssel:', error);
+  return res.status(500).json({ message: 'Interner Serverfehler' });
+};
+
+/**
+ * Returns the user performing a change.
+ *
+ * @param {Object} req - The Express request.
+ * @returns {string} The username or 'api'.
+ */
+const getChangedBy = (req) => (req.user && req.user.username ? req.user.username : 'api');
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: API for issuing and revoking the API keys of integrations (Admin only)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         api_key_id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: MES integration
+ *         key_prefix:
+ *           type: string
+ *           description: First characters of the key to recognize it.
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["oee:read", "unplanneddowntime:write"]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *           description: Neither revoked nor expired.
+ */
+
+/**
+ * @swagger
+ * /apikeys:
+ *   get:
+ *     summary: Get all API keys
+ *     tags: [API Keys]
+ *     description: The keys themselves are not stored and cannot be retrieved.
+ *     responses:
+ *       200:
+ *         description: List of API keys.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    res.json(await apiKeyService.getAll());
+  } catch (error) {
+    handleApiKeyError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /apikeys/scopes:
+ *   get:
+ *     summary: Get the scopes that can be granted to API keys
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: List of scopes ("<resource>:read" or "<resource>:write").
+ */
+router.get('/scopes', (req, res) => {
+  res.json(apiKeyService.API_KEY_SCOPES);
+});
+
+/**
+ * @swagger
+ * /apikeys/{id}:
+ *   get:
+ *     summary: Get an API key by ID
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The API key.
+ *       404:
+ *         description: API key not found.
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  try {
+    res.json(await apiKeyService.getById(req.params.id));
+  } catch (error) {
+    handleApiKeyError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /apikeys:
+ *   post:
+ *     summary: Issue a new API key
+ *     tags: [API Keys]
+ *     description: The response contains the key in plain text. It is shown only once, store it in the integration right away. A key can only get scopes the issuer holds itself.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Grafana
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["oee:read", "reports:read"]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: The issued API key including `key`.
+ *       400:
+ *         description: Invalid input.
+ *       403:
+ *         description: A requested scope is not held by the issuer (the scopes of its API key or the permissions of its role).
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  try {
+    const { error, value } = issueSchema.validate(req.body);
+    if (error) {
+      throw new Error(`Invalid input: ${error.details[0].message}`);
+    }
+    value.name = sanitizeHtml(value.name);
+    const apiKey = await apiKeyService.issue(value, getChangedBy(req), req.user);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    handleApiKeyError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /apikeys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     description: The key is rejected from now on. The record is kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The revoked API key.
+ *       404:
+ *         description: API key not found.
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  try {
+    res.json(await apiKeyService.revoke(req.params.id, getChangedBy(req)));
+  } catch (error) {
+    handleApiKeyError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -15,6 +15,7 @@ const microStopsRouter = require("./microstops");
 const userRouter = require("./users");
 const topicsRouter = require("./topics");
 const ratingsRouter = require("./ratings");
+const reasonCodesRouter = require("./reasonCodes");
 const microstopMachineAggregationRouter = require("./microstopByMachine");
 const microstopProcessOrderAggregationRouter = require("./microstopByProcessOrder");
 const settingRouter = require("./settings");
@@ -23,21 +24,36 @@ const oeeMetricsRouter = require("./oeeMetricsRoutes");
 const prepareOEERouter = require("./prepareOEE");
 const oeeDataRouter = require("./oeeRoutes");
 const tactRouter = require('./tact');
+const shiftReportRouter = require('./shiftReports');
+const calendarRouter = require('./calendars');
 const authRouter = require('./authRoutes');
+const apiKeyRouter = require('./apiKeys');
+const auditRouter = require('./audit');
+const orderReviewRouter = require('./orderReviews');
+const machineCommandRouter = require('./machineCommands');
+const { verifyApplicationToken } = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const { hasPermission, getRolesWithPermission } = require('../config/permissions');
 
 // Zentralisiertes Fehlerhandling
 const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
-// Middleware for API key verification
-const verifyApiKey = asyncHandler(async (req, res, next) => {
-  try {
-    // Get the trusted internal IP address from the environment configuration
-    const trustedIp = process.env.TRUSTED_INTERNAL_IP;
+// Principal of requests with the internal API key of the server (API_KEY, used by its own apiClient)
+const SYSTEM_USER = Object.freeze({ role: 'System', system: true });
 
-    // Check the IP address of the incoming request
-    if (req.ip === trustedIp || req.hostname === 'localhost') {
-      return next(); // Skip authentication for the trusted internal IP
+// Middleware for authentication: a JWT (Authorization: Bearer <token>) identifies a user and its role,
+// an API key issued via /apikeys identifies an integration and its scopes
+const authenticate = asyncHandler(async (req, res, next) => {
+  try {
+    const authorization = req.headers['authorization'];
+    if (authorization && authorization.startsWith('Bearer ')) {
+      try {
+        req.user = await verifyApplicationToken(authorization.slice('Bearer '.length).trim());
+        return next();
+      } catch (error) {
+        return res.status(401).json({ message: `Ungültiges Token: ${error.message}` });
+      }
     }
 
     const apiKey = req.headers['x-api-key'];
@@ -47,23 +63,82 @@ const verifyApiKey = asyncHandler(async (req, res, next) => {
     const { error, value } = schema.validate(apiKey);
 
     if (error) {
-      return res.status(401).json({ message: 'Kein API-Schlüssel bereitgestellt' });
+      return res.status(401).json({ message: 'Kein Token oder API-Schlüssel bereitgestellt' });
     }
 
     // Eingabesäuberung
     const sanitizedApiKey = sanitizeHtml(value);
 
-    if (sanitizedApiKey !== process.env.API_KEY) {
+    if (process.env.API_KEY && sanitizedApiKey === process.env.API_KEY) {
+      req.user = SYSTEM_USER;
+      return next();
+    }
+
+    const integration = await apiKeyService.verify(sanitizedApiKey);
+    if (!integration) {
       return res.status(403).json({ message: 'Ungültiger API-Schlüssel' });
     }
 
+    req.user = { username: integration.name, role: 'ApiKey', apiKeyId: integration.api_key_id, scopes: integration.scopes };
     next(); // API-Schlüssel ist gültig, weiter zur nächsten Middleware oder Route
   } catch (error) {
-    console.error('Fehler bei der API-Schlüssel-Überprüfung:', error);
+    console.error('Fehler bei der Authentifizierung:', error);
     res.status(500).json({ message: 'Interner Serverfehler' });
   }
 });
 
+/**
+ * Erstellt eine Middleware, die die Berechtigung für eine Ressource prüft.
+ * GET und HEAD erfordern <resource>:read, alle anderen Methoden <resource>:write.
+ *
+ * @param {string} resource - Die Ressource der Berechtigungsmatrix (config/permissions.js).
+ * @returns {Function} Die Express-Middleware.
+ */
+const authorize = (resource) => (req, res, next) => {
+  if (req.user && req.user.system) {
+    return next();
+  }
+
+  const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  const permission = `${resource}:${action}`;
+
+  // API keys are limited to their scopes instead of a role
+  if (req.user && req.user.scopes) {
+    if (req.user.scopes.includes(permission)) {
+      return next();
+    }
+    return res.status(403).json({
+      message: `Zugriff verweigert: Der API-Schlüssel "${req.user.username}" hat nicht den Scope "${permission}"`,
+      permission,
+      scopes: req.user.scopes,
+    });
+  }
+
+  if (req.user && hasPermission(req.user.role, permission)) {
+    return next();
+  }
+
+  const requiredRoles = getRolesWithPermission(permission);
+  return res.status(403).json({
+    message: `Zugriff verweigert: Die Rolle "${req.user ? req.user.role : 'unbekannt'}" hat nicht die Berechtigung "${permission}" (erforderlich: ${requiredRoles.join(', ')})`,
+    permission,
+    role: req.user ? req.user.role : null,
+    required_roles: requiredRoles,
+  });
+};
+
+// Middleware requiring a reason for change (header X-Change-Reason) on updates and deletes of audited data
+// if AUDIT_REQUIRE_REASON is set, changes by the system itself are exempt
+const requireChangeReason = (req, res, next) => {
+  if (process.env.AUDIT_REQUIRE_REASON !== 'true' || !['PUT', 'PATCH', 'DELETE'].includes(req.method) || (req.user && req.user.system)) {
+    return next();
+  }
+  if (!req.headers['x-change-reason']) {
+    return res.status(400).json({ message: 'Änderungsgrund fehlt: Bitte den Header X-Change-Reason angeben' });
+  }
+  next();
+};
+
 /**
  * Registriert die API-Routen mit der bereitgestellten Express-Anwendung.
  *
@@ -71,31 +146,42 @@ const verifyApiKey = asyncHandler(async (req, res, next) => {
  */
 function registerApiRoutes(app) {
   // OEE API Endpoints for OEE Data
-  app.use("/api/v1/workcenters", verifyApiKey, machinesRouter);
-  app.use("/api/v1/planneddowntime", verifyApiKey, plannedDowntimeRouter);
-  app.use("/api/v1/processorders", verifyApiKey, processOrdersRouter);
-  app.use("/api/v1/shiftmodels", verifyApiKey, shiftModelRouter);
-  app.use("/api/v1/unplanneddowntime", verifyApiKey, unplannedDowntimeRouter);
-  app.use("/api/v1/oeeconfig", verifyApiKey, oeeConfigRouter);
-  app.use("/api/v1/microstops", verifyApiKey, microStopsRouter);
+  // Registered before the work centers, commands require machinecommands:write instead of workcenters:write
+  app.use("/api/v1/workcenters/:id/commands", authenticate, authorize("machinecommands"), machineCommandRouter);
+  app.use("/api/v1/workcenters", authenticate, authorize("workcenters"), requireChangeReason, machinesRouter);
+  app.use("/api/v1/planneddowntime", authenticate, authorize("planneddowntime"), requireChangeReason, plannedDowntimeRouter);
+  // Registered before the process orders, signing requires orderreviews:write instead of processorders:write
+  app.use("/api/v1/processorders/:id/review", authenticate, authorize("orderreviews"), orderReviewRouter);
+  app.use("/api/v1/processorders", authenticate, authorize("processorders"), requireChangeReason, processOrdersRouter);
+  app.use("/api/v1/shiftmodels", authenticate, authorize("shiftmodels"), requireChangeReason, shiftModelRouter);
+  app.use("/api/v1/calendars", authenticate, authorize("calendars"), requireChangeReason, calendarRouter);
+  app.use("/api/v1/unplanneddowntime", authenticate, authorize("unplanneddowntime"), requireChangeReason, unplannedDowntimeRouter);
+  app.use("/api/v1/oeeconfig", authenticate, authorize("oeeconfig"), oeeConfigRouter);
+  app.use("/api/v1/microstops", authenticate, authorize("microstops"), requireChangeReason, microStopsRouter);
 
   // Register microstop aggregation routes
-  app.use("/api/v1/microstop-aggregation/machine", verifyApiKey, microstopMachineAggregationRouter);
-  app.use("/api/v1/microstop-aggregation/process-order", verifyApiKey, microstopProcessOrderAggregationRouter);
+  app.use("/api/v1/microstop-aggregation/machine", authenticate, authorize("microstops"), microstopMachineAggregationRouter);
+  app.use("/api/v1/microstop-aggregation/process-order", authenticate, authorize("microstops"), microstopProcessOrderAggregationRouter);
 
   // Additional API Endpoints for Customizing the OEE System
-  app.use("/api/v1/structure", verifyApiKey, structureRouter);
-  app.use("/api/v1/topics", verifyApiKey, topicsRouter);
-  app.use("/api/v1/users", verifyApiKey, userRouter);
-  app.use("/api/v1/ratings", verifyApiKey, ratingsRouter);
-  app.use("/api/v1/oee-metrics", verifyApiKey, oeeMetricsRouter);
-  app.use("/api/v1/settings", verifyApiKey, settingRouter);
-  app.use("/api/v1/prepareOEE", verifyApiKey, prepareOEERouter);
-  app.use("/api/v1/oee", verifyApiKey, oeeDataRouter);
-  app.use("/api/v1/tacts", verifyApiKey, tactRouter);
+  app.use("/api/v1/structure", authenticate, authorize("structure"), structureRouter);
+  app.use("/api/v1/topics", authenticate, authorize("topics"), topicsRouter);
+  app.use("/api/v1/users", authenticate, authorize("users"), userRouter);
+  app.use("/api/v1/apikeys", authenticate, authorize("apikeys"), apiKeyRouter);
+  app.use("/api/v1/ratings", authenticate, authorize("ratings"), ratingsRouter);
+  app.use("/api/v1/reasoncodes", authenticate, authorize("reasoncodes"), requireChangeReason, reasonCodesRouter);
+  app.use("/api/v1/oee-metrics", authenticate, authorize("oee"), oeeMetricsRouter);
+  app.use("/api/v1/settings", authenticate, authorize("settings"), settingRouter);
+  app.use("/api/v1/prepareOEE", authenticate, authorize("oee"), prepareOEERouter);
+  app.use("/api/v1/oee", authenticate, authorize("oee"), oeeDataRouter);
+  app.use("/api/v1/tacts", authenticate, authorize("tacts"), requireChangeReason, tactRouter);
+  app.use("/api/v1/reports/shifts", authenticate, authorize("reports"), shiftReportRouter);
+  app.use("/api/v1/audit", authenticate, authorize("audit"), auditRouter);
   
   // Auth Routes for User Authentication
-  app.use("/api/v1/auth", /* optional: verifyApiKey, */ authRouter);
+  app.use("/api/v1/auth", authRouter);
 }
 
 module.exports = registerApiRoutes;
+module.exports.authenticate = authenticate;
+module.exports.authorize = authorize;
@@ -0,0 +1,156 @@
+const express = require("express");
+const Joi = require("joi");
+const sanitizeHtml = require("sanitize-html");
+const { AUDITED_ENTITIES, getAuditLog } = require("../services/auditService");
+const router = express.Router();
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+/**
+ * Validates the query parameters of the audit log request.
+ *
+ * @param {Object} query - The query parameters.
+ * @returns {Object} - The validated filters.
+ * @throws {Error} - If validation fails.
+ */
+const validateAuditQuery = (query) => {
+  const schema = Joi.object({
+    entity: Joi.string().valid(...AUDITED_ENTITIES).optional(),
+    entity_id: Joi.string().max(100).optional(),
+    user: Joi.string().max(255).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional(),
+    offset: Joi.number().integer().min(0).optional(),
+  });
+
+  const { error, value } = schema.validate(query);
+
+  if (error) {
+    throw new Error(`Ungültige Abfrageparameter: ${error.details[0].message}`);
+  }
+  if (value.from && value.to && value.to <= value.from) {
+    throw new Error("Ungültige Abfrageparameter: to must be after from");
+  }
+
+  return {
+    ...value,
+    entity_id: value.entity_id ? sanitizeHtml(value.entity_id) : undefined,
+    user: value.user ? sanitizeHtml(value.user) : undefined,
+  };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: API for reading the append-only audit log of changes
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Audit]
+ *     description: Returns who created, updated or deleted process orders, downtimes, microstops, workcenters, shift models and breaks, shift calendars, reason codes, MQTT and OPC UA configurations and tacts and who signed process orders, with the values before and after the change and the reason for change (header X-Change-Reason of the change request). Newest entries first.
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [ProcessOrder, PlannedDowntime, UnplannedDowntime, Microstop, WorkCenter, ShiftModel, ShiftBreak, ShiftCalendar, CalendarShift, CalendarException, ReasonCode, MqttTopicConfig, OpcUaConfig, Tact, ElectronicSignature]
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Username, API key name or "system".
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of audit log entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   audit_id:
+ *                     type: integer
+ *                   entity:
+ *                     type: string
+ *                   entity_id:
+ *                     type: string
+ *                   action:
+ *                     type: string
+ *                     enum: [create, update, delete]
+ *                   changed_by:
+ *                     type: string
+ *                   role:
+ *                     type: string
+ *                   changed_at:
+ *                     type: string
+ *                     format: date-time
+ *                   reason:
+ *                     type: string
+ *                     nullable: true
+ *                   changed_fields:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   before:
+ *                     type: object
+ *                     nullable: true
+ *                   after:
+ *                     type: object
+ *                     nullable: true
+ *       400:
+ *         description: Invalid query parameters.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    try {
+      const filters = validateAuditQuery(req.query);
+      res.json(await getAuditLog(filters));
+    } catch (error) {
+      if (error.message.startsWith("Ungültige Abfrageparameter")) {
+        res.status(400).json({ message: error.message });
+      } else {
+        console.error("Fehler beim Abrufen des Audit-Logs:", error);
+        res.status(500).json({ message: "Interner Serverfehler" });
+      }
+    }
+  })
+);
+
+module.exports = router;
@@ -43,6 +43,9 @@ const authService = require('../services/authService'); // Korrekter Pfad zum Au
  *                 token:
  *                   type: string
  *                   description: The application JWT.
+ *                 refreshToken:
+ *                   type: string
+ *                   description: The refresh token for /auth/refresh.
  *       '401':
  *         description: Invalid Google ID token.
  *       '500':
@@ -62,13 +65,163 @@ router.post('/google-login', async (req, res) => {
     }
 
     const user = await authService.findOrCreateUser(googlePayload);
-    const applicationToken = authService.generateApplicationToken(user);
+    const { token, refreshToken } = await authService.createGoogleSession(user);
 
-    res.status(200).json({ token: applicationToken }); // Send back a JWT
+    res.status(200).json({ token, refreshToken }); // Send back a JWT
   } catch (error) {
     console.error('Error during Google login:', error);
     res.status(500).json({ message: 'Error during Google login' });
   }
 });
 
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Logs in with username and password.
+ *     description: Local login for terminals without internet access. Returns a short-lived access token and a refresh token. The account is locked for a while after repeated failed logins.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Login successful.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: The application JWT.
+ *                 refreshToken:
+ *                   type: string
+ *                   description: The refresh token for /auth/refresh.
+ *       '400':
+ *         description: Username or password missing.
+ *       '401':
+ *         description: Invalid username or password.
+ *       '423':
+ *         description: Account locked after repeated failed logins.
+ *       '500':
+ *         description: Error during server-side processing.
+ */
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ message: 'Username or password is missing' });
+  }
+
+  try {
+    const { token, refreshToken } = await authService.login(username, password);
+    res.status(200).json({ token, refreshToken });
+  } catch (error) {
+    if (error.message === 'Invalid credentials') {
+      return res.status(401).json({ message: 'Invalid username or password' });
+    }
+    if (error.message.startsWith('Account locked')) {
+      return res.status(423).json({ message: error.message });
+    }
+    console.error('Error during login:', error);
+    res.status(500).json({ message: 'Error during login' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchanges a refresh token for a new access token.
+ *     description: The refresh token is rotated, the returned refresh token replaces the one sent. Sending an already used refresh token ends the session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: New access and refresh token.
+ *       '400':
+ *         description: Refresh token missing.
+ *       '401':
+ *         description: Refresh token invalid, expired or already used.
+ *       '500':
+ *         description: Error during server-side processing.
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is missing' });
+  }
+
+  try {
+    const session = await authService.refreshSession(refreshToken);
+    res.status(200).json({ token: session.token, refreshToken: session.refreshToken });
+  } catch (error) {
+    if (error.message.startsWith('Invalid refresh token')) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Error during token refresh:', error);
+    res.status(500).json({ message: 'Error during token refresh' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Ends the session of a refresh token.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       '204':
+ *         description: Session ended (also for unknown refresh tokens).
+ *       '400':
+ *         description: Refresh token missing.
+ *       '500':
+ *         description: Error during server-side processing.
+ */
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is missing' });
+  }
+
+  try {
+    await authService.logout(refreshToken);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ message: 'Error during logout' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,582 @@
+const express = require('express');
+const Joi = require('joi');
+const sanitizeHtml = require('sanitize-html');
+const calendarService = require('../services/calendarService');
+const { getAuditContext } = require('../services/auditService');
+
+const router = express.Router();
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Maximum time range of a schedule request
+const MAX_SCHEDULE_DAYS = 62;
+
+const calendarSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  description: Joi.string().max(255).optional().allow('', null),
+  plant: Joi.string().max(100).optional().allow('', null),
+  rotation_start_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().allow(null),
+});
+
+const calendarShiftSchema = Joi.object({
+  shift_id: Joi.string().guid().required(),
+  weekdays: Joi.array().items(Joi.number().integer().min(1).max(7)).unique().min(1).optional(),
+  crew_rotation: Joi.array().items(Joi.string().max(20).allow(null)).max(366).optional(),
+});
+
+const exceptionSchema = Joi.object({
+  type: Joi.string().valid('holiday', 'closure').required(),
+  name: Joi.string().max(100).required(),
+  start_date: Joi.date().iso().required(),
+  end_date: Joi.date().iso().greater(Joi.ref('start_date')).required(),
+});
+
+/**
+ * Validates data against a Joi schema and sanitizes its string values.
+ *
+ * @param {Joi.Schema} schema - The schema to validate against.
+ * @param {Object} data - The data to validate.
+ * @returns {Object} The validated and sanitized data.
+ * @throws {Error} If validation fails.
+ */
+const validateAndSanitize = (schema, data) => {
+  const { error, value } = schema.validate(data);
+
+  if (error) {
+    throw new Error(`Invalid input: ${error.details[0].message}`);
+  }
+
+  ['name', 'description', 'plant'].forEach((field) => {
+    if (typeof value[field] === 'string') {
+      value[field] = sanitizeHtml(value[field]);
+    }
+  });
+  if (Array.isArray(value.crew_rotation)) {
+    value.crew_rotation = value.crew_rotation.map((crew) => (crew ? sanitizeHtml(crew) : null));
+  }
+
+  return value;
+};
+
+/**
+ * Maps errors of the calendar service to HTTP responses.
+ *
+ * @param {Error} error - The error thrown by the calendar service.
+ * @param {Object} res - The Express response object.
+ */
+const handleCalendarError = (error, res) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Fehler bei der Verarbeitung der Schichtkalender:', error);
+  return res.status(500).json({ message: 'Interner Serverfehler' });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shift Calendars
+ *   description: API for managing shift calendars with weekday patterns, crew rotations, holidays and closures
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShiftCalendarInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Plant Berlin 4-crew
+ *         description:
+ *           type: string
+ *         plant:
+ *           type: string
+ *           description: Holidays and closures apply to all workcenters of this plant.
+ *         rotation_start_date:
+ *           type: string
+ *           format: date
+ *           description: Day 0 of the crew rotation cycle.
+ *     CalendarShiftInput:
+ *       type: object
+ *       required:
+ *         - shift_id
+ *       properties:
+ *         shift_id:
+ *           type: string
+ *           format: uuid
+ *         weekdays:
+ *           type: array
+ *           description: ISO weekdays (1 = Monday ... 7 = Sunday) on which the shift starts.
+ *           items:
+ *             type: integer
+ *           example: [1, 2, 3, 4, 5]
+ *         crew_rotation:
+ *           type: array
+ *           description: Crew per day of the rotation cycle, null if the shift is not worked that day.
+ *           items:
+ *             type: string
+ *             nullable: true
+ *           example: ["A", "A", "B", "B", "C", "C", "D", "D"]
+ *     CalendarExceptionInput:
+ *       type: object
+ *       required:
+ *         - type
+ *         - name
+ *         - start_date
+ *         - end_date
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [holiday, closure]
+ *         name:
+ *           type: string
+ *         start_date:
+ *           type: string
+ *           format: date-time
+ *         end_date:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /calendars:
+ *   get:
+ *     summary: Get all shift calendars
+ *     tags: [Shift Calendars]
+ *     responses:
+ *       200:
+ *         description: List of shift calendars with their shifts and exceptions.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const calendars = await calendarService.getAll();
+  res.json(calendars);
+}));
+
+/**
+ * @swagger
+ * /calendars/workcenter/{workcenter_id}:
+ *   get:
+ *     summary: Get the shift calendars that apply to a workcenter
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: workcenter_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendars scheduling a shift model of the workcenter or belonging to its plant.
+ */
+router.get('/workcenter/:workcenter_id', asyncHandler(async (req, res) => {
+  try {
+    const calendars = await calendarService.getByWorkcenterId(req.params.workcenter_id);
+    res.json(calendars);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}:
+ *   get:
+ *     summary: Get a shift calendar by ID
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The shift calendar with its shifts and exceptions.
+ *       404:
+ *         description: Calendar not found.
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  try {
+    const calendar = await calendarService.getById(req.params.id);
+    res.json(calendar);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars:
+ *   post:
+ *     summary: Create a new shift calendar
+ *     tags: [Shift Calendars]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShiftCalendarInput'
+ *     responses:
+ *       201:
+ *         description: Successfully created calendar.
+ *       400:
+ *         description: Invalid input.
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(calendarSchema, req.body);
+    const calendar = await calendarService.create(data, getAuditContext(req));
+    res.status(201).json(calendar);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}:
+ *   put:
+ *     summary: Update a shift calendar
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShiftCalendarInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated calendar.
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: Calendar not found.
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(calendarSchema, req.body);
+    const calendar = await calendarService.update(req.params.id, data, getAuditContext(req));
+    res.json(calendar);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}:
+ *   delete:
+ *     summary: Delete a shift calendar including its shifts and exceptions
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Successfully deleted calendar.
+ *       404:
+ *         description: Calendar not found.
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  try {
+    await calendarService.delete(req.params.id, getAuditContext(req));
+    res.status(204).send();
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/schedule:
+ *   get:
+ *     summary: Resolve the shifts of a calendar in a time range
+ *     tags: [Shift Calendars]
+ *     description: Returns each shift instance with its crew and whether it is scheduled (weekday pattern, crew rotation, holidays and closures).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The shift instances ordered by start.
+ *       400:
+ *         description: Invalid time range.
+ *       404:
+ *         description: Calendar not found.
+ */
+router.get('/:id/schedule', asyncHandler(async (req, res) => {
+  try {
+    const schema = Joi.object({
+      from: Joi.date().iso().required(),
+      to: Joi.date().iso().greater(Joi.ref('from')).required(),
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      throw new Error(`Invalid input: ${error.details[0].message}`);
+    }
+    if ((value.to - value.from) / (24 * 60 * 60 * 1000) > MAX_SCHEDULE_DAYS) {
+      throw new Error(`Invalid input: time range must not exceed ${MAX_SCHEDULE_DAYS} days`);
+    }
+
+    const schedule = await calendarService.getSchedule(req.params.id, value.from, value.to);
+    res.json(schedule);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/shifts:
+ *   post:
+ *     summary: Assign a shift model to a calendar
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarShiftInput'
+ *     responses:
+ *       201:
+ *         description: Successfully assigned shift model.
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: Calendar or shift model not found.
+ */
+router.post('/:id/shifts', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(calendarShiftSchema, req.body);
+    const calendarShift = await calendarService.addShift(req.params.id, data, getAuditContext(req));
+    res.status(201).json(calendarShift);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/shifts/{calendarShiftId}:
+ *   put:
+ *     summary: Update the weekday pattern or crew rotation of a calendar shift
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: calendarShiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarShiftInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated calendar shift.
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: Calendar shift not found.
+ */
+router.put('/:id/shifts/:calendarShiftId', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(calendarShiftSchema.fork(['shift_id'], (field) => field.forbidden()), req.body);
+    const calendarShift = await calendarService.updateShift(req.params.id, req.params.calendarShiftId, data, getAuditContext(req));
+    res.json(calendarShift);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/shifts/{calendarShiftId}:
+ *   delete:
+ *     summary: Remove a shift model from a calendar
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: calendarShiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Successfully removed shift model.
+ *       404:
+ *         description: Calendar shift not found.
+ */
+router.delete('/:id/shifts/:calendarShiftId', asyncHandler(async (req, res) => {
+  try {
+    await calendarService.removeShift(req.params.id, req.params.calendarShiftId, getAuditContext(req));
+    res.status(204).send();
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/exceptions:
+ *   post:
+ *     summary: Add a holiday or plant closure to a calendar
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarExceptionInput'
+ *     responses:
+ *       201:
+ *         description: Successfully added exception.
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: Calendar not found.
+ */
+router.post('/:id/exceptions', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(exceptionSchema, req.body);
+    const exception = await calendarService.addException(req.params.id, data, getAuditContext(req));
+    res.status(201).json(exception);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Remove a holiday or plant closure from a calendar
+ *     tags: [Shift Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Successfully removed exception.
+ *       404:
+ *         description: Exception not found.
+ */
+router.delete('/:id/exceptions/:exceptionId', asyncHandler(async (req, res) => {
+  try {
+    await calendarService.removeException(req.params.id, req.params.exceptionId, getAuditContext(req));
+    res.status(204).send();
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /calendars/{id}/holidays/import:
+ *   post:
+ *     summary: Import holidays from an iCal file
+ *     tags: [Shift Calendars]
+ *     description: Imports every VEVENT of the iCal file as a holiday. Recurring events (RRULE with FREQ, INTERVAL, COUNT and UNTIL) are imported once per occurrence, open-ended ones for the next 5 years. Events already imported (same UID) are skipped.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ics:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Number of imported and skipped holidays.
+ *       400:
+ *         description: Invalid iCal content, e.g. END:VEVENT without BEGIN:VEVENT or an unsupported RRULE.
+ *       404:
+ *         description: Calendar not found.
+ */
+router.post('/:id/holidays/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), asyncHandler(async (req, res) => {
+  try {
+    const icsContent = typeof req.body === 'string' ? req.body : req.body?.ics;
+    const result = await calendarService.importHolidays(req.params.id, icsContent, getAuditContext(req));
+    res.status(201).json(result);
+  } catch (error) {
+    handleCalendarError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const Joi = require('joi');
+const sanitizeHtml = require('sanitize-html');
+const { loadWorkCenterById } = require('../services/workCenterService');
+const { getMachineCommands } = require('../services/machineCommandService');
+const { getAuditContext } = require('../services/auditService');
+const { sendMachineCommand } = require('../src/commandPublisher');
+const { COMMAND_METRICS } = require('../src/topicTemplates');
+
+// Mounted at /workcenters/:id/commands, the workcenter ID is a parameter of the parent path
+const router = express.Router({ mergeParams: true });
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// HTTP status per command status, a command without acknowledgment was accepted but not confirmed
+const STATUS_CODES = {
+  acknowledged: 200,
+  timeout: 202,
+  failed: 503,
+};
+
+const commandSchema = Joi.object({
+  command: Joi.string().valid(...COMMAND_METRICS).required(),
+  reason: Joi.string().max(1000).optional().allow('', null),
+});
+
+const listSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+});
+
+/**
+ * Loads the workcenter of the request.
+ *
+ * @param {string} id - The workcenter ID.
+ * @returns {Promise<Object|null>} The workcenter or null if it does not exist.
+ */
+const findWorkCenter = async (id) => {
+  try {
+    return await loadWorkCenterById(id);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Maps service errors to HTTP responses.
+ *
+ * @param {Error} error - The error thrown by the service.
+ * @param {Object} res - The Express response.
+ */
+const handleCommandError = (error, res) => {
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Fehler beim Senden des Maschinenbefehls:', error);
+  return res.status(500).json({ message: 'Interner Serverfehler' });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Machine Commands
+ *   description: Remote commands to the machines (Hold, Unhold, Start, End) via Sparkplug DCMD
+ */
+
+/**
+ * @swagger
+ * /workcenters/{id}/commands:
+ *   get:
+ *     summary: Get the commands sent to a work center
+ *     tags: [Machine Commands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The commands, newest first.
+ *       404:
+ *         description: Work center not found.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      throw new Error(`Invalid input: ${error.details[0].message}`);
+    }
+    const workCenter = await findWorkCenter(req.params.id);
+    if (!workCenter) {
+      return res.status(404).json({ message: 'Work center not found', id: req.params.id });
+    }
+    res.json(await getMachineCommands(req.params.id, value.limit));
+  } catch (error) {
+    handleCommandError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/commands:
+ *   post:
+ *     summary: Send a command to the machine of a work center
+ *     tags: [Machine Commands]
+ *     description: Publishes the command as DCMD (value 1) on the broker and topic of the MQTT configuration of the work center and records it. The request waits for the answer of the machine (MQTT_COMMAND_ACK_TIMEOUT, 10 seconds by default): data published after the command with a new machine state (state metric, PackML StateCurrent or ModeCurrent) or with the command metric acknowledges it, counter values do not. The command is processed like a command of the machine, e.g. Hold opens a hold.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [command]
+ *             properties:
+ *               command:
+ *                 type: string
+ *                 enum: [Hold, Unhold, Start, End]
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the command, the X-Change-Reason header if missing.
+ *     responses:
+ *       200:
+ *         description: The command was acknowledged by the machine.
+ *       202:
+ *         description: The command was sent, but the machine did not answer it within the timeout.
+ *       400:
+ *         description: Invalid command or the work center has no MQTT topic for it.
+ *       403:
+ *         description: The role or API key lacks the permission machinecommands:write.
+ *       404:
+ *         description: Work center not found.
+ *       503:
+ *         description: The MQTT broker of the work center is not connected, the command was recorded as failed.
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  try {
+    const { error, value } = commandSchema.validate(req.body);
+    if (error) {
+      throw new Error(`Invalid input: ${error.details[0].message}`);
+    }
+    const workCenter = await findWorkCenter(req.params.id);
+    if (!workCenter) {
+      return res.status(404).json({ message: 'Work center not found', id: req.params.id });
+    }
+    const context = getAuditContext(req);
+    const command = await sendMachineCommand(workCenter.get({ plain: true }), value.command, {
+      user: context.user,
+      role: context.role,
+      reason: value.reason ? sanitizeHtml(value.reason) : context.reason,
+    });
+    res.status(STATUS_CODES[command.status]).json(command);
+  } catch (error) {
+    handleCommandError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { oeeLogger } = require('../utils/logger'); // Pfad anpassen, um den korrekten Import des oeeLoggers zu gewährleisten.
 
 const {
@@ -10,6 +10,18 @@ const {
   createWorkCenter,
   deleteWorkCenter
 } = require('../services/workCenterService');
+const { CALCULATION_MODES, getCalculationMode, setCalculationMode } = require('../services/oeeModeService');
+const { getSparkplugStateByWorkcenter } = require('../services/sparkplugStateService');
+const { STATE_CATEGORIES, getStateConfig, setStateConfig } = require('../services/machineStateService');
+const { getMachineState } = require('../src/machineStateHandler');
+const { getTimeInStateStatistics } = require('../services/machineStateHistoryService');
+const { getPackMLState } = require('../src/packmlInterpreter');
+const { getAuditContext } = require('../services/auditService');
+const { SECURITY_MODES, SECURITY_POLICIES, getOpcUaConfig, setOpcUaConfig, deleteOpcUaConfig } = require('../services/opcuaConfigService');
+const { syncOpcUaConnections, getOpcUaStatus } = require('../src/opcuaClient');
+const { getMqttTopicConfig, setMqttTopicConfig } = require('../services/mqttTopicConfigService');
+const { getPayloadFormats } = require('../src/payloadDecoders');
+const oeeConfig = require('../config/oeeConfig.json');
 
 const router = express.Router();
 
@@ -33,6 +45,98 @@ const validateWorkCenter = [
   },
 ];
 
+const validateOEEMode = [
+  body('calculation_mode').isIn(CALCULATION_MODES).withMessage(`Calculation mode must be one of: ${CALCULATION_MODES.join(', ')}`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+const validateStateConfig = [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('state_metric').optional().trim().isLength({ min: 1 }).withMessage('State metric must not be empty'),
+  body('state_mapping').optional().isObject().withMessage('State mapping must be an object')
+    .custom((mapping) => Object.values(mapping).every(category => STATE_CATEGORIES.includes(category)))
+    .withMessage(`State mapping values must be one of: ${STATE_CATEGORIES.join(', ')}`),
+  body('thresholds').optional().isObject().withMessage('Thresholds must be an object')
+    .custom((thresholds) => Object.entries(thresholds).every(([category, seconds]) =>
+      STATE_CATEGORIES.includes(category) && Number.isFinite(seconds) && seconds >= 0))
+    .withMessage('Thresholds must map a state category to a non-negative number of seconds'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+const validateOpcUaConfig = [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('endpoint_url').trim().matches(/^opc\.tcp:\/\/.+/).withMessage('Endpoint URL must start with opc.tcp://'),
+  body('security_mode').optional().isIn(SECURITY_MODES).withMessage(`Security mode must be one of: ${SECURITY_MODES.join(', ')}`),
+  body('security_policy').optional().isIn(SECURITY_POLICIES).withMessage(`Security policy must be one of: ${SECURITY_POLICIES.join(', ')}`),
+  body('username').optional({ nullable: true }).isString().withMessage('Username must be a string'),
+  body('password').optional({ nullable: true }).isString().withMessage('Password must be a string'),
+  body('publishing_interval').optional().isInt({ min: 50 }).withMessage('Publishing interval must be at least 50 milliseconds'),
+  body('sampling_interval').optional().isInt({ min: 0 }).withMessage('Sampling interval must be a non-negative number of milliseconds'),
+  body('node_mapping').isObject().withMessage('Node mapping must be an object')
+    .custom((mapping) => Object.keys(mapping).every(metric => oeeConfig[metric]))
+    .withMessage(`Node mapping keys must be metrics of the OEE configuration: ${Object.keys(oeeConfig).join(', ')}`)
+    .custom((mapping) => Object.values(mapping).every(nodeId => typeof nodeId === 'string' && nodeId.trim().length > 0))
+    .withMessage('Node mapping values must be node IDs, e.g. ns=2;s=Line1.Counter'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+const validateMqttTopicConfig = [
+  body('broker').optional().trim().isLength({ min: 1 }).withMessage('Broker must not be empty'),
+  body('payload_format').optional().custom((format) => getPayloadFormats().includes(format))
+    .withMessage(`Payload format must be one of: ${getPayloadFormats().join(', ')}`),
+  body('topic_template').optional({ nullable: true }).trim().isLength({ min: 1 }).withMessage('Topic template must not be empty')
+    .not().matches(/[#+]/).withMessage('Topic template must not contain wildcards'),
+  body('metric_topics').optional().isObject().withMessage('Metric topics must be an object')
+    .custom((mapping) => Object.keys(mapping).every(metric => oeeConfig[metric]))
+    .withMessage(`Metric topics keys must be metrics of the OEE configuration: ${Object.keys(oeeConfig).join(', ')}`)
+    .custom((mapping) => Object.values(mapping).every(topic => typeof topic === 'string' && topic.trim().length > 0 && !/[#+]/.test(topic)))
+    .withMessage('Metric topics values must be topic segments without wildcards, e.g. counter/good'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+// Maximum time range of the state statistics
+const MAX_STATE_RANGE_DAYS = 31;
+
+const validateStateQuery = [
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+    .custom((to, { req }) => !req.query.from || new Date(to) > new Date(req.query.from))
+    .withMessage('To must be after from')
+    .custom((to, { req }) => !req.query.from || (new Date(to) - new Date(req.query.from)) / (24 * 60 * 60 * 1000) <= MAX_STATE_RANGE_DAYS)
+    .withMessage(`Time range must not exceed ${MAX_STATE_RANGE_DAYS} days`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
 /**
  * @swagger
  * components:
@@ -149,7 +253,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *         description: Bad request
  */
 router.post('/', validateWorkCenter, asyncHandler(async (req, res) => {
-  const newWorkCenter = await createWorkCenter(req.body);
+  const newWorkCenter = await createWorkCenter(req.body, getAuditContext(req));
   oeeLogger.info(`Work center created successfully: ${newWorkCenter.id}`);
   res.status(201).json({ message: 'Work center created successfully', workCenter: newWorkCenter });
 }));
@@ -187,7 +291,7 @@ router.post('/', validateWorkCenter, asyncHandler(async (req, res) => {
  */
 router.put('/:id', validateWorkCenter, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updatedWorkCenter = await updateWorkCenter(id, req.body);
+  const updatedWorkCenter = await updateWorkCenter(id, req.body, getAuditContext(req));
   if (!updatedWorkCenter) {
     oeeLogger.error(`Failed to update work center: ${id}`);
     return res.status(404).json({ message: 'Work center not found', id });
@@ -217,7 +321,7 @@ router.put('/:id', validateWorkCenter, asyncHandler(async (req, res) => {
  */
 router.delete('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const result = await deleteWorkCenter(id);
+  const result = await deleteWorkCenter(id, getAuditContext(req));
   if (!result) {
     oeeLogger.error(`Failed to delete work center: ${id}`);
     return res.status(404).json({ message: 'Work center not found', id });
@@ -226,4 +330,612 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   res.status(204).send();
 }));
 
+/**
+ * @swagger
+ * /workcenters/{id}/oee-mode:
+ *   get:
+ *     summary: Get the OEE calculation mode of a work center
+ *     tags: [Work Centers]
+ *     description: The mode determines the headline availability, performance, quality and OEE of the work center. The metrics of all modes are always returned by /oee/{machineId}.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     responses:
+ *       200:
+ *         description: The calculation mode of the work center
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workcenter_id:
+ *                   type: string
+ *                 calculation_mode:
+ *                   type: string
+ *                   enum: [standard, teep, ooe, sixBigLosses]
+ *       404:
+ *         description: Work center not found
+ */
+router.get('/:id/oee-mode', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const calculationMode = await getCalculationMode(id);
+  res.json({ workcenter_id: id, calculation_mode: calculationMode });
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/oee-mode:
+ *   put:
+ *     summary: Set the OEE calculation mode of a work center
+ *     tags: [Work Centers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - calculation_mode
+ *             properties:
+ *               calculation_mode:
+ *                 type: string
+ *                 enum: [standard, teep, ooe, sixBigLosses]
+ *     responses:
+ *       200:
+ *         description: The calculation mode was successfully updated
+ *       404:
+ *         description: Work center not found
+ *       400:
+ *         description: Bad request
+ */
+router.put('/:id/oee-mode', validateOEEMode, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const calculationMode = await setCalculationMode(id, req.body.calculation_mode);
+  oeeLogger.info(`Calculation mode of work center ${id} set to ${calculationMode}`);
+  res.status(200).json({ message: 'Calculation mode updated successfully', workcenter_id: id, calculation_mode: calculationMode });
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/sparkplug:
+ *   get:
+ *     summary: Get the Sparkplug B session state of a work center
+ *     tags: [Work Centers]
+ *     description: Online state, bdSeq, last sequence number and alias mapping of the edge node and its devices, as tracked from NBIRTH/NDEATH/DBIRTH/DDEATH messages.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     responses:
+ *       200:
+ *         description: The edge node (null if no NBIRTH was received yet) and its devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 node:
+ *                   type: object
+ *                   nullable: true
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get('/:id/sparkplug', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const state = await getSparkplugStateByWorkcenter(id);
+  res.json(state);
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/state-config:
+ *   get:
+ *     summary: Get the machine state configuration of a work center
+ *     tags: [Work Centers]
+ *     description: The machine state metric opens and closes downtimes automatically. Fault and Idle open an unplanned downtime, Setup a planned downtime and Running closes the open downtime. A downtime is only opened once the state lasted longer than the threshold of its category.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     responses:
+ *       200:
+ *         description: The configuration (defaults if none is stored) and the current machine state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 state_metric:
+ *                   type: string
+ *                 state_mapping:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                     enum: [running, idle, fault, setup]
+ *                 thresholds:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: number
+ *                 current_state:
+ *                   type: object
+ *                   nullable: true
+ *       404:
+ *         description: Work center not found
+ */
+router.get('/:id/state-config', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const config = await getStateConfig(id);
+  res.json({ ...config, current_state: getMachineState(id) });
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/state-config:
+ *   put:
+ *     summary: Set the machine state configuration of a work center
+ *     tags: [Work Centers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               state_metric:
+ *                 type: string
+ *                 description: Name of the metric carrying the machine state (must be defined in the OEE configuration to be subscribed).
+ *               state_mapping:
+ *                 type: object
+ *                 description: Raw state value to category, e.g. {"Running":"running","3":"fault"}.
+ *                 additionalProperties:
+ *                   type: string
+ *                   enum: [running, idle, fault, setup]
+ *               thresholds:
+ *                 type: object
+ *                 description: Seconds per category before a downtime is opened, e.g. {"idle":120}.
+ *                 additionalProperties:
+ *                   type: number
+ *     responses:
+ *       200:
+ *         description: The configuration was successfully updated
+ *       404:
+ *         description: Work center not found
+ *       400:
+ *         description: Bad request
+ */
+router.put('/:id/state-config', validateStateConfig, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const { enabled, state_metric, state_mapping, thresholds } = req.body;
+  const config = await setStateConfig(id, { enabled, state_metric, state_mapping, thresholds });
+  oeeLogger.info(`Machine state configuration of work center ${id} updated`);
+  res.status(200).json({ message: 'Machine state configuration updated successfully', config });
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/mqtt:
+ *   get:
+ *     summary: Get the MQTT broker, payload format and topic layout of a work center
+ *     tags: [Work Centers]
+ *     description: Without own configuration a work center receives Sparkplug B payloads from the area broker on the topics of the topicFormat setting. Placeholders of a topic template are plant, area, machine, workcenter_id, message_type and metric, with or without braces, and the Sparkplug names group_id (plant/area), edge_node_id (machine) and device_id (metric).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     responses:
+ *       200:
+ *         description: The configuration (defaults if none is stored)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 broker:
+ *                   type: string
+ *                 payload_format:
+ *                   type: string
+ *                   enum: [sparkplug, json, value]
+ *                 topic_template:
+ *                   type: string
+ *                 metric_topics:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *       404:
+ *         description: Work center not found
+ */
+router.get('/:id/mqtt', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  res.json(await getMqttTopicConfig(id));
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/mqtt:
+ *   put:
+ *     summary: Set the MQTT broker, payload format and topic layout of a work center
+ *     tags: [Work Centers]
+ *     description: The topics are subscribed again within a minute. Example for flat values on factory/line3/counter/good - {"payload_format":"value","topic_template":"factory/{machine}/{metric}","metric_topics":{"ActualProductionYield":"counter/good","ActualProductionQuantity":"counter/total"}}.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               broker:
+ *                 type: string
+ *                 description: Name of a broker of the config file (area, enterprise or a further broker).
+ *               payload_format:
+ *                 type: string
+ *                 description: sparkplug (Sparkplug B protobuf), json (metrics array, {value, timestamp}, plain value or an object of metric -> value) or value (the plain value as text).
+ *                 enum: [sparkplug, json, value]
+ *               topic_template:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Topic template, the topicFormat setting if empty. Without metric placeholder one topic carries all metrics.
+ *               metric_topics:
+ *                 type: object
+ *                 description: Metric of the OEE configuration to the value of the metric placeholder or the key in a JSON object. Only these metrics are subscribed if set.
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The configuration was successfully updated
+ *       404:
+ *         description: Work center not found
+ *       400:
+ *         description: Bad request
+ */
+router.put('/:id/mqtt', validateMqttTopicConfig, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const { broker, payload_format, topic_template, metric_topics } = req.body;
+  try {
+    const config = await setMqttTopicConfig(id, { broker, payload_format, topic_template, metric_topics }, getAuditContext(req));
+    oeeLogger.info(`MQTT topic configuration of work center ${id} updated`);
+    res.status(200).json({ message: 'MQTT topic configuration updated successfully', config });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/opcua:
+ *   get:
+ *     summary: Get the OPC UA configuration of a work center
+ *     tags: [Work Centers]
+ *     description: Work centers without Sparkplug B read their machine data from an OPC UA server. Every mapped node is monitored and its value changes are processed as the metric of the OEE configuration, Hold, Unhold, Start and End as commands.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     responses:
+ *       200:
+ *         description: The configuration (without the password) and the connection status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 endpoint_url:
+ *                   type: string
+ *                 security_mode:
+ *                   type: string
+ *                 security_policy:
+ *                   type: string
+ *                 username:
+ *                   type: string
+ *                   nullable: true
+ *                 has_password:
+ *                   type: boolean
+ *                 publishing_interval:
+ *                   type: integer
+ *                 sampling_interval:
+ *                   type: integer
+ *                 node_mapping:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                 connection_status:
+ *                   type: string
+ *                   enum: [connected, connecting, reconnecting, disconnected]
+ *       404:
+ *         description: Work center or OPC UA configuration not found
+ */
+router.get('/:id/opcua', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const config = await getOpcUaConfig(id);
+  if (!config) {
+    oeeLogger.error(`OPC UA configuration not found: ${id}`);
+    return res.status(404).json({ message: 'OPC UA configuration not found', id });
+  }
+  res.json({ ...config, connection_status: getOpcUaStatus(id) });
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/opcua:
+ *   put:
+ *     summary: Set the OPC UA configuration of a work center
+ *     tags: [Work Centers]
+ *     description: The connection is opened or reopened right away. Only work centers with OEE enabled are connected.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint_url
+ *               - node_mapping
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               endpoint_url:
+ *                 type: string
+ *                 example: opc.tcp://localhost:4840
+ *               security_mode:
+ *                 type: string
+ *                 enum: [None, Sign, SignAndEncrypt]
+ *               security_policy:
+ *                 type: string
+ *                 enum: [None, Basic128Rsa15, Basic256, Basic256Sha256, Aes128_Sha256_RsaOaep, Aes256_Sha256_RsaPss]
+ *               username:
+ *                 type: string
+ *                 description: Anonymous session if empty.
+ *               password:
+ *                 type: string
+ *                 description: Omit to keep the stored password, an empty string removes it.
+ *               publishing_interval:
+ *                 type: integer
+ *                 description: Milliseconds between the notifications of the subscription (default 1000).
+ *               sampling_interval:
+ *                 type: integer
+ *                 description: Milliseconds between the samples of a node (default 500).
+ *               node_mapping:
+ *                 type: object
+ *                 description: Metric of the OEE configuration to node ID, e.g. {"ActualPerformance":"ns=2;s=Line1.Counter","MachineState":"ns=2;s=Line1.State"}.
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The configuration was successfully updated
+ *       404:
+ *         description: Work center not found
+ *       400:
+ *         description: Bad request
+ */
+router.put('/:id/opcua', validateOpcUaConfig, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const { enabled, endpoint_url, security_mode, security_policy, username, password, publishing_interval, sampling_interval, node_mapping } = req.body;
+  const config = await setOpcUaConfig(id, { enabled, endpoint_url, security_mode, security_policy, username, password, publishing_interval, sampling_interval, node_mapping }, getAuditContext(req));
+  syncOpcUaConnections().catch(error => oeeLogger.error(`Error synchronizing OPC UA connections: ${error.message}`));
+  oeeLogger.info(`OPC UA configuration of work center ${id} updated`);
+  res.status(200).json({ message: 'OPC UA configuration updated successfully', config });
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/opcua:
+ *   delete:
+ *     summary: Delete the OPC UA configuration of a work center
+ *     tags: [Work Centers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *     responses:
+ *       204:
+ *         description: The configuration was deleted and the connection closed
+ *       404:
+ *         description: OPC UA configuration not found
+ */
+router.delete('/:id/opcua', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const deleted = await deleteOpcUaConfig(id, getAuditContext(req));
+  if (!deleted) {
+    oeeLogger.error(`OPC UA configuration not found: ${id}`);
+    return res.status(404).json({ message: 'OPC UA configuration not found', id });
+  }
+  syncOpcUaConnections().catch(error => oeeLogger.error(`Error synchronizing OPC UA connections: ${error.message}`));
+  oeeLogger.info(`OPC UA configuration of work center ${id} deleted`);
+  res.status(204).send();
+}));
+
+/**
+ * @swagger
+ * /workcenters/{id}/states:
+ *   get:
+ *     summary: Get the PackML state history and time-in-state statistics of a work center
+ *     tags: [Work Centers]
+ *     description: The PackML tags StateCurrent and ModeCurrent are recorded as state history. Each state is assigned an OEE loss category - Execute is production, Held and Suspended (with their transitional states) are downtime, Stopped and Aborted (with Clearing, Stopping and Aborting) are unplanned, Idle, Starting, Resetting, Completing and Complete are idle. Outside the Production mode every state is planned.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The work center ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the time range (default 24 hours before to).
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the time range (default now, at most 31 days after from).
+ *     responses:
+ *       200:
+ *         description: The current PackML state, the time spent per state and loss category and the state history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workcenter_id:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 current_state:
+ *                   type: object
+ *                   nullable: true
+ *                 total_seconds:
+ *                   type: number
+ *                 states:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       state_code:
+ *                         type: integer
+ *                       state:
+ *                         type: string
+ *                       loss_category:
+ *                         type: string
+ *                         enum: [production, downtime, unplanned, idle, planned]
+ *                       count:
+ *                         type: integer
+ *                       seconds:
+ *                         type: number
+ *                       percentage:
+ *                         type: number
+ *                 loss_categories:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       seconds:
+ *                         type: number
+ *                       percentage:
+ *                         type: number
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Work center not found
+ *       400:
+ *         description: Bad request
+ */
+router.get('/:id/states', validateStateQuery, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const workCenter = await loadWorkCenterById(id);
+  if (!workCenter) {
+    oeeLogger.error(`Work center not found: ${id}`);
+    return res.status(404).json({ message: 'Work center not found', id });
+  }
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  const statistics = await getTimeInStateStatistics(id, from, to);
+  res.json({
+    workcenter_id: id,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    current_state: getPackMLState(id),
+    ...statistics,
+  });
+}));
+
 module.exports = router;
@@ -9,6 +9,8 @@ const {
   updateMicrostop, 
   deleteMicrostop 
 } = require('../services/microstopService');
+const { getUnclassifiedMicrostops } = require('../services/stoppageClassificationService');
+const { getAuditContext } = require('../services/auditService');
 
 /**
  * @swagger
@@ -44,7 +46,7 @@ const {
  *           description: Endzeit des neuen Microstops
  *         reason:
  *           type: string
- *           description: Grund des neuen Microstops
+ *           description: Ursachencode des neuen Microstops (Code aus /reasoncodes, der dem Arbeitsplatz zugeordnet ist, oder TBD für nicht klassifiziert)
  */
 
 
@@ -83,6 +85,56 @@ router.get("/", async (req, res) => {
 });
 
 // GET Route: Einen Microstop nach ID abrufen
+/**
+ * @swagger
+ * /microstops/unclassified:
+ *   get:
+ *     summary: Nicht klassifizierte Microstops abrufen
+ *     tags: [Microstops]
+ *     description: Rückstand der Microstops ohne Ursachencode (Grund TBD). Bediener klassifizieren sie über die WebSocket-Nachricht classifyStoppage ({ stoppage_type, id, reason_code, comment }).
+ *     parameters:
+ *       - in: query
+ *         name: workcenter_id
+ *         schema:
+ *           type: string
+ *         description: Nur Microstops dieses Arbeitsplatzes
+ *     responses:
+ *       200:
+ *         description: Die nicht klassifizierten Microstops, neueste zuerst
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   stoppage_type:
+ *                     type: string
+ *                   id:
+ *                     type: string
+ *                   workcenter_id:
+ *                     type: string
+ *                   order_id:
+ *                     type: string
+ *                   start_date:
+ *                     type: string
+ *                     format: date-time
+ *                   end_date:
+ *                     type: string
+ *                     format: date-time
+ *                   duration_seconds:
+ *                     type: number
+ */
+router.get("/unclassified", async (req, res) => {
+  try {
+    const workcenterId = typeof req.query.workcenter_id === "string" ? req.query.workcenter_id : undefined;
+    const microstops = await getUnclassifiedMicrostops({ workcenterId });
+    res.status(200).json(microstops);
+  } catch (error) {
+    res.status(500).json({ message: "Fehler beim Abrufen der nicht klassifizierten Microstops" });
+  }
+});
+
 /**
  * @swagger
  * /microstops/{id}:
@@ -141,14 +193,20 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Microstop'
  *       400:
  *         description: Ungültige Eingabedaten
+ *       409:
+ *         description: Der Prozessauftrag des Microstops ist abgeschlossen und kann nicht mehr geändert werden
  */
 router.post("/", async (req, res) => {
   try {
     const microstopData = req.body;
-    const newMicrostop = await createMicrostop(microstopData);
+    const newMicrostop = await createMicrostop(microstopData, getAuditContext(req));
     res.status(201).json(newMicrostop);
   } catch (error) {
-    res.status(400).json({ message: "Fehler beim Erstellen des Microstops" });
+    if (error.message.includes("Invalid state")) {
+      return res.status(409).json({ message: error.message });
+    }
+    const message = error.message.includes("Invalid reason code") ? error.message : "Fehler beim Erstellen des Microstops";
+    res.status(400).json({ message });
   }
 });
 
@@ -181,18 +239,24 @@ router.post("/", async (req, res) => {
  *               $ref: '#/components/schemas/Microstop'
  *       404:
  *         description: Microstop nicht gefunden
+ *       409:
+ *         description: Der Prozessauftrag des Microstops ist abgeschlossen und kann nicht mehr geändert werden
  */
 router.put("/:id", async (req, res) => {
   const { id } = req.params;
   const updatedData = req.body;
   try {
-    const updatedMicrostop = await updateMicrostop(id, updatedData);
+    const updatedMicrostop = await updateMicrostop(id, updatedData, getAuditContext(req));
     if (!updatedMicrostop) {
       return res.status(404).json({ message: "Microstop nicht gefunden" });
     }
     res.status(200).json(updatedMicrostop);
   } catch (error) {
-    res.status(400).json({ message: "Fehler beim Aktualisieren des Microstops" });
+    if (error.message.includes("Invalid state")) {
+      return res.status(409).json({ message: error.message });
+    }
+    const message = error.message.includes("Invalid reason code") ? error.message : "Fehler beim Aktualisieren des Microstops";
+    res.status(400).json({ message });
   }
 });
 
@@ -215,17 +279,22 @@ router.put("/:id", async (req, res) => {
  *         description: Microstop erfolgreich gelöscht
  *       404:
  *         description: Microstop nicht gefunden
+ *       409:
+ *         description: Der Prozessauftrag des Microstops ist abgeschlossen und kann nicht mehr geändert werden
  */
 router.delete("/:id", async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await deleteMicrostop(id);
+    const result = await deleteMicrostop(id, getAuditContext(req));
     if (result) {
       res.status(204).send();
     } else {
       res.status(404).json({ message: "Microstop nicht gefunden" });
     }
   } catch (error) {
+    if (error.message.includes("Invalid state")) {
+      return res.status(409).json({ message: error.message });
+    }
     res.status(500).json({ message: "Fehler beim Löschen des Microstops" });
   }
 });
@@ -1,6 +1,7 @@
 const express = require("express");
 const Joi = require("joi");
 const { getOEEMetrics } = require("../src/oeeProcessor");
+const { calculateHistoricalOEE } = require("../services/oeeHistoryService");
 const router = express.Router();
 
 // Centralized error handling
@@ -28,6 +29,25 @@ const validateMachineId = (machineId) => {
   return value;
 };
 
+/**
+ * Validates a process order ID.
+ *
+ * @param {string} orderId - The process order ID to validate.
+ * @returns {string} - The validated process order ID.
+ * @throws {Error} - If validation fails.
+ */
+const validateOrderId = (orderId) => {
+  const schema = Joi.string().guid({ version: ["uuidv4"] }).required();
+
+  const { error, value } = schema.validate(orderId);
+
+  if (error) {
+    throw new Error(`Ungültige Auftrags-ID: ${error.details[0].message}`);
+  }
+
+  return value;
+};
+
 /**
  * @swagger
  * tags:
@@ -35,6 +55,109 @@ const validateMachineId = (machineId) => {
  *   description: API for retrieving OEE metrics for a machine
  */
 
+/**
+ * @swagger
+ * /oee/history/{orderId}:
+ *   get:
+ *     tags:
+ *       - Realtime OEE by Line
+ *     summary: Recalculate OEE metrics for a process order
+ *     description: Recalculates availability, performance, quality, OEE and the hourly timeline of a completed or running process order from the stored downtimes, microstops and shift models.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The unique ID of the process order.
+ *     responses:
+ *       200:
+ *         description: JSON object containing the recalculated OEE metrics and timeline.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 metrics:
+ *                   type: object
+ *                   description: Availability, performance, quality, OEE and classification. Performance is based on the ideal cycle time (sollMin) of the Tact master data if maintained for the material.
+ *                 totals:
+ *                   type: object
+ *                   description: Total minutes of production, breaks, unplanned and planned downtime, microstops, non-scheduled time and speed loss.
+ *                 labels:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 datasets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 speedLosses:
+ *                   type: array
+ *                   description: Intervals in which the actual cycle time was outside sollMin/sollMax.
+ *                   items:
+ *                     type: object
+ *                 processOrder:
+ *                   type: object
+ *       400:
+ *         description: Invalid process order ID or order without a valid time frame.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Process order not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Internal server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ */
+router.get(
+  "/history/:orderId",
+  asyncHandler(async (req, res) => {
+    try {
+      const orderId = validateOrderId(req.params.orderId);
+
+      const result = await calculateHistoricalOEE(orderId);
+
+      if (result) {
+        res.json(result);
+      } else {
+        res.status(404).json({ message: "Prozessauftrag nicht gefunden." });
+      }
+    } catch (error) {
+      if (
+        error.message.startsWith("Ungültige Auftrags-ID") ||
+        error.message.includes("no valid time frame")
+      ) {
+        res.status(400).json({ message: error.message });
+      } else {
+        console.error(
+          `Fehler bei der OEE-Neuberechnung für Auftrag ${req.params.orderId}:`,
+          error
+        );
+        res.status(500).json({ message: "Interner Serverfehler" });
+      }
+    }
+  })
+);
+
 /**
  * @swagger
  * /oee/{machineId}:
@@ -42,7 +165,7 @@ const validateMachineId = (machineId) => {
  *     tags:
  *       - Realtime OEE by Line
  *     summary: Retrieve current OEE metrics for a machine
- *     description: Fetch the current OEE metrics from the buffer for the given machine.
+ *     description: Fetch the current OEE metrics from the buffer for the given machine. The headline values follow the calculation mode of the workcenter, the metrics of all modes are returned in `modes`.
  *     parameters:
  *       - in: path
  *         name: machineId
@@ -61,7 +184,40 @@ const validateMachineId = (machineId) => {
  *               properties:
  *                 oee:
  *                   type: number
- *                   description: Calculated OEE value.
+ *                   description: Calculated OEE value of the selected calculation mode.
+ *                 idealCycleTime:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Ideal cycle time in seconds per unit (sollMin of the Tact master data).
+ *                 actualCycleTime:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Actual cycle time in seconds per unit.
+ *                 speedLoss:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [slow, fast]
+ *                   description: Set if the actual cycle time is outside sollMin/sollMax.
+ *                 calculationMode:
+ *                   type: string
+ *                   enum: [standard, teep, ooe, sixBigLosses]
+ *                   description: Calculation mode of the workcenter.
+ *                 modes:
+ *                   type: object
+ *                   description: Metrics of all calculation modes.
+ *                   properties:
+ *                     standard:
+ *                       type: object
+ *                       description: Availability, performance, quality and OEE against the planned production time.
+ *                     teep:
+ *                       type: object
+ *                       description: Utilization and TEEP against the calendar time.
+ *                     ooe:
+ *                       type: object
+ *                       description: Availability and OOE against the operating time, breaks and planned downtimes count as losses.
+ *                     sixBigLosses:
+ *                       type: object
+ *                       description: Loss time in minutes per category (breakdowns, setupAndAdjustments, smallStops, reducedSpeed, startupRejects, productionRejects) and the fully productive time.
  *       400:
  *         description: Invalid machine ID.
  *         content:
@@ -0,0 +1,145 @@
+const express = require('express');
+const Joi = require('joi');
+const sanitizeHtml = require('sanitize-html');
+const { SIGNATURE_MEANINGS, getReview, signOrder } = require('../services/orderReviewService');
+const { getAuditContext } = require('../services/auditService');
+
+// Mounted at /processorders/:id/review, the order ID is a parameter of the parent path
+const router = express.Router({ mergeParams: true });
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const signatureSchema = Joi.object({
+  password: Joi.string().required(),
+  meaning: Joi.string().valid(...SIGNATURE_MEANINGS).required(),
+  comment: Joi.string().max(1000).optional().allow('', null),
+});
+
+/**
+ * Maps service errors to HTTP responses.
+ *
+ * @param {Error} error - The error thrown by the service.
+ * @param {Object} res - The Express response.
+ */
+const handleReviewError = (error, res) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message === 'Invalid credentials') {
+    return res.status(401).json({ message: 'Re-authentication failed: invalid password' });
+  }
+  if (error.message.startsWith('Account locked')) {
+    return res.status(423).json({ message: error.message });
+  }
+  if (error.message.startsWith('Invalid signer')) {
+    return res.status(403).json({ message: error.message });
+  }
+  if (error.message.startsWith('Invalid state')) {
+    return res.status(409).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Fehler bei der Freigabe des Prozessauftrags:', error);
+  return res.status(500).json({ message: 'Interner Serverfehler' });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Order Review
+ *   description: Review and electronic sign-off of the OEE result of finished process orders
+ */
+
+/**
+ * @swagger
+ * /processorders/{id}/review:
+ *   get:
+ *     summary: Get the review of a process order
+ *     tags: [Order Review]
+ *     description: Returns the status of the order, the OEE snapshot taken at the End command (with an integrity check of its hash) and the signatures.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The review of the process order.
+ *       404:
+ *         description: Process order not found.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    res.json(await getReview(req.params.id));
+  } catch (error) {
+    handleReviewError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /processorders/{id}/review/signatures:
+ *   post:
+ *     summary: Sign the OEE result of a process order
+ *     tags: [Order Review]
+ *     description: The signer re-enters the password of the logged in user (failed attempts count towards the account lockout). "reviewed" may be signed by several users, "approved" requires a review of the current OEE snapshot signed by another user, closes the order (status CLD) and makes the OEE snapshot immutable.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, meaning]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               meaning:
+ *                 type: string
+ *                 enum: [reviewed, approved]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The signature.
+ *       400:
+ *         description: Invalid input or signature (e.g. approval without review).
+ *       401:
+ *         description: Re-authentication failed.
+ *       403:
+ *         description: Signing requires a personal user login, API keys cannot sign.
+ *       404:
+ *         description: Process order or OEE snapshot not found.
+ *       409:
+ *         description: The process order is not pending review.
+ *       423:
+ *         description: Account locked after repeated failed attempts.
+ */
+router.post('/signatures', asyncHandler(async (req, res) => {
+  try {
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      throw new Error(`Invalid input: ${error.details[0].message}`);
+    }
+    if (value.comment) {
+      value.comment = sanitizeHtml(value.comment);
+    }
+    const signature = await signOrder(req.params.id, value, req.user, getAuditContext(req));
+    res.status(201).json(signature);
+  } catch (error) {
+    handleReviewError(error, res);
+  }
+}));
+
+module.exports = router;
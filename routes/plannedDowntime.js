@@ -1,8 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const { loadPlannedDowntime, loadPlannedDowntimeById, createPlannedDowntime, updatePlannedDowntime, deletePlannedDowntime } = require("../services/plannedDowntimeService");
+const { validateReasonCode, assignDowntimeReason, getDowntimeReason } = require("../services/reasonCodeService");
+const { notifyUnclassified } = require("../services/stoppageClassificationService");
+const { getAuditContext } = require("../services/auditService");
 const asyncHandler = (fn) => (req, res, next) =>
-  Promise.resolve(fn(req, res, next)).catch(next);
+  Promise.resolve(fn(req, res, next)).catch((error) => {
+    // Downtimes of closed (signed) process orders can no longer be changed
+    if (error.message.startsWith("Invalid state")) {
+      return res.status(409).json({ message: error.message });
+    }
+    next(error);
+  });
 
 /**
  * @swagger
@@ -33,6 +42,9 @@ const asyncHandler = (fn) => (req, res, next) =>
  *         Description:
  *           type: string
  *           description: Description of the planned downtime.
+ *         reason_code:
+ *           type: string
+ *           description: Code (or ID) of a reason code assigned to the workcenter, validated against the reason-code tree.
  */
 
 /**
@@ -94,7 +106,8 @@ router.get("/:id", asyncHandler(async (req, res) => {
     if (!plannedDowntime) {
         return res.status(404).json({ message: "Planned downtime not found" });
     }
-    res.json(plannedDowntime);
+    const reasonCode = await getDowntimeReason(id);
+    res.json({ ...plannedDowntime, reason_code: reasonCode ? reasonCode.code : null });
 }));
 
 /**
@@ -116,14 +129,29 @@ router.get("/:id", asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/PlannedDowntime'
+ *       409:
+ *         description: The process order of the downtime is closed and can no longer be changed.
  *       500:
  *         description: Error creating planned downtime.
  */
 
 router.post("/", asyncHandler(async (req, res) => {
-    const newData = {...req.body};
-    const createdDowntime = await createPlannedDowntime(newData);
-    res.status(201).json(createdDowntime);
+    const { reason_code, ...newData } = req.body;
+    let reasonCode = null;
+    if (reason_code !== undefined) {
+        try {
+            reasonCode = await validateReasonCode(reason_code, newData.workcenter_id);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+    }
+    const createdDowntime = await createPlannedDowntime(newData, getAuditContext(req));
+    if (reasonCode) {
+        await assignDowntimeReason(createdDowntime.plannedOrder_ID, "planned", reasonCode, createdDowntime.workcenter_id);
+    } else {
+        notifyUnclassified("planned", createdDowntime);
+    }
+    res.status(201).json({ ...createdDowntime, reason_code: reasonCode ? reasonCode.code : null });
 }));
 
 /**
@@ -154,18 +182,34 @@ router.post("/", asyncHandler(async (req, res) => {
  *               $ref: '#/components/schemas/PlannedDowntime'
  *       404:
  *         description: Planned downtime not found.
+ *       409:
+ *         description: The process order of the downtime is closed and can no longer be changed.
  *       500:
  *         description: Error updating planned downtime.
  */
 
 router.put("/:id", asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const updatedData = {...req.body};
-    const updatedDowntime = await updatePlannedDowntime(id, updatedData);
-    if (!updatedDowntime) {
+    const { reason_code, ...updatedData } = req.body;
+    const existingDowntime = await loadPlannedDowntimeById(id);
+    if (!existingDowntime) {
         return res.status(404).json({ message: "Planned downtime not found" });
     }
-    res.json(updatedDowntime);
+    let reasonCode = null;
+    if (reason_code !== undefined) {
+        try {
+            reasonCode = await validateReasonCode(reason_code, updatedData.workcenter_id || existingDowntime.workcenter_id);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+    }
+    const updatedDowntime = await updatePlannedDowntime(id, updatedData, getAuditContext(req));
+    if (reasonCode) {
+        await assignDowntimeReason(id, "planned", reasonCode, updatedDowntime.workcenter_id);
+    } else {
+        reasonCode = await getDowntimeReason(id);
+    }
+    res.json({ ...updatedDowntime, reason_code: reasonCode ? reasonCode.code : null });
 }));
 
 /**
@@ -186,13 +230,15 @@ router.put("/:id", asyncHandler(async (req, res) => {
  *         description: Planned downtime deleted successfully.
  *       404:
  *         description: Planned downtime not found.
+ *       409:
+ *         description: The process order of the downtime is closed and can no longer be changed.
  *       500:
  *         description: Error deleting planned downtime.
  */
 
 router.delete("/:id", asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const result = await deletePlannedDowntime(id);
+    const result = await deletePlannedDowntime(id, getAuditContext(req));
     if (!result) {
         return res.status(404).json({ message: "Planned downtime not found" });
     }
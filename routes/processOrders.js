@@ -14,6 +14,7 @@ const {
 const router = express.Router();
 
 const { dateSettings } = require("../config/config");
+const { getAuditContext } = require("../services/auditService");
 
 // Utility-Funktion für die Datumsformatierung
 const formatDate = (date) =>
@@ -348,7 +349,7 @@ router.post(
     };
 
     try {
-      const createdOrder = await createProcessOrder(newData);
+      const createdOrder = await createProcessOrder(newData, getAuditContext(req));
 
       res.status(201).json({
         message: "Process order added successfully",
@@ -392,6 +393,8 @@ router.post(
  *                   type: string
  *                 order_id:
  *                   type: string
+ *       409:
+ *         description: The order is pending review or closed, its status is changed by the approval signature and a signed order can no longer be changed.
  *       500:
  *         description: Failed to update process order
  *         content:
@@ -415,7 +418,7 @@ router.put(
     };
 
     try {
-      const updatedOrder = await updateProcessOrder(id, updatedData);
+      const updatedOrder = await updateProcessOrder(id, updatedData, getAuditContext(req));
 
       res.status(200).json({
         message: "Process order updated successfully",
@@ -423,6 +426,9 @@ router.put(
       });
     } catch (error) {
       errorLogger.error(`Failed to update process order with ID ${id}: ${error.message}`);
+      if (error.message.startsWith("Invalid status change") || error.message.startsWith("Invalid state")) {
+        return res.status(409).json({ message: error.message });
+      }
       res.status(500).json({ message: "Failed to update process order" });
     }
   })
@@ -447,6 +453,8 @@ router.put(
  *         description: Process order deleted successfully.
  *       404:
  *         description: Process order not found.
+ *       409:
+ *         description: The order is closed and can no longer be changed.
  *       500:
  *         description: Failed to delete process order
  *         content:
@@ -463,7 +471,7 @@ router.delete(
     const { id } = req.params;
 
     try {
-      const result = await deleteProcessOrder(id);
+      const result = await deleteProcessOrder(id, getAuditContext(req));
 
       if (!result) {
         return res.status(404).json({ message: `Process order with ID ${id} not found` });
@@ -472,6 +480,9 @@ router.delete(
       res.status(204).send();  // 204 bedeutet "Erfolgreiches Löschen ohne Rückgabewerte"
     } catch (error) {
       console.error(`Error deleting process order with ID ${id}: ${error.message}`);
+      if (error.message.startsWith("Invalid state")) {
+        return res.status(409).json({ message: error.message });
+      }
       res.status(500).json({ message: `Error deleting process order with ID ${id}: ${error.message}` });
     }
   })
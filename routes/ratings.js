@@ -1,27 +1,13 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const sanitizeHtml = require('sanitize-html');
+const ratingRepository = require('../repositories/RatingRepository');
+const { getAuditContext } = require('../services/auditService');
 
 const router = express.Router();
-const configPath = path.join(__dirname, '../config/config.json');
 
-/**
- * Helper function to load the config file asynchronously.
- */
-const loadConfig = async () => {
-  const data = await fs.readFile(configPath, 'utf8');
-  return JSON.parse(data);
-};
-
-/**
- * Helper function to save the config file asynchronously.
- */
-const saveConfig = async (config) => {
-  await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf8');
-};
+// Validierung der Rating-ID
+const isValidId = (id) => !Joi.string().uuid().required().validate(id).error;
 
 // Zentralisiertes Fehlerhandling
 const asyncHandler = (fn) => (req, res, next) =>
@@ -82,8 +68,8 @@ router.get(
   '/',
   asyncHandler(async (req, res) => {
     try {
-      const config = await loadConfig();
-      res.json(config.ratings);
+      const ratings = await ratingRepository.getAll();
+      res.json(ratings);
     } catch (error) {
       res.status(500).json({ message: 'Fehler beim Laden der Ratings' });
     }
@@ -123,23 +109,16 @@ router.get(
   asyncHandler(async (req, res) => {
     try {
       const id = sanitizeHtml(req.params.id);
-
-      // Validierung der ID
-      const schema = Joi.string().uuid().required();
-      const { error } = schema.validate(id);
-      if (error) {
+      if (!isValidId(id)) {
         return res.status(400).json({ message: 'Ungültige ID' });
       }
 
-      const config = await loadConfig();
-      const rating = config.ratings.find((r) => r.id === id);
-
-      if (rating) {
-        res.json(rating);
-      } else {
-        res.status(404).json({ message: `Rating mit ID ${id} nicht gefunden` });
-      }
+      const rating = await ratingRepository.getById(id);
+      res.json(rating);
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ message: `Rating mit ID ${req.params.id} nicht gefunden` });
+      }
       res.status(500).json({ message: 'Fehler beim Laden des Ratings' });
     }
   })
@@ -174,19 +153,17 @@ router.post(
   '/',
   asyncHandler(async (req, res) => {
     try {
-      const config = await loadConfig();
-      const sanitizedData = validateAndSanitizeRating(req.body);
-
-      // Generiere eine neue UUID für das Rating
-      sanitizedData.id = uuidv4();
-
-      // Füge das neue Rating hinzu
-      config.ratings.push(sanitizedData);
-      await saveConfig(config);
+      let sanitizedData;
+      try {
+        sanitizedData = validateAndSanitizeRating(req.body);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
 
-      res.status(201).json(sanitizedData);
+      const rating = await ratingRepository.create(sanitizedData, getAuditContext(req).user);
+      res.status(201).json(rating);
     } catch (error) {
-      res.status(400).json({ message: error.message });
+      res.status(500).json({ message: 'Fehler beim Speichern des Ratings' });
     }
   })
 );
@@ -230,29 +207,24 @@ router.put(
   asyncHandler(async (req, res) => {
     try {
       const id = sanitizeHtml(req.params.id);
-
-      // Validierung der ID
-      const idSchema = Joi.string().uuid().required();
-      const { error: idError } = idSchema.validate(id);
-      if (idError) {
+      if (!isValidId(id)) {
         return res.status(400).json({ message: 'Ungültige ID' });
       }
 
-      const config = await loadConfig();
-      const index = config.ratings.findIndex((r) => r.id === id);
-
-      if (index !== -1) {
-        const sanitizedData = validateAndSanitizeRating(req.body);
-        sanitizedData.id = id; // Behalte die originale ID
-
-        config.ratings[index] = { ...config.ratings[index], ...sanitizedData };
-        await saveConfig(config);
-        res.status(200).json(config.ratings[index]);
-      } else {
-        res.status(404).json({ message: `Rating mit ID ${id} nicht gefunden` });
+      let sanitizedData;
+      try {
+        sanitizedData = validateAndSanitizeRating(req.body);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
       }
+
+      const rating = await ratingRepository.update(id, sanitizedData, getAuditContext(req).user);
+      res.status(200).json(rating);
     } catch (error) {
-      res.status(400).json({ message: error.message });
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ message: `Rating mit ID ${req.params.id} nicht gefunden` });
+      }
+      res.status(500).json({ message: 'Fehler beim Aktualisieren des Ratings' });
     }
   })
 );
@@ -286,28 +258,80 @@ router.delete(
   asyncHandler(async (req, res) => {
     try {
       const id = sanitizeHtml(req.params.id);
-
-      // Validierung der ID
-      const schema = Joi.string().uuid().required();
-      const { error } = schema.validate(id);
-      if (error) {
+      if (!isValidId(id)) {
         return res.status(400).json({ message: 'Ungültige ID' });
       }
 
-      const config = await loadConfig();
-      const initialLength = config.ratings.length;
-
-      // Filtere das Rating mit der angegebenen ID heraus
-      config.ratings = config.ratings.filter((r) => r.id !== id);
+      await ratingRepository.delete(id, getAuditContext(req).user);
+      res.status(204).send();
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ message: `Rating mit ID ${req.params.id} nicht gefunden` });
+      }
+      res.status(500).json({ message: 'Fehler beim Löschen des Ratings' });
+    }
+  })
+);
 
-      if (config.ratings.length !== initialLength) {
-        await saveConfig(config);
-        res.status(204).send();
-      } else {
-        res.status(404).json({ message: `Rating mit ID ${id} nicht gefunden` });
+/**
+ * @swagger
+ * /ratings/{id}/history:
+ *   get:
+ *     summary: Änderungshistorie eines Ratings abrufen
+ *     tags: [Ratings]
+ *     description: Liefert alle Versionen eines Ratings (wer, wann, was), auch nach dem Löschen. Der Benutzer wird aus der Anmeldung übernommen, Aufrufe mit dem API-Schlüssel des Servers werden als 'system' erfasst.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Die Rating-ID (UUID).
+ *     responses:
+ *       200:
+ *         description: Die Versionen in aufsteigender Reihenfolge.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   version:
+ *                     type: integer
+ *                   action:
+ *                     type: string
+ *                     enum: [create, update, delete]
+ *                   changed_by:
+ *                     type: string
+ *                   changed_at:
+ *                     type: string
+ *                     format: date-time
+ *                   previous:
+ *                     $ref: '#/components/schemas/Rating'
+ *                   current:
+ *                     $ref: '#/components/schemas/Rating'
+ *       400:
+ *         description: Ungültige ID.
+ *       404:
+ *         description: Rating nicht gefunden.
+ */
+router.get(
+  '/:id/history',
+  asyncHandler(async (req, res) => {
+    try {
+      const id = sanitizeHtml(req.params.id);
+      if (!isValidId(id)) {
+        return res.status(400).json({ message: 'Ungültige ID' });
       }
+
+      const history = await ratingRepository.getHistory(id);
+      res.json(history);
     } catch (error) {
-      res.status(500).json({ message: 'Fehler beim Löschen des Ratings' });
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ message: `Rating mit ID ${req.params.id} nicht gefunden` });
+      }
+      res.status(500).json({ message: 'Fehler beim Laden der Rating-Historie' });
     }
   })
 );
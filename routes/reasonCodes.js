@@ -0,0 +1,300 @@
+const express = require('express');
+const Joi = require('joi');
+const sanitizeHtml = require('sanitize-html');
+const reasonCodeService = require('../services/reasonCodeService');
+const { getAuditContext } = require('../services/auditService');
+
+const router = express.Router();
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const reasonCodeFields = {
+  code: Joi.string().max(50).pattern(/^[A-Za-z0-9_.-]+$/),
+  description: Joi.string().max(255),
+  color: Joi.string().max(50).optional().allow('', null),
+  workcenter_id: Joi.string().max(100).optional().allow(null),
+  area: Joi.string().max(100).optional().allow(null),
+  active: Joi.boolean().optional(),
+  sort_order: Joi.number().integer().optional(),
+};
+
+const createSchema = Joi.object({
+  ...reasonCodeFields,
+  code: reasonCodeFields.code.required(),
+  description: reasonCodeFields.description.required(),
+  parent_id: Joi.string().guid().optional().allow(null),
+});
+
+// The parent and the code cannot be changed, move or rename a code by creating a new one
+const updateSchema = Joi.object({
+  ...reasonCodeFields,
+  code: reasonCodeFields.code.optional(),
+  description: reasonCodeFields.description.optional(),
+}).min(1);
+
+/**
+ * Validates data against a Joi schema and sanitizes its string values.
+ *
+ * @param {Joi.Schema} schema - The schema to validate against.
+ * @param {Object} data - The data to validate.
+ * @returns {Object} The validated and sanitized data.
+ * @throws {Error} If validation fails.
+ */
+const validateAndSanitize = (schema, data) => {
+  const { error, value } = schema.validate(data);
+
+  if (error) {
+    throw new Error(`Invalid input: ${error.details[0].message}`);
+  }
+
+  ['description', 'color', 'workcenter_id', 'area'].forEach((field) => {
+    if (typeof value[field] === 'string') {
+      value[field] = sanitizeHtml(value[field]);
+    }
+  });
+
+  return value;
+};
+
+/**
+ * Maps errors of the reason code service to HTTP responses.
+ *
+ * @param {Error} error - The error thrown by the reason code service.
+ * @param {Object} res - The Express response object.
+ */
+const handleReasonCodeError = (error, res) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Fehler bei der Verarbeitung der Ursachencodes:', error);
+  return res.status(500).json({ message: 'Interner Serverfehler' });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reason Codes
+ *   description: API for managing the hierarchical downtime reason codes (category, reason, detail)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReasonCodeInput:
+ *       type: object
+ *       required:
+ *         - code
+ *         - description
+ *       properties:
+ *         parent_id:
+ *           type: string
+ *           format: uuid
+ *           description: Parent node. Without parent the code is a category, below a category a reason, below a reason a detail. Cannot be changed.
+ *         code:
+ *           type: string
+ *           example: MAINT-ELEC
+ *           description: Unique code referenced by downtimes (reason_code) and microstops (reason). Cannot be changed.
+ *         description:
+ *           type: string
+ *           example: Electrical maintenance
+ *         color:
+ *           type: string
+ *           description: Display color, inherited from the parent if empty.
+ *         workcenter_id:
+ *           type: string
+ *           description: Restricts the code and its children to a workcenter.
+ *         area:
+ *           type: string
+ *           description: Restricts the code and its children to the workcenters of an area.
+ *         active:
+ *           type: boolean
+ *           description: Inactive codes and their children can no longer be assigned.
+ *         sort_order:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /reasoncodes:
+ *   get:
+ *     summary: Get all reason codes as flat list
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: query
+ *         name: workcenter_id
+ *         schema:
+ *           type: string
+ *         description: Only codes assigned directly to this workcenter.
+ *       - in: query
+ *         name: area
+ *         schema:
+ *           type: string
+ *         description: Only codes assigned directly to this area.
+ *     responses:
+ *       200:
+ *         description: List of reason codes.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const filters = {};
+  if (req.query.workcenter_id) filters.workcenter_id = sanitizeHtml(req.query.workcenter_id);
+  if (req.query.area) filters.area = sanitizeHtml(req.query.area);
+  const reasonCodes = await reasonCodeService.getAll(filters);
+  res.json(reasonCodes);
+}));
+
+/**
+ * @swagger
+ * /reasoncodes/tree:
+ *   get:
+ *     summary: Get the reason-code tree
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: query
+ *         name: workcenter_id
+ *         schema:
+ *           type: string
+ *         description: Only the active codes assigned to this workcenter, its area or all workcenters.
+ *     responses:
+ *       200:
+ *         description: The categories with their reasons and details as children.
+ */
+router.get('/tree', asyncHandler(async (req, res) => {
+  try {
+    const workcenterId = req.query.workcenter_id ? sanitizeHtml(req.query.workcenter_id) : undefined;
+    const tree = await reasonCodeService.getTree(workcenterId);
+    res.json(tree);
+  } catch (error) {
+    handleReasonCodeError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /reasoncodes/{id}:
+ *   get:
+ *     summary: Get a reason code by ID
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reason code.
+ *       404:
+ *         description: Reason code not found.
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  try {
+    const reasonCode = await reasonCodeService.getById(req.params.id);
+    res.json(reasonCode);
+  } catch (error) {
+    handleReasonCodeError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /reasoncodes:
+ *   post:
+ *     summary: Create a new reason code
+ *     tags: [Reason Codes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReasonCodeInput'
+ *     responses:
+ *       201:
+ *         description: Successfully created reason code.
+ *       400:
+ *         description: Invalid input, duplicate code or parent is a detail.
+ *       404:
+ *         description: Parent not found.
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(createSchema, req.body);
+    const reasonCode = await reasonCodeService.create(data, getAuditContext(req));
+    res.status(201).json(reasonCode);
+  } catch (error) {
+    handleReasonCodeError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /reasoncodes/{id}:
+ *   put:
+ *     summary: Update a reason code
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReasonCodeInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated reason code.
+ *       400:
+ *         description: Invalid input or a changed code.
+ *       404:
+ *         description: Reason code not found.
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  try {
+    const data = validateAndSanitize(updateSchema, req.body);
+    const reasonCode = await reasonCodeService.update(req.params.id, data, getAuditContext(req));
+    res.json(reasonCode);
+  } catch (error) {
+    handleReasonCodeError(error, res);
+  }
+}));
+
+/**
+ * @swagger
+ * /reasoncodes/{id}:
+ *   delete:
+ *     summary: Delete a reason code
+ *     tags: [Reason Codes]
+ *     description: Codes with children or referenced by downtimes or microstops cannot be deleted, deactivate them instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Successfully deleted reason code.
+ *       400:
+ *         description: Reason code has children or is in use.
+ *       404:
+ *         description: Reason code not found.
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  try {
+    await reasonCodeService.delete(req.params.id, getAuditContext(req));
+    res.status(204).send();
+  } catch (error) {
+    handleReasonCodeError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -10,6 +10,8 @@ const {
   delete: deleteShiftModel,
   getByWorkcenterId  // Importiere die neue Funktion
 } = require('../services/shiftModelService');
+const shiftBreakService = require('../services/shiftBreakService');
+const { getAuditContext } = require('../services/auditService');
 
 const router = express.Router();
 
@@ -51,6 +53,59 @@ const validateAndSanitizeShiftModel = (data) => {
   return value;
 };
 
+// Time of day as stored in TIME columns (HH:mm or HH:mm:ss)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Validates and sanitizes the break data of a shift model.
+ * A break_end before break_start is valid and denotes a break crossing midnight.
+ *
+ * @param {Object} data - The break data to validate and sanitize.
+ * @param {boolean} [partial=false] - Allow a subset of the fields (for updates).
+ * @returns {Object} The validated and sanitized break data.
+ * @throws {Error} If validation fails, an error is thrown with the validation message.
+ */
+const validateAndSanitizeShiftBreak = (data, partial = false) => {
+  const time = Joi.string().pattern(TIME_PATTERN);
+  const schema = Joi.object({
+    break_name: Joi.string().max(100).optional().allow(''),
+    break_start: partial ? time.optional() : time.required(),
+    break_end: partial ? time.optional() : time.required(),
+  }).min(1);
+
+  const { error, value } = schema.validate(data);
+
+  if (error) {
+    throw new Error(`Invalid break data: ${error.details[0].message}`);
+  }
+  if (value.break_start && value.break_start === value.break_end) {
+    throw new Error('Invalid break data: break_start and break_end must differ');
+  }
+
+  if (value.break_name) {
+    value.break_name = sanitizeHtml(value.break_name);
+  }
+
+  return value;
+};
+
+/**
+ * Maps errors of the break service to HTTP responses.
+ *
+ * @param {Error} error - The error thrown by the break service.
+ * @param {Object} res - The Express response object.
+ */
+const handleShiftBreakError = (error, res) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Fehler bei der Verarbeitung der Schichtpausen:', error);
+  return res.status(500).json({ message: 'Interner Serverfehler' });
+};
+
 /**
  * @swagger
  * tags:
@@ -136,7 +191,7 @@ router.get('/workcenter/:workcenter_id', asyncHandler(async (req, res) => {
 router.post('/', asyncHandler(async (req, res) => {
     const sanitizedData = validateAndSanitizeShiftModel(req.body);
     sanitizedData.shift_id = uuidv4();
-    const newShiftModel = await create(sanitizedData);
+    const newShiftModel = await create(sanitizedData, getAuditContext(req));
     res.status(201).json(newShiftModel);
 }));
 
@@ -164,7 +219,7 @@ router.post('/', asyncHandler(async (req, res) => {
  *         description: Successfully updated shift model.
  */
 router.put('/:id', asyncHandler(async (req, res) => {
-    const updatedShiftModel = await update(req.params.id, req.body);
+    const updatedShiftModel = await update(req.params.id, req.body, getAuditContext(req));
     res.status(200).json(updatedShiftModel);
 }));
 
@@ -186,8 +241,172 @@ router.put('/:id', asyncHandler(async (req, res) => {
  *         description: Successfully deleted shift model.
  */
 router.delete('/:id', asyncHandler(async (req, res) => {
-    await deleteShiftModel(req.params.id);
+    await deleteShiftModel(req.params.id, getAuditContext(req));
     res.status(204).send();
 }));
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShiftBreakInput:
+ *       type: object
+ *       required:
+ *         - break_start
+ *         - break_end
+ *       properties:
+ *         break_name:
+ *           type: string
+ *           example: Breakfast
+ *         break_start:
+ *           type: string
+ *           example: "09:00"
+ *         break_end:
+ *           type: string
+ *           description: May be before break_start if the break crosses midnight.
+ *           example: "09:15"
+ */
+
+/**
+ * @swagger
+ * /shiftmodels/{id}/breaks:
+ *   get:
+ *     summary: Get all breaks of a shift model
+ *     tags: [Shift Models]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the shift model.
+ *     responses:
+ *       200:
+ *         description: List of breaks ordered by start time.
+ *       404:
+ *         description: Shift model not found.
+ */
+router.get('/:id/breaks', asyncHandler(async (req, res) => {
+    try {
+        const shiftBreaks = await shiftBreakService.getByShiftId(req.params.id);
+        res.json(shiftBreaks);
+    } catch (error) {
+        handleShiftBreakError(error, res);
+    }
+}));
+
+/**
+ * @swagger
+ * /shiftmodels/{id}/breaks:
+ *   post:
+ *     summary: Add a break to a shift model
+ *     tags: [Shift Models]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the shift model.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShiftBreakInput'
+ *     responses:
+ *       201:
+ *         description: Successfully created break.
+ *       400:
+ *         description: Invalid break data.
+ *       404:
+ *         description: Shift model not found.
+ */
+router.post('/:id/breaks', asyncHandler(async (req, res) => {
+    try {
+        const sanitizedData = validateAndSanitizeShiftBreak(req.body);
+        const newShiftBreak = await shiftBreakService.create(req.params.id, sanitizedData, getAuditContext(req));
+        res.status(201).json(newShiftBreak);
+    } catch (error) {
+        handleShiftBreakError(error, res);
+    }
+}));
+
+/**
+ * @swagger
+ * /shiftmodels/{id}/breaks/{breakId}:
+ *   put:
+ *     summary: Update a break of a shift model
+ *     tags: [Shift Models]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the shift model.
+ *       - in: path
+ *         name: breakId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the break.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShiftBreakInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated break.
+ *       400:
+ *         description: Invalid break data.
+ *       404:
+ *         description: Break not found.
+ */
+router.put('/:id/breaks/:breakId', asyncHandler(async (req, res) => {
+    try {
+        const sanitizedData = validateAndSanitizeShiftBreak(req.body, true);
+        const updatedShiftBreak = await shiftBreakService.update(req.params.id, req.params.breakId, sanitizedData, getAuditContext(req));
+        res.status(200).json(updatedShiftBreak);
+    } catch (error) {
+        handleShiftBreakError(error, res);
+    }
+}));
+
+/**
+ * @swagger
+ * /shiftmodels/{id}/breaks/{breakId}:
+ *   delete:
+ *     summary: Delete a break of a shift model
+ *     tags: [Shift Models]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the shift model.
+ *       - in: path
+ *         name: breakId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the break.
+ *     responses:
+ *       204:
+ *         description: Successfully deleted break.
+ *       404:
+ *         description: Break not found.
+ */
+router.delete('/:id/breaks/:breakId', asyncHandler(async (req, res) => {
+    try {
+        await shiftBreakService.delete(req.params.id, req.params.breakId, getAuditContext(req));
+        res.status(204).send();
+    } catch (error) {
+        handleShiftBreakError(error, res);
+    }
+}));
+
 module.exports = router;
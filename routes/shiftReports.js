@@ -0,0 +1,161 @@
+const express = require("express");
+const Joi = require("joi");
+const sanitizeHtml = require("sanitize-html");
+const { getShiftReports } = require("../services/shiftReportService");
+const router = express.Router();
+
+// Centralized error handling
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Maximum time range of a single request, shift reports are calculated on the fly
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Validates the query parameters of the shift report request.
+ *
+ * @param {Object} query - The query parameters.
+ * @returns {Object} - The validated filters ({ from, to, workcenterId }).
+ * @throws {Error} - If validation fails.
+ */
+const validateShiftReportQuery = (query) => {
+  const schema = Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().greater(Joi.ref("from")).required(),
+    workcenter_id: Joi.string().optional(),
+  });
+
+  const { error, value } = schema.validate(query);
+
+  if (error) {
+    throw new Error(`Ungültige Abfrageparameter: ${error.details[0].message}`);
+  }
+
+  if ((value.to - value.from) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+    throw new Error(`Ungültige Abfrageparameter: time range must not exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    from: value.from,
+    to: value.to,
+    workcenterId: value.workcenter_id ? sanitizeHtml(value.workcenter_id) : undefined,
+  };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shift Reports
+ *   description: API for retrieving OEE, downtimes and quantities per shift
+ */
+
+/**
+ * @swagger
+ * /reports/shifts:
+ *   get:
+ *     summary: Get shift reports
+ *     tags: [Shift Reports]
+ *     description: Returns one report per shift instance (e.g. "Early shift 2026-10-19" on a workcenter) overlapping the time range. Shifts not worked according to the shift calendar are omitted. Finalized shifts are read from the database, running and upcoming shifts are calculated on the fly.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the time range.
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the time range (at most 31 days after from).
+ *       - in: query
+ *         name: workcenter_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Restrict the reports to one workcenter.
+ *     responses:
+ *       200:
+ *         description: List of shift reports ordered by shift start.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   workcenter_id:
+ *                     type: string
+ *                   shift_name:
+ *                     type: string
+ *                   crew:
+ *                     type: string
+ *                     nullable: true
+ *                   shift_date:
+ *                     type: string
+ *                     format: date
+ *                   shift_start:
+ *                     type: string
+ *                     format: date-time
+ *                   shift_end:
+ *                     type: string
+ *                     format: date-time
+ *                   production_time:
+ *                     type: number
+ *                   break_time:
+ *                     type: number
+ *                   unplanned_downtime:
+ *                     type: number
+ *                   planned_downtime:
+ *                     type: number
+ *                   microstop_time:
+ *                     type: number
+ *                   non_scheduled_time:
+ *                     type: number
+ *                   produced_quantity:
+ *                     type: number
+ *                   good_quantity:
+ *                     type: number
+ *                   availability:
+ *                     type: number
+ *                   performance:
+ *                     type: number
+ *                   quality:
+ *                     type: number
+ *                   oee:
+ *                     type: number
+ *                   orders:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                   finalized_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *       400:
+ *         description: Invalid query parameters.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    try {
+      const filters = validateShiftReportQuery(req.query);
+      const reports = await getShiftReports(filters);
+      res.json(reports);
+    } catch (error) {
+      if (error.message.startsWith("Ungültige Abfrageparameter")) {
+        res.status(400).json({ message: error.message });
+      } else {
+        console.error("Fehler beim Abrufen der Schichtberichte:", error);
+        res.status(500).json({ message: "Interner Serverfehler" });
+      }
+    }
+  })
+);
+
+module.exports = router;
@@ -52,6 +52,7 @@ const {
   updateTact, 
   deleteTact 
 } = require('../services/tactService');
+const { getAuditContext } = require('../services/auditService');
 
 /**
  * @swagger
@@ -147,7 +148,7 @@ router.get("/:id", async (req, res) => {
 router.post("/", async (req, res) => {
   try {
     const tactData = req.body;
-    const newTact = await createTact(tactData);
+    const newTact = await createTact(tactData, getAuditContext(req));
     res.status(201).json(newTact);
   } catch (error) {
     res.status(400).json({ message: "Fehler beim Erstellen des Takts" });
@@ -187,7 +188,7 @@ router.put("/:id", async (req, res) => {
   const { id } = req.params;
   const updatedData = req.body;
   try {
-    const updatedTact = await updateTact(id, updatedData);
+    const updatedTact = await updateTact(id, updatedData, getAuditContext(req));
     res.status(200).json(updatedTact);
   } catch (error) {
     res.status(400).json({ message: "Fehler beim Aktualisieren des Takts" });
@@ -216,7 +217,7 @@ router.put("/:id", async (req, res) => {
 router.delete("/:id", async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await deleteTact(id);
+    const result = await deleteTact(id, getAuditContext(req));
     if (result) {
       res.status(204).send();
     } else {
@@ -3,12 +3,21 @@ const { v4: uuidv4 } = require("uuid");
 const moment = require("moment-timezone");
 
 const { loadUnplannedDowntime, loadUnplannedDowntimeById, createUnplannedDowntime, updateUnplannedDowntime, deleteUnplannedDowntime } = require("../services/unplannedDowntimeService");
+const { validateReasonCode, assignDowntimeReason, getDowntimeReason } = require("../services/reasonCodeService");
+const { notifyUnclassified } = require("../services/stoppageClassificationService");
+const { getAuditContext } = require("../services/auditService");
 
 const router = express.Router();
 
 // Fehlerbehandlung
 const asyncHandler = (fn) => (req, res, next) =>
-  Promise.resolve(fn(req, res, next)).catch(next);
+  Promise.resolve(fn(req, res, next)).catch((error) => {
+    // Downtimes of closed (signed) process orders can no longer be changed
+    if (error.message.startsWith("Invalid state")) {
+      return res.status(409).json({ message: error.message });
+    }
+    next(error);
+  });
 
 /**
  * @swagger
@@ -35,6 +44,9 @@ const asyncHandler = (fn) => (req, res, next) =>
  *         Description:
  *           type: string
  *           description: Beschreibung der ungeplanten Stillstandszeit.
+ *         reason_code:
+ *           type: string
+ *           description: Code (or ID) of a reason code assigned to the workcenter, validated against the reason-code tree.
  */
 
 /**
@@ -94,7 +106,8 @@ router.get("/:id", asyncHandler(async (req, res) => {
   if (!unplannedDowntime) {
     return res.status(404).json({ message: "Unplanned downtime not found" });
   }
-  res.json(unplannedDowntime);
+  const reasonCode = await getDowntimeReason(id);
+  res.json({ ...unplannedDowntime, reason_code: reasonCode ? reasonCode.code : null });
 }));
 
 /**
@@ -116,11 +129,27 @@ router.get("/:id", asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnplannedDowntime'
+ *       409:
+ *         description: The process order of the downtime is closed and can no longer be changed.
  */
 router.post("/", asyncHandler(async (req, res) => {
-  const newData = {...req.body, id: uuidv4()};
-  const createdDowntime = await createUnplannedDowntime(newData);
-  res.status(201).json(createdDowntime);
+  const { reason_code, ...data } = req.body;
+  let reasonCode = null;
+  if (reason_code !== undefined) {
+    try {
+      reasonCode = await validateReasonCode(reason_code, data.workcenter_id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+  }
+  const newData = {...data, id: uuidv4()};
+  const createdDowntime = await createUnplannedDowntime(newData, getAuditContext(req));
+  if (reasonCode) {
+    await assignDowntimeReason(createdDowntime.plannedOrder_ID, "unplanned", reasonCode, createdDowntime.workcenter_id);
+  } else {
+    notifyUnclassified("unplanned", createdDowntime);
+  }
+  res.status(201).json({ ...createdDowntime, reason_code: reasonCode ? reasonCode.code : null });
 }));
 
 /**
@@ -147,16 +176,33 @@ router.post("/", asyncHandler(async (req, res) => {
  *         description: Unplanned downtime updated successfully.
  *       404:
  *         description: Unplanned downtime not found.
+ *       409:
+ *         description: The process order of the downtime is closed and can no longer be changed.
  *       500:
  *         description: Error updating unplanned downtime.
  */
 router.put("/:id", asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updatedDowntime = await updateUnplannedDowntime(id, {...req.body});
-  if (!updatedDowntime) {
+  const { reason_code, ...data } = req.body;
+  const existingDowntime = await loadUnplannedDowntimeById(id);
+  if (!existingDowntime) {
     return res.status(404).json({ message: "Unplanned downtime not found" });
   }
-  res.status(200).json(updatedDowntime);
+  let reasonCode = null;
+  if (reason_code !== undefined) {
+    try {
+      reasonCode = await validateReasonCode(reason_code, data.workcenter_id || existingDowntime.workcenter_id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+  }
+  const updatedDowntime = await updateUnplannedDowntime(id, data, getAuditContext(req));
+  if (reasonCode) {
+    await assignDowntimeReason(id, "unplanned", reasonCode, updatedDowntime.workcenter_id);
+  } else {
+    reasonCode = await getDowntimeReason(id);
+  }
+  res.status(200).json({ ...updatedDowntime, reason_code: reasonCode ? reasonCode.code : null });
 }));
 
 /**
@@ -177,10 +223,12 @@ router.put("/:id", asyncHandler(async (req, res) => {
  *         description: Unplanned downtime deleted successfully.
  *       404:
  *         description: Unplanned downtime not found.
+ *       409:
+ *         description: The process order of the downtime is closed and can no longer be changed.
  */
 router.delete("/:id", asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const result = await deleteUnplannedDowntime(id);
+  const result = await deleteUnplannedDowntime(id, getAuditContext(req));
   if (!result) {
     return res.status(404).json({ message: "Unplanned downtime not found" });
   }
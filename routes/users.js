@@ -52,6 +52,19 @@ const {
   updateUser,
   deleteUser,
 } = require('../services/userService'); // Richtiges Importieren der Funktionen aus dem Service
+const { ROLES, normalizeRole } = require('../config/permissions');
+
+/**
+ * Prüft die Rolle eines Users gegen die Rollen der Berechtigungsmatrix.
+ * @param {Object} data - Die User-Daten.
+ * @returns {string|null} Eine Fehlermeldung oder null, wenn die Rolle gültig ist oder fehlt.
+ */
+const validateRole = (data) => {
+  if (data.role === undefined || normalizeRole(data.role)) {
+    return null;
+  }
+  return `Ungültige Rolle "${data.role}", erlaubt sind: ${ROLES.join(", ")}`;
+};
 
 /**
  * @swagger
@@ -147,6 +160,10 @@ router.get("/:id", async (req, res) => {
 router.post("/", async (req, res) => {
   try {
     const userData = req.body;
+    const roleError = validateRole(userData);
+    if (roleError) {
+      return res.status(400).json({ message: roleError });
+    }
     const newUser = await createUser(userData);  // Richtige Funktion zum Erstellen eines Users
     res.status(201).json(newUser);
   } catch (error) {
@@ -186,6 +203,10 @@ router.post("/", async (req, res) => {
 router.put("/:id", async (req, res) => {
   const { id } = req.params;
   const updatedData = req.body;
+  const roleError = validateRole(updatedData);
+  if (roleError) {
+    return res.status(400).json({ message: roleError });
+  }
   try {
     const updatedUser = await updateUser(id, updatedData);  // Richtige Funktion zum Aktualisieren eines Users
     res.status(200).json(updatedUser);
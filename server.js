@@ -194,10 +194,13 @@ try {
             return next();
         }
 
-        // API key validation for production environment
-        if (process.env.NODE_ENV === 'production' && !isInternalRequest && apiKey !== process.env.API_KEY) {
-            defaultLogger.error('❌ Unauthorized: Invalid API key provided.');
-            return res.status(401).json({ error: 'Unauthorized: Invalid API key' });
+        // Requests with a JWT or an API key are verified and authorized by the API routes
+        const hasBearerToken = (req.headers['authorization'] || '').startsWith('Bearer ');
+
+        // Credentials are required for external requests in the production environment
+        if (process.env.NODE_ENV === 'production' && !isInternalRequest && !hasBearerToken && !apiKey) {
+            defaultLogger.error('❌ Unauthorized: No API key or token provided.');
+            return res.status(401).json({ error: 'Unauthorized: No API key or token provided' });
         }
 
         next();
@@ -247,6 +250,70 @@ try {
     console.error(error.stack);
 }
 
+// === Shift Report Job ===
+try {
+    const startShiftReportJob = require("./cronJobs/shiftReportJob");
+    startShiftReportJob();
+    console.log('📊 Shift report job started. Shifts are finalized at their end time.');
+} catch (error) {
+    console.error(`❌ Error starting shift report job: ${error.message}`);
+    console.error(error.stack);
+}
+
+// === Database Synchronization and OEE State Restore ===
+// Creates missing tables (existing tables are left untouched), protects the audit log and signed OEE results against changes,
+// moves the ratings of config.json into the database and the reason-code tree and rehydrates the calculators, open holds, metrics matrix, Sparkplug
+// sessions and machine states of running process orders.
+try {
+    const { sequelize } = require("./models");
+    const { migrateRatings } = require("./services/reasonCodeService");
+    const { installAppendOnlyTrigger } = require("./services/auditService");
+    const { installImmutabilityTriggers } = require("./services/orderReviewService");
+    const ratingRepository = require("./repositories/RatingRepository");
+    const { ratings } = require("./config/config");
+    const { restoreOEEState } = require("./src/oeeProcessor");
+    const { restoreHoldStatus } = require("./src/commandHandler");
+    const { restoreMetricsMatrix } = require("./src/messageHandler");
+    const { restoreSparkplugState } = require("./src/sparkplugHandler");
+    const { restoreMachineStates } = require("./src/machineStateHandler");
+    const { restorePackMLStates } = require("./src/packmlInterpreter");
+    const { setupOpcUaClient } = require("./src/opcuaClient");
+
+    sequelize.sync()
+        .then(async () => {
+            await installAppendOnlyTrigger();
+            await installImmutabilityTriggers();
+            const storedRatings = await ratingRepository.migrateFromConfig(ratings);
+            if (storedRatings > 0) {
+                console.log(`🏷️ ${storedRatings} ratings moved from config.json into the database.`);
+            }
+            const migratedRatings = await migrateRatings(ratings);
+            if (migratedRatings > 0) {
+                console.log(`🏷️ ${migratedRatings} ratings migrated into the reason-code tree.`);
+            }
+            const restoredCalculators = await restoreOEEState();
+            const restoredHolds = await restoreHoldStatus();
+            const restoredMetrics = await restoreMetricsMatrix();
+            const restoredSessions = await restoreSparkplugState();
+            const restoredMachineStates = await restoreMachineStates();
+            const restoredPackMLStates = await restorePackMLStates();
+            console.log(`💾 OEE state restored: ${restoredCalculators} calculators, ${restoredHolds} open holds, ${restoredMetrics} metrics, ${restoredSessions} Sparkplug sessions, ${restoredMachineStates} machine states, ${restoredPackMLStates} PackML states.`);
+        })
+        .catch((error) => {
+            console.error(`❌ Error restoring OEE state: ${error.message}`);
+        })
+        // OPC UA ingestion for workcenters without Sparkplug B, started once its table exists
+        .then(() => setupOpcUaClient())
+        .then((opcuaWorkcenters) => {
+            console.log(`🔌 OPC UA client initialized for ${opcuaWorkcenters} workcenters.`);
+        })
+        .catch((error) => {
+            console.error(`❌ Error initializing OPC UA client: ${error.message}`);
+        });
+} catch (error) {
+    console.error(`❌ Error setting up OEE state restore: ${error.message}`);
+}
+
 // === MQTT Client Initialization (if used) ===
 let mqttClient;
 try {
@@ -260,6 +327,16 @@ try {
     console.error(`❌ Error initializing MQTT client: ${error.message}`);
 }
 
+// === Sparkplug B Edge Node (if enabled) ===
+try {
+    const { setupSparkplugEdgeNode } = require("./src/sparkplugEdgeNode");
+    if (setupSparkplugEdgeNode()) {
+        console.log('🔌 Sparkplug B edge node successfully initialized.');
+    }
+} catch (error) {
+    console.error(`❌ Error initializing Sparkplug B edge node: ${error.message}`);
+}
+
 // === HTTPS Server Setup ===
 let sslOptions;
 try {
@@ -305,7 +382,9 @@ httpsServer.listen(httpsPort, () => {
 try {
     const { setWebSocketServer } = require("./websocket/webSocketUtils");
     const handleWebSocketConnections = require("./websocket/webSocketHandler");
-    const wss = new WebSocketServer({ server: httpsServer });
+    const { verifyWebSocketClient, handleProtocols } = require("./websocket/webSocketAuth");
+    // Connections require a valid JWT, sent as ?token= or as Sec-WebSocket-Protocol: bearer, <token>
+    const wss = new WebSocketServer({ server: httpsServer, verifyClient: verifyWebSocketClient, handleProtocols });
     setWebSocketServer(wss);
     handleWebSocketConnections(wss);
     wss.on('error', (error) => {
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { validate } = require('uuid');
+const { ApiKey } = require('../models');
+const { defaultLogger, errorLogger } = require('../utils/logger');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+// Prefix of issued keys, makes leaked keys easy to find with secret scanners
+const KEY_PREFIX = 'oee_';
+// last_used_at is written at most once per interval to avoid a database write per request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Scopes are the permissions of the role matrix
+const API_KEY_SCOPES = [...new Set(Object.values(PERMISSIONS).flat())].sort();
+
+/**
+ * Hashes an API key, only the hash is stored.
+ * @param {string} key - The API key.
+ * @returns {string} The SHA-256 hex digest.
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Returns an API key record without its hash.
+ * @param {Object} apiKey - The Sequelize instance.
+ * @returns {Object} The API key as plain object.
+ */
+const toPublicApiKey = (apiKey) => {
+    const { key_hash, ...data } = apiKey.get({ plain: true });
+    return { ...data, active: !data.revoked_at && (!data.expires_at || new Date(data.expires_at) > new Date()) };
+};
+
+/**
+ * Loads an API key instance or throws if it does not exist.
+ * @param {string} id - The UUID of the API key.
+ * @returns {Promise<Object>} The Sequelize instance of the API key.
+ */
+const findApiKey = async (id) => {
+    if (!validate(id)) {
+        throw new Error(`Invalid UUID format: ${id}`);
+    }
+    const apiKey = await ApiKey.findByPk(id);
+    if (!apiKey) {
+        throw new Error(`API key with ID ${id} not found.`);
+    }
+    return apiKey;
+};
+
+/**
+ * Loads all API keys (without their hashes).
+ * @returns {Promise<Array<Object>>} The API keys.
+ */
+const getAll = async () => {
+    try {
+        const apiKeys = await ApiKey.findAll({ order: [['created_at', 'DESC']] });
+        return apiKeys.map(toPublicApiKey);
+    } catch (error) {
+        throw new Error(`Failed to load API keys: ${error.message}`);
+    }
+};
+
+/**
+ * Loads an API key by ID (without its hash).
+ * @param {string} id - The UUID of the API key.
+ * @returns {Promise<Object>} The API key.
+ */
+const getById = async (id) => {
+    return toPublicApiKey(await findApiKey(id));
+};
+
+/**
+ * Returns the scopes a principal may grant: the scopes of an API key, the permissions
+ * of the role of a user or all scopes for the server itself.
+ * @param {Object} issuer - The authenticated principal (req.user).
+ * @returns {Array<string>} The grantable scopes.
+ */
+const getGrantableScopes = (issuer) => {
+    if (!issuer) {
+        return [];
+    }
+    if (issuer.system) {
+        return API_KEY_SCOPES;
+    }
+    if (Array.isArray(issuer.scopes)) {
+        return issuer.scopes;
+    }
+    return API_KEY_SCOPES.filter(scope => hasPermission(issuer.role, scope));
+};
+
+/**
+ * Issues a new API key. The key is only returned here and cannot be retrieved later.
+ * @param {Object} data - The key data (name, scopes, expires_at).
+ * @param {string} createdBy - The user issuing the key.
+ * @param {Object} issuer - The authenticated principal (req.user), a key gets no scope the issuer does not hold.
+ * @returns {Promise<Object>} The API key including the plain `key`.
+ * @throws {Error} "Invalid issuer: ..." if a scope is not held by the issuer.
+ */
+const issue = async (data, createdBy, issuer) => {
+    const unknownScopes = data.scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+        throw new Error(`Invalid scopes: ${unknownScopes.join(', ')}`);
+    }
+    const grantableScopes = getGrantableScopes(issuer);
+    const foreignScopes = data.scopes.filter(scope => !grantableScopes.includes(scope));
+    if (foreignScopes.length > 0) {
+        throw new Error(`Invalid issuer: ${createdBy} cannot grant scopes it does not hold: ${foreignScopes.join(', ')}`);
+    }
+    if (data.expires_at && new Date(data.expires_at) <= new Date()) {
+        throw new Error('Invalid expiry: expires_at must be in the future');
+    }
+
+    try {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const apiKey = await ApiKey.create({
+            name: data.name,
+            key_prefix: key.slice(0, 12),
+            key_hash: hashApiKey(key),
+            scopes: [...new Set(data.scopes)],
+            expires_at: data.expires_at || null,
+            created_by: createdBy,
+        });
+        defaultLogger.info(`API key ${apiKey.key_prefix}… for "${apiKey.name}" issued by ${createdBy} with scopes ${apiKey.scopes.join(', ')}.`);
+        return { ...toPublicApiKey(apiKey), key };
+    } catch (error) {
+        throw new Error(`Failed to issue API key: ${error.message}`);
+    }
+};
+
+/**
+ * Revokes an API key. The record is kept for the audit trail.
+ * @param {string} id - The UUID of the API key.
+ * @param {string} revokedBy - The user revoking the key.
+ * @returns {Promise<Object>} The revoked API key.
+ */
+const revoke = async (id, revokedBy) => {
+    const apiKey = await findApiKey(id);
+    if (apiKey.revoked_at) {
+        return toPublicApiKey(apiKey);
+    }
+    try {
+        await apiKey.update({ revoked_at: new Date() });
+        defaultLogger.info(`API key ${apiKey.key_prefix}… for "${apiKey.name}" revoked by ${revokedBy}.`);
+        return toPublicApiKey(apiKey);
+    } catch (error) {
+        throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+};
+
+/**
+ * Verifies an API key presented by a client and tracks its last use.
+ * @param {string} key - The API key.
+ * @returns {Promise<Object|null>} The API key (api_key_id, name, scopes) or null if it is unknown, revoked or expired.
+ */
+const verify = async (key) => {
+    const apiKey = await ApiKey.findOne({ where: { key_hash: hashApiKey(key) } });
+    if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && apiKey.expires_at <= new Date())) {
+        return null;
+    }
+
+    if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() > LAST_USED_INTERVAL_MS) {
+        apiKey.update({ last_used_at: new Date() }).catch((error) => {
+            errorLogger.error(`Failed to track last use of API key ${apiKey.key_prefix}…: ${error.message}`);
+        });
+    }
+
+    return { api_key_id: apiKey.api_key_id, name: apiKey.name, scopes: apiKey.scopes };
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    getAll,
+    getById,
+    issue,
+    revoke,
+    verify,
+};
@@ -0,0 +1,163 @@
+const { Op } = require('sequelize');
+const { sequelize, AuditLog } = require('../models');
+const { defaultLogger } = require('../utils/logger');
+
+// Entities recorded in the audit log
+const AUDITED_ENTITIES = [
+    'ProcessOrder', 'PlannedDowntime', 'UnplannedDowntime', 'Microstop', 'WorkCenter', 'ShiftModel', 'ShiftBreak',
+    'ShiftCalendar', 'CalendarShift', 'CalendarException', 'ReasonCode', 'MqttTopicConfig', 'OpcUaConfig', 'Tact', 'ElectronicSignature',
+];
+
+// Header carrying the reason for change of a request
+const CHANGE_REASON_HEADER = 'x-change-reason';
+
+// Default and maximum number of entries per query
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Returns the audit context (user and reason for change) of a request.
+ * @param {Object} req - The Express request (req.user is set by the authentication of the API routes).
+ * @returns {Object} The audit context ({ user, role, reason }).
+ */
+const getAuditContext = (req) => {
+    const user = req.user || {};
+    const reason = req.headers[CHANGE_REASON_HEADER];
+    return {
+        user: user.username || (user.system ? 'system' : 'anonymous'),
+        role: user.role || null,
+        reason: reason ? String(reason).slice(0, 1000) : null,
+    };
+};
+
+/**
+ * Converts a record to a JSON value for the audit log.
+ * @param {Object|null} record - A Sequelize instance or plain object.
+ * @returns {Object|null} The plain record.
+ */
+const toPlain = (record) => {
+    if (!record) {
+        return null;
+    }
+    const plain = typeof record.get === 'function' ? record.get({ plain: true }) : record;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Determines the fields that differ between two versions of a record.
+ * @param {Object|null} before - The record before the change.
+ * @param {Object|null} after - The record after the change.
+ * @returns {Array<string>} The names of the changed fields.
+ */
+const getChangedFields = (before, after) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter(key => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]));
+};
+
+/**
+ * Records a change in the audit log.
+ * @param {Object} entry - The change ({ entity, entityId, action, before, after }).
+ * @param {Object} [auditContext] - The user and reason for change (see getAuditContext), "system" if omitted.
+ * @param {Object} transaction - The transaction of the change.
+ * @returns {Promise<void>}
+ */
+const recordAudit = async ({ entity, entityId, action, before, after }, auditContext, transaction) => {
+    const context = auditContext || { user: 'system', role: null, reason: null };
+    const plainBefore = toPlain(before);
+    const plainAfter = toPlain(after);
+
+    await AuditLog.create({
+        entity,
+        entity_id: String(entityId),
+        action,
+        changed_by: context.user,
+        role: context.role,
+        reason: context.reason,
+        changed_fields: getChangedFields(plainBefore, plainAfter),
+        before: plainBefore,
+        after: plainAfter,
+    }, { transaction });
+};
+
+/**
+ * Performs a change and records it in the audit log within one transaction,
+ * so no change is stored without its audit entry.
+ * @param {string} entity - The audited entity (see AUDITED_ENTITIES).
+ * @param {string} action - create, update or delete.
+ * @param {Object} [auditContext] - The user and reason for change (see getAuditContext), "system" if omitted.
+ * @param {Function} change - async (transaction) => ({ entityId, before, after, result }).
+ * @returns {Promise<*>} The result returned by the change.
+ */
+const auditedChange = async (entity, action, auditContext, change) => {
+    return sequelize.transaction(async (transaction) => {
+        const { entityId, before, after, result } = await change(transaction);
+        await recordAudit({ entity, entityId, action, before, after }, auditContext, transaction);
+        return result;
+    });
+};
+
+/**
+ * Loads audit log entries, newest first.
+ * @param {Object} filters - entity, entity_id, user, from, to, limit, offset.
+ * @returns {Promise<Array<Object>>} The audit log entries.
+ */
+const getAuditLog = async (filters = {}) => {
+    const where = {};
+    if (filters.entity) where.entity = filters.entity;
+    if (filters.entity_id) where.entity_id = String(filters.entity_id);
+    if (filters.user) where.changed_by = filters.user;
+    if (filters.from || filters.to) {
+        where.changed_at = {};
+        if (filters.from) where.changed_at[Op.gte] = filters.from;
+        if (filters.to) where.changed_at[Op.lt] = filters.to;
+    }
+
+    try {
+        const entries = await AuditLog.findAll({
+            where,
+            order: [['changed_at', 'DESC'], ['audit_id', 'DESC']],
+            limit: Math.min(filters.limit || DEFAULT_LIMIT, MAX_LIMIT),
+            offset: filters.offset || 0,
+        });
+        return entries.map(entry => entry.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to load audit log: ${error.message}`);
+    }
+};
+
+/**
+ * Installs database triggers rejecting UPDATE, DELETE and TRUNCATE on the audit log,
+ * so entries cannot be altered by other database clients either.
+ * @returns {Promise<void>}
+ */
+const installAppendOnlyTrigger = async () => {
+    await sequelize.query(`
+        CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN
+            RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+    `);
+    await sequelize.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;');
+    await sequelize.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;');
+    await sequelize.query(`
+        CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE PROCEDURE audit_log_append_only();
+    `);
+    await sequelize.query(`
+        CREATE TRIGGER audit_log_no_truncate
+        BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE PROCEDURE audit_log_append_only();
+    `);
+    defaultLogger.info('Append-only trigger of the audit log installed.');
+};
+
+module.exports = {
+    AUDITED_ENTITIES,
+    getAuditContext,
+    recordAudit,
+    auditedChange,
+    getAuditLog,
+    installAppendOnlyTrigger,
+};
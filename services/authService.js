@@ -1,7 +1,22 @@
 // services/authService.js
 const { OAuth2Client } = require('google-auth-library');
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-const { User } = require('../models'); // Importiere dein User-Modell korrekt
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, User, RefreshToken, LoginAttempt } = require('../models'); // Importiere dein User-Modell korrekt
+
+// Lifetime of access tokens, refresh tokens are used to obtain new ones
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Google logins keep the lifetime they had before refresh tokens, as their clients do not refresh
+const GOOGLE_ACCESS_TOKEN_TTL = process.env.GOOGLE_ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+// Account lockout after repeated failed logins
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES, 10) || 15;
+const BCRYPT_SALT_ROUNDS = 12;
+
+// Hash compared for unknown users so the response time does not reveal whether a username exists
+let dummyPasswordHash = null;
 
 /**
  * Verifies the Google ID token.
@@ -42,7 +57,7 @@ async function findOrCreateUser(googlePayload) {
                 firstName: googlePayload.given_name,
                 lastName: googlePayload.family_name,
                 googleId: googlePayload.sub,
-                role: 'User',
+                role: 'Viewer',
                 picture: googlePayload.picture 
             };
             user = await User.create(newUser);
@@ -58,15 +73,272 @@ async function findOrCreateUser(googlePayload) {
 /**
  * Generates an application-specific token or session for the user.
  * @param {object} user - The user.
+ * @param {string} [expiresIn=ACCESS_TOKEN_TTL] - The lifetime of the token, e.g. "15m".
  * @returns {string} - The generated token or session ID.
  */
-function generateApplicationToken(user) {
+function generateApplicationToken(user, expiresIn = ACCESS_TOKEN_TTL) {
+    const jwt = require('jsonwebtoken');
+    return jwt.sign({ userId: user.user_id }, process.env.JWT_SECRET, { expiresIn }); // Verwende user.user_id
+}
+
+/**
+ * Hashes a password for storage in User.password.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<string>} - The bcrypt hash.
+ */
+async function hashPassword(password) {
+    const bcrypt = require('bcrypt');
+    return bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+}
+
+/**
+ * Hashes a refresh token, only the hash is stored.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {string} - The SHA-256 hex digest.
+ */
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Starts a session (or continues a rotated one): issues an access token and a new refresh token.
+ * @param {object} user - The user.
+ * @param {object} [options] - The token family of a rotated session, the transaction and the lifetime of the access token.
+ * @returns {Promise<object>} - The session ({ token, refreshToken, refreshTokenId }).
+ */
+async function createSession(user, { familyId = crypto.randomUUID(), transaction, accessTokenTtl = ACCESS_TOKEN_TTL } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const stored = await RefreshToken.create({
+        user_id: user.user_id,
+        token_hash: hashRefreshToken(refreshToken),
+        family_id: familyId,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    }, { transaction });
+
+    return {
+        token: generateApplicationToken(user, accessTokenTtl),
+        refreshToken,
+        refreshTokenId: stored.token_id,
+    };
+}
+
+/**
+ * Starts the session of a Google login. Its access token lives GOOGLE_ACCESS_TOKEN_TTL (1 hour by default).
+ * @param {object} user - The user.
+ * @returns {Promise<object>} - The session ({ token, refreshToken, refreshTokenId }).
+ */
+async function createGoogleSession(user) {
+    return createSession(user, { accessTokenTtl: GOOGLE_ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Records a failed login and locks the account once MAX_FAILED_LOGINS is reached.
+ * The counter row is locked and incremented in the database, so concurrent failed logins all count.
+ * @param {object} user - The user.
+ * @returns {Promise<void>}
+ */
+async function registerFailedLogin(user) {
+    await sequelize.transaction(async (transaction) => {
+        const [attempt] = await LoginAttempt.findOrCreate({
+            where: { user_id: user.user_id },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+        await attempt.increment('failed_attempts', { transaction });
+        await attempt.reload({ transaction });
+
+        const failedAttempts = attempt.failed_attempts;
+        if (failedAttempts >= MAX_FAILED_LOGINS) {
+            const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+            await attempt.update({ failed_attempts: 0, last_failed_at: new Date(), locked_until: lockedUntil }, { transaction });
+            console.warn(`Benutzer ${user.username} nach ${failedAttempts} fehlgeschlagenen Anmeldungen bis ${lockedUntil.toISOString()} gesperrt.`);
+        } else {
+            await attempt.update({ last_failed_at: new Date() }, { transaction });
+        }
+    });
+}
+
+/**
+ * Checks the password of a user, honoring the account lockout.
+ * @param {object|null} user - The user, null if the username is unknown.
+ * @param {string} password - The plain text password.
+ * @throws {Error} - "Account locked ..." while the account is locked, "Invalid credentials" otherwise.
+ */
+async function checkPassword(user, password) {
+    const attempt = user ? await LoginAttempt.findByPk(user.user_id) : null;
+    if (attempt && attempt.locked_until && attempt.locked_until > new Date()) {
+        throw new Error(`Account locked until ${attempt.locked_until.toISOString()}`);
+    }
+
+    const bcrypt = require('bcrypt');
+    if (!dummyPasswordHash) {
+        dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    // Users without password (Google login) are compared against the dummy hash as well
+    const passwordValid = await bcrypt.compare(password, user && user.password ? user.password : dummyPasswordHash);
+
+    if (!user || !user.password || !passwordValid) {
+        if (user) {
+            await registerFailedLogin(user);
+        }
+        throw new Error('Invalid credentials');
+    }
+
+    if (attempt) {
+        await attempt.update({ failed_attempts: 0, locked_until: null });
+    }
+}
+
+/**
+ * Logs a user in with username and password.
+ * @param {string} username - The username.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<object>} - The session ({ token, refreshToken, refreshTokenId }).
+ * @throws {Error} - "Account locked ..." while the account is locked, "Invalid credentials" otherwise.
+ */
+async function login(username, password) {
+    const user = await User.findOne({ where: { username } });
+    await checkPassword(user, password);
+    return createSession(user);
+}
+
+/**
+ * Re-authenticates a logged in user with the password, e.g. before an electronic signature.
+ * Failed attempts count towards the account lockout.
+ * @param {number} userId - The ID of the logged in user.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<object>} - The user.
+ * @throws {Error} - "Account locked ..." while the account is locked, "Invalid credentials" otherwise.
+ */
+async function reauthenticate(userId, password) {
+    const user = await User.findByPk(userId);
+    await checkPassword(user, password);
+    return user;
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token (rotation).
+ * Presenting an already rotated token revokes the whole session, as the token was probably stolen.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {Promise<object>} - The session ({ token, refreshToken, refreshTokenId }).
+ * @throws {Error} - "Invalid refresh token" if the token is unknown, revoked or expired.
+ */
+async function refreshSession(refreshToken) {
+    let reused = null;
+    const session = await sequelize.transaction(async (transaction) => {
+        const stored = await RefreshToken.findOne({
+            where: { token_hash: hashRefreshToken(refreshToken) },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+        if (!stored) {
+            throw new Error('Invalid refresh token');
+        }
+        if (stored.revoked_at && stored.replaced_by) {
+            reused = stored;
+            return null;
+        }
+        if (stored.revoked_at) {
+            throw new Error('Invalid refresh token: revoked');
+        }
+        if (stored.expires_at <= new Date()) {
+            throw new Error('Invalid refresh token: expired');
+        }
+
+        const user = await User.findByPk(stored.user_id, { transaction });
+        if (!user) {
+            throw new Error('Invalid refresh token: user no longer exists');
+        }
+
+        const next = await createSession(user, { familyId: stored.family_id, transaction });
+        await stored.update({ revoked_at: new Date(), replaced_by: next.refreshTokenId }, { transaction });
+        return next;
+    });
+
+    if (reused) {
+        await revokeFamily(reused.family_id);
+        console.warn(`Wiederverwendung eines Refresh-Tokens von Benutzer ${reused.user_id} erkannt, Sitzung widerrufen.`);
+        throw new Error('Invalid refresh token: token reuse detected');
+    }
+    return session;
+}
+
+/**
+ * Revokes all refresh tokens of a session.
+ * @param {string} familyId - The token family of the session.
+ * @returns {Promise<number>} - The number of revoked tokens.
+ */
+async function revokeFamily(familyId) {
+    const [count] = await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { family_id: familyId, revoked_at: { [Op.is]: null } } }
+    );
+    return count;
+}
+
+/**
+ * Revokes all refresh tokens of a user, e.g. after a password change.
+ * @param {number} userId - The ID of the user.
+ * @param {object} [options] - The transaction.
+ * @returns {Promise<number>} - The number of revoked tokens.
+ */
+async function revokeUserSessions(userId, { transaction } = {}) {
+    const [count] = await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { user_id: userId, revoked_at: { [Op.is]: null } }, transaction }
+    );
+    return count;
+}
+
+/**
+ * Ends the session of a refresh token. Unknown tokens are ignored.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {Promise<boolean>} - True if a session was ended.
+ */
+async function logout(refreshToken) {
+    const stored = await RefreshToken.findOne({ where: { token_hash: hashRefreshToken(refreshToken) } });
+    if (!stored) {
+        return false;
+    }
+    return (await revokeFamily(stored.family_id)) > 0;
+}
+
+/**
+ * Verifies an application token and loads its user.
+ * @param {string} token - The application JWT.
+ * @returns {Promise<object>} - The user (userId, username, role) and the expiry of the token (expiresAt, epoch ms).
+ * @throws {Error} - If the token is invalid or expired or the user no longer exists.
+ */
+async function verifyApplicationToken(token) {
     const jwt = require('jsonwebtoken');
-    return jwt.sign({ userId: user.user_id }, process.env.JWT_SECRET, { expiresIn: '1h' }); // Verwende user.user_id
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    const payload = jwt.verify(token, process.env.JWT_SECRET); // Wirft TokenExpiredError bei abgelaufenem Token
+    const user = await User.findByPk(payload.userId);
+    if (!user) {
+        throw new Error(`User ${payload.userId} not found`);
+    }
+    return {
+        userId: user.user_id,
+        username: user.username,
+        role: user.role,
+        expiresAt: payload.exp ? payload.exp * 1000 : null,
+    };
 }
 
 module.exports = {
     verifyGoogleToken,
     findOrCreateUser,
     generateApplicationToken,
+    verifyApplicationToken,
+    hashPassword,
+    createSession,
+    createGoogleSession,
+    registerFailedLogin,
+    login,
+    reauthenticate,
+    refreshSession,
+    logout,
+    revokeUserSessions,
 };
\ No newline at end of file
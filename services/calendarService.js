@@ -0,0 +1,379 @@
+const { Op } = require('sequelize');
+const { validate } = require('uuid');
+const {
+    ShiftCalendar,
+    CalendarShift,
+    CalendarException,
+    ShiftModel,
+    ShiftBreak,
+    WorkCenter,
+} = require('../models');
+const { parseICalEvents } = require('../utils/icalParser');
+const { getCalendarSchedule } = require('../utils/calendarUtils');
+const { auditedChange } = require('./auditService');
+
+// Shifts and exceptions are always delivered with the calendar
+const calendarIncludes = [
+    { model: CalendarShift, as: 'shifts' },
+    { model: CalendarException, as: 'exceptions' },
+];
+
+/**
+ * Loads a calendar instance or throws if it does not exist.
+ * @param {string} id - The UUID of the calendar.
+ * @param {Object} [transaction] - The transaction to read the calendar in.
+ * @returns {Promise<Object>} The Sequelize instance of the calendar.
+ */
+const findCalendar = async (id, transaction) => {
+    if (!validate(id)) {
+        throw new Error(`Invalid UUID format: ${id}`);
+    }
+    const calendar = await ShiftCalendar.findByPk(id, { include: calendarIncludes, transaction });
+    if (!calendar) {
+        throw new Error(`Calendar with ID ${id} not found.`);
+    }
+    return calendar;
+};
+
+/**
+ * Retrieves all shift calendars.
+ * @returns {Promise<Array>} List of all calendars with their shifts and exceptions.
+ */
+const getAll = async () => {
+    try {
+        const calendars = await ShiftCalendar.findAll({ include: calendarIncludes });
+        return calendars.map(calendar => calendar.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to retrieve calendars: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves a single shift calendar by its ID.
+ * @param {string} id - The UUID of the calendar.
+ * @returns {Promise<Object>} The calendar with its shifts and exceptions.
+ */
+const getById = async (id) => {
+    try {
+        const calendar = await findCalendar(id);
+        return calendar.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Error fetching calendar with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Creates a new shift calendar.
+ * @param {Object} data - Data for the new calendar.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The created calendar.
+ */
+const create = async (data, auditContext) => {
+    try {
+        const calendar = await auditedChange('ShiftCalendar', 'create', auditContext, async (transaction) => {
+            const created = await ShiftCalendar.create(data, { transaction });
+            return { entityId: created.calendar_id, before: null, after: created, result: created };
+        });
+        return calendar.dataValues;
+    } catch (error) {
+        throw new Error(`Failed to create calendar: ${error.message}`);
+    }
+};
+
+/**
+ * Updates an existing shift calendar.
+ * @param {string} id - The UUID of the calendar.
+ * @param {Object} data - The data to update the calendar with.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The updated calendar.
+ */
+const update = async (id, data, auditContext) => {
+    try {
+        const calendar = await auditedChange('ShiftCalendar', 'update', auditContext, async (transaction) => {
+            const existing = await findCalendar(id, transaction);
+            const before = existing.get({ plain: true });
+            await existing.update(data, { transaction });
+            return { entityId: id, before, after: existing, result: existing };
+        });
+        return calendar.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Failed to update calendar with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes a shift calendar including its shifts and exceptions.
+ * @param {string} id - The UUID of the calendar.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<boolean>} True if deleted successfully.
+ */
+const deleteCalendar = async (id, auditContext) => {
+    try {
+        // The audit entry keeps the deleted shifts and exceptions with the calendar
+        return await auditedChange('ShiftCalendar', 'delete', auditContext, async (transaction) => {
+            const calendar = await findCalendar(id, transaction);
+            const before = calendar.get({ plain: true });
+            await CalendarShift.destroy({ where: { calendar_id: id }, transaction });
+            await CalendarException.destroy({ where: { calendar_id: id }, transaction });
+            await calendar.destroy({ transaction });
+            return { entityId: id, before, after: null, result: true };
+        });
+    } catch (error) {
+        throw new Error(`Failed to delete calendar with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Assigns a shift model to a calendar with a weekday pattern and an optional crew rotation.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {Object} data - The assignment (shift_id, weekdays, crew_rotation).
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The created assignment.
+ */
+const addShift = async (calendarId, data, auditContext) => {
+    try {
+        await findCalendar(calendarId);
+        const shiftModel = await ShiftModel.findByPk(data.shift_id);
+        if (!shiftModel) {
+            throw new Error(`Shift model with ID ${data.shift_id} not found.`);
+        }
+        const calendarShift = await auditedChange('CalendarShift', 'create', auditContext, async (transaction) => {
+            const created = await CalendarShift.create({ ...data, calendar_id: calendarId }, { transaction });
+            return { entityId: created.calendar_shift_id, before: null, after: created, result: created };
+        });
+        return calendarShift.dataValues;
+    } catch (error) {
+        throw new Error(`Failed to add shift to calendar ${calendarId}: ${error.message}`);
+    }
+};
+
+/**
+ * Updates the weekday pattern or crew rotation of a calendar shift.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {string} calendarShiftId - The UUID of the calendar shift.
+ * @param {Object} data - The data to update the calendar shift with.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The updated calendar shift.
+ */
+const updateShift = async (calendarId, calendarShiftId, data, auditContext) => {
+    try {
+        if (!validate(calendarShiftId)) {
+            throw new Error(`Invalid UUID format: ${calendarShiftId}`);
+        }
+        const calendarShift = await auditedChange('CalendarShift', 'update', auditContext, async (transaction) => {
+            const existing = await CalendarShift.findOne({
+                where: { calendar_shift_id: calendarShiftId, calendar_id: calendarId },
+                transaction,
+            });
+            if (!existing) {
+                throw new Error(`Calendar shift with ID ${calendarShiftId} not found.`);
+            }
+            const before = existing.get({ plain: true });
+            await existing.update(data, { transaction });
+            return { entityId: calendarShiftId, before, after: existing, result: existing };
+        });
+        return calendarShift.dataValues;
+    } catch (error) {
+        throw new Error(`Failed to update calendar shift with ID ${calendarShiftId}: ${error.message}`);
+    }
+};
+
+/**
+ * Removes a shift model from a calendar.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {string} calendarShiftId - The UUID of the calendar shift.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<boolean>} True if deleted successfully.
+ */
+const removeShift = async (calendarId, calendarShiftId, auditContext) => {
+    try {
+        if (!validate(calendarShiftId)) {
+            throw new Error(`Invalid UUID format: ${calendarShiftId}`);
+        }
+        return await auditedChange('CalendarShift', 'delete', auditContext, async (transaction) => {
+            const calendarShift = await CalendarShift.findOne({
+                where: { calendar_shift_id: calendarShiftId, calendar_id: calendarId },
+                transaction,
+            });
+            if (!calendarShift) {
+                throw new Error(`Calendar shift with ID ${calendarShiftId} not found.`);
+            }
+            const before = calendarShift.get({ plain: true });
+            await calendarShift.destroy({ transaction });
+            return { entityId: calendarShiftId, before, after: null, result: true };
+        });
+    } catch (error) {
+        throw new Error(`Failed to remove calendar shift with ID ${calendarShiftId}: ${error.message}`);
+    }
+};
+
+/**
+ * Adds a holiday or closure to a calendar.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {Object} data - The exception (type, name, start_date, end_date).
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The created exception.
+ */
+const addException = async (calendarId, data, auditContext) => {
+    try {
+        await findCalendar(calendarId);
+        const exception = await auditedChange('CalendarException', 'create', auditContext, async (transaction) => {
+            const created = await CalendarException.create({ ...data, calendar_id: calendarId }, { transaction });
+            return { entityId: created.exception_id, before: null, after: created, result: created };
+        });
+        return exception.dataValues;
+    } catch (error) {
+        throw new Error(`Failed to add exception to calendar ${calendarId}: ${error.message}`);
+    }
+};
+
+/**
+ * Removes a holiday or closure from a calendar.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {string} exceptionId - The UUID of the exception.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<boolean>} True if deleted successfully.
+ */
+const removeException = async (calendarId, exceptionId, auditContext) => {
+    try {
+        if (!validate(exceptionId)) {
+            throw new Error(`Invalid UUID format: ${exceptionId}`);
+        }
+        return await auditedChange('CalendarException', 'delete', auditContext, async (transaction) => {
+            const exception = await CalendarException.findOne({
+                where: { exception_id: exceptionId, calendar_id: calendarId },
+                transaction,
+            });
+            if (!exception) {
+                throw new Error(`Exception with ID ${exceptionId} not found.`);
+            }
+            const before = exception.get({ plain: true });
+            await exception.destroy({ transaction });
+            return { entityId: exceptionId, before, after: null, result: true };
+        });
+    } catch (error) {
+        throw new Error(`Failed to remove exception with ID ${exceptionId}: ${error.message}`);
+    }
+};
+
+/**
+ * Imports the events of an iCal file as holidays of a calendar.
+ * Events that were already imported (same UID) are skipped.
+ * The import is audited as one update of the calendar with its exceptions before and after.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {string} icsContent - The content of the iCal file.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<{imported: number, skipped: number}>} The number of imported and skipped events.
+ */
+const importHolidays = async (calendarId, icsContent, auditContext) => {
+    try {
+        return await auditedChange('ShiftCalendar', 'update', auditContext, async (transaction) => {
+            const calendar = await findCalendar(calendarId, transaction);
+            const before = calendar.get({ plain: true });
+            const events = parseICalEvents(icsContent);
+
+            const uids = events.map(event => event.uid).filter(Boolean);
+            const existing = await CalendarException.findAll({
+                where: { calendar_id: calendarId, ical_uid: { [Op.in]: uids } },
+                attributes: ['ical_uid'],
+                transaction,
+            });
+            const existingUids = new Set(existing.map(exception => exception.ical_uid));
+
+            const newEvents = events.filter(event => !event.uid || !existingUids.has(event.uid));
+            await CalendarException.bulkCreate(newEvents.map(event => ({
+                calendar_id: calendarId,
+                type: 'holiday',
+                name: event.name,
+                start_date: event.start,
+                end_date: event.end,
+                ical_uid: event.uid,
+            })), { transaction });
+
+            const after = await findCalendar(calendarId, transaction);
+            return {
+                entityId: calendarId,
+                before,
+                after,
+                result: { imported: newEvents.length, skipped: events.length - newEvents.length },
+            };
+        });
+    } catch (error) {
+        throw new Error(`Failed to import holidays into calendar ${calendarId}: ${error.message}`);
+    }
+};
+
+/**
+ * Resolves the shifts of a calendar in a time range with crew and scheduling status.
+ * @param {string} calendarId - The UUID of the calendar.
+ * @param {Date} from - Start of the time range.
+ * @param {Date} to - End of the time range.
+ * @returns {Promise<Array>} The shift instances ordered by start.
+ */
+const getSchedule = async (calendarId, from, to) => {
+    try {
+        const calendar = (await findCalendar(calendarId)).get({ plain: true });
+        const shiftModels = await ShiftModel.findAll({
+            where: { shift_id: { [Op.in]: calendar.shifts.map(shift => shift.shift_id) } },
+            include: [{ model: ShiftBreak, as: 'breaks' }],
+        });
+        return getCalendarSchedule(calendar, shiftModels.map(shift => shift.get({ plain: true })), from, to);
+    } catch (error) {
+        throw new Error(`Failed to resolve schedule of calendar ${calendarId}: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the calendars that apply to a workcenter: calendars scheduling one of its
+ * shift models and calendars of its plant.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<Array>} The calendars with their shifts and exceptions.
+ */
+const getByWorkcenterId = async (workcenterId) => {
+    try {
+        const [workCenter, shiftModels] = await Promise.all([
+            WorkCenter.findByPk(workcenterId),
+            ShiftModel.findAll({ where: { workcenter_id: workcenterId }, attributes: ['shift_id'] }),
+        ]);
+        const shiftIds = shiftModels.map(shift => shift.shift_id);
+
+        const calendarShifts = shiftIds.length > 0
+            ? await CalendarShift.findAll({ where: { shift_id: { [Op.in]: shiftIds } }, attributes: ['calendar_id'] })
+            : [];
+
+        const conditions = [];
+        if (calendarShifts.length > 0) {
+            conditions.push({ calendar_id: { [Op.in]: calendarShifts.map(shift => shift.calendar_id) } });
+        }
+        if (workCenter?.plant) {
+            conditions.push({ plant: workCenter.plant });
+        }
+        if (conditions.length === 0) {
+            return [];
+        }
+
+        const calendars = await ShiftCalendar.findAll({
+            where: { [Op.or]: conditions },
+            include: calendarIncludes,
+        });
+        return calendars.map(calendar => calendar.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to retrieve calendars for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    delete: deleteCalendar,
+    addShift,
+    updateShift,
+    removeShift,
+    addException,
+    removeException,
+    importHolidays,
+    getSchedule,
+    getByWorkcenterId,
+};
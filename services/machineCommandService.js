@@ -0,0 +1,59 @@
+const { MachineCommand } = require('../models');
+
+/**
+ * Records a command sent to a machine.
+ * @param {Object} entry - The command (workcenter_id, command, value, status, broker, topic, issued_by, role, reason, error).
+ * @returns {Promise<Object>} The recorded command as plain object.
+ */
+const createMachineCommand = async (entry) => {
+    try {
+        const record = await MachineCommand.create(entry);
+        return record.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Failed to record command ${entry.command} for workcenter ${entry.workcenter_id}: ${error.message}`);
+    }
+};
+
+/**
+ * Updates the status of a recorded command.
+ * @param {string} commandId - The ID of the command.
+ * @param {Object} changes - The changes (status, acknowledged_at, error).
+ * @returns {Promise<Object|null>} The updated command or null if it does not exist.
+ */
+const updateMachineCommand = async (commandId, changes) => {
+    try {
+        const record = await MachineCommand.findByPk(commandId);
+        if (!record) {
+            return null;
+        }
+        await record.update(changes);
+        return record.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Failed to update command ${commandId}: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the latest commands sent to a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {number} [limit=50] - The maximum number of commands.
+ * @returns {Promise<Array<Object>>} The commands, newest first.
+ */
+const getMachineCommands = async (workcenterId, limit = 50) => {
+    try {
+        const records = await MachineCommand.findAll({
+            where: { workcenter_id: workcenterId },
+            order: [['sent_at', 'DESC']],
+            limit,
+        });
+        return records.map(record => record.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to retrieve commands for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    createMachineCommand,
+    updateMachineCommand,
+    getMachineCommands,
+};
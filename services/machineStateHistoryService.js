@@ -0,0 +1,142 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { sequelize, MachineStateHistory } = require('../models');
+const { oeeLogger } = require('../utils/logger');
+
+// OEE loss categories of the PackML states
+const LOSS_CATEGORIES = ['production', 'downtime', 'unplanned', 'idle', 'planned'];
+
+/**
+ * Ends the current state of a workcenter and records the next one.
+ * @param {Object} entry - The next state (workcenter_id, state_code, state, mode_code, mode, loss_category, start_time).
+ * @returns {Promise<void>}
+ * @throws {Error} If the state could not be recorded, the history then still ends with the previous state.
+ */
+const recordStateChange = async (entry) => {
+    try {
+        await sequelize.transaction(async (transaction) => {
+            const open = await MachineStateHistory.findAll({
+                where: { workcenter_id: entry.workcenter_id, end_time: null },
+                transaction,
+            });
+            for (const record of open) {
+                const duration = Math.max(0, moment.utc(entry.start_time).diff(moment.utc(record.start_time), 'seconds', true));
+                await record.update({ end_time: entry.start_time, duration }, { transaction });
+            }
+            await MachineStateHistory.create(entry, { transaction });
+        });
+        oeeLogger.debug(`State ${entry.state} recorded for workcenter ${entry.workcenter_id}`);
+    } catch (error) {
+        throw new Error(`Failed to record state ${entry.state} for workcenter ${entry.workcenter_id}: ${error.message}`);
+    }
+};
+
+/**
+ * Loads the current (not yet ended) state of every workcenter.
+ * @returns {Promise<Array<Object>>} The states as plain objects.
+ */
+const loadCurrentStates = async () => {
+    try {
+        const records = await MachineStateHistory.findAll({
+            where: { end_time: null },
+            order: [['start_time', 'ASC']],
+        });
+        return records.map(record => record.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to load current PackML states: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the states of a workcenter overlapping a time range.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Date} start - Start of the time range.
+ * @param {Date} end - End of the time range.
+ * @returns {Promise<Array<Object>>} The states ordered by start time.
+ */
+const getStateHistory = async (workcenterId, start, end) => {
+    try {
+        const records = await MachineStateHistory.findAll({
+            where: {
+                workcenter_id: workcenterId,
+                start_time: { [Op.lt]: end },
+                [Op.or]: [
+                    { end_time: null },
+                    { end_time: { [Op.gt]: start } },
+                ],
+            },
+            order: [['start_time', 'ASC']],
+        });
+        return records.map(record => record.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to retrieve state history for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Calculates the time spent in each state and loss category within a time range.
+ * States are clipped to the range, the current state counts until now.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Date} start - Start of the time range.
+ * @param {Date} end - End of the time range.
+ * @returns {Promise<Object>} { total_seconds, states, loss_categories, history }
+ */
+const getTimeInStateStatistics = async (workcenterId, start, end) => {
+    const history = await getStateHistory(workcenterId, start, end);
+    const rangeStart = moment.utc(start);
+    const rangeEnd = moment.min(moment.utc(end), moment.utc());
+
+    const states = new Map();
+    const lossCategories = LOSS_CATEGORIES.reduce((totals, category) => {
+        totals[category] = { seconds: 0, percentage: 0 };
+        return totals;
+    }, {});
+    let totalSeconds = 0;
+
+    for (const record of history) {
+        const from = moment.max(moment.utc(record.start_time), rangeStart);
+        const to = moment.min(record.end_time ? moment.utc(record.end_time) : moment.utc(), rangeEnd);
+        const seconds = Math.max(0, to.diff(from, 'seconds', true));
+
+        const key = `${record.state_code}:${record.loss_category}`;
+        if (!states.has(key)) {
+            states.set(key, {
+                state_code: record.state_code,
+                state: record.state,
+                loss_category: record.loss_category,
+                count: 0,
+                seconds: 0,
+                percentage: 0,
+            });
+        }
+        const stats = states.get(key);
+        stats.count += 1;
+        stats.seconds += seconds;
+        lossCategories[record.loss_category].seconds += seconds;
+        totalSeconds += seconds;
+    }
+
+    const percentage = (seconds) => totalSeconds > 0 ? Math.round(seconds / totalSeconds * 10000) / 100 : 0;
+    const stateStatistics = [...states.values()]
+        .map(stats => ({ ...stats, seconds: Math.round(stats.seconds), percentage: percentage(stats.seconds) }))
+        .sort((a, b) => b.seconds - a.seconds);
+    for (const totals of Object.values(lossCategories)) {
+        totals.percentage = percentage(totals.seconds);
+        totals.seconds = Math.round(totals.seconds);
+    }
+
+    return {
+        total_seconds: Math.round(totalSeconds),
+        states: stateStatistics,
+        loss_categories: lossCategories,
+        history,
+    };
+};
+
+module.exports = {
+    LOSS_CATEGORIES,
+    recordStateChange,
+    loadCurrentStates,
+    getStateHistory,
+    getTimeInStateStatistics,
+};
@@ -0,0 +1,114 @@
+const { MachineStateConfig, MachineStateStatus } = require('../models');
+const { oeeLogger, errorLogger } = require('../utils/logger');
+
+// Categories of the machine state and the downtime type they open
+const STATE_CATEGORIES = ['running', 'idle', 'fault', 'setup'];
+const CATEGORY_DOWNTIME_TYPES = {
+    running: null,
+    idle: 'unplanned',
+    fault: 'unplanned',
+    setup: 'planned',
+};
+
+// Used for workcenters without their own configuration
+const DEFAULT_STATE_CONFIG = {
+    enabled: true,
+    state_metric: 'MachineState',
+    state_mapping: {
+        Running: 'running',
+        Idle: 'idle',
+        Fault: 'fault',
+        Setup: 'setup',
+    },
+    thresholds: {
+        idle: 120,
+        fault: 0,
+        setup: 0,
+    },
+};
+
+// Cache for the configurations, updated on every change
+const configCache = new Map();
+
+/**
+ * Retrieves the machine state configuration of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<Object>} The configuration, merged with the defaults.
+ */
+const getStateConfig = async (workcenterId) => {
+    if (configCache.has(workcenterId)) {
+        return configCache.get(workcenterId);
+    }
+    try {
+        const config = await MachineStateConfig.findByPk(workcenterId);
+        const merged = {
+            ...DEFAULT_STATE_CONFIG,
+            ...(config ? config.get({ plain: true }) : {}),
+            workcenter_id: workcenterId,
+        };
+        if (Object.keys(merged.state_mapping || {}).length === 0) {
+            merged.state_mapping = DEFAULT_STATE_CONFIG.state_mapping;
+        }
+        merged.thresholds = { ...DEFAULT_STATE_CONFIG.thresholds, ...merged.thresholds };
+        configCache.set(workcenterId, merged);
+        return merged;
+    } catch (error) {
+        throw new Error(`Failed to retrieve machine state configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Creates or updates the machine state configuration of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} data - The configuration (enabled, state_metric, state_mapping, thresholds).
+ * @returns {Promise<Object>} The stored configuration, merged with the defaults.
+ */
+const setStateConfig = async (workcenterId, data) => {
+    const invalidCategory = Object.values(data.state_mapping || {}).find(category => !STATE_CATEGORIES.includes(category));
+    if (invalidCategory) {
+        throw new Error(`Invalid state category: ${invalidCategory}`);
+    }
+    try {
+        await MachineStateConfig.upsert({ ...data, workcenter_id: workcenterId });
+        configCache.delete(workcenterId);
+        return await getStateConfig(workcenterId);
+    } catch (error) {
+        throw new Error(`Failed to set machine state configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Persists the current machine state of a workcenter.
+ * @param {Object} status - The status (workcenter_id, state, category, since, downtime_type, downtime_id).
+ * @returns {Promise<void>}
+ */
+const saveStateStatus = async (status) => {
+    try {
+        await MachineStateStatus.upsert(status);
+        oeeLogger.debug(`Machine state persisted for workcenter ${status.workcenter_id}`);
+    } catch (error) {
+        errorLogger.error(`Failed to persist machine state for workcenter ${status.workcenter_id}: ${error.message}`);
+    }
+};
+
+/**
+ * Loads the persisted machine states of all workcenters.
+ * @returns {Promise<Array<Object>>} The states as plain objects.
+ */
+const loadStateStatuses = async () => {
+    try {
+        const statuses = await MachineStateStatus.findAll();
+        return statuses.map(status => status.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to load machine states: ${error.message}`);
+    }
+};
+
+module.exports = {
+    STATE_CATEGORIES,
+    CATEGORY_DOWNTIME_TYPES,
+    getStateConfig,
+    setStateConfig,
+    saveStateStatus,
+    loadStateStatuses,
+};
@@ -1,6 +1,10 @@
 const { Microstop } = require('../models'); // Sequelize-Modell "Microstop"
 const moment = require('moment-timezone');
 const { dateSettings } = require("../config/config"); // Enthält z. B. { timezone, dateFormat }
+const { UNCLASSIFIED_REASON, validateReasonCode } = require('./reasonCodeService');
+const { notifyUnclassified } = require('./stoppageClassificationService');
+const { auditedChange } = require('./auditService');
+const { checkStoppageChange } = require('./orderReviewService');
 
 /**
  * @swagger
@@ -149,10 +153,21 @@ async function loadMicrostopById(id) {
  *       400:
  *         description: Invalid input.
  */
-async function createMicrostop(data) {
+async function createMicrostop(data, auditContext) {
   try {
+    // The reason must be a reason code of the workcenter or the placeholder of unclassified microstops
+    if (data.reason !== undefined) {
+      await validateReasonCode(data.reason, data.workcenter_id, { allowUnclassified: true });
+    }
     const formattedData = parseDatesForDB(data);
-    const newMicrostop = await Microstop.create(formattedData);
+    const newMicrostop = await auditedChange('Microstop', 'create', auditContext, async (transaction) => {
+      await checkStoppageChange([data.order_id], { transaction });
+      const created = await Microstop.create(formattedData, { transaction });
+      return { entityId: created.microstop_ID, before: null, after: created, result: created };
+    });
+    if (newMicrostop.reason === UNCLASSIFIED_REASON) {
+      notifyUnclassified('microstop', newMicrostop.get());
+    }
     return formatDatesForResponse(newMicrostop.get());
   } catch (error) {
     handleError('create', error);
@@ -186,14 +201,21 @@ async function createMicrostop(data) {
  *       400:
  *         description: Invalid input.
  */
-async function updateMicrostop(id, data) {
+async function updateMicrostop(id, data, auditContext) {
   try {
-    const microstop = await Microstop.findByPk(id);
-    if (!microstop) {
-      throw new Error('Microstop not found');
-    }
-    const formattedData = parseDatesForDB(data);
-    await microstop.update(formattedData);
+    const microstop = await auditedChange('Microstop', 'update', auditContext, async (transaction) => {
+      const existing = await Microstop.findByPk(id, { transaction });
+      if (!existing) {
+        throw new Error('Microstop not found');
+      }
+      await checkStoppageChange([existing.order_id, data.order_id], { transaction });
+      if (data.reason !== undefined) {
+        await validateReasonCode(data.reason, data.workcenter_id || existing.workcenter_id, { allowUnclassified: true });
+      }
+      const before = existing.get({ plain: true });
+      await existing.update(parseDatesForDB(data), { transaction });
+      return { entityId: id, before, after: existing, result: existing };
+    });
     return formatDatesForResponse(microstop.get());
   } catch (error) {
     handleError('update', error);
@@ -219,14 +241,18 @@ async function updateMicrostop(id, data) {
  *       404:
  *         description: Microstop not found.
  */
-async function deleteMicrostop(id) {
+async function deleteMicrostop(id, auditContext) {
   try {
-    const microstop = await Microstop.findByPk(id);
-    if (!microstop) {
-      throw new Error(`Microstop not found for ID ${id}`);
-    }
-    await microstop.destroy();
-    return true;
+    return await auditedChange('Microstop', 'delete', auditContext, async (transaction) => {
+      const microstop = await Microstop.findByPk(id, { transaction });
+      if (!microstop) {
+        throw new Error(`Microstop not found for ID ${id}`);
+      }
+      await checkStoppageChange([microstop.order_id], { transaction });
+      const before = microstop.get({ plain: true });
+      await microstop.destroy({ transaction });
+      return { entityId: id, before, after: null, result: true };
+    });
   } catch (error) {
     handleError('delete', error);
   }
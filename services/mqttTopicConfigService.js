@@ -0,0 +1,86 @@
+const { MqttTopicConfig } = require('../models');
+const { topicFormat } = require('../config/config');
+const { getPayloadFormats } = require('../src/payloadDecoders');
+const { hasPlaceholder } = require('../src/topicTemplates');
+const { DEFAULT_BROKER, getBrokerNames } = require('../src/mqttBrokers');
+const oeeConfig = require('../config/oeeConfig.json');
+const { auditedChange } = require('./auditService');
+
+// Used for workcenters without their own configuration
+const DEFAULT_TOPIC_CONFIG = {
+    broker: DEFAULT_BROKER,
+    payload_format: 'sparkplug',
+    topic_template: null,
+    metric_topics: {},
+};
+
+// Cache for the configurations, updated on every change
+const configCache = new Map();
+
+/**
+ * Retrieves the MQTT topic configuration of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<Object>} The configuration, merged with the defaults. topic_template is resolved
+ * to the topicFormat setting if the workcenter has none.
+ */
+const getMqttTopicConfig = async (workcenterId) => {
+    if (configCache.has(workcenterId)) {
+        return configCache.get(workcenterId);
+    }
+    try {
+        const config = await MqttTopicConfig.findByPk(workcenterId);
+        const merged = {
+            ...DEFAULT_TOPIC_CONFIG,
+            ...(config ? config.get({ plain: true }) : {}),
+            workcenter_id: workcenterId,
+        };
+        merged.topic_template = merged.topic_template || topicFormat;
+        configCache.set(workcenterId, merged);
+        return merged;
+    } catch (error) {
+        throw new Error(`Failed to retrieve MQTT topic configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Creates or updates the MQTT topic configuration of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} data - The configuration (broker, payload_format, topic_template, metric_topics).
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The stored configuration, merged with the defaults.
+ */
+const setMqttTopicConfig = async (workcenterId, data, auditContext) => {
+    const current = await getMqttTopicConfig(workcenterId);
+    if (data.broker && !getBrokerNames().includes(data.broker)) {
+        throw new Error(`Invalid broker: ${data.broker} is not configured`);
+    }
+    const payloadFormat = data.payload_format || current.payload_format;
+    if (!getPayloadFormats().includes(payloadFormat)) {
+        throw new Error(`Invalid payload format: ${payloadFormat}`);
+    }
+    // An empty template falls back to the topicFormat setting, a missing one keeps the stored template
+    const topicTemplate = data.topic_template === undefined ? current.topic_template : data.topic_template || topicFormat;
+    if (payloadFormat === 'value' && !hasPlaceholder(topicTemplate, 'metric')) {
+        throw new Error('Invalid topic template: flat values need the {metric} placeholder');
+    }
+    const unknownMetric = Object.keys(data.metric_topics || {}).find(metric => !oeeConfig[metric]);
+    if (unknownMetric) {
+        throw new Error(`Invalid metric: ${unknownMetric} is not defined in the OEE configuration`);
+    }
+    try {
+        const existing = await MqttTopicConfig.findByPk(workcenterId);
+        await auditedChange('MqttTopicConfig', existing ? 'update' : 'create', auditContext, async (transaction) => {
+            const [stored] = await MqttTopicConfig.upsert({ ...data, payload_format: payloadFormat, workcenter_id: workcenterId }, { transaction });
+            return { entityId: workcenterId, before: existing, after: stored, result: stored };
+        });
+        configCache.delete(workcenterId);
+        return await getMqttTopicConfig(workcenterId);
+    } catch (error) {
+        throw new Error(`Failed to set MQTT topic configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    getMqttTopicConfig,
+    setMqttTopicConfig,
+};
@@ -0,0 +1,149 @@
+const { Op } = require('sequelize');
+const {
+    ProcessOrder,
+    WorkCenter,
+    PlannedDowntime,
+    UnplannedDowntime,
+    Microstop,
+    ShiftModel,
+    ShiftBreak,
+    SpeedLoss,
+} = require('../models');
+const { prepareOEEData } = require('./prepareOEEServices');
+const { getByWorkcenterId: loadCalendars } = require('./calendarService');
+const { getCalculationMode } = require('./oeeModeService');
+const { getTactForOrder } = require('./speedLossService');
+const OEECalculator = require('../src/oeeCalculator');
+const { oeeLogger, errorLogger } = require('../utils/logger');
+
+/**
+ * Loads all records of a downtime-like model for a workcenter that overlap the given time window.
+ * @param {Object} model - The Sequelize model (PlannedDowntime, UnplannedDowntime, Microstop or SpeedLoss).
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Date} windowStart - Start of the time window.
+ * @param {Date} windowEnd - End of the time window.
+ * @returns {Promise<Array<Object>>} The overlapping records as plain objects.
+ */
+async function loadOverlappingRecords(model, workcenterId, windowStart, windowEnd) {
+    const records = await model.findAll({
+        where: {
+            workcenter_id: workcenterId,
+            start_date: { [Op.lt]: windowEnd },
+            end_date: { [Op.gt]: windowStart },
+        },
+    });
+    return records.map(record => record.get({ plain: true }));
+}
+
+/**
+ * Sums up the minutes of each timeline dataset.
+ * @param {Array<Object>} datasets - The datasets of the OEE timeline.
+ * @returns {Object} Total minutes per category.
+ */
+function sumDatasets(datasets) {
+    const [production, breaks, unplanned, planned, microstops, nonScheduled = 0, speedLoss = 0] = datasets.map(
+        dataset => dataset.data.reduce((a, b) => a + b, 0)
+    );
+    return {
+        productionTime: production,
+        breakTime: breaks,
+        unplannedDowntime: unplanned,
+        plannedDowntime: planned,
+        microstops,
+        nonScheduledTime: nonScheduled,
+        speedLoss,
+    };
+}
+
+/**
+ * Recalculates availability, performance, quality, OEE and the hourly timeline of a
+ * process order from the database, independent of whether the order is still running.
+ * @param {string} orderId - The UUID of the process order.
+ * @returns {Promise<Object|null>} The recalculated OEE or null if the order does not exist.
+ * @throws {Error} If the order has no valid time frame or the calculation fails.
+ */
+async function calculateHistoricalOEE(orderId) {
+    const orderRecord = await ProcessOrder.findByPk(orderId);
+    if (!orderRecord) {
+        return null;
+    }
+    const processOrder = orderRecord.get({ plain: true });
+    const machineId = processOrder.workcenter_id;
+
+    const windowStart = processOrder.actualprocessorderstart || processOrder.start_date;
+    const windowEnd = processOrder.actualprocessorderend || processOrder.end_date;
+    if (!windowStart || !windowEnd || windowEnd <= windowStart) {
+        throw new Error(`Process order ${orderId} has no valid time frame.`);
+    }
+
+    try {
+        const [workCenter, plannedDowntimeData, unplannedDowntimeData, microstopsData, shiftModels, calendars, speedLossData, tact] = await Promise.all([
+            WorkCenter.findByPk(machineId),
+            loadOverlappingRecords(PlannedDowntime, machineId, windowStart, windowEnd),
+            loadOverlappingRecords(UnplannedDowntime, machineId, windowStart, windowEnd),
+            loadOverlappingRecords(Microstop, machineId, windowStart, windowEnd),
+            ShiftModel.findAll({
+                where: { workcenter_id: machineId },
+                include: [{ model: ShiftBreak, as: 'breaks' }],
+            })
+                .then(shifts => shifts.map(shift => shift.get({ plain: true }))),
+            loadCalendars(machineId),
+            loadOverlappingRecords(SpeedLoss, machineId, windowStart, windowEnd),
+            getTactForOrder(processOrder),
+        ]);
+
+        const timeline = prepareOEEData(processOrder, machineId, {
+            plannedDowntimeData,
+            unplannedDowntimeData,
+            microstopsData,
+            shiftModels,
+            calendars,
+            speedLossData,
+        }, { start: windowStart, end: windowEnd });
+        const totals = sumDatasets(timeline.datasets);
+
+        const calculator = new OEECalculator();
+        calculator.setOEEData({
+            processOrder,
+            plant: workCenter?.plant,
+            area: workCenter?.area,
+            lineId: workCenter?.name,
+        }, machineId);
+        await calculator.calculateMetrics(
+            machineId,
+            totals.unplannedDowntime,
+            totals.plannedDowntime + totals.breakTime + totals.microstops,
+            processOrder.confirmedproductionquantity || 0,
+            processOrder.confirmedproductionyield || 0,
+            processOrder,
+            { ...totals, nonScheduledWindows: timeline.nonScheduledWindows },
+            await getCalculationMode(machineId),
+            tact
+        );
+
+        // calculateMetrics logs its errors instead of throwing, the metrics are then incomplete
+        const metrics = calculator.getMetrics(machineId);
+        if (!Number.isFinite(metrics.oee)) {
+            throw new Error(`OEE could not be calculated for process order ${orderId}.`);
+        }
+
+        oeeLogger.info(`Historical OEE recalculated for process order ${processOrder.processordernumber}`);
+
+        return {
+            metrics,
+            totals,
+            labels: timeline.labels,
+            datasets: timeline.datasets,
+            speedLosses: timeline.speedLosses,
+            processOrder,
+        };
+    } catch (error) {
+        errorLogger.error(`Error recalculating OEE for process order ${orderId}: ${error.message}`);
+        throw error;
+    }
+}
+
+module.exports = {
+    calculateHistoricalOEE,
+    loadOverlappingRecords,
+};
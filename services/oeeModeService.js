@@ -0,0 +1,56 @@
+const { WorkCenterOEESettings } = require('../models');
+const config = require('../config/config.json');
+
+// Supported calculation modes
+const CALCULATION_MODES = ['standard', 'teep', 'ooe', 'sixBigLosses'];
+
+// Fallback for workcenters without their own setting
+const DEFAULT_CALCULATION_MODE = CALCULATION_MODES.includes(config.calculationMode) ? config.calculationMode : 'standard';
+
+// Cache for the calculation modes, updated on every change
+const modeCache = new Map();
+
+/**
+ * Retrieves the calculation mode of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<string>} The calculation mode (falls back to `calculationMode` from config.json).
+ */
+const getCalculationMode = async (workcenterId) => {
+    if (modeCache.has(workcenterId)) {
+        return modeCache.get(workcenterId);
+    }
+    try {
+        const settings = await WorkCenterOEESettings.findByPk(workcenterId);
+        const mode = settings?.calculation_mode || DEFAULT_CALCULATION_MODE;
+        modeCache.set(workcenterId, mode);
+        return mode;
+    } catch (error) {
+        throw new Error(`Failed to retrieve calculation mode for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Sets the calculation mode of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {string} mode - One of CALCULATION_MODES.
+ * @returns {Promise<string>} The stored calculation mode.
+ */
+const setCalculationMode = async (workcenterId, mode) => {
+    if (!CALCULATION_MODES.includes(mode)) {
+        throw new Error(`Invalid calculation mode: ${mode}`);
+    }
+    try {
+        await WorkCenterOEESettings.upsert({ workcenter_id: workcenterId, calculation_mode: mode });
+        modeCache.set(workcenterId, mode);
+        return mode;
+    } catch (error) {
+        throw new Error(`Failed to set calculation mode for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    CALCULATION_MODES,
+    DEFAULT_CALCULATION_MODE,
+    getCalculationMode,
+    setCalculationMode,
+};
@@ -0,0 +1,223 @@
+const { sequelize, OEECalculatorState, HoldStatus, MetricsMatrix } = require('../models');
+const { oeeLogger, errorLogger } = require('../utils/logger');
+
+// Delay before the state of the message handlers is written, messages arriving meanwhile are combined
+const PERSIST_DELAY = 5000;
+
+// Calculator states waiting to be persisted, per workcenter: { oeeData, metricBuffer }
+const pendingCalculatorStates = new Map();
+// Latest metrics matrix waiting to be persisted, null if nothing changed
+let pendingMetricsMatrix = null;
+// Persisted metrics matrix entries (JSON) per metric, to write only the changed rows
+const persistedMatrix = new Map();
+let persistTimer = null;
+
+/**
+ * Persists the calculator data and metric buffer of a workcenter so a restart
+ * can continue the OEE calculation of the running process order.
+ * @param {string} machineId - The ID of the workcenter.
+ * @param {Object} oeeData - The calculator data (calculator.oeeData[machineId]).
+ * @param {Object} metricBuffer - The current metric buffer of the workcenter.
+ * @returns {Promise<void>}
+ */
+async function saveCalculatorState(machineId, oeeData, metricBuffer) {
+    try {
+        await OEECalculatorState.upsert({
+            workcenter_id: machineId,
+            order_id: oeeData?.order_id || null,
+            oee_data: oeeData || {},
+            metric_buffer: metricBuffer || {},
+            updated_at: new Date(),
+        });
+        oeeLogger.debug(`Calculator state persisted for machineId ${machineId}`);
+    } catch (error) {
+        errorLogger.error(`Failed to persist calculator state for machineId ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Persists the calculator state of a workcenter after PERSIST_DELAY. Further calls in the meantime
+ * replace the pending state, so only the latest state of a burst of messages is written.
+ * @param {string} machineId - The ID of the workcenter.
+ * @param {Object} oeeData - The calculator data (calculator.oeeData[machineId]).
+ * @param {Object} metricBuffer - The current metric buffer of the workcenter.
+ */
+function scheduleCalculatorStateSave(machineId, oeeData, metricBuffer) {
+    pendingCalculatorStates.set(machineId, { oeeData, metricBuffer });
+    schedulePersistence();
+}
+
+/**
+ * Starts the timer writing the pending state unless it is running.
+ */
+function schedulePersistence() {
+    if (!persistTimer) {
+        persistTimer = setTimeout(() => {
+            flushPendingState().catch(error => errorLogger.error(`Failed to persist OEE state: ${error.message}`));
+        }, PERSIST_DELAY);
+    }
+}
+
+/**
+ * Writes the pending calculator states and metrics matrix right away, e.g. before a shutdown.
+ * @returns {Promise<void>}
+ */
+async function flushPendingState() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    const states = [...pendingCalculatorStates.entries()];
+    pendingCalculatorStates.clear();
+    for (const [machineId, { oeeData, metricBuffer }] of states) {
+        await saveCalculatorState(machineId, oeeData, metricBuffer);
+    }
+    if (pendingMetricsMatrix) {
+        const matrix = pendingMetricsMatrix;
+        pendingMetricsMatrix = null;
+        await saveMetricsMatrix(matrix);
+    }
+}
+
+/**
+ * Loads all persisted calculator states.
+ * @returns {Promise<Array<Object>>} The persisted states as plain objects.
+ */
+async function loadCalculatorStates() {
+    try {
+        const states = await OEECalculatorState.findAll();
+        return states.map(state => state.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to load calculator states: ${error.message}`);
+    }
+}
+
+/**
+ * Removes the persisted calculator state of a workcenter.
+ * @param {string} machineId - The ID of the workcenter.
+ * @returns {Promise<void>}
+ */
+async function deleteCalculatorState(machineId) {
+    // A pending write must not bring back the state of the finished order
+    pendingCalculatorStates.delete(machineId);
+    try {
+        await OEECalculatorState.destroy({ where: { workcenter_id: machineId } });
+    } catch (error) {
+        errorLogger.error(`Failed to delete calculator state for machineId ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Persists an open Hold of a workcenter.
+ * @param {string} machineId - The ID of the workcenter.
+ * @param {Object} holdStatus - The hold status ({ startTimestamp, processOrderID }).
+ * @returns {Promise<void>}
+ */
+async function saveHoldStatus(machineId, holdStatus) {
+    try {
+        await HoldStatus.upsert({
+            workcenter_id: machineId,
+            start_timestamp: holdStatus.startTimestamp,
+            order_id: holdStatus.processOrderID || null,
+        });
+    } catch (error) {
+        errorLogger.error(`Failed to persist hold status for machineId ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads all open Holds.
+ * @returns {Promise<Object>} Hold status objects keyed by workcenter ID.
+ */
+async function loadHoldStatuses() {
+    try {
+        const holds = await HoldStatus.findAll();
+        return holds.reduce((acc, hold) => {
+            acc[hold.workcenter_id] = {
+                startTimestamp: hold.start_timestamp.toISOString(),
+                ...(hold.order_id && { processOrderID: hold.order_id }),
+            };
+            return acc;
+        }, {});
+    } catch (error) {
+        throw new Error(`Failed to load hold status: ${error.message}`);
+    }
+}
+
+/**
+ * Removes the open Hold of a workcenter.
+ * @param {string} machineId - The ID of the workcenter.
+ * @returns {Promise<void>}
+ */
+async function deleteHoldStatus(machineId) {
+    try {
+        await HoldStatus.destroy({ where: { workcenter_id: machineId } });
+    } catch (error) {
+        errorLogger.error(`Failed to delete hold status for machineId ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Persists the metrics matrix after PERSIST_DELAY, see scheduleCalculatorStateSave.
+ * @param {Array<Object>} matrix - The metrics matrix entries ({ metric, source, value, valid }).
+ */
+function scheduleMetricsMatrixSave(matrix) {
+    pendingMetricsMatrix = matrix.map(entry => ({ ...entry }));
+    schedulePersistence();
+}
+
+/**
+ * Persists the metrics matrix. Only entries that differ from the persisted ones are written,
+ * entries no longer in the matrix are removed.
+ * @param {Array<Object>} matrix - The metrics matrix entries ({ metric, source, value, valid }).
+ * @returns {Promise<void>}
+ */
+async function saveMetricsMatrix(matrix) {
+    const current = new Map(matrix.map(entry => [entry.metric, JSON.stringify(entry)]));
+    const changed = matrix.filter(entry => persistedMatrix.get(entry.metric) !== current.get(entry.metric));
+    const removed = [...persistedMatrix.keys()].filter(metric => !current.has(metric));
+    if (changed.length === 0 && removed.length === 0) {
+        return;
+    }
+    try {
+        await sequelize.transaction(async (transaction) => {
+            if (removed.length > 0) {
+                await MetricsMatrix.destroy({ where: { metric: removed }, transaction });
+            }
+            if (changed.length > 0) {
+                await MetricsMatrix.bulkCreate(changed, { updateOnDuplicate: ['source', 'value', 'valid'], transaction });
+            }
+        });
+        removed.forEach(metric => persistedMatrix.delete(metric));
+        changed.forEach(entry => persistedMatrix.set(entry.metric, current.get(entry.metric)));
+        oeeLogger.debug(`Metrics matrix persisted: ${changed.length} changed, ${removed.length} removed`);
+    } catch (error) {
+        errorLogger.error(`Failed to persist metrics matrix: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the persisted metrics matrix.
+ * @returns {Promise<Array<Object>>} The metrics matrix entries.
+ */
+async function loadMetricsMatrix() {
+    try {
+        const entries = (await MetricsMatrix.findAll()).map(entry => entry.get({ plain: true }));
+        entries.forEach(entry => persistedMatrix.set(entry.metric, JSON.stringify(entry)));
+        return entries;
+    } catch (error) {
+        throw new Error(`Failed to load metrics matrix: ${error.message}`);
+    }
+}
+
+module.exports = {
+    saveCalculatorState,
+    scheduleCalculatorStateSave,
+    flushPendingState,
+    loadCalculatorStates,
+    deleteCalculatorState,
+    saveHoldStatus,
+    loadHoldStatuses,
+    deleteHoldStatus,
+    saveMetricsMatrix,
+    scheduleMetricsMatrixSave,
+    loadMetricsMatrix,
+};
@@ -0,0 +1,121 @@
+const { OpcUaConfig } = require('../models');
+const oeeConfig = require('../config/oeeConfig.json');
+const { auditedChange } = require('./auditService');
+
+const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+const SECURITY_POLICIES = ['None', 'Basic128Rsa15', 'Basic256', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss'];
+
+/**
+ * Removes the password of the OPC UA session from a configuration.
+ * @param {Object} config - The configuration as plain object.
+ * @returns {Object} The configuration with a has_password flag instead of the password.
+ */
+const withoutPassword = ({ password, ...config }) => ({ ...config, has_password: Boolean(password) });
+
+/**
+ * Retrieves all OPC UA configurations.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.enabledOnly=false] - Only return the enabled configurations.
+ * @param {boolean} [options.includePassword=false] - Keep the password, needed to open the session.
+ * @returns {Promise<Array<Object>>} The configurations as plain objects.
+ */
+const getOpcUaConfigs = async ({ enabledOnly = false, includePassword = false } = {}) => {
+    try {
+        const configs = await OpcUaConfig.findAll({ where: enabledOnly ? { enabled: true } : {} });
+        return configs
+            .map(config => config.get({ plain: true }))
+            .map(config => (includePassword ? config : withoutPassword(config)));
+    } catch (error) {
+        throw new Error(`Failed to retrieve OPC UA configurations: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the OPC UA configuration of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.includePassword=false] - Keep the password, needed to open the session.
+ * @returns {Promise<Object|null>} The configuration or null if the workcenter has none.
+ */
+const getOpcUaConfig = async (workcenterId, { includePassword = false } = {}) => {
+    try {
+        const config = await OpcUaConfig.findByPk(workcenterId);
+        if (!config) {
+            return null;
+        }
+        const plain = config.get({ plain: true });
+        return includePassword ? plain : withoutPassword(plain);
+    } catch (error) {
+        throw new Error(`Failed to retrieve OPC UA configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Creates or updates the OPC UA configuration of a workcenter.
+ * Every mapped metric must be defined in the OEE configuration.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} data - The configuration (endpoint_url, security_mode, security_policy, username, password, publishing_interval, sampling_interval, node_mapping, enabled).
+ * @param {Object} [auditContext] - User and reason for change for the audit log, which never contains the password.
+ * @returns {Promise<Object>} The stored configuration without the password.
+ */
+const setOpcUaConfig = async (workcenterId, data, auditContext) => {
+    const unknownMetric = Object.keys(data.node_mapping || {}).find(metric => !oeeConfig[metric]);
+    if (unknownMetric) {
+        throw new Error(`Invalid metric: ${unknownMetric} is not defined in the OEE configuration`);
+    }
+    try {
+        const existing = await OpcUaConfig.findByPk(workcenterId);
+        const changes = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+        // A missing password keeps the stored one, an empty string removes it
+        if (changes.password === '') {
+            changes.password = null;
+        }
+        const before = existing ? existing.get({ plain: true }) : null;
+        await auditedChange('OpcUaConfig', existing ? 'update' : 'create', auditContext, async (transaction) => {
+            const [stored] = await OpcUaConfig.upsert({
+                ...(before || {}),
+                ...changes,
+                workcenter_id: workcenterId,
+            }, { transaction });
+            return {
+                entityId: workcenterId,
+                before: before && withoutPassword(before),
+                after: withoutPassword(stored.get({ plain: true })),
+                result: stored,
+            };
+        });
+        return await getOpcUaConfig(workcenterId);
+    } catch (error) {
+        throw new Error(`Failed to set OPC UA configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes the OPC UA configuration of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<boolean>} True if a configuration was deleted.
+ */
+const deleteOpcUaConfig = async (workcenterId, auditContext) => {
+    try {
+        const existing = await OpcUaConfig.findByPk(workcenterId);
+        if (!existing) {
+            return false;
+        }
+        return await auditedChange('OpcUaConfig', 'delete', auditContext, async (transaction) => {
+            await existing.destroy({ transaction });
+            return { entityId: workcenterId, before: withoutPassword(existing.get({ plain: true })), after: null, result: true };
+        });
+    } catch (error) {
+        throw new Error(`Failed to delete OPC UA configuration for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    SECURITY_MODES,
+    SECURITY_POLICIES,
+    getOpcUaConfigs,
+    getOpcUaConfig,
+    setOpcUaConfig,
+    deleteOpcUaConfig,
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { validate } = require('uuid');
+const { sequelize, ProcessOrder, OrderOEESnapshot, ElectronicSignature } = require('../models');
+const { oeeLogger } = require('../utils/logger');
+const { sendWebSocketMessage } = require('../websocket/webSocketUtils');
+const { recordAudit, auditedChange } = require('./auditService');
+const { reauthenticate } = require('./authService');
+
+// Status of process orders in the review workflow
+const ORDER_STATUS = {
+    RELEASED: 'REL',
+    PENDING_REVIEW: 'PRV',
+    CLOSED: 'CLD',
+};
+
+// Meanings of an electronic signature, "approved" closes the order and locks its OEE snapshot
+const SIGNATURE_MEANINGS = ['reviewed', 'approved'];
+
+/**
+ * Checks whether finished orders must be reviewed and signed before they are closed.
+ * @returns {boolean} False only if ORDER_REVIEW_REQUIRED is "false".
+ */
+const isReviewRequired = () => process.env.ORDER_REVIEW_REQUIRED !== 'false';
+
+/**
+ * Serializes a value with sorted object keys, so the hash does not depend on the key order of JSONB.
+ * @param {*} value - The value.
+ * @returns {string} The canonical JSON.
+ */
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Calculates the SHA-256 hash of a value.
+ * @param {*} value - The value.
+ * @returns {string} The hex digest of the canonical JSON.
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+
+/**
+ * Calculates the content hash of an OEE snapshot.
+ * @param {string} orderId - The ID of the process order.
+ * @param {Object} metrics - The OEE metrics.
+ * @returns {string} The content hash.
+ */
+const hashSnapshot = (orderId, metrics) => sha256({ order_id: orderId, metrics });
+
+/**
+ * Checks whether a process order is locked: closed by an approval signature, or closed at all
+ * while reviews are required. Locked orders and their stoppages can no longer be changed.
+ * @param {Object|null} order - The process order (order_id, processorderstatus).
+ * @param {Object} [options] - The transaction of the check.
+ * @returns {Promise<boolean>} True if the order is locked.
+ */
+const isOrderLocked = async (order, { transaction } = {}) => {
+    if (!order || order.processorderstatus !== ORDER_STATUS.CLOSED) {
+        return false;
+    }
+    if (isReviewRequired()) {
+        return true;
+    }
+    const signed = await OrderOEESnapshot.findOne({
+        where: { order_id: order.order_id, locked_at: { [Op.ne]: null } },
+        transaction,
+    });
+    return Boolean(signed);
+};
+
+/**
+ * Checks a change of a process order outside the review workflow. Only signOrder closes an order
+ * pending review or, while reviews are required, any order; locked orders cannot be changed at all.
+ * @param {Object} order - The process order before the change.
+ * @param {Object} changes - The changed fields.
+ * @param {Object} [options] - The transaction of the change.
+ * @returns {Promise<void>}
+ * @throws {Error} If the change bypasses the review workflow.
+ */
+const checkOrderChange = async (order, changes, { transaction } = {}) => {
+    if (await isOrderLocked(order, { transaction })) {
+        throw new Error(`Invalid state: process order ${order.order_id} is closed and can no longer be changed`);
+    }
+    const status = changes ? changes.processorderstatus : undefined;
+    if (!status || status === order.processorderstatus) {
+        return;
+    }
+    if (order.processorderstatus === ORDER_STATUS.PENDING_REVIEW) {
+        throw new Error(`Invalid status change: process order ${order.order_id} is pending review and is closed by its approval signature`);
+    }
+    if (status === ORDER_STATUS.CLOSED && isReviewRequired()) {
+        throw new Error(`Invalid status change: process order ${order.order_id} is closed by its approval signature only`);
+    }
+};
+
+/**
+ * Checks that microstops and downtimes may be recorded or changed for process orders,
+ * i.e. that none of the orders is locked.
+ * @param {Array<string|null|undefined>} orderIds - The orders of the stoppage before and after the change.
+ * @param {Object} [options] - The transaction of the change.
+ * @returns {Promise<void>}
+ * @throws {Error} If one of the orders is locked.
+ */
+const checkStoppageChange = async (orderIds, { transaction } = {}) => {
+    for (const orderId of new Set(orderIds.filter(Boolean))) {
+        const order = await ProcessOrder.findByPk(orderId, { transaction });
+        if (await isOrderLocked(order, { transaction })) {
+            throw new Error(`Invalid state: process order ${orderId} is closed, its downtimes and microstops can no longer be changed`);
+        }
+    }
+};
+
+/**
+ * Stores the OEE result of a finished order for review and notifies the reviewers.
+ * A repeated End command replaces the snapshot as long as nobody signed it.
+ * @param {Object} processOrder - The process order (order_id, workcenter_id).
+ * @param {Object} metrics - The OEE metrics at the end of the order.
+ * @returns {Promise<Object>} The snapshot.
+ */
+const createReviewSnapshot = async (processOrder, metrics) => {
+    const data = {
+        order_id: processOrder.order_id,
+        workcenter_id: processOrder.workcenter_id,
+        metrics: JSON.parse(JSON.stringify(metrics || {})),
+        content_hash: hashSnapshot(processOrder.order_id, metrics || {}),
+        created_at: new Date(),
+    };
+
+    try {
+        const existing = await OrderOEESnapshot.findOne({ where: { order_id: processOrder.order_id } });
+        // A signature applies to the content it signed, a replaced snapshot would inherit it
+        const signatures = existing ? await ElectronicSignature.count({ where: { order_id: processOrder.order_id } }) : 0;
+        if (existing && (existing.locked_at || signatures > 0)) {
+            throw new Error(`Invalid state: OEE snapshot of process order ${processOrder.order_id} is already signed`);
+        }
+        const snapshot = existing ? await existing.update(data) : await OrderOEESnapshot.create(data);
+
+        sendWebSocketMessage('OrderReviewPending', {
+            workcenter_id: processOrder.workcenter_id,
+            order_id: processOrder.order_id,
+            snapshot: snapshot.get({ plain: true }),
+        });
+        oeeLogger.info(`OEE result of process order ${processOrder.order_id} is pending review.`);
+        return snapshot.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Failed to create OEE snapshot: ${error.message}`);
+    }
+};
+
+/**
+ * Loads the review of a process order: its status, the OEE snapshot and the signatures.
+ * @param {string} orderId - The ID of the process order.
+ * @returns {Promise<Object>} The review ({ order_id, status, snapshot, signatures }).
+ */
+const getReview = async (orderId) => {
+    if (!validate(orderId)) {
+        throw new Error(`Invalid UUID format: ${orderId}`);
+    }
+    const order = await ProcessOrder.findByPk(orderId);
+    if (!order) {
+        throw new Error(`Process order with ID ${orderId} not found.`);
+    }
+    const [snapshot, signatures] = await Promise.all([
+        OrderOEESnapshot.findOne({ where: { order_id: orderId } }),
+        ElectronicSignature.findAll({ where: { order_id: orderId }, order: [['signed_at', 'ASC']] }),
+    ]);
+
+    return {
+        order_id: orderId,
+        status: order.processorderstatus,
+        snapshot: snapshot
+            ? { ...snapshot.get({ plain: true }), intact: snapshot.content_hash === hashSnapshot(orderId, snapshot.metrics) }
+            : null,
+        signatures: signatures.map(signature => signature.get({ plain: true })),
+    };
+};
+
+/**
+ * Checks whether a user may sign an OEE snapshot: nobody signs twice with the same meaning, and
+ * "approved" requires a "reviewed" signature of another user on the same snapshot content.
+ * @param {Array<Object>} signatures - The existing signatures of the order.
+ * @param {Object} snapshot - The OEE snapshot (order_id, content_hash).
+ * @param {Object} signer - The signing user (user_id, username).
+ * @param {string} meaning - The meaning of the new signature.
+ * @throws {Error} If the signature is not allowed.
+ */
+const checkSignature = (signatures, snapshot, signer, meaning) => {
+    if (signatures.some(signature => signature.user_id === signer.user_id && signature.meaning === meaning)) {
+        throw new Error(`Invalid signature: ${signer.username} already signed process order ${snapshot.order_id} as ${meaning}`);
+    }
+    const reviewed = signatures.some(signature => signature.meaning === 'reviewed'
+        && signature.user_id !== signer.user_id
+        && signature.snapshot_hash === snapshot.content_hash);
+    if (meaning === 'approved' && !reviewed) {
+        throw new Error('Invalid signature: approval requires a review of the current OEE snapshot signed by another user');
+    }
+};
+
+/**
+ * Signs the OEE result of a process order pending review. The signer must enter the password again.
+ * "approved" requires a "reviewed" signature of another user on the same snapshot content,
+ * closes the order and locks the snapshot.
+ * @param {string} orderId - The ID of the process order.
+ * @param {Object} data - The signature ({ password, meaning, comment }).
+ * @param {Object} user - The logged in user (req.user: userId, username, role).
+ * @param {Object} [auditContext] - The user and reason for change for the audit log.
+ * @returns {Promise<Object>} The signature.
+ */
+const signOrder = async (orderId, data, user, auditContext) => {
+    if (!user || !user.userId) {
+        throw new Error('Invalid signer: electronic signatures require a personal user login');
+    }
+    if (!validate(orderId)) {
+        throw new Error(`Invalid UUID format: ${orderId}`);
+    }
+    const signer = await reauthenticate(user.userId, data.password);
+
+    return auditedChange('ElectronicSignature', 'create', auditContext, async (transaction) => {
+        const order = await ProcessOrder.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!order) {
+            throw new Error(`Process order with ID ${orderId} not found.`);
+        }
+        if (order.processorderstatus !== ORDER_STATUS.PENDING_REVIEW) {
+            throw new Error(`Invalid state: process order ${orderId} is not pending review (status ${order.processorderstatus})`);
+        }
+
+        const snapshot = await OrderOEESnapshot.findOne({ where: { order_id: orderId }, transaction });
+        if (!snapshot) {
+            throw new Error(`OEE snapshot of process order ${orderId} not found.`);
+        }
+        if (snapshot.content_hash !== hashSnapshot(orderId, snapshot.metrics)) {
+            throw new Error(`Invalid snapshot: OEE snapshot of process order ${orderId} does not match its hash`);
+        }
+
+        const signatures = await ElectronicSignature.findAll({ where: { order_id: orderId }, transaction });
+        checkSignature(signatures, snapshot, signer, data.meaning);
+
+        const signedAt = new Date();
+        const signature = await ElectronicSignature.create({
+            order_id: orderId,
+            snapshot_id: snapshot.snapshot_id,
+            snapshot_hash: snapshot.content_hash,
+            user_id: signer.user_id,
+            username: signer.username,
+            full_name: [signer.firstName, signer.lastName].filter(Boolean).join(' ') || null,
+            role: user.role,
+            meaning: data.meaning,
+            comment: data.comment || null,
+            signed_at: signedAt,
+            signature_hash: sha256({
+                snapshot_hash: snapshot.content_hash,
+                user_id: signer.user_id,
+                username: signer.username,
+                meaning: data.meaning,
+                signed_at: signedAt.toISOString(),
+            }),
+        }, { transaction });
+
+        if (data.meaning === 'approved') {
+            await snapshot.update({ locked_at: signedAt }, { transaction });
+            const before = order.get({ plain: true });
+            await order.update({ processorderstatus: ORDER_STATUS.CLOSED }, { transaction });
+            await recordAudit({ entity: 'ProcessOrder', entityId: orderId, action: 'update', before, after: order }, auditContext, transaction);
+        }
+
+        oeeLogger.info(`Process order ${orderId} signed as ${data.meaning} by ${signer.username}.`);
+        return { entityId: signature.signature_id, before: null, after: signature, result: signature.get({ plain: true }) };
+    });
+};
+
+/**
+ * Installs a database trigger rejecting changes to signed OEE snapshots and to signatures,
+ * so they cannot be altered by other database clients either.
+ * @returns {Promise<void>}
+ */
+const installImmutabilityTriggers = async () => {
+    await sequelize.query(`
+        CREATE OR REPLACE FUNCTION order_oee_snapshot_immutable() RETURNS trigger AS $$
+        BEGIN
+            IF OLD.locked_at IS NOT NULL THEN
+                RAISE EXCEPTION 'signed OEE snapshots are immutable';
+            END IF;
+            IF TG_OP = 'DELETE' THEN
+                RETURN OLD;
+            END IF;
+            RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+    `);
+    await sequelize.query(`
+        CREATE OR REPLACE FUNCTION electronic_signature_append_only() RETURNS trigger AS $$
+        BEGIN
+            RAISE EXCEPTION 'electronic_signatures is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+    `);
+    await sequelize.query('DROP TRIGGER IF EXISTS order_oee_snapshot_immutable ON order_oee_snapshots;');
+    await sequelize.query('DROP TRIGGER IF EXISTS electronic_signature_append_only ON electronic_signatures;');
+    await sequelize.query(`
+        CREATE TRIGGER order_oee_snapshot_immutable
+        BEFORE UPDATE OR DELETE ON order_oee_snapshots
+        FOR EACH ROW EXECUTE PROCEDURE order_oee_snapshot_immutable();
+    `);
+    await sequelize.query(`
+        CREATE TRIGGER electronic_signature_append_only
+        BEFORE UPDATE OR DELETE ON electronic_signatures
+        FOR EACH ROW EXECUTE PROCEDURE electronic_signature_append_only();
+    `);
+};
+
+module.exports = {
+    ORDER_STATUS,
+    SIGNATURE_MEANINGS,
+    isReviewRequired,
+    isOrderLocked,
+    checkOrderChange,
+    checkStoppageChange,
+    createReviewSnapshot,
+    getReview,
+    checkSignature,
+    signOrder,
+    installImmutabilityTriggers,
+};
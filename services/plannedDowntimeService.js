@@ -4,6 +4,8 @@ const {
   parseDateAsUTC,
   formatDateToUTCString,
 } = require("../utils/dateUtils");
+const { auditedChange } = require("./auditService");
+const { checkStoppageChange } = require("./orderReviewService");
 
 // 1) Hilfsfunktion: Daten parsen, damit sie als UTC-Date in der DB gespeichert werden.
 function parsePlannedDowntimeForDB(plannedDowntime) {
@@ -28,13 +30,17 @@ function formatPlannedDowntimeResponse(plannedDowntime) {
 }
 
 // 3) CREATE
-async function createPlannedDowntime(data) {
+async function createPlannedDowntime(data, auditContext) {
   try {
     // Vor dem Speichern in der DB: parse in UTC-Date-Objekte
     const formattedData = parsePlannedDowntimeForDB(data);
 
-    // Erstelle den neuen Eintrag
-    const newDowntime = await PlannedDowntime.create(formattedData);
+    // Eintrag und Audit-Log in einer Transaktion speichern
+    const newDowntime = await auditedChange("PlannedDowntime", "create", auditContext, async (transaction) => {
+      await checkStoppageChange([formattedData.order_id], { transaction });
+      const created = await PlannedDowntime.create(formattedData, { transaction });
+      return { entityId: created.plannedOrder_ID, before: null, after: created, result: created };
+    });
 
     // Nach dem Speichern: Daten aus DB holen und in UTC-Strings formatieren
     return formatPlannedDowntimeResponse(newDowntime.get());
@@ -71,18 +77,21 @@ async function loadPlannedDowntimeById(id) {
 }
 
 // 6) UPDATE
-async function updatePlannedDowntime(id, data) {
+async function updatePlannedDowntime(id, data, auditContext) {
   try {
-    const downtime = await PlannedDowntime.findByPk(id);
-    if (!downtime) {
-      throw new Error(`PlannedDowntime with ID ${id} not found`);
-    }
-
     // Neue Daten zuerst als UTC-Date-Objekte parsen
     const formattedData = parsePlannedDowntimeForDB(data);
 
-    // Dann updaten
-    await downtime.update(formattedData);
+    const downtime = await auditedChange("PlannedDowntime", "update", auditContext, async (transaction) => {
+      const existing = await PlannedDowntime.findByPk(id, { transaction });
+      if (!existing) {
+        throw new Error(`PlannedDowntime with ID ${id} not found`);
+      }
+      await checkStoppageChange([existing.order_id, formattedData.order_id], { transaction });
+      const before = existing.get({ plain: true });
+      await existing.update(formattedData, { transaction });
+      return { entityId: id, before, after: existing, result: existing };
+    });
 
     // Rückgabe wieder als UTC-Strings
     return formatPlannedDowntimeResponse(downtime.get());
@@ -93,15 +102,18 @@ async function updatePlannedDowntime(id, data) {
 }
 
 // 7) DELETE
-async function deletePlannedDowntime(id) {
+async function deletePlannedDowntime(id, auditContext) {
   try {
-    const downtime = await PlannedDowntime.findByPk(id);
-    if (!downtime) {
-      throw new Error(`PlannedDowntime with ID ${id} not found`);
-    }
-
-    await downtime.destroy();
-    return true;
+    return await auditedChange("PlannedDowntime", "delete", auditContext, async (transaction) => {
+      const downtime = await PlannedDowntime.findByPk(id, { transaction });
+      if (!downtime) {
+        throw new Error(`PlannedDowntime with ID ${id} not found`);
+      }
+      await checkStoppageChange([downtime.order_id], { transaction });
+      const before = downtime.get({ plain: true });
+      await downtime.destroy({ transaction });
+      return { entityId: id, before, after: null, result: true };
+    });
   } catch (error) {
     console.error(`Error deleting PlannedDowntime with ID ${id}:`, error);
     throw error;
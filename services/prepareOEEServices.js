@@ -7,10 +7,14 @@ const {
     loadUnplannedDowntimeData,
     loadMicrostops,
     loadShiftModelData,
+    loadCalendarData,
     filterAndCalculateDurations,
 } = require("../src/dataLoader");
 
 const { oeeLogger, errorLogger } = require("../utils/logger");
+const { getBreakWindows } = require("../utils/shiftUtils");
+const { getNonScheduledWindows } = require("../utils/calendarUtils");
+const { getSpeedLosses } = require("./speedLossService");
 const moment = require("moment-timezone");
 
 // Access environment variables
@@ -57,11 +61,6 @@ async function loadDataAndPrepareOEE(machineId) {
             );
         }
 
-        // Determine the start and end times of the process order in UTC
-        const processOrderStartTime = moment.utc(currentProcessOrder.start_date);
-        const processOrderEndTime = moment.utc(currentProcessOrder.end_date);
-        oeeLogger.debug(`Process order start time: ${processOrderStartTime}`);
-        oeeLogger.debug(`Process order end time: ${processOrderEndTime}`);
         oeeLogger.debug(`Current process order: ${JSON.stringify(currentProcessOrder)}`);
         
         const [
@@ -69,149 +68,234 @@ async function loadDataAndPrepareOEE(machineId) {
             unplannedDowntimeData,
             microstopsData,
             shiftModels, // shiftModels is correctly defined here
+            calendars,
+            speedLossData,
         ] = await Promise.all([
             loadPlannedDowntimeData(),
             loadUnplannedDowntimeData(),
             loadMicrostops(),
             loadShiftModelData(machineId), // shiftModels is correctly loaded here
+            // Without a calendar every shift counts as scheduled
+            loadCalendarData(machineId).catch((error) => {
+                oeeLogger.warn(`No calendar data for machineId ${machineId}: ${error.message}`);
+                return [];
+            }),
+            getSpeedLosses(machineId, currentProcessOrder.start_date, currentProcessOrder.end_date).catch((error) => {
+                oeeLogger.warn(`No speed loss data for machineId ${machineId}: ${error.message}`);
+                return [];
+            }),
         ]);
 
-        // Filter Downtime Data function (for microstops, planned, and unplanned downtimes)
-        const filterDowntimeData = (downtimeData) => {
-            return downtimeData.filter((downtime) => {
-                // Convert the start and end times of the downtime data to UTC
-                const downtimeStart = moment.utc(downtime.start_date);
-                const downtimeEnd = moment.utc(downtime.end_date);
-             
-                // Check if the workcenter matches
-                const isWorkcenterMatch = downtime.workcenter_id && downtime.workcenter_id === machineId;
-                
-                const isAfterStartTime = downtimeEnd.isAfter(processOrderStartTime);  
-                
-                const isBeforeEndTime = downtimeStart.isBefore(processOrderEndTime); 
-                
-                const isValid = isWorkcenterMatch && isAfterStartTime && isBeforeEndTime;
-                
-                return isValid;
-            });
-        };
-
-        const filteredPlannedDowntime = filterDowntimeData(plannedDowntimeData);
-        const filteredUnplannedDowntime = filterDowntimeData(unplannedDowntimeData);
-        const filteredMicrostops = filterDowntimeData(microstopsData);
-
-        // Log the downtime data after filtering for debugging
-        oeeLogger.debug(`Filtered Planned Downtime Data: ${JSON.stringify(filteredPlannedDowntime)}`);
-        oeeLogger.debug(`Filtered Unplanned Downtime Data: ${JSON.stringify(filteredUnplannedDowntime)}`);
-        oeeLogger.debug(`Filtered Microstops Data: ${JSON.stringify(filteredMicrostops)}`);
-
-        // Calculate the durations for OEE calculations
-        const durations = filterAndCalculateDurations(
-            currentProcessOrder,
-            filteredPlannedDowntime,
-            filteredUnplannedDowntime,
-            filteredMicrostops,
-            shiftModels
-        );
-
-        // Log the durations for debugging
-        oeeLogger.debug(`Durations for OEE calculations: ${JSON.stringify(durations)}`);
-
-        // Build the OEEData object with labels and datasets for display in the frontend
-        const OEEData = {
-            labels: [],
-            datasets: [
-                { label: "Production", data: [], backgroundColor: "green" },
-                { label: "Break", data: [], backgroundColor: "blue" },
-                { label: "Unplanned Downtime", data: [], backgroundColor: "red" },
-                { label: "Planned Downtime", data: [], backgroundColor: "orange" },
-                { label: "Microstops", data: [], backgroundColor: "purple" },
-            ],
-            processOrder: currentProcessOrder, // Add the process order data
-        };
-
-        try {
-            // Process the time intervals and assign the data
-            let currentTime = moment(processOrderStartTime).startOf("hour");
-            const orderEnd = moment(processOrderEndTime).endOf("hour");
-
-            while (currentTime.isBefore(orderEnd)) {
-                const nextTime = currentTime.clone().add(1, "hour");
-                if (OEEData.labels.includes(currentTime.toISOString())) {
-                    oeeLogger.warn(
-                        `Duplicate interval detected: ${currentTime.toISOString()} - Skipping this interval.`
-                    );
-                    currentTime = nextTime;
-                    continue;
-                }
-
-                OEEData.labels.push(currentTime.toISOString());
-
-                let productionTime = nextTime.diff(currentTime, "minutes");
-                let breakTime = 0;
-                let unplannedDowntime = 0;
-                let plannedDowntime = 0;
-                let microstopTime = 0;
-
-                try {
-                    // Calculate the various downtimes and breaks
-                    calculateDowntimes(
-                        filteredPlannedDowntime,
-                        filteredUnplannedDowntime,
-                        filteredMicrostops,
-                        shiftModels, // shiftModels is correctly passed here
-                        currentTime,
-                        nextTime,
-                        (planned, unplanned, microstops, breaks) => {
-                            plannedDowntime += planned;
-                            unplannedDowntime += unplanned;
-                            microstopTime += microstops;
-                            breakTime += breaks;
-                        }
-                    );
-                } catch (error) {
-                    oeeLogger.error(`Error calculating downtimes for interval ${currentTime.format("HH:mm")} - ${nextTime.format("HH:mm")}: ${error.message}`);
-                    throw error;
-                }
+        const OEEData = prepareOEEData(currentProcessOrder, machineId, {
+            plannedDowntimeData,
+            unplannedDowntimeData,
+            microstopsData,
+            shiftModels,
+            calendars,
+            speedLossData,
+        });
 
-                const totalNonProductionTime =
-                    breakTime + unplannedDowntime + plannedDowntime + microstopTime;
-                productionTime = Math.max(0, productionTime - totalNonProductionTime);
+        // Store the data in the cache and return it
+        cache[machineId] = OEEData;
 
-                oeeLogger.debug(
-                    `Interval ${currentTime.format("HH:mm")} - ${nextTime.format("HH:mm")}:`
-                );
-                oeeLogger.debug(`  Production time: ${productionTime} minutes`);
-                oeeLogger.debug(`  Break time: ${breakTime} minutes`);
-                oeeLogger.debug(`  Unplanned downtime: ${unplannedDowntime} minutes`);
-                oeeLogger.debug(`  Planned downtime: ${plannedDowntime} minutes`);
-                oeeLogger.debug(`  Microstop time: ${microstopTime} minutes`);
+        return OEEData;
+    } catch (error) {
+        errorLogger.error(
+            `Error loading or preparing OEE data: ${error.message}`
+        );
+        throw error;
+    }
+}
 
-                OEEData.datasets[0].data.push(productionTime);
-                OEEData.datasets[1].data.push(breakTime);
-                OEEData.datasets[2].data.push(unplannedDowntime);
-                OEEData.datasets[3].data.push(plannedDowntime);
-                OEEData.datasets[4].data.push(microstopTime);
+/**
+ * Builds the hourly OEE timeline (production, breaks and downtimes) for a process order.
+ * Used for the running order as well as for the recalculation of past orders.
+ *
+ * @function prepareOEEData
+ * @param {Object} processOrder - The process order to build the timeline for.
+ * @param {string} machineId - The ID of the machine the order runs on.
+ * @param {Object} data - The raw data the timeline is built from.
+ * @param {Array} data.plannedDowntimeData - Planned downtime entries.
+ * @param {Array} data.unplannedDowntimeData - Unplanned downtime entries.
+ * @param {Array} data.microstopsData - Microstop entries.
+ * @param {Array} data.shiftModels - Shift models of the machine.
+ * @param {Array} [data.calendars] - Shift calendars of the machine; holidays, closures and unscheduled shifts become non-scheduled time.
+ * @param {Array} [data.speedLossData] - Intervals with a cycle time outside the Tact range. Speed losses occur
+ *   during production, so they are shown as a separate dataset and not subtracted from the production time.
+ * @param {Object} [timeWindow] - Optional time window, defaults to the planned start and end of the order.
+ * @param {string|Date} [timeWindow.start] - Start of the time window.
+ * @param {string|Date} [timeWindow.end] - End of the time window.
+ * @returns {Object} The OEE data with labels, datasets, speed loss intervals, non-scheduled windows and the process order.
+ */
+function prepareOEEData(processOrder, machineId, data, timeWindow = {}) {
+    const { plannedDowntimeData, unplannedDowntimeData, microstopsData, shiftModels, calendars = [], speedLossData = [] } = data;
+
+    // Determine the start and end times of the process order in UTC
+    const processOrderStartTime = moment.utc(timeWindow.start || processOrder.start_date);
+    const processOrderEndTime = moment.utc(timeWindow.end || processOrder.end_date);
+    oeeLogger.debug(`Process order start time: ${processOrderStartTime}`);
+    oeeLogger.debug(`Process order end time: ${processOrderEndTime}`);
+
+    // Filter Downtime Data function (for microstops, planned, and unplanned downtimes)
+    const filterDowntimeData = (downtimeData) => {
+        return downtimeData.filter((downtime) => {
+            // Convert the start and end times of the downtime data to UTC
+            const downtimeStart = moment.utc(downtime.start_date);
+            const downtimeEnd = moment.utc(downtime.end_date);
+         
+            // Check if the workcenter matches
+            const isWorkcenterMatch = downtime.workcenter_id && downtime.workcenter_id === machineId;
+            
+            const isAfterStartTime = downtimeEnd.isAfter(processOrderStartTime);  
+            
+            const isBeforeEndTime = downtimeStart.isBefore(processOrderEndTime); 
+            
+            return isWorkcenterMatch && isAfterStartTime && isBeforeEndTime;
+        });
+    };
+
+    const filteredPlannedDowntime = filterDowntimeData(plannedDowntimeData);
+    const filteredUnplannedDowntime = filterDowntimeData(unplannedDowntimeData);
+    const filteredMicrostops = filterDowntimeData(microstopsData);
+    const filteredSpeedLosses = filterDowntimeData(speedLossData);
+
+    // Log the downtime data after filtering for debugging
+    oeeLogger.debug(`Filtered Planned Downtime Data: ${JSON.stringify(filteredPlannedDowntime)}`);
+    oeeLogger.debug(`Filtered Unplanned Downtime Data: ${JSON.stringify(filteredUnplannedDowntime)}`);
+    oeeLogger.debug(`Filtered Microstops Data: ${JSON.stringify(filteredMicrostops)}`);
+
+    // Calculate the durations for OEE calculations
+    const durations = filterAndCalculateDurations(
+        processOrder,
+        filteredPlannedDowntime,
+        filteredUnplannedDowntime,
+        filteredMicrostops,
+        shiftModels
+    );
+
+    // Log the durations for debugging
+    oeeLogger.debug(`Durations for OEE calculations: ${JSON.stringify(durations)}`);
+
+    // Build the OEEData object with labels and datasets for display in the frontend
+    const OEEData = {
+        labels: [],
+        datasets: [
+            { label: "Production", data: [], backgroundColor: "green" },
+            { label: "Break", data: [], backgroundColor: "blue" },
+            { label: "Unplanned Downtime", data: [], backgroundColor: "red" },
+            { label: "Planned Downtime", data: [], backgroundColor: "orange" },
+            { label: "Microstops", data: [], backgroundColor: "purple" },
+            { label: "Non-Scheduled", data: [], backgroundColor: "grey" },
+            { label: "Speed Loss", data: [], backgroundColor: "yellow" },
+        ],
+        speedLosses: filteredSpeedLosses.map((speedLoss) => ({
+            start_date: speedLoss.start_date,
+            end_date: speedLoss.end_date,
+            loss_type: speedLoss.loss_type,
+            actual_takt: speedLoss.actual_takt,
+            soll_min: speedLoss.soll_min,
+            soll_max: speedLoss.soll_max,
+            loss_time: speedLoss.loss_time,
+        })),
+        processOrder, // Add the process order data
+    };
+
+    // Holidays, closures, shifts not worked according to the shift calendar and the gaps between shifts.
+    // Besides the timeline they cover the elapsed run of the order, which may start before or run past the plan.
+    const { actualprocessorderstart, actualprocessorderend } = processOrder;
+    const elapsedStart = actualprocessorderstart ? moment.utc(actualprocessorderstart) : processOrderStartTime;
+    const elapsedEnd = actualprocessorderend
+        ? moment.utc(actualprocessorderend)
+        : actualprocessorderstart ? moment.utc() : processOrderEndTime;
+    const nonScheduledWindows = getNonScheduledWindows(
+        calendars,
+        shiftModels,
+        moment.min(moment(processOrderStartTime).startOf("hour"), elapsedStart),
+        moment.max(moment(processOrderEndTime).endOf("hour"), elapsedEnd)
+    );
+    oeeLogger.debug(`Non-scheduled windows: ${JSON.stringify(nonScheduledWindows)}`);
+    // Exact windows for the planned production time, the hourly dataset is only for display
+    OEEData.nonScheduledWindows = nonScheduledWindows.map(({ start, end }) => ({
+        start: start.toISOString(),
+        end: end.toISOString(),
+    }));
+
+    // Process the time intervals and assign the data
+    let currentTime = moment(processOrderStartTime).startOf("hour");
+    const orderEnd = moment(processOrderEndTime).endOf("hour");
+
+    while (currentTime.isBefore(orderEnd)) {
+        const nextTime = currentTime.clone().add(1, "hour");
+        if (OEEData.labels.includes(currentTime.toISOString())) {
+            oeeLogger.warn(
+                `Duplicate interval detected: ${currentTime.toISOString()} - Skipping this interval.`
+            );
+            currentTime = nextTime;
+            continue;
+        }
 
-                currentTime = nextTime;
-            }
+        OEEData.labels.push(currentTime.toISOString());
 
-            // Store the data in the cache and return it
-            cache[machineId] = OEEData;
+        let productionTime = nextTime.diff(currentTime, "minutes");
+        let breakTime = 0;
+        let unplannedDowntime = 0;
+        let plannedDowntime = 0;
+        let microstopTime = 0;
+        let nonScheduledTime = 0;
 
-            return OEEData;
-        } catch (error) {
-            errorLogger.error(
-                `Error loading or preparing OEE data: ${error.message}`
+        try {
+            // Calculate the various downtimes and breaks
+            calculateDowntimes(
+                filteredPlannedDowntime,
+                filteredUnplannedDowntime,
+                filteredMicrostops,
+                shiftModels,
+                nonScheduledWindows,
+                currentTime,
+                nextTime,
+                (planned, unplanned, microstops, breaks, nonScheduled) => {
+                    plannedDowntime += planned;
+                    unplannedDowntime += unplanned;
+                    microstopTime += microstops;
+                    breakTime += breaks;
+                    nonScheduledTime += nonScheduled;
+                }
             );
+        } catch (error) {
+            oeeLogger.error(`Error calculating downtimes for interval ${currentTime.format("HH:mm")} - ${nextTime.format("HH:mm")}: ${error.message}`);
             throw error;
         }
-    } catch (error) {
-        errorLogger.error(
-            `Error loading or preparing OEE data: ${error.message}`
+
+        const totalNonProductionTime =
+            breakTime + unplannedDowntime + plannedDowntime + microstopTime + nonScheduledTime;
+        productionTime = Math.max(0, productionTime - totalNonProductionTime);
+        // Speed loss is running time lost to a slow cycle, it is taken from the production time of the same hour
+        const speedLossTime = Math.min(productionTime, calculateSpeedLossTime(filteredSpeedLosses, currentTime, nextTime));
+        productionTime -= speedLossTime;
+
+        oeeLogger.debug(
+            `Interval ${currentTime.format("HH:mm")} - ${nextTime.format("HH:mm")}:`
         );
-        throw error;
+        oeeLogger.debug(`  Production time: ${productionTime} minutes`);
+        oeeLogger.debug(`  Break time: ${breakTime} minutes`);
+        oeeLogger.debug(`  Unplanned downtime: ${unplannedDowntime} minutes`);
+        oeeLogger.debug(`  Planned downtime: ${plannedDowntime} minutes`);
+        oeeLogger.debug(`  Microstop time: ${microstopTime} minutes`);
+        oeeLogger.debug(`  Non-scheduled time: ${nonScheduledTime} minutes`);
+        oeeLogger.debug(`  Speed loss time: ${speedLossTime} minutes`);
+
+        OEEData.datasets[0].data.push(productionTime);
+        OEEData.datasets[1].data.push(breakTime);
+        OEEData.datasets[2].data.push(unplannedDowntime);
+        OEEData.datasets[3].data.push(plannedDowntime);
+        OEEData.datasets[4].data.push(microstopTime);
+        OEEData.datasets[5].data.push(nonScheduledTime);
+        OEEData.datasets[6].data.push(speedLossTime);
+
+        currentTime = nextTime;
     }
+
+    return OEEData;
 }
 
 /**
@@ -222,6 +306,7 @@ async function loadDataAndPrepareOEE(machineId) {
  * @param {Array} unplannedDowntimes - Array of unplanned downtime objects.
  * @param {Array} microstops - Array of microstop objects.
  * @param {Array} shiftModels - Array of shift model objects.
+ * @param {Array} nonScheduledWindows - Non-scheduled time windows from the shift calendars.
  * @param {Object} currentTime - The current time moment object.
  * @param {Object} nextTime - The next time moment object.
  * @param {Function} callback - Callback function to return the calculated downtimes and breaks.
@@ -231,6 +316,7 @@ function calculateDowntimes(
     unplannedDowntimes,
     microstops,
     shiftModels, // shiftModels is correctly defined here
+    nonScheduledWindows,
     currentTime,
     nextTime,
     callback
@@ -239,6 +325,12 @@ function calculateDowntimes(
     let unplannedDowntime = 0;
     let microstopTime = 0;
     let breakTime = 0;
+    let nonScheduledTime = 0;
+
+    // Calculate non-scheduled time (holidays, closures, shifts not worked)
+    nonScheduledWindows.forEach(({ start, end }) => {
+        nonScheduledTime += calculateOverlap(currentTime, nextTime, start, end);
+    });
 
     // Calculate planned downtimes
     plannedDowntimes.forEach((downtime) => {
@@ -267,34 +359,43 @@ function calculateDowntimes(
         }
     });
 
-    // Calculate breaks based on the shift model
-    shiftModels.forEach((shift) => {
-        const shiftStartDate = moment(currentTime).format("YYYY-MM-DD");
-        const breakStart = moment.utc(
-            `${shiftStartDate} ${shift.break_start}`,
-            "YYYY-MM-DD HH:mm"
-        );
-        const breakEnd = moment.utc(
-            `${shiftStartDate} ${shift.break_end}`,
-            "YYYY-MM-DD HH:mm"
-        );
-
-        // Adjust for overnight shifts
-        if (breakEnd.isBefore(breakStart)) {
-            breakEnd.add(1, "day");
-        }
-
-        if (currentTime.isBefore(breakEnd) && nextTime.isAfter(breakStart)) {
-            breakTime += calculateOverlap(
-                currentTime,
-                nextTime,
-                breakStart,
-                breakEnd
+    // Calculate breaks based on the shift models (all breaks, including shifts crossing midnight)
+    // Breaks in non-scheduled time are not counted twice
+    getBreakWindows(shiftModels, currentTime, nextTime).forEach(({ start, end }) => {
+        breakTime += calculateOverlap(currentTime, nextTime, start, end);
+        nonScheduledWindows.forEach((window) => {
+            breakTime -= calculateOverlap(
+                moment.max(currentTime, start),
+                moment.min(nextTime, end),
+                window.start,
+                window.end
             );
-        }
+        });
     });
 
-    callback(plannedDowntime, unplannedDowntime, microstopTime, breakTime);
+    callback(plannedDowntime, unplannedDowntime, microstopTime, breakTime, nonScheduledTime);
+}
+
+/**
+ * Calculates the speed loss minutes within a time interval. The loss time of a speed loss
+ * is distributed evenly over its duration.
+ *
+ * @function calculateSpeedLossTime
+ * @param {Array} speedLosses - Array of speed loss objects.
+ * @param {Object} currentTime - The current time moment object.
+ * @param {Object} nextTime - The next time moment object.
+ * @returns {number} The speed loss duration in minutes.
+ */
+function calculateSpeedLossTime(speedLosses, currentTime, nextTime) {
+    return speedLosses.reduce((total, speedLoss) => {
+        const lossStart = moment.utc(speedLoss.start_date);
+        const lossEnd = moment.utc(speedLoss.end_date);
+        const duration = lossEnd.diff(lossStart, "minutes");
+        if (duration <= 0) {
+            return total;
+        }
+        return total + (speedLoss.loss_time || 0) * (calculateOverlap(currentTime, nextTime, lossStart, lossEnd) / duration);
+    }, 0);
 }
 
 /**
@@ -315,4 +416,5 @@ function calculateOverlap(startTime, endTime, eventStart, eventEnd) {
 
 module.exports = {
     loadDataAndPrepareOEE,
+    prepareOEEData,
 };
\ No newline at end of file
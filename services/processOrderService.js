@@ -1,6 +1,8 @@
 // controllers/processOrder.controller.js
 const processOrderRepository = require('../repositories/ProcessOrderRepository');
 const { oeeLogger } = require("../src/header");
+const { auditedChange } = require("./auditService");
+const { checkOrderChange } = require("./orderReviewService");
 
 // Importiere die zentralen Hilfsfunktionen
 const {
@@ -83,13 +85,16 @@ async function loadProcessOrderById(id) {
 /**
  * Erstellt eine neue Process Order in der DB (Daten im UTC-Format).
  */
-async function createProcessOrder(processOrderData) {
+async function createProcessOrder(processOrderData, auditContext) {
   try {
     // Datumfelder in UTC-Date-Objekte
     const formattedData = parseDatesForDB(processOrderData);
 
-    // Speichere in DB
-    const newOrder = await processOrderRepository.create(formattedData);
+    // Speichere in DB, zusammen mit dem Audit-Log
+    const newOrder = await auditedChange("ProcessOrder", "create", auditContext, async (transaction) => {
+      const created = await processOrderRepository.create(formattedData, { transaction });
+      return { entityId: created.order_id, before: null, after: created, result: created };
+    });
 
     // Rückgabe wieder im UTC-String-Format
     const data = newOrder.dataValues || newOrder;
@@ -103,10 +108,16 @@ async function createProcessOrder(processOrderData) {
 /**
  * Aktualisiert eine bestehende Process Order (Daten im UTC-Format).
  */
-async function updateProcessOrder(id, updatedData) {
+async function updateProcessOrder(id, updatedData, auditContext) {
   try {
     const formattedData = parseDatesForDB(updatedData);
-    const updatedOrder = await processOrderRepository.update(id, formattedData);
+    const updatedOrder = await auditedChange("ProcessOrder", "update", auditContext, async (transaction) => {
+      const before = (await processOrderRepository.getById(id, { transaction })).get({ plain: true });
+      // Orders are closed by the approval signature only, signed orders stay unchanged
+      await checkOrderChange(before, formattedData, { transaction });
+      const updated = await processOrderRepository.update(id, formattedData, { transaction });
+      return { entityId: id, before, after: updated, result: updated };
+    });
     if (!updatedOrder) {
       throw new Error(`Process order with ID ${id} not found`);
     }
@@ -121,9 +132,14 @@ async function updateProcessOrder(id, updatedData) {
 /**
  * Löscht eine Process Order.
  */
-async function deleteProcessOrder(id) {
+async function deleteProcessOrder(id, auditContext) {
   try {
-    return await processOrderRepository.delete(id);
+    return await auditedChange("ProcessOrder", "delete", auditContext, async (transaction) => {
+      const before = (await processOrderRepository.getById(id, { transaction })).get({ plain: true });
+      await checkOrderChange(before, {}, { transaction });
+      const deleted = await processOrderRepository.delete(id, { transaction });
+      return { entityId: id, before, after: null, result: deleted };
+    });
   } catch (error) {
     console.error(`Error deleting process order with ID ${id}: ${error.message}`);
     throw error;
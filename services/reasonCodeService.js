@@ -0,0 +1,349 @@
+const { validate } = require('uuid');
+const { ReasonCode, DowntimeReason, Microstop, WorkCenter } = require('../models');
+const { oeeLogger } = require('../utils/logger');
+const { auditedChange } = require('./auditService');
+
+// Levels of the reason-code tree, a node is one level below its parent
+const REASON_LEVELS = ['category', 'reason', 'detail'];
+
+// Placeholder of records that were not classified yet (e.g. microstops from the unhold command)
+const UNCLASSIFIED_REASON = 'TBD';
+
+/**
+ * Loads a reason code instance or throws if it does not exist.
+ * @param {string} id - The UUID of the reason code.
+ * @param {Object} [transaction] - The transaction to read the reason code in.
+ * @returns {Promise<Object>} The Sequelize instance of the reason code.
+ */
+const findReasonCode = async (id, transaction) => {
+    if (!validate(id)) {
+        throw new Error(`Invalid UUID format: ${id}`);
+    }
+    const reasonCode = await ReasonCode.findByPk(id, { transaction });
+    if (!reasonCode) {
+        throw new Error(`Reason code with ID ${id} not found.`);
+    }
+    return reasonCode;
+};
+
+/**
+ * Checks whether a node is assigned to a workcenter. Nodes without workcenter and area apply to all workcenters.
+ * @param {Object} node - The reason code.
+ * @param {Object|null} workCenter - The workcenter (workcenter_id, area), null if unknown.
+ * @returns {boolean} True if the node applies to the workcenter.
+ */
+const appliesTo = (node, workCenter) => {
+    if (node.workcenter_id && (!workCenter || node.workcenter_id !== workCenter.workcenter_id)) {
+        return false;
+    }
+    if (node.area && (!workCenter || node.area !== workCenter.area)) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Loads all reason codes that can be assigned on a workcenter. A node is assignable if it
+ * and all its ancestors are active and apply to the workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<Array<Object>>} The assignable reason codes as plain objects.
+ */
+const loadAssignableReasonCodes = async (workcenterId) => {
+    const [nodes, workCenter] = await Promise.all([
+        ReasonCode.findAll({ order: [['sort_order', 'ASC'], ['code', 'ASC']] }),
+        workcenterId && validate(workcenterId) ? WorkCenter.findByPk(workcenterId) : null,
+    ]);
+    const byId = new Map(nodes.map(node => [node.reason_code_id, node.get({ plain: true })]));
+
+    const isAssignable = (node) => {
+        for (let current = node; current; current = current.parent_id ? byId.get(current.parent_id) : null) {
+            if (!current.active || !appliesTo(current, workCenter)) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    return [...byId.values()].filter(isAssignable);
+};
+
+/**
+ * Builds the tree of a flat list of reason codes. Colors are inherited from the parent.
+ * @param {Array<Object>} nodes - The reason codes.
+ * @returns {Array<Object>} The categories with their children.
+ */
+const buildTree = (nodes) => {
+    const byId = new Map(nodes.map(node => [node.reason_code_id, { ...node, children: [] }]));
+    const roots = [];
+    for (const node of byId.values()) {
+        const parent = node.parent_id ? byId.get(node.parent_id) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else if (!node.parent_id) {
+            roots.push(node);
+        }
+    }
+    const inheritColor = (node, color) => {
+        node.color = node.color || color;
+        node.children.forEach(child => inheritColor(child, node.color));
+    };
+    roots.forEach(root => inheritColor(root, null));
+    return roots;
+};
+
+/**
+ * Retrieves all reason codes.
+ * @param {Object} [filters] - Optional filters (workcenter_id, area, active).
+ * @returns {Promise<Array>} List of reason codes.
+ */
+const getAll = async (filters = {}) => {
+    try {
+        const where = {};
+        ['workcenter_id', 'area', 'active'].forEach((field) => {
+            if (filters[field] !== undefined) {
+                where[field] = filters[field];
+            }
+        });
+        const reasonCodes = await ReasonCode.findAll({ where, order: [['sort_order', 'ASC'], ['code', 'ASC']] });
+        return reasonCodes.map(reasonCode => reasonCode.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to retrieve reason codes: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the reason-code tree. With a workcenter only the codes assignable on it are included.
+ * @param {string} [workcenterId] - The ID of the workcenter.
+ * @returns {Promise<Array>} The categories with their reasons and details.
+ */
+const getTree = async (workcenterId) => {
+    try {
+        const nodes = workcenterId ? await loadAssignableReasonCodes(workcenterId) : await getAll();
+        return buildTree(nodes);
+    } catch (error) {
+        throw new Error(`Failed to retrieve reason-code tree: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves a single reason code by its ID.
+ * @param {string} id - The UUID of the reason code.
+ * @returns {Promise<Object>} The reason code.
+ */
+const getById = async (id) => {
+    try {
+        const reasonCode = await findReasonCode(id);
+        return reasonCode.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Error fetching reason code with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Creates a new reason code. The level follows from the parent.
+ * @param {Object} data - Data for the new reason code.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The created reason code.
+ */
+const create = async (data, auditContext) => {
+    try {
+        let level = REASON_LEVELS[0];
+        if (data.parent_id) {
+            const parent = await findReasonCode(data.parent_id);
+            level = REASON_LEVELS[REASON_LEVELS.indexOf(parent.level) + 1];
+            if (!level) {
+                throw new Error(`Invalid parent: ${parent.code} is a detail and cannot have children`);
+            }
+        }
+        if (await ReasonCode.findOne({ where: { code: data.code } })) {
+            throw new Error(`Invalid code: ${data.code} already exists`);
+        }
+        const reasonCode = await auditedChange('ReasonCode', 'create', auditContext, async (transaction) => {
+            const created = await ReasonCode.create({ ...data, level }, { transaction });
+            return { entityId: created.reason_code_id, before: null, after: created, result: created };
+        });
+        return reasonCode.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Failed to create reason code: ${error.message}`);
+    }
+};
+
+/**
+ * Updates an existing reason code. The position in the tree and the code cannot be changed:
+ * microstops store the code, a renamed code would no longer match them.
+ * @param {string} id - The UUID of the reason code.
+ * @param {Object} data - The data to update the reason code with.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The updated reason code.
+ */
+const update = async (id, data, auditContext) => {
+    try {
+        const reasonCode = await auditedChange('ReasonCode', 'update', auditContext, async (transaction) => {
+            const existing = await findReasonCode(id, transaction);
+            if (data.code !== undefined && data.code !== existing.code) {
+                throw new Error(`Invalid code: ${existing.code} cannot be changed, create a new code and deactivate this one instead`);
+            }
+            const before = existing.get({ plain: true });
+            await existing.update(data, { transaction });
+            return { entityId: id, before, after: existing, result: existing };
+        });
+        return reasonCode.get({ plain: true });
+    } catch (error) {
+        throw new Error(`Failed to update reason code with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes a reason code. Codes with children or referenced by records must be deactivated instead.
+ * @param {string} id - The UUID of the reason code.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<boolean>} True if deleted successfully.
+ */
+const deleteReasonCode = async (id, auditContext) => {
+    try {
+        return await auditedChange('ReasonCode', 'delete', auditContext, async (transaction) => {
+            const reasonCode = await findReasonCode(id, transaction);
+            if (await ReasonCode.count({ where: { parent_id: id }, transaction }) > 0) {
+                throw new Error(`Invalid operation: reason code ${reasonCode.code} has children`);
+            }
+            const references = await DowntimeReason.count({ where: { reason_code_id: id }, transaction })
+                + await Microstop.count({ where: { reason: reasonCode.code }, transaction });
+            if (references > 0) {
+                throw new Error(`Invalid operation: reason code ${reasonCode.code} is in use, deactivate it instead`);
+            }
+            const before = reasonCode.get({ plain: true });
+            await reasonCode.destroy({ transaction });
+            return { entityId: id, before, after: null, result: true };
+        });
+    } catch (error) {
+        throw new Error(`Failed to delete reason code with ID ${id}: ${error.message}`);
+    }
+};
+
+/**
+ * Resolves a reference (code or UUID) to a reason code assignable on a workcenter.
+ * @param {string} reference - The code or UUID of the reason code.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<Object|null>} The reason code or null if it is unknown, inactive or not assigned to the workcenter.
+ */
+const resolveReasonCode = async (reference, workcenterId) => {
+    const assignable = await loadAssignableReasonCodes(workcenterId);
+    return assignable.find(node => node.code === reference || node.reason_code_id === reference) || null;
+};
+
+/**
+ * Finds an assignable reason code of a workcenter by its description, as sent by the old rating labels.
+ * @param {string} description - The description of the reason code.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<Object|null>} The reason code or null if none matches.
+ */
+const findReasonCodeByDescription = async (description, workcenterId) => {
+    const assignable = await loadAssignableReasonCodes(workcenterId);
+    const normalized = String(description).toLowerCase();
+    return assignable.find(node => node.description.toLowerCase() === normalized) || null;
+};
+
+/**
+ * Validates that a downtime or microstop references a valid reason code of its workcenter.
+ * @param {string} reference - The code or UUID of the reason code.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} [options] - allowUnclassified accepts the placeholder of unclassified records.
+ * @returns {Promise<Object|null>} The reason code, null for the unclassified placeholder.
+ * @throws {Error} If the reference is not a valid reason code of the workcenter.
+ */
+const validateReasonCode = async (reference, workcenterId, { allowUnclassified = false } = {}) => {
+    if (allowUnclassified && reference === UNCLASSIFIED_REASON) {
+        return null;
+    }
+    const reasonCode = await resolveReasonCode(reference, workcenterId);
+    if (!reasonCode) {
+        throw new Error(`Invalid reason code: ${reference} is not an active reason code of workcenter ${workcenterId}`);
+    }
+    return reasonCode;
+};
+
+/**
+ * Assigns a reason code to a planned or unplanned downtime.
+ * @param {string} downtimeId - The plannedOrder_ID of the downtime.
+ * @param {string} downtimeType - planned or unplanned.
+ * @param {Object} reasonCode - The validated reason code.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Object} [options] - The transaction of the assignment.
+ * @returns {Promise<void>}
+ */
+const assignDowntimeReason = async (downtimeId, downtimeType, reasonCode, workcenterId, { transaction } = {}) => {
+    try {
+        await DowntimeReason.upsert({
+            downtime_id: downtimeId,
+            downtime_type: downtimeType,
+            reason_code_id: reasonCode.reason_code_id,
+            workcenter_id: workcenterId,
+            assigned_at: new Date(),
+        }, { transaction });
+    } catch (error) {
+        throw new Error(`Failed to assign reason code to downtime ${downtimeId}: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the reason code assigned to a downtime.
+ * @param {string} downtimeId - The plannedOrder_ID of the downtime.
+ * @param {Object} [options] - The transaction of the lookup.
+ * @returns {Promise<Object|null>} The reason code or null if none is assigned.
+ */
+const getDowntimeReason = async (downtimeId, { transaction } = {}) => {
+    try {
+        const assignment = await DowntimeReason.findByPk(downtimeId, { transaction });
+        if (!assignment) {
+            return null;
+        }
+        const reasonCode = await ReasonCode.findByPk(assignment.reason_code_id, { transaction });
+        return reasonCode ? reasonCode.get({ plain: true }) : null;
+    } catch (error) {
+        throw new Error(`Failed to retrieve reason code of downtime ${downtimeId}: ${error.message}`);
+    }
+};
+
+/**
+ * Migrates the flat ratings of config.json into the reason-code tree as categories.
+ * Only runs while the tree is empty; the rating IDs are kept as reason code IDs.
+ * @param {Array<Object>} ratings - The ratings (id, description, color).
+ * @returns {Promise<number>} The number of migrated ratings.
+ */
+const migrateRatings = async (ratings = []) => {
+    try {
+        if (await ReasonCode.count() > 0) {
+            return 0;
+        }
+        const categories = ratings.map((rating, index) => ({
+            reason_code_id: validate(String(rating.id)) ? rating.id : undefined,
+            level: 'category',
+            code: rating.description.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, ''),
+            description: rating.description,
+            color: rating.color,
+            sort_order: index,
+        }));
+        await ReasonCode.bulkCreate(categories);
+        oeeLogger.info(`Migrated ${categories.length} ratings into the reason-code tree.`);
+        return categories.length;
+    } catch (error) {
+        throw new Error(`Failed to migrate ratings into reason codes: ${error.message}`);
+    }
+};
+
+module.exports = {
+    REASON_LEVELS,
+    UNCLASSIFIED_REASON,
+    getAll,
+    getTree,
+    getById,
+    create,
+    update,
+    delete: deleteReasonCode,
+    resolveReasonCode,
+    findReasonCodeByDescription,
+    validateReasonCode,
+    assignDowntimeReason,
+    getDowntimeReason,
+    migrateRatings,
+};
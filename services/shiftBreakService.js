@@ -0,0 +1,118 @@
+const { validate } = require('uuid');  // Importiere die validate-Funktion
+const { ShiftModel, ShiftBreak } = require('../models');
+const { auditedChange } = require('./auditService');
+
+/**
+ * Ensures that the given shift model exists.
+ * @param {string} shiftId - The UUID of the ShiftModel.
+ * @returns {Promise<void>}
+ * @throws {Error} If the ID is invalid or the shift model does not exist.
+ */
+const ensureShiftModelExists = async (shiftId) => {
+    if (!validate(shiftId)) {
+        throw new Error(`Invalid UUID format: ${shiftId}`);
+    }
+    const shiftModel = await ShiftModel.findByPk(shiftId);
+    if (!shiftModel) {
+        throw new Error(`Shift model with ID ${shiftId} not found.`);
+    }
+};
+
+/**
+ * Retrieves all breaks of a ShiftModel ordered by start time.
+ * @param {string} shiftId - The UUID of the ShiftModel.
+ * @returns {Promise<Array>} List of the breaks of the shift model.
+ */
+const getByShiftId = async (shiftId) => {
+    try {
+        await ensureShiftModelExists(shiftId);
+        const shiftBreaks = await ShiftBreak.findAll({
+            where: { shift_id: shiftId },
+            order: [['break_start', 'ASC']],
+        });
+        return shiftBreaks.map(shiftBreak => shiftBreak.dataValues);
+    } catch (error) {
+        throw new Error(`Failed to retrieve breaks of shift model ${shiftId}: ${error.message}`);
+    }
+};
+
+/**
+ * Creates a new break for a ShiftModel.
+ * @param {string} shiftId - The UUID of the ShiftModel.
+ * @param {Object} data - Data for the new break (break_start, break_end, break_name).
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The created break.
+ */
+const create = async (shiftId, data, auditContext) => {
+    try {
+        await ensureShiftModelExists(shiftId);
+        const newShiftBreak = await auditedChange('ShiftBreak', 'create', auditContext, async (transaction) => {
+            const created = await ShiftBreak.create({ ...data, shift_id: shiftId }, { transaction });
+            return { entityId: created.break_id, before: null, after: created, result: created };
+        });
+        return newShiftBreak.dataValues;
+    } catch (error) {
+        throw new Error(`Failed to create break for shift model ${shiftId}: ${error.message}`);
+    }
+};
+
+/**
+ * Updates a break of a ShiftModel.
+ * @param {string} shiftId - The UUID of the ShiftModel.
+ * @param {string} breakId - The UUID of the break.
+ * @param {Object} data - The data to update the break with.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<Object>} The updated break.
+ */
+const update = async (shiftId, breakId, data, auditContext) => {
+    try {
+        if (!validate(breakId)) {
+            throw new Error(`Invalid UUID format: ${breakId}`);
+        }
+        const updatedShiftBreak = await auditedChange('ShiftBreak', 'update', auditContext, async (transaction) => {
+            const shiftBreak = await ShiftBreak.findOne({ where: { break_id: breakId, shift_id: shiftId }, transaction });
+            if (!shiftBreak) {
+                throw new Error(`Break with ID ${breakId} not found.`);
+            }
+            const before = shiftBreak.get({ plain: true });
+            await shiftBreak.update(data, { transaction });
+            return { entityId: breakId, before, after: shiftBreak, result: shiftBreak };
+        });
+        return updatedShiftBreak.dataValues;
+    } catch (error) {
+        throw new Error(`Failed to update break with ID ${breakId}: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes a break of a ShiftModel.
+ * @param {string} shiftId - The UUID of the ShiftModel.
+ * @param {string} breakId - The UUID of the break.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
+ * @returns {Promise<boolean>} True if deleted successfully.
+ */
+const deleteShiftBreak = async (shiftId, breakId, auditContext) => {
+    try {
+        if (!validate(breakId)) {
+            throw new Error(`Invalid UUID format: ${breakId}`);
+        }
+        return await auditedChange('ShiftBreak', 'delete', auditContext, async (transaction) => {
+            const shiftBreak = await ShiftBreak.findOne({ where: { break_id: breakId, shift_id: shiftId }, transaction });
+            if (!shiftBreak) {
+                throw new Error(`Break with ID ${breakId} not found.`);
+            }
+            const before = shiftBreak.get({ plain: true });
+            await shiftBreak.destroy({ transaction });
+            return { entityId: breakId, before, after: null, result: true };
+        });
+    } catch (error) {
+        throw new Error(`Failed to delete break with ID ${breakId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    getByShiftId,
+    create,
+    update,
+    delete: deleteShiftBreak,
+};
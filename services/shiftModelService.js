@@ -1,5 +1,9 @@
 const { v4: uuidv4, validate } = require('uuid');  // Importiere uuid und validate-Funktion
-const { ShiftModel } = require('../models');  // Importiere das ShiftModel
+const { ShiftModel, ShiftBreak } = require('../models');  // Importiere das ShiftModel und die Pausen
+const { auditedChange } = require('./auditService');
+
+// Pausen werden immer mit dem Schichtmodell ausgeliefert
+const breaksInclude = { model: ShiftBreak, as: 'breaks' };
 
 /**
  * Retrieves all ShiftModel records from the database.
@@ -7,8 +11,8 @@ const { ShiftModel } = require('../models');  // Importiere das ShiftModel
  */
 const getAll = async () => {
     try {
-        const shiftModels = await ShiftModel.findAll();  // Alle Schichtmodelle aus der Datenbank abrufen
-        return shiftModels.map(shiftModel => shiftModel.dataValues);  // Raw-Daten aus den Sequelize-Instanzen extrahieren
+        const shiftModels = await ShiftModel.findAll({ include: [breaksInclude] });  // Alle Schichtmodelle inkl. Pausen abrufen
+        return shiftModels.map(shiftModel => shiftModel.get({ plain: true }));  // Raw-Daten aus den Sequelize-Instanzen extrahieren
     } catch (error) {
         throw new Error(`Failed to retrieve shift models: ${error.message}`);
     }
@@ -26,11 +30,11 @@ const getById = async (id) => {
             throw new Error(`Invalid UUID format: ${id}`);
         }
 
-        const shiftModel = await ShiftModel.findByPk(id);  // ShiftModel anhand der Primärschlüssel-ID abrufen
+        const shiftModel = await ShiftModel.findByPk(id, { include: [breaksInclude] });  // ShiftModel anhand der Primärschlüssel-ID abrufen
         if (!shiftModel) {
             throw new Error(`Shift model with ID ${id} not found.`);
         }
-        return shiftModel.dataValues;  // Raw-Daten des ShiftModel zurückgeben
+        return shiftModel.get({ plain: true });  // Raw-Daten des ShiftModel zurückgeben
     } catch (error) {
         throw new Error(`Error fetching shift model with ID ${id}: ${error.message}`);
     }
@@ -39,16 +43,20 @@ const getById = async (id) => {
 /**
  * Creates a new ShiftModel record.
  * @param {Object} data - Data for the new ShiftModel.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
  * @returns {Promise<Object>} The created ShiftModel data.
  */
-const create = async (data) => {
+const create = async (data, auditContext) => {
     try {
         // Validierung der erforderlichen Felder vor der Erstellung
         if (!data.workcenter_id || !data.shift_name || !data.shift_start_time || !data.shift_end_time) {
             throw new Error('Missing required fields: workcenter_id, shift_name, shift_start_time, or shift_end_time.');
         }
 
-        const newShiftModel = await ShiftModel.create(data);  // Neues ShiftModel erstellen
+        const newShiftModel = await auditedChange('ShiftModel', 'create', auditContext, async (transaction) => {
+            const created = await ShiftModel.create(data, { transaction });  // Neues ShiftModel erstellen
+            return { entityId: created.shift_id, before: null, after: created, result: created };
+        });
         return newShiftModel.dataValues;  // Raw-Daten des neu erstellten ShiftModels zurückgeben
     } catch (error) {
         throw new Error(`Failed to create shift model: ${error.message}`);
@@ -59,26 +67,30 @@ const create = async (data) => {
  * Updates an existing ShiftModel by its ID.
  * @param {string} id - The UUID of the ShiftModel to update.
  * @param {Object} data - The data to update the ShiftModel with.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
  * @returns {Promise<Object>} The updated ShiftModel data.
  */
-const update = async (id, data) => {
+const update = async (id, data, auditContext) => {
     try {
         // UUID-Format validieren
         if (!validate(id)) {
             throw new Error(`Invalid UUID format: ${id}`);
         }
 
-        const shiftModel = await ShiftModel.findByPk(id);  // ShiftModel anhand der ID suchen
-        if (!shiftModel) {
-            throw new Error(`Shift model with ID ${id} not found.`);
-        }
-
-        // Optional: Validierung der Zeit vor dem Aktualisieren
-        if (data.shift_start_time && data.shift_end_time && data.shift_start_time >= data.shift_end_time) {
-            throw new Error('Shift start time must be before shift end time.');
+        // Ein Schichtende vor dem Schichtbeginn ist erlaubt: die Schicht läuft über Mitternacht
+        if (data.shift_start_time && data.shift_end_time && data.shift_start_time === data.shift_end_time) {
+            throw new Error('Shift start time and shift end time must differ.');
         }
 
-        const updatedShiftModel = await shiftModel.update(data);  // ShiftModel aktualisieren
+        const updatedShiftModel = await auditedChange('ShiftModel', 'update', auditContext, async (transaction) => {
+            const shiftModel = await ShiftModel.findByPk(id, { transaction });  // ShiftModel anhand der ID suchen
+            if (!shiftModel) {
+                throw new Error(`Shift model with ID ${id} not found.`);
+            }
+            const before = shiftModel.get({ plain: true });
+            await shiftModel.update(data, { transaction });  // ShiftModel aktualisieren
+            return { entityId: id, before, after: shiftModel, result: shiftModel };
+        });
         return updatedShiftModel.dataValues;  // Raw-Daten des aktualisierten ShiftModels zurückgeben
     } catch (error) {
         throw new Error(`Failed to update shift model with ID ${id}: ${error.message}`);
@@ -88,22 +100,25 @@ const update = async (id, data) => {
 /**
  * Deletes a ShiftModel by its ID.
  * @param {string} id - The UUID of the ShiftModel to delete.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
  * @returns {Promise<boolean>} True if deleted successfully, false if not found.
  */
-const deleteShiftModel = async (id) => {
+const deleteShiftModel = async (id, auditContext) => {
     try {
         // UUID-Format validieren
         if (!validate(id)) {
             throw new Error(`Invalid UUID format: ${id}`);
         }
 
-        const shiftModel = await ShiftModel.findByPk(id);  // ShiftModel anhand der ID suchen
-        if (!shiftModel) {
-            throw new Error(`Shift model with ID ${id} not found.`);
-        }
-
-        await shiftModel.destroy();  // ShiftModel löschen
-        return true;  // Erfolgreiches Löschen zurückgeben
+        return await auditedChange('ShiftModel', 'delete', auditContext, async (transaction) => {
+            const shiftModel = await ShiftModel.findByPk(id, { transaction });  // ShiftModel anhand der ID suchen
+            if (!shiftModel) {
+                throw new Error(`Shift model with ID ${id} not found.`);
+            }
+            const before = shiftModel.get({ plain: true });
+            await shiftModel.destroy({ transaction });  // ShiftModel löschen
+            return { entityId: id, before, after: null, result: true };  // Erfolgreiches Löschen zurückgeben
+        });
     } catch (error) {
         throw new Error(`Failed to delete shift model with ID ${id}: ${error.message}`);
     }
@@ -124,14 +139,15 @@ const getByWorkcenterId = async (workcenterId) => {
         const shiftModels = await ShiftModel.findAll({
             where: {
                 workcenter_id: workcenterId  // Nach workcenter_id filtern
-            }
+            },
+            include: [breaksInclude]
         });
 
         if (shiftModels.length === 0) {
             throw new Error(`No shift models found for workcenter_id: ${workcenterId}`);
         }
 
-        return shiftModels.map(shiftModel => shiftModel.dataValues);  // Raw-Daten zurückgeben
+        return shiftModels.map(shiftModel => shiftModel.get({ plain: true }));  // Raw-Daten zurückgeben
     } catch (error) {
         throw new Error(`Error fetching shift models for workcenter_id ${workcenterId}: ${error.message}`);
     }
@@ -0,0 +1,426 @@
+const { Op } = require('sequelize');
+const { Point } = require('@influxdata/influxdb-client');
+const moment = require('moment-timezone');
+const {
+    ProcessOrder,
+    WorkCenter,
+    PlannedDowntime,
+    UnplannedDowntime,
+    Microstop,
+    ShiftModel,
+    ShiftBreak,
+    ShiftReport,
+} = require('../models');
+const { loadOverlappingRecords } = require('./oeeHistoryService');
+const { getWriteApi } = require('./influxDBService');
+const { getByWorkcenterId: loadCalendars } = require('./calendarService');
+const { getTactForOrder } = require('./speedLossService');
+const { getShiftInstances } = require('../utils/shiftUtils');
+const { getCalendarSchedule, getNonScheduledWindows } = require('../utils/calendarUtils');
+const { oeeLogger, errorLogger } = require('../utils/logger');
+
+// How far back the finalization job looks for shifts that ended without a report
+const FINALIZE_LOOKBACK_HOURS = 24;
+
+// End of the time range checked by the last run of finalizeDueShifts, shifts that ended
+// before it are finalized (or failed and are checked again via an earlier watermark)
+let finalizedUntil = null;
+
+/**
+ * Calculates the overlap of two time ranges in minutes.
+ * @param {moment.Moment} startA - Start of the first range.
+ * @param {moment.Moment} endA - End of the first range.
+ * @param {moment.Moment} startB - Start of the second range.
+ * @param {moment.Moment} endB - End of the second range.
+ * @returns {number} The overlap in minutes (0 if the ranges do not overlap).
+ */
+function overlapMinutes(startA, endA, startB, endB) {
+    const start = moment.max(startA, startB);
+    const end = moment.min(endA, endB);
+    return end.isAfter(start) ? end.diff(start, 'minutes', true) : 0;
+}
+
+/**
+ * Determines the time window in which a process order occupied the workcenter.
+ * Actual start/end times take precedence over planned ones; a started but unfinished
+ * order is considered running until now.
+ * @param {Object} order - The process order (plain object).
+ * @returns {{ start: moment.Moment, end: moment.Moment }} The order window.
+ */
+function getOrderWindow(order) {
+    const start = moment.utc(order.actualprocessorderstart || order.start_date);
+    let end;
+    if (order.actualprocessorderend) {
+        end = moment.utc(order.actualprocessorderend);
+    } else if (order.actualprocessorderstart) {
+        end = moment.utc();
+    } else {
+        end = moment.utc(order.end_date);
+    }
+    return { start, end };
+}
+
+/**
+ * Sums the minutes of the given downtime records that fall into the order windows of a shift.
+ * @param {Array<Object>} records - Downtime or microstop records.
+ * @param {Array<Object>} windows - The order windows clipped to the shift.
+ * @returns {number} The total minutes.
+ */
+function sumDowntimeMinutes(records, windows) {
+    return records.reduce((total, record) => {
+        const recordStart = moment.utc(record.start_date);
+        const recordEnd = moment.utc(record.end_date);
+        return total + windows.reduce(
+            (sum, window) => sum + overlapMinutes(recordStart, recordEnd, window.start, window.end),
+            0
+        );
+    }, 0);
+}
+
+/**
+ * Calculates OEE, downtimes and produced quantities of a single shift instance.
+ * Process orders running in the shift contribute their confirmed quantities pro rata
+ * to the share of their runtime that falls into the shift.
+ * @param {Object} instance - The shift instance (see getShiftInstances in utils/shiftUtils).
+ * @returns {Promise<Object>} The shift report (same shape as the ShiftReport model).
+ */
+async function calculateShiftReport(instance) {
+    const { shiftModel, shiftDate, start, end, breaks, crew = null, nonScheduledWindows = [] } = instance;
+    const machineId = shiftModel.workcenter_id;
+
+    const orders = (await ProcessOrder.findAll({
+        where: {
+            workcenter_id: machineId,
+            [Op.and]: [
+                {
+                    [Op.or]: [
+                        { start_date: { [Op.lt]: end.toDate() } },
+                        { actualprocessorderstart: { [Op.lt]: end.toDate() } },
+                    ],
+                },
+                {
+                    [Op.or]: [
+                        { end_date: { [Op.gt]: start.toDate() } },
+                        { actualprocessorderend: { [Op.gt]: start.toDate() } },
+                        { actualprocessorderend: null },
+                    ],
+                },
+            ],
+        },
+    })).map(order => order.get({ plain: true }));
+    const tacts = await Promise.all(orders.map(order => getTactForOrder(order)));
+
+    const windows = [];
+    const orderShares = [];
+    let producedQuantity = 0;
+    let goodQuantity = 0;
+    let idealRuntime = 0;
+
+    orders.forEach((order, index) => {
+        const orderWindow = getOrderWindow(order);
+        const minutesInShift = overlapMinutes(orderWindow.start, orderWindow.end, start, end);
+        if (minutesInShift <= 0) {
+            return;
+        }
+
+        const orderMinutes = orderWindow.end.diff(orderWindow.start, 'minutes', true);
+        const share = orderMinutes > 0 ? minutesInShift / orderMinutes : 0;
+        const produced = (order.confirmedproductionquantity || 0) * share;
+        const good = (order.confirmedproductionyield || 0) * share;
+
+        const plannedDuration = moment.utc(order.end_date).diff(moment.utc(order.start_date), 'minutes', true);
+        const plannedTakt = order.plannedproductionquantity > 0 ? plannedDuration / order.plannedproductionquantity : 0;
+        // Ideal cycle time from the Tact master data (seconds per unit), planned takt of the order otherwise
+        const idealTakt = tacts[index] ? tacts[index].sollMin / 60 : plannedTakt;
+
+        producedQuantity += produced;
+        goodQuantity += good;
+        idealRuntime += produced * idealTakt;
+
+        windows.push({
+            start: moment.max(orderWindow.start, start),
+            end: moment.min(orderWindow.end, end),
+        });
+        orderShares.push({
+            order_id: order.order_id,
+            processordernumber: order.processordernumber,
+            minutes: minutesInShift,
+            produced_quantity: produced,
+            good_quantity: good,
+        });
+    });
+
+    let breakTime = 0;
+    let plannedDowntime = 0;
+    let unplannedDowntime = 0;
+    let microstopTime = 0;
+    let nonScheduledTime = 0;
+
+    if (windows.length > 0) {
+        const [plannedDowntimeData, unplannedDowntimeData, microstopsData] = await Promise.all([
+            loadOverlappingRecords(PlannedDowntime, machineId, start.toDate(), end.toDate()),
+            loadOverlappingRecords(UnplannedDowntime, machineId, start.toDate(), end.toDate()),
+            loadOverlappingRecords(Microstop, machineId, start.toDate(), end.toDate()),
+        ]);
+
+        breakTime = sumDowntimeMinutes(
+            breaks.map(shiftBreak => ({ start_date: shiftBreak.start, end_date: shiftBreak.end })),
+            windows
+        );
+        plannedDowntime = sumDowntimeMinutes(plannedDowntimeData, windows);
+        unplannedDowntime = sumDowntimeMinutes(unplannedDowntimeData, windows);
+        microstopTime = sumDowntimeMinutes(microstopsData, windows);
+        nonScheduledTime = sumDowntimeMinutes(
+            nonScheduledWindows.map(window => ({ start_date: window.start, end_date: window.end })),
+            windows
+        );
+    }
+
+    const occupiedTime = windows.reduce((sum, window) => sum + window.end.diff(window.start, 'minutes', true), 0);
+    const plannedProductionTime = Math.max(0, occupiedTime - nonScheduledTime - breakTime - plannedDowntime);
+    const operatingTime = Math.max(0, plannedProductionTime - unplannedDowntime);
+
+    const availability = plannedProductionTime > 0 ? (operatingTime / plannedProductionTime) * 100 : 0;
+    const performance = operatingTime > 0 ? (idealRuntime / operatingTime) * 100 : 0;
+    const quality = producedQuantity > 0 ? (goodQuantity / producedQuantity) * 100 : 0;
+
+    return {
+        report_id: null,
+        workcenter_id: machineId,
+        shift_id: shiftModel.shift_id,
+        shift_name: shiftModel.shift_name,
+        crew,
+        shift_date: shiftDate,
+        shift_start: start.toDate(),
+        shift_end: end.toDate(),
+        production_time: Math.max(0, operatingTime - microstopTime),
+        break_time: breakTime,
+        unplanned_downtime: unplannedDowntime,
+        planned_downtime: plannedDowntime,
+        microstop_time: microstopTime,
+        non_scheduled_time: nonScheduledTime,
+        produced_quantity: producedQuantity,
+        good_quantity: goodQuantity,
+        availability,
+        performance,
+        quality,
+        oee: (availability * performance * quality) / 10000,
+        orders: orderShares,
+        finalized_at: null,
+    };
+}
+
+/**
+ * Loads the shift models, optionally restricted to one workcenter.
+ * @param {string} [workcenterId] - The ID of the workcenter.
+ * @returns {Promise<Array<Object>>} The shift models as plain objects.
+ */
+async function loadShiftModels(workcenterId) {
+    const where = workcenterId ? { workcenter_id: workcenterId } : {};
+    const shiftModels = await ShiftModel.findAll({
+        where,
+        include: [{ model: ShiftBreak, as: 'breaks' }],
+    });
+    return shiftModels.map(shiftModel => shiftModel.get({ plain: true }));
+}
+
+/**
+ * Applies the shift calendars to shift instances: instances that are not worked (weekday pattern,
+ * crew rotation, holiday or closure) are dropped, the others get their crew and the
+ * non-scheduled windows within the shift.
+ * @param {Array<Object>} instances - The shift instances.
+ * @returns {Promise<Array<Object>>} The scheduled shift instances.
+ */
+async function applyCalendars(instances) {
+    const calendarsByWorkcenter = new Map();
+    const scheduledInstances = [];
+
+    for (const instance of instances) {
+        const machineId = instance.shiftModel.workcenter_id;
+        if (!calendarsByWorkcenter.has(machineId)) {
+            calendarsByWorkcenter.set(machineId, await loadCalendars(machineId));
+        }
+        const calendars = calendarsByWorkcenter.get(machineId);
+
+        const nonScheduledWindows = getNonScheduledWindows(calendars, [instance.shiftModel], instance.start, instance.end);
+        const nonScheduledMinutes = nonScheduledWindows.reduce(
+            (sum, window) => sum + window.end.diff(window.start, 'minutes', true),
+            0
+        );
+        if (nonScheduledMinutes >= instance.end.diff(instance.start, 'minutes', true)) {
+            continue;
+        }
+
+        const scheduleEntry = calendars
+            .flatMap(calendar => getCalendarSchedule(calendar, [instance.shiftModel], instance.start, instance.end))
+            .find(entry => entry.start === instance.start.toISOString());
+
+        scheduledInstances.push({ ...instance, crew: scheduleEntry?.crew || null, nonScheduledWindows });
+    }
+
+    return scheduledInstances;
+}
+
+/**
+ * Retrieves the shift reports of all shift instances overlapping a time range.
+ * Finalized shifts are read from the database, all others are calculated on the fly.
+ * @param {Object} filters - The filters.
+ * @param {Date|string} filters.from - Start of the time range.
+ * @param {Date|string} filters.to - End of the time range.
+ * @param {string} [filters.workcenterId] - Restrict the reports to one workcenter.
+ * @returns {Promise<Array<Object>>} The shift reports ordered by shift start.
+ */
+async function getShiftReports({ from, to, workcenterId }) {
+    try {
+        const shiftModels = await loadShiftModels(workcenterId);
+        const instances = await applyCalendars(
+            shiftModels.flatMap(shiftModel => getShiftInstances(shiftModel, from, to))
+        );
+        if (instances.length === 0) {
+            return [];
+        }
+
+        const finalizedReports = await ShiftReport.findAll({
+            where: {
+                ...(workcenterId && { workcenter_id: workcenterId }),
+                shift_start: { [Op.lt]: moment.utc(to).toDate() },
+                shift_end: { [Op.gt]: moment.utc(from).toDate() },
+            },
+        });
+        const finalizedByKey = new Map(finalizedReports.map(report => [
+            `${report.shift_id}|${moment.utc(report.shift_start).valueOf()}`,
+            report.get({ plain: true }),
+        ]));
+
+        const reports = [];
+        for (const instance of instances) {
+            const key = `${instance.shiftModel.shift_id}|${instance.start.valueOf()}`;
+            reports.push(finalizedByKey.get(key) || await calculateShiftReport(instance));
+        }
+
+        return reports.sort((a, b) => new Date(a.shift_start) - new Date(b.shift_start));
+    } catch (error) {
+        throw new Error(`Failed to retrieve shift reports: ${error.message}`);
+    }
+}
+
+/**
+ * Writes a finalized shift report to InfluxDB.
+ * @param {Object} report - The shift report.
+ * @returns {Promise<void>}
+ */
+async function writeShiftReportToInfluxDB(report) {
+    const writeApi = getWriteApi();
+    const workCenter = await WorkCenter.findByPk(report.workcenter_id);
+
+    const point = new Point("shift_oee")
+        .tag("plant", workCenter?.plant || "UnknownPlant")
+        .tag("area", workCenter?.area || "UnknownArea")
+        .tag("machineId", workCenter?.name || "UnknownMachine")
+        .tag("shift", report.shift_name)
+        .tag("crew", report.crew || "None")
+        .tag("shiftDate", report.shift_date)
+        .floatField("oee", report.oee)
+        .floatField("availability", report.availability)
+        .floatField("performance", report.performance)
+        .floatField("quality", report.quality)
+        .floatField("productionTime", report.production_time)
+        .floatField("breakTime", report.break_time)
+        .floatField("unplannedDowntime", report.unplanned_downtime)
+        .floatField("plannedDowntime", report.planned_downtime)
+        .floatField("microstopTime", report.microstop_time)
+        .floatField("nonScheduledTime", report.non_scheduled_time)
+        .floatField("producedQuantity", report.produced_quantity)
+        .floatField("goodQuantity", report.good_quantity)
+        .timestamp(new Date(report.shift_end));
+
+    writeApi.writePoint(point);
+    await writeApi.flush();
+}
+
+/**
+ * Calculates and stores the final report of a shift instance and writes it to InfluxDB.
+ * @param {Object} instance - The shift instance (see getShiftInstances in utils/shiftUtils).
+ * @returns {Promise<Object>} The stored shift report.
+ */
+async function finalizeShift(instance) {
+    const report = await calculateShiftReport(instance);
+    const { report_id, ...values } = report;
+
+    const stored = await ShiftReport.create({
+        ...values,
+        finalized_at: new Date(),
+    });
+    const storedReport = stored.get({ plain: true });
+
+    try {
+        await writeShiftReportToInfluxDB(storedReport);
+    } catch (error) {
+        errorLogger.error(`Failed to write shift report ${storedReport.report_id} to InfluxDB: ${error.message}`);
+    }
+
+    oeeLogger.info(
+        `Shift ${storedReport.shift_name} ${storedReport.shift_date} on workcenter ${storedReport.workcenter_id} finalized (OEE ${storedReport.oee.toFixed(2)}%)`
+    );
+    return storedReport;
+}
+
+/**
+ * Finalizes every shift instance that has ended since the last run but has no stored report yet.
+ * The first run after a start catches up the shifts that ended while the service was down
+ * within the lookback window.
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {Promise<number>} The number of finalized shifts.
+ */
+async function finalizeDueShifts(now = new Date()) {
+    const to = moment.utc(now);
+    const lookback = to.clone().subtract(FINALIZE_LOOKBACK_HOURS, 'hours');
+    const from = finalizedUntil && finalizedUntil.isAfter(lookback) ? finalizedUntil : lookback;
+    if (!to.isAfter(from)) {
+        return 0;
+    }
+
+    const shiftModels = await loadShiftModels();
+    const dueInstances = await applyCalendars(shiftModels
+        .flatMap(shiftModel => getShiftInstances(shiftModel, from, to))
+        .filter(instance => !instance.end.isAfter(to) && instance.end.isAfter(from)));
+
+    let finalized = 0;
+    let watermark = to;
+    for (const instance of dueInstances) {
+        const existing = await ShiftReport.findOne({
+            where: {
+                workcenter_id: instance.shiftModel.workcenter_id,
+                shift_id: instance.shiftModel.shift_id,
+                shift_start: instance.start.toDate(),
+            },
+        });
+        if (existing) {
+            continue;
+        }
+
+        try {
+            await finalizeShift(instance);
+            finalized++;
+        } catch (error) {
+            errorLogger.error(
+                `Failed to finalize shift ${instance.shiftModel.shift_name} ${instance.shiftDate} on workcenter ${instance.shiftModel.workcenter_id}: ${error.message}`
+            );
+            // Checked again by the next run
+            const retryFrom = instance.end.clone().subtract(1, 'millisecond');
+            if (retryFrom.isBefore(watermark)) {
+                watermark = retryFrom;
+            }
+        }
+    }
+
+    finalizedUntil = watermark;
+    return finalized;
+}
+
+module.exports = {
+    calculateShiftReport,
+    getShiftReports,
+    finalizeShift,
+    finalizeDueShifts,
+};
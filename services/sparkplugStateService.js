@@ -0,0 +1,73 @@
+const { SparkplugNode, SparkplugDevice } = require('../models');
+const { oeeLogger, errorLogger } = require('../utils/logger');
+
+/**
+ * Persists the session state of a Sparkplug edge node.
+ * @param {Object} nodeState - The node state (node_key, plant, area, edge_node_id, online, bd_seq, last_seq, aliases, ...).
+ * @returns {Promise<void>}
+ */
+async function saveNodeState(nodeState) {
+    try {
+        await SparkplugNode.upsert(nodeState);
+        oeeLogger.debug(`Sparkplug node state persisted for ${nodeState.node_key}`);
+    } catch (error) {
+        errorLogger.error(`Failed to persist Sparkplug node state for ${nodeState.node_key}: ${error.message}`);
+    }
+}
+
+/**
+ * Persists the session state of a Sparkplug device.
+ * @param {Object} deviceState - The device state (device_key, node_key, device_id, online, aliases, ...).
+ * @returns {Promise<void>}
+ */
+async function saveDeviceState(deviceState) {
+    try {
+        await SparkplugDevice.upsert(deviceState);
+        oeeLogger.debug(`Sparkplug device state persisted for ${deviceState.device_key}`);
+    } catch (error) {
+        errorLogger.error(`Failed to persist Sparkplug device state for ${deviceState.device_key}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads all persisted Sparkplug node and device states.
+ * @returns {Promise<{nodes: Array<Object>, devices: Array<Object>}>} The states as plain objects.
+ */
+async function loadSparkplugStates() {
+    try {
+        const [nodes, devices] = await Promise.all([SparkplugNode.findAll(), SparkplugDevice.findAll()]);
+        return {
+            nodes: nodes.map(node => node.get({ plain: true })),
+            devices: devices.map(device => device.get({ plain: true })),
+        };
+    } catch (error) {
+        throw new Error(`Failed to load Sparkplug states: ${error.message}`);
+    }
+}
+
+/**
+ * Retrieves the Sparkplug session state of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {Promise<{node: Object|null, devices: Array<Object>}>} The edge node and its devices.
+ */
+async function getSparkplugStateByWorkcenter(workcenterId) {
+    try {
+        const [node, devices] = await Promise.all([
+            SparkplugNode.findOne({ where: { workcenter_id: workcenterId } }),
+            SparkplugDevice.findAll({ where: { workcenter_id: workcenterId }, order: [['device_id', 'ASC']] }),
+        ]);
+        return {
+            node: node ? node.get({ plain: true }) : null,
+            devices: devices.map(device => device.get({ plain: true })),
+        };
+    } catch (error) {
+        throw new Error(`Failed to retrieve Sparkplug state for workcenter ${workcenterId}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    saveNodeState,
+    saveDeviceState,
+    loadSparkplugStates,
+    getSparkplugStateByWorkcenter,
+};
@@ -0,0 +1,220 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { Tact, SpeedLoss } = require('../models');
+const { oeeLogger, errorLogger } = require('../utils/logger');
+const { tact: tactConfig } = require('../config/config');
+
+// Open evaluation interval per machine: { orderId, start, startQuantity, lastQuantity }
+const openIntervals = new Map();
+// Tact records already reported as implausible, so the warning is logged once and not per message
+const reportedTacts = new Set();
+
+/**
+ * Retrieves the Tact master data of a material on a workcenter as maintained.
+ * `sollMin` and `sollMax` are cycle times per unit in TACT_UNIT, `sollMin` is the ideal cycle time.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {string} material - The material number of the process order.
+ * @returns {Promise<Object|null>} The Tact record or null if none is maintained.
+ */
+const getTactForMaterial = async (workcenterId, material) => {
+    if (!material) {
+        return null;
+    }
+    try {
+        const tact = await Tact.findOne({ where: { workcenter_id: workcenterId, material } });
+        return tact ? tact.get({ plain: true }) : null;
+    } catch (error) {
+        throw new Error(`Failed to retrieve tact for material ${material}: ${error.message}`);
+    }
+};
+
+/**
+ * Converts a Tact record into seconds per unit (TACT_UNIT) and checks it against the planned takt of the order.
+ * A Tact that deviates from the planned takt by more than TACT_MAX_DEVIATION, e.g. because it is maintained
+ * in minutes while TACT_UNIT is seconds, is ignored so that performance falls back to the planned takt.
+ * @param {Object} tact - The Tact record.
+ * @param {Object} processOrder - The process order (start_date, end_date, plannedproductionquantity).
+ * @returns {Object|null} The Tact record with `sollMin`/`sollMax` in seconds per unit or null if it is implausible.
+ */
+const normalizeTact = (tact, processOrder) => {
+    const factor = tactConfig.unit === 'minutes' ? 60 : 1;
+    const sollMin = tact.sollMin * factor;
+    const sollMax = tact.sollMax * factor;
+    const plannedDuration = moment.utc(processOrder.end_date).diff(moment.utc(processOrder.start_date), 'seconds', true);
+    const plannedTakt = processOrder.plannedproductionquantity > 0 ? plannedDuration / processOrder.plannedproductionquantity : 0;
+
+    let problem = null;
+    if (!(sollMin > 0) || sollMax < sollMin) {
+        problem = `sollMin ${tact.sollMin} and sollMax ${tact.sollMax} are no valid range`;
+    } else if (plannedTakt > 0 && (sollMin > plannedTakt * tactConfig.maxDeviation || sollMin * tactConfig.maxDeviation < plannedTakt)) {
+        problem = `sollMin of ${sollMin} s per unit deviates from the planned takt of ${plannedTakt.toFixed(1)} s per unit by more than factor ${tactConfig.maxDeviation}, check TACT_UNIT (${tactConfig.unit})`;
+    }
+
+    if (problem) {
+        if (!reportedTacts.has(tact.tact_id)) {
+            reportedTacts.add(tact.tact_id);
+            errorLogger.warn(`Tact of material ${tact.material} on workcenter ${tact.workcenter_id} ignored: ${problem}.`);
+        }
+        return null;
+    }
+    reportedTacts.delete(tact.tact_id);
+    return { ...tact, sollMin, sollMax };
+};
+
+/**
+ * Retrieves the Tact master data of the material of a process order in seconds per unit.
+ * @param {Object} processOrder - The process order (workcenter_id, materialnumber, start_date, end_date, plannedproductionquantity).
+ * @returns {Promise<Object|null>} The Tact record or null if none is maintained or it is implausible (see normalizeTact).
+ */
+const getTactForOrder = async (processOrder) => {
+    const tact = await getTactForMaterial(processOrder.workcenter_id, processOrder.materialnumber);
+    return tact ? normalizeTact(tact, processOrder) : null;
+};
+
+/**
+ * Compares an actual cycle time with the Tact range.
+ * @param {number|null} actualTakt - Actual cycle time in seconds per unit (null if nothing was produced).
+ * @param {Object|null} tact - The Tact record with `sollMin` and `sollMax`.
+ * @returns {string|null} 'slow', 'fast' or null if the cycle time is within the range or no Tact is maintained.
+ */
+const classifySpeed = (actualTakt, tact) => {
+    if (!tact) {
+        return null;
+    }
+    if (actualTakt === null || actualTakt > tact.sollMax) {
+        return 'slow';
+    }
+    if (actualTakt < tact.sollMin) {
+        return 'fast';
+    }
+    return null;
+};
+
+/**
+ * Returns the running minutes of the timeline within an interval, i.e. production plus speed loss time.
+ * Timeline intervals are full hours, partially covered hours are taken proportionally.
+ * @param {Object} timeline - The OEE timeline with labels and datasets.
+ * @param {moment.Moment} start - Start of the interval.
+ * @param {moment.Moment} end - End of the interval (within the hour of start).
+ * @returns {number} Production minutes.
+ */
+const getProductionMinutes = (timeline, start, end) => {
+    const index = timeline.labels.indexOf(start.clone().startOf('hour').toISOString());
+    if (index === -1) {
+        return 0;
+    }
+    const hourlyProduction = (timeline.datasets[0].data[index] || 0) + (timeline.datasets[6]?.data[index] || 0);
+    return hourlyProduction * (end.diff(start, 'minutes', true) / 60);
+};
+
+/**
+ * Evaluates a closed interval and stores it as speed loss if the cycle time is outside the Tact range.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} processOrder - The process order of the interval.
+ * @param {Object} interval - The closed interval.
+ * @param {Object} timeline - The OEE timeline.
+ * @param {Object} tact - The Tact record.
+ * @returns {Promise<Object|null>} The stored speed loss or null.
+ */
+const evaluateInterval = async (machineId, processOrder, interval, timeline, tact) => {
+    const quantity = Math.max(0, interval.lastQuantity - interval.startQuantity);
+    const productionTime = getProductionMinutes(timeline, interval.start, interval.end);
+    if (productionTime <= 0) {
+        return null;
+    }
+
+    const actualTakt = quantity > 0 ? (productionTime * 60) / quantity : null;
+    const lossType = classifySpeed(actualTakt, tact);
+    if (!lossType) {
+        return null;
+    }
+
+    const speedLoss = await SpeedLoss.create({
+        workcenter_id: machineId,
+        order_id: processOrder.order_id,
+        material: processOrder.materialnumber,
+        start_date: interval.start.toDate(),
+        end_date: interval.end.toDate(),
+        quantity,
+        production_time: productionTime,
+        actual_takt: actualTakt,
+        soll_min: tact.sollMin,
+        soll_max: tact.sollMax,
+        loss_type: lossType,
+        // Running faster than the ideal cycle time is flagged but costs no time
+        loss_time: lossType === 'slow' ? Math.max(0, productionTime - (quantity * tact.sollMin) / 60) : 0,
+    });
+    oeeLogger.info(`Speed loss (${lossType}) detected for machineId ${machineId} between ${interval.start.toISOString()} and ${interval.end.toISOString()}`);
+    return speedLoss.get({ plain: true });
+};
+
+/**
+ * Tracks the produced quantity of a machine and evaluates the cycle time once per timeline hour.
+ * An interval is closed when the first value of the next hour arrives or the process order changes.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} processOrder - The running process order.
+ * @param {number} quantity - The produced quantity of the order so far.
+ * @param {Object} timeline - The OEE timeline of the order.
+ * @param {Object|null} tact - The Tact record of the material (nothing is evaluated without one).
+ * @param {moment.Moment} [now=moment.utc()] - The time of the value.
+ * @returns {Promise<Object|null>} The speed loss of the closed interval, if one was detected.
+ */
+const trackProduction = async (machineId, processOrder, quantity, timeline, tact, now = moment.utc()) => {
+    const interval = openIntervals.get(machineId);
+
+    if (!interval || interval.orderId !== processOrder.order_id) {
+        openIntervals.set(machineId, { orderId: processOrder.order_id, start: now.clone(), startQuantity: quantity, lastQuantity: quantity });
+        return null;
+    }
+
+    if (now.isSame(interval.start, 'hour')) {
+        interval.lastQuantity = quantity;
+        return null;
+    }
+
+    const hourEnd = interval.start.clone().startOf('hour').add(1, 'hour');
+    // Hours without any value are skipped, their output is counted in the hour of the next value
+    const nextStart = moment.max(hourEnd, now.clone().startOf('hour'));
+    openIntervals.set(machineId, { orderId: processOrder.order_id, start: nextStart, startQuantity: interval.lastQuantity, lastQuantity: quantity });
+
+    if (!tact) {
+        return null;
+    }
+    try {
+        return await evaluateInterval(machineId, processOrder, { ...interval, end: hourEnd }, timeline, tact);
+    } catch (error) {
+        errorLogger.error(`Error evaluating speed loss for machineId ${machineId}: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Retrieves the speed losses of a workcenter that overlap a time window.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Date|string} start - Start of the time window.
+ * @param {Date|string} end - End of the time window.
+ * @returns {Promise<Array>} The speed losses ordered by start.
+ */
+const getSpeedLosses = async (workcenterId, start, end) => {
+    try {
+        const speedLosses = await SpeedLoss.findAll({
+            where: {
+                workcenter_id: workcenterId,
+                start_date: { [Op.lt]: end },
+                end_date: { [Op.gt]: start },
+            },
+            order: [['start_date', 'ASC']],
+        });
+        return speedLosses.map(speedLoss => speedLoss.get({ plain: true }));
+    } catch (error) {
+        throw new Error(`Failed to retrieve speed losses for workcenter ${workcenterId}: ${error.message}`);
+    }
+};
+
+module.exports = {
+    getTactForMaterial,
+    getTactForOrder,
+    classifySpeed,
+    trackProduction,
+    getSpeedLosses,
+};
@@ -0,0 +1,195 @@
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const {
+    Microstop,
+    UnplannedDowntime,
+    PlannedDowntime,
+    DowntimeReason,
+    StoppageClassification,
+} = require('../models');
+const { oeeLogger } = require('../utils/logger');
+const { sendWebSocketMessage } = require('../websocket/webSocketUtils');
+const {
+    UNCLASSIFIED_REASON,
+    validateReasonCode,
+    findReasonCodeByDescription,
+    assignDowntimeReason,
+    getDowntimeReason,
+} = require('./reasonCodeService');
+const { auditedChange } = require('./auditService');
+const { checkStoppageChange } = require('./orderReviewService');
+
+const STOPPAGE_TYPES = ['microstop', 'unplanned', 'planned'];
+
+// Downtimes older than this are no longer offered for classification
+const UNCLASSIFIED_LOOKBACK_DAYS = 7;
+
+const DOWNTIME_MODELS = {
+    unplanned: UnplannedDowntime,
+    planned: PlannedDowntime,
+};
+
+// Audited entity per stoppage type
+const AUDITED_ENTITIES = {
+    microstop: 'Microstop',
+    unplanned: 'UnplannedDowntime',
+    planned: 'PlannedDowntime',
+};
+
+/**
+ * Maps a microstop or downtime record to the stoppage sent to the operators.
+ * @param {string} stoppageType - microstop, unplanned or planned.
+ * @param {Object} record - The plain record.
+ * @returns {Object} The stoppage.
+ */
+const toStoppage = (stoppageType, record) => ({
+    stoppage_type: stoppageType,
+    id: stoppageType === 'microstop' ? record.microstop_ID : record.plannedOrder_ID,
+    workcenter_id: record.workcenter_id,
+    order_id: record.order_id,
+    start_date: record.start_date,
+    end_date: record.end_date,
+    duration_seconds: stoppageType === 'microstop' ? record.differenz : record.durationInMinutes * 60,
+});
+
+/**
+ * Retrieves the microstops that were not classified yet.
+ * @param {Object} [filters] - Optional filters (workcenterId).
+ * @returns {Promise<Array<Object>>} The unclassified microstops, newest first.
+ */
+const getUnclassifiedMicrostops = async ({ workcenterId } = {}) => {
+    try {
+        const where = { reason: { [Op.in]: [UNCLASSIFIED_REASON, ''] } };
+        if (workcenterId) {
+            where.workcenter_id = workcenterId;
+        }
+        const microstops = await Microstop.findAll({ where, order: [['start_date', 'DESC']] });
+        return microstops.map(microstop => toStoppage('microstop', microstop.get({ plain: true })));
+    } catch (error) {
+        throw new Error(`Failed to retrieve unclassified microstops: ${error.message}`);
+    }
+};
+
+/**
+ * Retrieves the microstops and recent downtimes that were not classified yet.
+ * @param {Object} [filters] - Optional filters (workcenterId).
+ * @returns {Promise<Array<Object>>} The unclassified stoppages, newest first.
+ */
+const getUnclassifiedStoppages = async ({ workcenterId } = {}) => {
+    try {
+        const since = moment.utc().subtract(UNCLASSIFIED_LOOKBACK_DAYS, 'days').toDate();
+        const stoppages = await getUnclassifiedMicrostops({ workcenterId });
+
+        for (const [stoppageType, Model] of Object.entries(DOWNTIME_MODELS)) {
+            const where = { start_date: { [Op.gte]: since } };
+            if (workcenterId) {
+                where.workcenter_id = workcenterId;
+            }
+            const downtimes = await Model.findAll({ where });
+            const classified = new Set((await DowntimeReason.findAll({
+                where: { downtime_id: downtimes.map(downtime => downtime.plannedOrder_ID) },
+                attributes: ['downtime_id'],
+            })).map(assignment => assignment.downtime_id));
+
+            downtimes
+                .filter(downtime => !classified.has(downtime.plannedOrder_ID))
+                .forEach(downtime => stoppages.push(toStoppage(stoppageType, downtime.get({ plain: true }))));
+        }
+
+        return stoppages.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+    } catch (error) {
+        throw new Error(`Failed to retrieve unclassified stoppages: ${error.message}`);
+    }
+};
+
+/**
+ * Pushes a new unclassified stoppage to the operators.
+ * @param {string} stoppageType - microstop, unplanned or planned.
+ * @param {Object} record - The created microstop or downtime.
+ */
+const notifyUnclassified = (stoppageType, record) => {
+    sendWebSocketMessage('UnclassifiedStoppage', toStoppage(stoppageType, record));
+};
+
+/**
+ * Classifies a microstop or downtime with a reason code of its workcenter, records the
+ * classification with the operator identity and broadcasts it to the dashboards.
+ * The reason change, the classification and its audit log entry are stored in one transaction.
+ * @param {Object} data - The classification (stoppage_type, id, reason_code, comment).
+ * @param {Object} auditContext - The operator and reason for change (user, role, reason).
+ * @param {Object} [options] - legacyDescription also accepts the description of a reason code (old rating labels).
+ * @returns {Promise<Object>} The recorded classification.
+ */
+const classifyStoppage = async ({ stoppage_type: stoppageType, id, reason_code: reference, comment }, auditContext, { legacyDescription = false } = {}) => {
+    if (!STOPPAGE_TYPES.includes(stoppageType)) {
+        throw new Error(`Invalid stoppage type: ${stoppageType}`);
+    }
+    const Model = stoppageType === 'microstop' ? Microstop : DOWNTIME_MODELS[stoppageType];
+    const operator = auditContext.user;
+
+    const { classification, reasonCode, workcenterId } = await auditedChange(AUDITED_ENTITIES[stoppageType], 'update', auditContext, async (transaction) => {
+        const record = await Model.findByPk(id, { transaction });
+        if (!record) {
+            throw new Error(`Stoppage ${stoppageType} with ID ${id} not found.`);
+        }
+        await checkStoppageChange([record.order_id], { transaction });
+
+        let reasonCode = null;
+        try {
+            reasonCode = await validateReasonCode(reference, record.workcenter_id);
+        } catch (error) {
+            reasonCode = legacyDescription ? await findReasonCodeByDescription(reference, record.workcenter_id) : null;
+            if (!reasonCode) {
+                throw error;
+            }
+        }
+
+        let previousReason;
+        let before;
+        let after;
+        if (stoppageType === 'microstop') {
+            before = record.get({ plain: true });
+            previousReason = record.reason === UNCLASSIFIED_REASON ? null : record.reason;
+            await record.update({ reason: reasonCode.code }, { transaction });
+            after = record;
+        } else {
+            // The reason of a downtime is stored in its assignment, the audit entry shows it on the downtime
+            const previous = await getDowntimeReason(id, { transaction });
+            previousReason = previous ? previous.code : null;
+            await assignDowntimeReason(id, stoppageType, reasonCode, record.workcenter_id, { transaction });
+            before = { ...record.get({ plain: true }), reason_code: previousReason };
+            after = { ...record.get({ plain: true }), reason_code: reasonCode.code };
+        }
+
+        const classification = await StoppageClassification.create({
+            stoppage_type: stoppageType,
+            stoppage_id: id,
+            workcenter_id: record.workcenter_id,
+            reason_code_id: reasonCode.reason_code_id,
+            reason_code: reasonCode.code,
+            previous_reason: previousReason,
+            comment: comment || null,
+            classified_by: operator,
+            classified_at: new Date(),
+        }, { transaction });
+        return { entityId: id, before, after, result: { classification, reasonCode, workcenterId: record.workcenter_id } };
+    });
+
+    const result = {
+        ...classification.get({ plain: true }),
+        description: reasonCode.description,
+        color: reasonCode.color,
+    };
+
+    sendWebSocketMessage('StoppageClassified', result);
+    oeeLogger.info(`${stoppageType} ${id} on workcenter ${workcenterId} classified as ${reasonCode.code} by ${operator}.`);
+    return result;
+};
+
+module.exports = {
+    STOPPAGE_TYPES,
+    getUnclassifiedMicrostops,
+    getUnclassifiedStoppages,
+    notifyUnclassified,
+    classifyStoppage,
+};
@@ -1,4 +1,5 @@
 const { Tact } = require('../models');  // Import the Tact model
+const { auditedChange } = require('./auditService');
 
 /**
  * Handles errors by throwing a new error with a specific message.
@@ -40,12 +41,16 @@ const loadTactById = async (id) => {
 /**
  * Creates a new Tact record.
  * @param {Object} data - The data for the new Tact record.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
  * @returns {Promise<Object>} A promise that resolves to the created Tact record.
  * @throws {Error} If an error occurs while creating the Tact record.
  */
-const createTact = async (data) => {
+const createTact = async (data, auditContext) => {
   try {
-    return await Tact.create(data);
+    return await auditedChange('Tact', 'create', auditContext, async (transaction) => {
+      const tact = await Tact.create(data, { transaction });
+      return { entityId: tact.tact_id, before: null, after: tact, result: tact };
+    });
   } catch (error) {
     handleError('creating', error);
   }
@@ -55,14 +60,19 @@ const createTact = async (data) => {
  * Updates a Tact record with the given data.
  * @param {number} id - The ID of the Tact record to update.
  * @param {Object} data - The data to update the Tact record with.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
  * @returns {Promise<Object>} The updated Tact record.
  * @throws {Error} If the Tact record with the given ID is not found or if an error occurs during the update.
  */
-const updateTact = async (id, data) => {
+const updateTact = async (id, data, auditContext) => {
   try {
-    const tact = await Tact.findByPk(id);
-    if (!tact) throw new Error(`Tact with ID ${id} not found`);
-    return await tact.update(data);
+    return await auditedChange('Tact', 'update', auditContext, async (transaction) => {
+      const tact = await Tact.findByPk(id, { transaction });
+      if (!tact) throw new Error(`Tact with ID ${id} not found`);
+      const before = tact.get({ plain: true });
+      await tact.update(data, { transaction });
+      return { entityId: id, before, after: tact, result: tact };
+    });
   } catch (error) {
     handleError('updating', error);
   }
@@ -71,15 +81,19 @@ const updateTact = async (id, data) => {
 /**
  * Deletes a Tact record by its ID.
  * @param {number} id - The ID of the Tact record to delete.
+ * @param {Object} [auditContext] - User and reason for change for the audit log.
  * @returns {Promise<boolean>} Returns true if the Tact record was successfully deleted.
  * @throws {Error} Throws an error if the Tact record is not found or if there is an issue during deletion.
  */
-const deleteTact = async (id) => {
+const deleteTact = async (id, auditContext) => {
   try {
-    const tact = await Tact.findByPk(id);
-    if (!tact) throw new Error(`Tact with ID ${id} not found`);
-    await tact.destroy();
-    return true;
+    return await auditedChange('Tact', 'delete', auditContext, async (transaction) => {
+      const tact = await Tact.findByPk(id, { transaction });
+      if (!tact) throw new Error(`Tact with ID ${id} not found`);
+      const before = tact.get({ plain: true });
+      await tact.destroy({ transaction });
+      return { entityId: id, before, after: null, result: true };
+    });
   } catch (error) {
     handleError('deleting', error);
   }
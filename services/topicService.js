@@ -1,7 +1,8 @@
 const { apiClient, oeeLogger } = require("../src/header");
+const { generateMachineTopics } = require("../src/topicTemplates");
+const { getMqttTopicConfig } = require("./mqttTopicConfigService");
 
 const machineApiUrl = "/workcenters"; // API endpoint for retrieving work center data
-const oeeConfigApiUrl = "/oeeconfig"; // API endpoint for retrieving OEE configuration
 
 let cache = {}; // Cache to store data for faster access
 const CACHE_DURATION = 5 * 60 * 1000; // Cache duration: 5 minutes in milliseconds
@@ -51,7 +52,7 @@ const cacheData = (cacheKey, data) => {
 };
 
 /**
- * Generate MQTT topics based on machine data and OEE configuration.
+ * Generate MQTT topics based on machine data, OEE configuration and the topic configuration of each machine.
  *
  * @param {string} plant - The plant identifier to filter machines.
  * @param {string} area - The area identifier to filter machines.
@@ -70,47 +71,26 @@ const generateTopics = async (plant, area, line) => {
             return cachedTopics;
         }
 
-        // Fetch machine data and OEE configuration concurrently
-        const [machines, oeeConfig] = await Promise.all([
-            loadJsonFromApi(machineApiUrl),
-            loadJsonFromApi(oeeConfigApiUrl),
-        ]);
-
-        oeeLogger.info("Loaded work centers and OEE configuration");
-
-        // Utility function to sanitize strings by removing invalid characters
-        const sanitize = (value) => {
-            if (!value) return "";
-            return value
-                .toString()
-                .trim() // Remove leading and trailing whitespace
-                .replace(/\s+/g, "_") // Replace spaces with underscores
-                .replace(/[^a-zA-Z0-9\/_-]/g, ""); // Remove invalid characters
-        };
+        const machines = await loadJsonFromApi(machineApiUrl);
+        oeeLogger.info("Loaded work centers");
 
         const topics = []; // Array to hold the generated topics
 
         // Iterate over machine data to generate topics
-        Object.values(machines).forEach((machine) => {
+        for (const machine of Object.values(machines)) {
             // Filter machines by plant, area, and line
             if (
                 (plant && machine.plant !== plant) ||
                 (area && machine.area !== area) ||
                 (line && machine.name !== line)
             ) {
-                return; // Skip machines that don't match the filter
+                continue; // Skip machines that don't match the filter
             }
 
-            // Iterate over OEE configuration metrics to generate topics
-            Object.values(oeeConfig).forEach((metric) => {
-                // Determine the command type: "DDATA" for metrics, "DCMD" for commands
-                const command = metric.command === "metrics" ? "DDATA" : "DCMD";
-
-                // Construct the MQTT topic
-                const topic = `spBv1.0/${sanitize(machine.plant)}/${sanitize(machine.area)}/${sanitize(command)}/${sanitize(machine.name)}/${sanitize(metric.key)}`;
-                topics.push(topic); // Add the topic to the array
-            });
-        });
+            // The topics as subscribed, built from the topic template and payload format of the machine
+            const topicConfig = await getMqttTopicConfig(machine.workcenter_id);
+            topics.push(...generateMachineTopics(machine, topicConfig).keys());
+        }
 
         // Store the generated topics in the cache
         cacheData(cacheKey, topics);
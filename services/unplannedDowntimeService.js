@@ -4,6 +4,8 @@ const {
   parseDateAsUTC,
   formatDateToUTCString,
 } = require("../utils/dateUtils");
+const { auditedChange } = require("./auditService");
+const { checkStoppageChange } = require("./orderReviewService");
 
 // Hilfsfunktionen: Speziell auf Felder "Start" und "End" zugeschnitten
 function parseUnplannedDowntimeForDB(unplannedDowntime) {
@@ -27,10 +29,17 @@ function formatUnplannedDowntimeResponse(unplannedDowntime) {
 }
 
 // CREATE
-async function createUnplannedDowntime(data) {
+async function createUnplannedDowntime(data, auditContext) {
   try {
     const formattedData = parseUnplannedDowntimeForDB(data);
-    const newDowntime = await UnplannedDowntime.create(formattedData);
+
+    // Eintrag und Audit-Log in einer Transaktion speichern
+    const newDowntime = await auditedChange("UnplannedDowntime", "create", auditContext, async (transaction) => {
+      await checkStoppageChange([formattedData.order_id], { transaction });
+      const created = await UnplannedDowntime.create(formattedData, { transaction });
+      return { entityId: created.plannedOrder_ID, before: null, after: created, result: created };
+    });
+
     return formatUnplannedDowntimeResponse(newDowntime.get());
   } catch (error) {
     console.error("Error creating UnplannedDowntime:", error);
@@ -63,15 +72,20 @@ async function loadUnplannedDowntimeById(id) {
 }
 
 // UPDATE
-async function updateUnplannedDowntime(id, data) {
+async function updateUnplannedDowntime(id, data, auditContext) {
   try {
-    const downtime = await UnplannedDowntime.findByPk(id);
-    if (!downtime) {
-      throw new Error(`UnplannedDowntime with ID ${id} not found`);
-    }
-
     const formattedData = parseUnplannedDowntimeForDB(data);
-    await downtime.update(formattedData);
+
+    const downtime = await auditedChange("UnplannedDowntime", "update", auditContext, async (transaction) => {
+      const existing = await UnplannedDowntime.findByPk(id, { transaction });
+      if (!existing) {
+        throw new Error(`UnplannedDowntime with ID ${id} not found`);
+      }
+      await checkStoppageChange([existing.order_id, formattedData.order_id], { transaction });
+      const before = existing.get({ plain: true });
+      await existing.update(formattedData, { transaction });
+      return { entityId: id, before, after: existing, result: existing };
+    });
 
     return formatUnplannedDowntimeResponse(downtime.get());
   } catch (error) {
@@ -81,15 +95,18 @@ async function updateUnplannedDowntime(id, data) {
 }
 
 // DELETE
-async function deleteUnplannedDowntime(id) {
+async function deleteUnplannedDowntime(id, auditContext) {
   try {
-    const downtime = await UnplannedDowntime.findByPk(id);
-    if (!downtime) {
-      throw new Error(`UnplannedDowntime with ID ${id} not found`);
-    }
-
-    await downtime.destroy();
-    return true;
+    return await auditedChange("UnplannedDowntime", "delete", auditContext, async (transaction) => {
+      const downtime = await UnplannedDowntime.findByPk(id, { transaction });
+      if (!downtime) {
+        throw new Error(`UnplannedDowntime with ID ${id} not found`);
+      }
+      await checkStoppageChange([downtime.order_id], { transaction });
+      const before = downtime.get({ plain: true });
+      await downtime.destroy({ transaction });
+      return { entityId: id, before, after: null, result: true };
+    });
   } catch (error) {
     console.error(`Error deleting UnplannedDowntime with ID ${id}:`, error);
     throw error;
@@ -1,4 +1,46 @@
-const { User } = require('../models');  // Importiert das User-Modell
+const { sequelize, User } = require('../models');  // Importiert das User-Modell
+const { hashPassword, revokeUserSessions } = require('./authService');
+
+/**
+ * Prüft, ob die Daten ein neues Passwort enthalten. Leere Passwörter werden abgelehnt.
+ * @param {Object} data - Die User-Daten
+ * @returns {boolean} True, wenn ein Passwort gesetzt wird
+ * @throws {Error} Wenn das Passwort leer oder kein Text ist
+ */
+const hasNewPassword = (data) => {
+  if (data.password === undefined || data.password === null) {
+    return false;
+  }
+  if (typeof data.password !== 'string' || data.password.trim() === '') {
+    throw new Error('Invalid password: must not be empty');
+  }
+  return true;
+};
+
+/**
+ * Ersetzt ein Klartext-Passwort durch seinen bcrypt-Hash
+ * @param {Object} data - Die User-Daten
+ * @returns {Promise<Object>} Die User-Daten mit gehashtem Passwort
+ */
+const withHashedPassword = async (data) => {
+  if (!hasNewPassword(data)) {
+    return data;
+  }
+  return { ...data, password: await hashPassword(data.password) };
+};
+
+/**
+ * Entfernt den Passwort-Hash aus einem User für die Ausgabe
+ * @param {Object|null} user - Der User
+ * @returns {Object|null} Der User ohne Passwort
+ */
+const withoutPassword = (user) => {
+  if (!user) {
+    return user;
+  }
+  const { password, ...data } = user.get({ plain: true });
+  return data;
+};
 
 /**
  * Holt alle User-Daten
@@ -6,7 +48,7 @@ const { User } = require('../models');  // Importiert das User-Modell
  */
 const loadUsers = async () => {
   try {
-    return await User.findAll();   // Alle User-Daten aus der DB abfragen
+    return (await User.findAll()).map(withoutPassword);   // Alle User-Daten aus der DB abfragen
   } catch (error) {
     throw new Error(`Error fetching user data: ${error.message}`);
   }
@@ -19,7 +61,7 @@ const loadUsers = async () => {
  */
 const loadUserById = async (id) => {
   try {
-    return await User.findOne({ where: { user_id: id } }); // Nach user_id suchen
+    return withoutPassword(await User.findOne({ where: { user_id: id } })); // Nach user_id suchen
   } catch (error) {
     throw new Error(`Error fetching user with ID ${id}: ${error.message}`);
   }
@@ -32,14 +74,14 @@ const loadUserById = async (id) => {
  */
 const createUser = async (data) => {
   try {
-    return await User.create(data);   // Erstellt das User-Modell
+    return withoutPassword(await User.create(await withHashedPassword(data)));   // Erstellt das User-Modell
   } catch (error) {
     throw new Error(`Error creating user: ${error.message}`);
   }
 };
 
 /**
- * Aktualisiert ein User-Modell
+ * Aktualisiert ein User-Modell. Eine Passwortänderung widerruft alle Refresh-Tokens des Users.
  * @param {string} id - Die ID des zu aktualisierenden Users
  * @param {Object} data - Die neuen Daten des Users
  * @returns {Promise<Object>} Der aktualisierte User
@@ -50,7 +92,15 @@ const updateUser = async (id, data) => {
     if (!user) {
       throw new Error(`User with ID ${id} not found`);
     }
-    return await user.update(data);   // Das User-Modell mit den neuen Daten aktualisieren
+    const passwordChanged = hasNewPassword(data);
+    const changes = await withHashedPassword(data);
+    return await sequelize.transaction(async (transaction) => {
+      const updated = await user.update(changes, { transaction });   // Das User-Modell mit den neuen Daten aktualisieren
+      if (passwordChanged) {
+        await revokeUserSessions(user.user_id, { transaction });
+      }
+      return withoutPassword(updated);
+    });
   } catch (error) {
     throw new Error(`Error updating user: ${error.message}`);
   }
@@ -1,4 +1,5 @@
 const { WorkCenter } = require('../models');  // Hier importierst du das Modell
+const { auditedChange } = require('./auditService');
 
 /**
  * Lädt alle Work Centers
@@ -35,12 +36,15 @@ const loadWorkCenterById = async (id) => {
 /**
  * Erstellt ein neues Work Center
  * @param {Object} data - Die Daten des neuen Work Centers
+ * @param {Object} [auditContext] - Benutzer und Änderungsgrund für das Audit-Log
  * @returns {Promise<Object>} Das erstellte Work Center
  */
-const createWorkCenter = async (data) => {
+const createWorkCenter = async (data, auditContext) => {
   try {
-    const workCenter = await WorkCenter.create(data);  // Erstelle ein neues Work Center
-    return workCenter;
+    return await auditedChange('WorkCenter', 'create', auditContext, async (transaction) => {
+      const workCenter = await WorkCenter.create(data, { transaction });  // Erstelle ein neues Work Center
+      return { entityId: workCenter.workcenter_id, before: null, after: workCenter, result: workCenter };
+    });
   } catch (error) {
     console.error("Fehler beim Erstellen des Work Centers:", error.message);
     throw new Error('Failed to create work center');
@@ -51,16 +55,20 @@ const createWorkCenter = async (data) => {
  * Aktualisiert ein bestehendes Work Center
  * @param {string} id - Die UUID des zu aktualisierenden Work Centers
  * @param {Object} data - Die aktualisierten Daten
+ * @param {Object} [auditContext] - Benutzer und Änderungsgrund für das Audit-Log
  * @returns {Promise<Object>} Das aktualisierte Work Center
  */
-const updateWorkCenter = async (id, data) => {
+const updateWorkCenter = async (id, data, auditContext) => {
   try {
-    const workCenter = await WorkCenter.findByPk(id);  // Suche nach Work Center
-    if (!workCenter) {
-      throw new Error(`Work center with ID ${id} not found.`);
-    }
-    await workCenter.update(data);  // Aktualisiere das Work Center
-    return workCenter;
+    return await auditedChange('WorkCenter', 'update', auditContext, async (transaction) => {
+      const workCenter = await WorkCenter.findByPk(id, { transaction });  // Suche nach Work Center
+      if (!workCenter) {
+        throw new Error(`Work center with ID ${id} not found.`);
+      }
+      const before = workCenter.get({ plain: true });
+      await workCenter.update(data, { transaction });  // Aktualisiere das Work Center
+      return { entityId: id, before, after: workCenter, result: workCenter };
+    });
   } catch (error) {
     console.error(`Fehler beim Aktualisieren des Work Centers mit ID ${id}:`, error.message);
     throw new Error(`Failed to update work center with ID ${id}`);
@@ -70,16 +78,20 @@ const updateWorkCenter = async (id, data) => {
 /**
  * Löscht ein Work Center
  * @param {string} id - Die UUID des zu löschenden Work Centers
+ * @param {Object} [auditContext] - Benutzer und Änderungsgrund für das Audit-Log
  * @returns {Promise<boolean>} True, wenn erfolgreich gelöscht
  */
-const deleteWorkCenter = async (id) => {
+const deleteWorkCenter = async (id, auditContext) => {
   try {
-    const workCenter = await WorkCenter.findByPk(id);  // Suche nach Work Center
-    if (!workCenter) {
-      throw new Error(`Work center with ID ${id} not found.`);
-    }
-    await workCenter.destroy();  // Lösche das Work Center
-    return true;
+    return await auditedChange('WorkCenter', 'delete', auditContext, async (transaction) => {
+      const workCenter = await WorkCenter.findByPk(id, { transaction });  // Suche nach Work Center
+      if (!workCenter) {
+        throw new Error(`Work center with ID ${id} not found.`);
+      }
+      const before = workCenter.get({ plain: true });
+      await workCenter.destroy({ transaction });  // Lösche das Work Center
+      return { entityId: id, before, after: null, result: true };
+    });
   } catch (error) {
     console.error(`Fehler beim Löschen des Work Centers mit ID ${id}:`, error.message);
     throw new Error(`Failed to delete work center with ID ${id}`);
@@ -15,6 +15,10 @@ const { invalidateCache } = require("./dataLoader");
 const { sendWebSocketMessage } = require("../websocket/webSocketUtils");
 const { influxdb } = require("../config/config");
 const { writeOEEToInfluxDB } = require("../services/oeeMetricsService");
+const { saveHoldStatus, loadHoldStatuses, deleteHoldStatus } = require("../services/oeeStateService");
+const { UNCLASSIFIED_REASON } = require("../services/reasonCodeService");
+const { resetMachineState } = require("./oeeProcessor");
+const { ORDER_STATUS, isReviewRequired, createReviewSnapshot } = require("../services/orderReviewService");
 
 let currentHoldStatus = {};
 
@@ -33,11 +37,9 @@ async function handleHoldCommand(value, machineId) {
     }
 
     logInfo("Machine is on Hold");
-    stopMachineOperations();
-    logEventToDatabase("Hold", timestamp);
-    notifyPersonnel("Machine has been put on hold.");
 
     currentHoldStatus[machineId] = { startTimestamp: timestamp };
+    await saveHoldStatus(machineId, currentHoldStatus[machineId]);
     logInfo(`Hold signal recorded at ${timestamp} for machine ${machineId}`);
 }
 
@@ -62,9 +64,6 @@ async function handleUnholdCommand(value, machineId) {
     }
 
     logInfo("Machine is now Unhold");
-    startMachineOperations();
-    logEventToDatabase("Unhold", timestamp);
-    notifyPersonnel("Machine has been unhold and resumed operations.");
 
     let processOrder = null;
 
@@ -93,7 +92,7 @@ async function handleUnholdCommand(value, machineId) {
             Order_ID: processOrder ? processOrder.order_id : null,
             start_date: holdTimestamp.toISOString(),
             end_date: timestamp,
-            Reason: "TBD",
+            Reason: UNCLASSIFIED_REASON,
             Differenz: downtimeSeconds,
             workcenter_id: machineId,
         };
@@ -113,6 +112,7 @@ async function handleUnholdCommand(value, machineId) {
     }
 
     delete currentHoldStatus[machineId];
+    await deleteHoldStatus(machineId);
 }
 
 /**
@@ -151,7 +151,8 @@ async function handleProcessOrderStartCommand(value, machineId) {
  */
 async function handleProcessOrderEndCommand(value, machineId) {
     const timestamp = moment().tz(TIMEZONE).toISOString();
-    const processorderstatus = "CLD";
+    // In regulated environments the OEE result is reviewed and signed before the order is closed
+    const processorderstatus = isReviewRequired() ? ORDER_STATUS.PENDING_REVIEW : ORDER_STATUS.CLOSED;
     logInfo(`handleProcessOrderEnd called for machineId: ${machineId} at ${timestamp}`);
 
     try {
@@ -171,10 +172,15 @@ async function handleProcessOrderEndCommand(value, machineId) {
                 processorderstatus: processorderstatus,
             });
 
-            if (processorderstatus === "CLD" || processOrder.actualprocessorderend) {
+            if (processorderstatus === ORDER_STATUS.PENDING_REVIEW) {
+                await createReviewSnapshot(processOrder, metrics);
+            }
+
+            if (processorderstatus !== ORDER_STATUS.RELEASED || processOrder.actualprocessorderend) {
                 logInfo(`Process Order for machine ${machineId} is completed. Writing metrics to InfluxDB.`);
                 await writeOEEToInfluxDB(metrics);
                 logInfo("Metrics written to InfluxDB.");
+                await resetMachineState(machineId);
             } else {
                 logInfo(`Process Order for machine ${machineId} is not completed. InfluxDB write skipped.`);
             }
@@ -188,6 +194,20 @@ async function handleProcessOrderEndCommand(value, machineId) {
     invalidateCache();
 }
 
+/**
+ * Restores open Holds from the state store, so an Unhold received after a restart
+ * still closes the Hold that was opened before it.
+ * @returns {Promise<number>} The number of restored Holds.
+ */
+async function restoreHoldStatus() {
+    const holds = await loadHoldStatuses();
+    currentHoldStatus = { ...holds, ...currentHoldStatus };
+    Object.keys(holds).forEach((machineId) => {
+        logInfo(`Restored open Hold for machine ${machineId} since ${holds[machineId].startTimestamp}`);
+    });
+    return Object.keys(holds).length;
+}
+
 /**
  * Retrieves the active process order for a machine.
  * @param {string} machineId - The ID of the machine.
@@ -246,40 +266,10 @@ function logInfo(message) {
     console.log(`INFO: ${message}`);
 }
 
-/**
- * Stops machine operations.
- */
-function stopMachineOperations() {
-    logInfo("Stopping machine operations...");
-}
-
-/**
- * Starts machine operations.
- */
-function startMachineOperations() {
-    logInfo("Starting machine operations...");
-}
-
-/**
- * Logs an event to the database with a timestamp.
- * @param {string} event - The event type to log.
- * @param {string} timestamp - The ISO timestamp of the event.
- */
-function logEventToDatabase(event, timestamp) {
-    logInfo(`Logging event to database: ${event} at ${timestamp}`);
-}
-
-/**
- * Notifies personnel about a specific event.
- * @param {string} message - The message to send to personnel.
- */
-function notifyPersonnel(message) {
-    logInfo(`Notifying personnel: ${message}`);
-}
-
 module.exports = {
     handleHoldCommand,
     handleUnholdCommand,
     handleProcessOrderStartCommand,
     handleProcessOrderEndCommand,
+    restoreHoldStatus,
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+// This code sends the commands of the API (Hold, Unhold, Start, End) to a machine as DCMD messages on the broker
+// and topic of its MQTT configuration. The machine acknowledges a command with data published after the command
+// that answers it: a new machine state or the command metric itself. Counter ticks do not acknowledge a command.
+// The command itself comes back on the subscribed DCMD topic and is processed like a command of the machine.
+
+const { get: getSparkplugPayload } = require("sparkplug-payload");
+const { oeeLogger, errorLogger } = require("../utils/logger");
+const { mqtt: mqttConfig } = require("../config/config");
+const { COMMAND_METRICS, generateMachineTopics } = require("./topicTemplates");
+const { getBrokerClient, publishToBroker } = require("./mqttBrokers");
+const { getMqttTopicConfig } = require("../services/mqttTopicConfigService");
+const { createMachineCommand, updateMachineCommand } = require("../services/machineCommandService");
+const { isStateMetric, getMachineState } = require("./machineStateHandler");
+const { isPackMLMetric, getPackMLState } = require("./packmlInterpreter");
+
+const oeeConfig = require("../config/oeeConfig.json");
+
+// Commands waiting for the answer of their machine, per workcenter: [{ commandId, command, publishedAt, stateBefore, resolve, timer }]
+const pendingCommands = new Map();
+
+/**
+ * Finds the topic a command is published on: the DCMD topic of the command metric, the DCMD topic
+ * of the machine or, for templates without message type, the topic of the command metric or of the machine.
+ * @param {Map<string, Object>} routes - The topics of the machine (see generateMachineTopics).
+ * @param {string} command - The command metric.
+ * @returns {{topic: string, route: Object}|null} The topic and its route or null if the machine has none.
+ */
+function findCommandTopic(routes, command) {
+    const candidates = [...routes.entries()].filter(([, route]) => route.dataType === "DCMD" || route.dataType === null);
+    const match = candidates.find(([, route]) => route.metric === command)
+        || candidates.find(([, route]) => route.metric === null);
+    return match ? { topic: match[0], route: match[1] } : null;
+}
+
+/**
+ * Encodes a command in the payload format of the machine, the counterpart of its payload decoder.
+ * @param {string} payloadFormat - The payload format, e.g. sparkplug or json.
+ * @param {string} command - The command metric of the OEE configuration.
+ * @param {string} name - The name of the command in the payload (metric_topics or the command).
+ * @param {number} value - The value of the command.
+ * @param {boolean} metricInTopic - Whether the topic carries only this metric.
+ * @returns {Buffer|string} The payload.
+ */
+function encodeCommand(payloadFormat, command, name, value, metricInTopic) {
+    const timestamp = Date.now();
+    switch (payloadFormat) {
+        case "sparkplug":
+            return getSparkplugPayload("spBv1.0").encodePayload({
+                timestamp,
+                metrics: [{ name, type: oeeConfig[command].type, value, timestamp }],
+            });
+        case "json":
+            return JSON.stringify(metricInTopic ? { value, timestamp } : { timestamp, metrics: [{ name, value, timestamp }] });
+        case "value":
+            return String(value);
+        default:
+            throw new Error(`Invalid payload format: commands cannot be encoded as ${payloadFormat}`);
+    }
+}
+
+/**
+ * Converts a timestamp of a message (milliseconds, protobuf Long or date) into milliseconds.
+ * @param {number|Object|Date|null} value - The timestamp.
+ * @returns {number|null} The milliseconds or null if the timestamp is missing.
+ */
+function toMillis(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const millis = typeof value.toNumber === "function" ? value.toNumber() : Number(value);
+    return Number.isFinite(millis) ? millis : null;
+}
+
+/**
+ * Reads the state of a machine when a command is published, a change of it answers the command.
+ * @param {string} machineId - The ID of the machine.
+ * @returns {Object} The machine state and the PackML state and mode, as code and name.
+ */
+function readMachineState(machineId) {
+    const packml = getPackMLState(machineId);
+    return {
+        state: getMachineState(machineId)?.state ?? null,
+        StateCurrent: packml ? [packml.state_code, packml.state] : null,
+        ModeCurrent: packml ? [packml.mode_code, packml.mode] : null,
+    };
+}
+
+/**
+ * Removes commands from the commands waiting for their machine.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {Array<Object>} entries - The pending commands to remove.
+ */
+function removePendingCommands(workcenterId, entries) {
+    const remaining = (pendingCommands.get(workcenterId) || []).filter(entry => !entries.includes(entry));
+    if (remaining.length > 0) {
+        pendingCommands.set(workcenterId, remaining);
+    } else {
+        pendingCommands.delete(workcenterId);
+    }
+}
+
+/**
+ * Waits for the answer of a machine to a command. Called right before the publish.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {string} commandId - The ID of the command.
+ * @param {string} command - The command metric.
+ * @returns {Promise<Date|null>} The time of the answer or null if none arrived within the timeout.
+ */
+function waitForAcknowledgment(workcenterId, commandId, command) {
+    return new Promise((resolve) => {
+        const pending = {
+            commandId,
+            command,
+            publishedAt: Date.now(),
+            stateBefore: readMachineState(workcenterId),
+            resolve,
+            timer: null,
+        };
+        pending.timer = setTimeout(() => {
+            removePendingCommands(workcenterId, [pending]);
+            resolve(null);
+        }, mqttConfig.commandAckTimeout);
+        pendingCommands.set(workcenterId, [...(pendingCommands.get(workcenterId) || []), pending]);
+    });
+}
+
+/**
+ * Checks whether a metric of a data message answers a pending command: the command metric itself,
+ * or a state of the machine (state metric or PackML state and mode) other than at the publish.
+ * Values timestamped before the publish were already on their way and answer nothing.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} pending - The pending command.
+ * @param {Object} metric - The metric (name, value, timestamp).
+ * @param {number|null} messageTimestamp - The timestamp of the message in milliseconds.
+ * @returns {Promise<boolean>} True if the metric answers the command.
+ */
+async function answersCommand(machineId, pending, { name, value, timestamp }, messageTimestamp) {
+    const measuredAt = toMillis(timestamp) ?? messageTimestamp;
+    if (measuredAt !== null && measuredAt < pending.publishedAt) {
+        return false;
+    }
+    if (name === pending.command) {
+        return true;
+    }
+    if (isPackMLMetric(name)) {
+        const before = pending.stateBefore[name];
+        return !before || !before.map(String).includes(String(value));
+    }
+    if (await isStateMetric(machineId, name)) {
+        const before = pending.stateBefore.state;
+        return before === null || String(before) !== String(value);
+    }
+    return false;
+}
+
+/**
+ * Acknowledges the commands a data message of the machine answers (see answersCommand).
+ * Called for every data message of the machine, with the metric names of the OEE configuration.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} decodedMessage - The data message (timestamp, metrics).
+ * @returns {Promise<number>} The number of acknowledged commands.
+ */
+async function acknowledgeMachineCommands(machineId, decodedMessage) {
+    const pending = pendingCommands.get(machineId);
+    if (!pending) {
+        return 0;
+    }
+    const messageTimestamp = toMillis(decodedMessage?.timestamp);
+    const metrics = decodedMessage?.metrics || [];
+    const acknowledged = [];
+    for (const entry of pending) {
+        for (const metric of metrics) {
+            if (await answersCommand(machineId, entry, metric, messageTimestamp)) {
+                acknowledged.push(entry);
+                break;
+            }
+        }
+    }
+    if (acknowledged.length === 0) {
+        return 0;
+    }
+
+    removePendingCommands(machineId, acknowledged);
+    const acknowledgedAt = new Date();
+    acknowledged.forEach(({ resolve, timer }) => {
+        clearTimeout(timer);
+        resolve(acknowledgedAt);
+    });
+    return acknowledged.length;
+}
+
+/**
+ * Publishes a command to a machine, records it and waits for its acknowledgment.
+ * @param {Object} machine - The workcenter (workcenter_id, plant, area, name).
+ * @param {string} command - Hold, Unhold, Start or End.
+ * @param {Object} context - Who sent the command and why (user, role, reason).
+ * @returns {Promise<Object>} The recorded command with its status: acknowledged, timeout or failed.
+ */
+async function sendMachineCommand(machine, command, { user, role = null, reason = null }) {
+    const workcenterId = machine.workcenter_id;
+    if (!COMMAND_METRICS.includes(command)) {
+        throw new Error(`Invalid command: ${command}`);
+    }
+    const topicConfig = await getMqttTopicConfig(workcenterId);
+    const target = findCommandTopic(generateMachineTopics(machine, topicConfig), command);
+    if (!target) {
+        throw new Error(`Invalid command: workcenter ${workcenterId} has no MQTT topic for ${command}`);
+    }
+    const value = 1;
+    const name = topicConfig.metric_topics[command] || command;
+    const payload = encodeCommand(topicConfig.payload_format, command, name, value, target.route.metric === command);
+
+    const entry = {
+        workcenter_id: workcenterId,
+        command,
+        value,
+        broker: topicConfig.broker,
+        topic: target.topic,
+        issued_by: user,
+        role,
+        reason,
+    };
+    if (!getBrokerClient(topicConfig.broker)?.connected) {
+        errorLogger.error(`Command ${command} for workcenter ${workcenterId} not sent: MQTT broker ${topicConfig.broker} is not connected.`);
+        return createMachineCommand({ ...entry, status: "failed", error: `MQTT broker ${topicConfig.broker} is not connected` });
+    }
+
+    const record = await createMachineCommand(entry);
+    // Waiting starts before the publish, the data of the machine may arrive before the publish completes
+    const acknowledgment = waitForAcknowledgment(workcenterId, record.command_id, command);
+    publishToBroker(topicConfig.broker, target.topic, payload, { qos: 1 });
+    oeeLogger.info(`Command ${command} sent by ${user} to workcenter ${workcenterId} on ${target.topic}.`);
+
+    const acknowledgedAt = await acknowledgment;
+    if (acknowledgedAt) {
+        oeeLogger.info(`Command ${command} acknowledged by workcenter ${workcenterId}.`);
+        return updateMachineCommand(record.command_id, { status: "acknowledged", acknowledged_at: acknowledgedAt });
+    }
+    oeeLogger.warn(`Command ${command} not acknowledged by workcenter ${workcenterId} within ${mqttConfig.commandAckTimeout} ms.`);
+    return updateMachineCommand(record.command_id, { status: "timeout" });
+}
+
+module.exports = { sendMachineCommand, acknowledgeMachineCommands };
@@ -10,6 +10,7 @@ const {
     TIMEZONE,
     apiClient
 } = require("./header");
+const { getBreakWindows } = require("../utils/shiftUtils");
 
 dotenv.config();
 
@@ -121,7 +122,8 @@ const loadProcessOrderDataByMachine = (machineId) => fetchDataWithCache(`process
 
 async function loadMachineData() {
     const now = Date.now();
-    if (cache.machineData.data && isCacheValid(cache.machineData.lastFetchTime)) {
+    // The cache entry is null after invalidateCache()
+    if (cache.machineData?.data && isCacheValid(cache.machineData.lastFetchTime)) {
         return cache.machineData.data;
     }
     try {
@@ -201,6 +203,12 @@ const loadShiftModelData = (machineId) => fetchDataWithCache(`shiftModel.${machi
     return data;
 });
 
+// Load the shift calendars (weekday patterns, rotations, holidays, closures) of a machine, caching the result
+const loadCalendarData = (machineId) => fetchDataWithCache(`calendars.${machineId}`, `/calendars/workcenter/${machineId}`, (data) => {
+    oeeLogger.debug(`Fetched calendar data for machineId ${machineId}: ${JSON.stringify(data)}`);
+    return Array.isArray(data) ? data : [];
+});
+
 // Filters and calculates durations for OEE calculation
 /**
  * Filters and calculates various durations related to a process order.
@@ -221,8 +229,9 @@ const loadShiftModelData = (machineId) => fetchDataWithCache(`shiftModel.${machi
  * @param {Array<Object>} shifts - Array of shift entries.
  * @param {string} shifts[].shift_start_time - The start time of the shift.
  * @param {string} shifts[].shift_end_time - The end time of the shift.
- * @param {string} shifts[].break_start - The start time of the break.
- * @param {string} shifts[].break_end - The end time of the break.
+ * @param {Array<Object>} [shifts[].breaks] - The breaks of the shift (break_start/break_end).
+ * @param {string} shifts[].break_start - The start time of the break, used if no breaks are defined.
+ * @param {string} shifts[].break_end - The end time of the break, used if no breaks are defined.
  * @param {string} shifts[].workcenter_id - The workcenter ID of the shift.
  * @returns {Object} An object containing the calculated durations.
  * @returns {number} returns.plannedDowntime - Total planned downtime in minutes.
@@ -252,40 +261,13 @@ function filterAndCalculateDurations(processOrder, plannedDowntime, unplannedDow
     const filteredMicrostops = filterEntries(microstops);
     oeeLogger.debug(`Filtered Microstops: ${JSON.stringify(filteredMicrostops)}`);
 
-    const filteredBreaks = shifts.flatMap((shift) => {
-        const shiftStart = moment.utc(`${moment(orderStart).format("YYYY-MM-DD")} ${shift.shift_start_time}`, "YYYY-MM-DD HH:mm");
-        const shiftEnd = moment.utc(`${moment(orderStart).format("YYYY-MM-DD")} ${shift.shift_end_time}`, "YYYY-MM-DD HH:mm");
-        const breakStart = moment.utc(`${moment(orderStart).format("YYYY-MM-DD")} ${shift.break_start}`, "YYYY-MM-DD HH:mm");
-        const breakEnd = moment.utc(`${moment(orderStart).format("YYYY-MM-DD")} ${shift.break_end}`, "YYYY-MM-DD HH:mm");
-
-        if (breakEnd.isBefore(breakStart)) {
-            breakEnd.add(1, "day");
-        }
-        if (shiftEnd.isBefore(shiftStart)) {
-            shiftEnd.add(1, "day");
-        }
-
-        if (shiftEnd.isBefore(orderStart) || shiftStart.isAfter(orderEnd)) {
-            oeeLogger.debug(`Shift outside of order range: ${shift.shift_start_time} - ${shift.shift_end_time}`);
-            return [];
-        }
-
-        const actualShiftStart = moment.max(shiftStart, orderStart);
-        const actualShiftEnd = moment.min(shiftEnd, orderEnd);
-
-        const breakDuration = calculateBreakDuration(shift.break_start, shift.break_end);
-        oeeLogger.debug(`Break Start: ${shift.break_start}, Break End: ${shift.break_end}`);
-        oeeLogger.debug(`Calculated break duration: ${breakDuration} minutes`);
-
-        const isMachineMatch = shift.workcenter_id === processOrder.workcenter_id;
-        oeeLogger.debug(`Machine ID Match: ${isMachineMatch}`);
-
-        return isMachineMatch ? [{
-            breakDuration: breakDuration || 0, 
-            breakStart: actualShiftStart.format(),
-            breakEnd: actualShiftEnd.format(),
-        }] : [];
-    });
+    // All breaks of the machine's shifts within the order range, including shifts crossing midnight
+    const machineShifts = shifts.filter((shift) => shift.workcenter_id === processOrder.workcenter_id);
+    const filteredBreaks = getBreakWindows(machineShifts, orderStart, orderEnd).map(({ start, end }) => ({
+        breakDuration: calculateOverlap(start, end, orderStart, orderEnd),
+        breakStart: start.format(),
+        breakEnd: end.format(),
+    }));
 
     oeeLogger.debug(`Filtered Breaks: ${JSON.stringify(filteredBreaks)}`);
 
@@ -339,19 +321,6 @@ function calculateOverlap(start1, end1, start2, end2) {
     return Math.max(0, overlapEnd.diff(overlapStart, "minutes"));
 }
 
-// Helper function to calculate the duration of a break
-function calculateBreakDuration(breakStart, breakEnd) {
-    const format = "YYYY-MM-DDTHH:mm:ssZ";
-    const breakStartTime = moment.utc(breakStart, format);
-    const breakEndTime = moment.utc(breakEnd, format);
-
-    if (breakEndTime.isBefore(breakStartTime)) {
-        breakEndTime.add(1, 'day');
-    }
-
-    return breakEndTime.diff(breakStartTime, 'minutes');
-}
-
 // Export all functions to be used in other modules
 module.exports = {
     loadMachineData,
@@ -365,6 +334,7 @@ module.exports = {
     loadProcessOrderDataByMachine,
     checkForRunningOrder,
     loadShiftModelData,
+    loadCalendarData,
     filterAndCalculateDurations,
     invalidateCache, // Neue Funktion exportieren
 };
\ No newline at end of file
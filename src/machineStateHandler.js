@@ -0,0 +1,242 @@
+// This code derives planned and unplanned downtimes from a machine state metric.
+// Fault/Idle open an unplanned downtime, Setup a planned downtime, Running closes the open downtime.
+
+const {
+    moment,
+    oeeLogger,
+    errorLogger,
+    apiClient
+} = require("./header");
+const { checkForRunningOrder, invalidateCache } = require("./dataLoader");
+const { sendWebSocketMessage } = require("../websocket/webSocketUtils");
+const {
+    CATEGORY_DOWNTIME_TYPES,
+    getStateConfig,
+    saveStateStatus,
+    loadStateStatuses,
+} = require("../services/machineStateService");
+
+const DOWNTIME_ENDPOINTS = {
+    planned: { endpoint: "/planneddowntime", cacheKey: "plannedDowntime" },
+    unplanned: { endpoint: "/unplanneddowntime", cacheKey: "unplannedDowntime" },
+};
+
+// Current state per machine: { workcenter_id, state, category, since, downtime_type, downtime_id }
+const machineStates = new Map();
+// Pending threshold timers per machine
+const thresholdTimers = new Map();
+// Downtimes being opened per machine, a state change waits for them so that the downtime gets closed
+const pendingOpenings = new Map();
+
+/**
+ * Checks whether a metric is the machine state metric of a machine.
+ * @param {string} machineId - The ID of the machine.
+ * @param {string} name - The metric name.
+ * @returns {Promise<boolean>} True if the metric carries the machine state.
+ */
+async function isStateMetric(machineId, name) {
+    try {
+        const config = await getStateConfig(machineId);
+        return config.enabled && config.state_metric === name;
+    } catch (error) {
+        errorLogger.error(`Error loading machine state configuration for machine ${machineId}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Opens the downtime of the current state once its threshold is exceeded.
+ * Without a running process order no downtime is recorded.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} status - The state the downtime belongs to.
+ */
+async function openDowntime(machineId, status) {
+    thresholdTimers.delete(machineId);
+    if (machineStates.get(machineId) !== status || status.downtime_id) {
+        return;
+    }
+
+    try {
+        const processOrder = await checkForRunningOrder(machineId);
+        if (!processOrder) {
+            oeeLogger.info(`Machine ${machineId} is in state ${status.state} without running process order. No downtime recorded.`);
+            return;
+        }
+
+        const { endpoint, cacheKey } = DOWNTIME_ENDPOINTS[status.downtime_type];
+        const now = moment.utc();
+        const response = await apiClient.post(endpoint, {
+            start_date: moment.utc(status.since).toISOString(),
+            end_date: now.toISOString(),
+            order_id: processOrder.order_id,
+            workcenter_id: machineId,
+            durationInMinutes: Math.max(0, now.diff(moment.utc(status.since), "minutes")),
+        });
+        status.downtime_id = response.data.plannedOrder_ID;
+        invalidateCache(cacheKey);
+        await saveStateStatus(status);
+
+        sendWebSocketMessage("MachineStateDowntime", { workcenter_id: machineId, action: "opened", downtime_type: status.downtime_type, downtime: response.data });
+        oeeLogger.info(`${status.downtime_type} downtime opened for machine ${machineId} (state ${status.state} since ${moment.utc(status.since).toISOString()}).`);
+    } catch (error) {
+        errorLogger.error(`Failed to open downtime for machine ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Closes the open downtime of a state.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} status - The state that ends.
+ * @param {moment.Moment} timestamp - The end of the state.
+ */
+async function closeDowntime(machineId, status, timestamp) {
+    if (!status.downtime_id) {
+        return;
+    }
+
+    try {
+        const { endpoint, cacheKey } = DOWNTIME_ENDPOINTS[status.downtime_type];
+        const response = await apiClient.put(`${endpoint}/${status.downtime_id}`, {
+            end_date: timestamp.toISOString(),
+            durationInMinutes: Math.max(0, timestamp.diff(moment.utc(status.since), "minutes")),
+        });
+        invalidateCache(cacheKey);
+
+        sendWebSocketMessage("MachineStateDowntime", { workcenter_id: machineId, action: "closed", downtime_type: status.downtime_type, downtime: response.data });
+        oeeLogger.info(`${status.downtime_type} downtime ${status.downtime_id} closed for machine ${machineId}.`);
+    } catch (error) {
+        errorLogger.error(`Failed to close downtime ${status.downtime_id} for machine ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Starts the threshold timer of a state that opens a downtime.
+ * @param {string} machineId - The ID of the machine.
+ * @param {Object} status - The current state.
+ * @param {number} thresholdSeconds - Seconds the state must last.
+ */
+function scheduleDowntime(machineId, status, thresholdSeconds) {
+    const elapsed = moment.utc().diff(moment.utc(status.since), "milliseconds");
+    const delay = Math.max(0, thresholdSeconds * 1000 - elapsed);
+    const timer = setTimeout(() => {
+        const opening = openDowntime(machineId, status).finally(() => {
+            if (pendingOpenings.get(machineId) === opening) {
+                pendingOpenings.delete(machineId);
+            }
+        });
+        pendingOpenings.set(machineId, opening);
+    }, delay);
+    thresholdTimers.set(machineId, timer);
+}
+
+/**
+ * Processes a new value of the machine state metric.
+ * @param {string} machineId - The ID of the machine.
+ * @param {string|number} value - The raw state value, mapped to a category by the state mapping of the workcenter.
+ * @param {moment.Moment} [timestamp=moment.utc()] - The time of the state change.
+ * @returns {Promise<Object|null>} The new state or null if nothing changed.
+ */
+async function handleMachineState(machineId, value, timestamp = moment.utc()) {
+    try {
+        const config = await getStateConfig(machineId);
+        const state = String(value);
+        const category = config.state_mapping[state];
+        if (!category) {
+            oeeLogger.warn(`Machine state ${state} of machine ${machineId} is not mapped to a category. Skipping.`);
+            return null;
+        }
+        return await applyStateCategory(machineId, state, category, timestamp);
+    } catch (error) {
+        errorLogger.error(`Error processing machine state for machine ${machineId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Applies a categorized machine state (from the state metric or the PackML interpreter).
+ * A change of the category ends the current state (closing its downtime) and starts the next one.
+ * @param {string} machineId - The ID of the machine.
+ * @param {string} state - The state as received, for display.
+ * @param {string} category - running, idle, fault or setup.
+ * @param {moment.Moment} [timestamp=moment.utc()] - The time of the state change.
+ * @returns {Promise<Object|null>} The new state or null if the category did not change.
+ */
+async function applyStateCategory(machineId, state, category, timestamp = moment.utc()) {
+    try {
+        const config = await getStateConfig(machineId);
+        const current = machineStates.get(machineId);
+        if (current && current.category === category) {
+            current.state = state;
+            return null;
+        }
+
+        clearTimeout(thresholdTimers.get(machineId));
+        thresholdTimers.delete(machineId);
+        if (current) {
+            // Without the ID of a downtime still being opened it would keep its provisional end
+            await pendingOpenings.get(machineId);
+            await closeDowntime(machineId, current, timestamp);
+        }
+
+        const next = {
+            workcenter_id: machineId,
+            state,
+            category,
+            since: timestamp.toISOString(),
+            downtime_type: CATEGORY_DOWNTIME_TYPES[category],
+            downtime_id: null,
+        };
+        machineStates.set(machineId, next);
+        await saveStateStatus(next);
+
+        if (next.downtime_type) {
+            scheduleDowntime(machineId, next, config.thresholds[category] || 0);
+        }
+
+        sendWebSocketMessage("MachineState", {
+            workcenter_id: machineId,
+            from: current ? { state: current.state, category: current.category, since: current.since } : null,
+            to: { state, category, since: next.since },
+        });
+        oeeLogger.info(`Machine ${machineId} changed from ${current ? current.category : "unknown"} to ${category} (${state}).`);
+        return next;
+    } catch (error) {
+        errorLogger.error(`Error applying machine state for machine ${machineId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Returns the current machine state of a machine.
+ * @param {string} machineId - The ID of the machine.
+ * @returns {Object|null} The current state or null if none was received yet.
+ */
+function getMachineState(machineId) {
+    return machineStates.get(machineId) || null;
+}
+
+/**
+ * Restores the machine states after a restart. Threshold timers of states without
+ * an open downtime are started again with the remaining time.
+ * @returns {Promise<number>} The number of restored machine states.
+ */
+async function restoreMachineStates() {
+    const statuses = await loadStateStatuses();
+    for (const status of statuses) {
+        const restored = { ...status, since: moment.utc(status.since).toISOString() };
+        machineStates.set(status.workcenter_id, restored);
+        if (restored.downtime_type && !restored.downtime_id) {
+            const config = await getStateConfig(status.workcenter_id);
+            scheduleDowntime(status.workcenter_id, restored, config.thresholds[restored.category] || 0);
+        }
+    }
+    return statuses.length;
+}
+
+module.exports = {
+    isStateMetric,
+    handleMachineState,
+    applyStateCategory,
+    getMachineState,
+    restoreMachineStates,
+};
@@ -15,6 +15,9 @@ const oeeConfig = require("../config/oeeConfig.json") || {
 };
 
 const { loadProcessOrderDataByMachine } = require("./dataLoader");
+const { scheduleMetricsMatrixSave, loadMetricsMatrix } = require("../services/oeeStateService");
+const { isStateMetric, handleMachineState } = require("./machineStateHandler");
+const { isPackMLMetric, handlePackMLMetric } = require("./packmlInterpreter");
 
 // Persistent metrics matrix to keep track of all metrics over time
 let metricsMatrix = [];
@@ -39,11 +42,22 @@ async function handleOeeMessage(decodedMessage, machineId) {
         }, {});
 
         for (const { name, value } of decodedMessage.metrics) {
+            // The machine state drives the automatic downtime detection instead of the OEE calculation
+            if (await isStateMetric(machineId, name)) {
+                await handleMachineState(machineId, value);
+                continue;
+            }
+            // PackML StateCurrent and ModeCurrent are interpreted into the state history and downtimes
+            if (isPackMLMetric(name)) {
+                await handlePackMLMetric(machineId, name, value);
+                continue;
+            }
             await processMetric(name, value, machineId, processOrderMap);
         }
 
-        // Clean up the metrics matrix periodically
+        // Clean up the metrics matrix periodically, the changed entries are persisted with a delay
         cleanupMetricsMatrix();
+        scheduleMetricsMatrixSave(metricsMatrix);
     } catch (error) {
         errorLogger.error(`Error processing metrics for machine ${machineId}: ${error.message}`);
         errorLogger.error(`Stack trace: ${error.stack}`);
@@ -199,6 +213,18 @@ function cleanupMetricsMatrix() {
     metricsMatrix = metricsMatrix.filter(entry => entry.valid);
 }
 
+/**
+ * Restores the metrics matrix from the state store after a restart.
+ *
+ * @returns {Promise<number>} The number of restored metrics.
+ */
+async function restoreMetricsMatrix() {
+    const entries = await loadMetricsMatrix();
+    const restored = entries.filter(({ metric }) => !metricsMatrix.some(entry => entry.metric === metric));
+    restored.forEach(({ metric, source, value, valid }) => metricsMatrix.push({ metric, source, value, valid }));
+    return restored.length;
+}
+
 /**
  * Processes command messages by delegating the handling to appropriate command handlers
  * based on the command type.
@@ -248,4 +274,4 @@ async function handleCommandMessage(decodedMessage, machineId) {
 }
 
 // Export the functions to be used in other modules
-module.exports = { handleOeeMessage, handleCommandMessage };
\ No newline at end of file
+module.exports = { handleOeeMessage, handleCommandMessage, restoreMetricsMatrix };
\ No newline at end of file
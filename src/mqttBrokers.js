@@ -0,0 +1,123 @@
+// This code manages the connections to the MQTT brokers of the config file (area, enterprise and further brokers).
+// Every broker has its own credentials and TLS client certificate; brokers without URL are not connected.
+
+const fs = require("fs");
+const mqtt = require("mqtt");
+const { oeeLogger, errorLogger } = require("../utils/logger");
+const { mqtt: mqttConfig } = require("../config/config");
+
+const DEFAULT_BROKER = "area";
+
+// Connected clients per broker name
+const clients = new Map();
+
+/**
+ * Returns the names of all brokers with a URL.
+ * @returns {Array<string>} The broker names.
+ */
+function getBrokerNames() {
+    return Object.entries(mqttConfig.brokers)
+        .filter(([, broker]) => broker && broker.url)
+        .map(([name]) => name);
+}
+
+/**
+ * Reads a TLS key or certificate. The setting is either the PEM content or the path of the file.
+ * @param {string|null} value - The setting.
+ * @returns {Buffer|string|undefined} The PEM content or undefined if not set.
+ */
+function readTlsSetting(value) {
+    if (!value) {
+        return undefined;
+    }
+    return value.includes("-----BEGIN") ? value : fs.readFileSync(value);
+}
+
+/**
+ * Builds the connect options of a broker.
+ * @param {Object} broker - The broker configuration (url, clientId, username, password, tls, rejectUnauthorized).
+ * @returns {Object} The options for mqtt.connect.
+ */
+function buildConnectOptions(broker) {
+    const tls = broker.tls || {};
+    return {
+        clientId: broker.clientId,
+        username: broker.username,
+        password: broker.password,
+        key: readTlsSetting(tls.key),
+        cert: readTlsSetting(tls.cert),
+        ca: readTlsSetting(tls.ca),
+        rejectUnauthorized: broker.rejectUnauthorized ?? mqttConfig.rejectUnauthorized,
+    };
+}
+
+/**
+ * Creates and connects the client of a broker.
+ * @param {string} name - The broker name.
+ * @returns {mqtt.MqttClient} The client.
+ */
+function connectBroker(name) {
+    const broker = mqttConfig.brokers[name];
+    if (!broker?.url) {
+        throw new Error(`MQTT broker ${name} is not configured`);
+    }
+    oeeLogger.info(`Connecting to MQTT broker ${name} at ${broker.url}...`);
+    const client = mqtt.connect(broker.url, buildConnectOptions(broker));
+    clients.set(name, client);
+    return client;
+}
+
+/**
+ * Returns the client of a broker.
+ * @param {string} name - The broker name.
+ * @returns {mqtt.MqttClient|null} The client or null if the broker is not connected.
+ */
+function getBrokerClient(name) {
+    return clients.get(name) || null;
+}
+
+/**
+ * Publishes a message to a broker if it is connected.
+ * @param {string} name - The broker name.
+ * @param {string} topic - The topic.
+ * @param {string|Buffer} payload - The payload.
+ * @param {Object} [options] - Publish options (qos, retain).
+ * @returns {boolean} True if the message was handed to the client.
+ */
+function publishToBroker(name, topic, payload, options = {}) {
+    const client = clients.get(name);
+    if (!client || !client.connected) {
+        oeeLogger.debug(`MQTT broker ${name} is not connected. Message on ${topic} not published.`);
+        return false;
+    }
+    client.publish(topic, payload, options, (error) => {
+        if (error) {
+            errorLogger.error(`Failed to publish to MQTT broker ${name} on ${topic}: ${error.message}`);
+        }
+    });
+    return true;
+}
+
+/**
+ * Disconnects from all brokers.
+ * @returns {Promise<void>}
+ */
+async function endBrokerClients() {
+    await Promise.all([...clients.entries()].map(([name, client]) => new Promise((resolve) => {
+        client.end(false, {}, () => {
+            oeeLogger.info(`MQTT broker ${name} disconnected.`);
+            resolve();
+        });
+    })));
+    clients.clear();
+}
+
+module.exports = {
+    DEFAULT_BROKER,
+    getBrokerNames,
+    buildConnectOptions,
+    connectBroker,
+    getBrokerClient,
+    publishToBroker,
+    endBrokerClients,
+};
@@ -1,15 +1,17 @@
 // This code is responsible for setting up the MQTT client, handling incoming messages, and subscribing to machine topics.
 // It builds the connection to the IT-OT Layer to read the data from the machines and process it.
-// Configuration is read from the config file and the connection is established with the MQTT broker.
-
-const mqtt = require("mqtt");
-const { get: getSparkplugPayload } = require("sparkplug-payload");
+// Configuration is read from the config file and a connection is established with every configured MQTT broker.
 const { oeeLogger, errorLogger, defaultLogger } = require("../utils/logger");
 const { mqtt: mqttConfig } = require("../config/config");
 const { handleCommandMessage, handleOeeMessage } = require("./messageHandler");
-const { checkForRunningOrder, loadMachineData, getMachineIdFromLineCode } = require("./dataLoader");
+const { checkForRunningOrder, loadMachineData } = require("./dataLoader");
+const { SESSION_MESSAGE_TYPES, handleSessionMessage, resolveDataMessage } = require("./sparkplugHandler");
+const { getPayloadDecoder } = require("./payloadDecoders");
+const { COMMAND_METRICS, generateMachineTopics, matchTopic } = require("./topicTemplates");
+const { getMqttTopicConfig } = require("../services/mqttTopicConfigService");
+const { DEFAULT_BROKER, getBrokerNames, connectBroker } = require("./mqttBrokers");
+const { acknowledgeMachineCommands } = require("./commandPublisher");
 
-const oeeConfig = require("../config/oeeConfig.json");
 const axios = require('axios');
 const { consoleLogger } = require("@influxdata/influxdb-client");
 
@@ -37,73 +39,72 @@ const metrics = {
     totalConnectionDuration: 0,
 };
 
-let lastMessageTimestamp = Date.now();
-let client; // Deklaration der client-Variable im globalen Gültigkeitsbereich
+// State per broker: { name, client, lastMessageTimestamp, topicRoutes, machineTopics }
+// topicRoutes: subscribed topic -> { machineId, payloadFormat, template, metric, dataType, metricNames }
+// machineTopics: subscribed topics per machine, to unsubscribe the topics of a changed configuration
+const brokers = new Map();
 
 /**
- * Sets up the MQTT client and its event handlers.
- * @returns {mqtt.MqttClient} The configured MQTT client.
+ * Sets up a client with its event handlers for every configured broker.
+ * @returns {mqtt.MqttClient} The client of the area broker (or the first broker).
  */
 function setupMqttClient() {
     oeeLogger.info("Setting up MQTT client...");
-    client = createMqttClient(); // Initialisierung der client-Variable
-    setupClientEventHandlers(client);
-    setupWatchdog(client);
-    return client;
-}
-
-/**
- * Creates and connects the MQTT client.
- * @returns {mqtt.MqttClient} The connected MQTT client.
- */
-function createMqttClient() {
-    oeeLogger.info(`Connecting to MQTT broker at ${mqttConfig.brokers.area.url}...`);
-    return mqtt.connect(mqttConfig.brokers.area.url, {
-        username: mqttConfig.auth.username,
-        password: mqttConfig.auth.password,
-        clientId: mqttConfig.clientId,
-        rejectUnauthorized: false
+    getBrokerNames().forEach((name) => {
+        const broker = {
+            name,
+            client: connectBroker(name),
+            lastMessageTimestamp: Date.now(),
+            topicRoutes: new Map(),
+            machineTopics: new Map(),
+        };
+        brokers.set(name, broker);
+        setupClientEventHandlers(broker);
+        setupWatchdog(broker);
     });
+    const primary = brokers.get(DEFAULT_BROKER) || brokers.values().next().value;
+    return primary ? primary.client : null;
 }
 
 /**
- * Sets up event handlers for the MQTT client.
- * @param {mqtt.MqttClient} client - The MQTT client.
+ * Sets up event handlers for the MQTT client of a broker.
+ * @param {Object} broker - The broker state.
  */
-function setupClientEventHandlers(client) {
-    client.on("connect", onConnect(client));
-    client.on("message", handleIncomingMessage);
-    client.on("error", handleClientError);
-    client.on("reconnect", handleClientReconnect);
-    client.on("close", handleClientClose);
+function setupClientEventHandlers(broker) {
+    const { client, name } = broker;
+    client.on("connect", onConnect(broker));
+    client.on("message", (topic, message) => handleIncomingMessage(broker, topic, message));
+    client.on("error", error => handleClientError(name, error));
+    client.on("reconnect", () => handleClientReconnect(name));
+    client.on("close", () => handleClientClose(name));
     client.on("subscribe", onSubscribe);
 }
 
 /**
  * Handles the MQTT client's connection event.
- * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} broker - The broker state.
  * @returns {Function} The event handler function.
  */
-function onConnect(client) {
+function onConnect(broker) {
     return () => {
-        oeeLogger.info("MQTT client connected successfully.");
+        oeeLogger.info(`MQTT client connected successfully to broker ${broker.name}.`);
         metrics.lastConnectionTime = Date.now();
-        tryToSubscribeToMachineTopics(client);
+        tryToSubscribeToMachineTopics(broker);
     };
 }
 
 /**
- * Tries to subscribe to the machine topics in batches.
- * @param {mqtt.MqttClient} client - The MQTT client.
+ * Tries to subscribe to the topics of the machines assigned to a broker in batches.
+ * @param {Object} broker - The broker state.
  */
-async function tryToSubscribeToMachineTopics(client) {
+async function tryToSubscribeToMachineTopics(broker) {
     try {
         const machines = await loadMachineData();
         const oeeMachines = machines.filter(machine => machine.OEE);
         oeeLogger.debug(`Found ${oeeMachines.length} OEE-enabled machines.`);
 
-        await Promise.all(oeeMachines.map(machine => subscribeToMachineTopics(client, machine)));
-        oeeLogger.info(`Successfully subscribed to topics for all OEE-enabled machines.`);
+        await Promise.all(oeeMachines.map(machine => subscribeToMachineTopics(broker, machine)));
+        oeeLogger.info(`Successfully subscribed to topics for all OEE-enabled machines of broker ${broker.name}.`);
     } catch (error) {
         oeeLogger.error(`Error in tryToSubscribeToMachineTopics: ${error.message}`);
     }
@@ -112,21 +113,40 @@ async function tryToSubscribeToMachineTopics(client) {
 // The function will be called every 60 seconds to ensure that in the meantime a machine was set up in the system 
 // OEE is enabled and the topics are subscribed to
 setInterval(() => {
-    tryToSubscribeToMachineTopics(client);
+    brokers.forEach(broker => tryToSubscribeToMachineTopics(broker));
 }, WATCHDOG_INTERVAL);
 
 /**
- * Subscribes to the MQTT topics for a machine.
- * @param {mqtt.MqttClient} client - The MQTT client.
+ * Subscribes to the MQTT topics for a machine if it is assigned to the broker.
+ * @param {Object} broker - The broker state.
  * @param {Object} machine - The machine object.
  */
-async function subscribeToMachineTopics(client, machine) {
+async function subscribeToMachineTopics(broker, machine) {
+    const { client, topicRoutes, machineTopics } = broker;
     try {
-        oeeLogger.debug(`Subscribing to topics for machine: ${machine.name}`);
-        
         // Generieren der MQTT-Themen für die Maschine
-        const topics = generateMachineTopics(machine);
+        const topicConfig = await getMqttTopicConfig(machine.workcenter_id);
+        const routes = topicConfig.broker === broker.name ? generateMachineTopics(machine, topicConfig) : new Map();
+        const topics = [...routes.keys()];
+
+        // Topics of a previous configuration or broker assignment are no longer needed
+        const obsoleteTopics = (machineTopics.get(machine.workcenter_id) || []).filter(topic => !routes.has(topic));
+        if (obsoleteTopics.length > 0) {
+            client.unsubscribe(obsoleteTopics);
+            obsoleteTopics.forEach(topic => topicRoutes.delete(topic));
+        }
+        if (topicConfig.broker !== broker.name) {
+            machineTopics.delete(machine.workcenter_id);
+            return;
+        }
+
+        oeeLogger.debug(`Subscribing to topics for machine: ${machine.name}`);
+        if (topics.length === 0) {
+            oeeLogger.error(`Machine ${machine.name} is missing required properties. No topics generated.`);
+        }
         oeeLogger.debug(`Generated topics for machine ${machine.name}: ${JSON.stringify(topics)}`);
+        routes.forEach((route, topic) => topicRoutes.set(topic, route));
+        machineTopics.set(machine.workcenter_id, topics);
         
         // Abonnieren der Themen
         await Promise.all(topics.map(topic => subscribeWithRetry(client, topic, 3, 1000)));
@@ -139,27 +159,24 @@ async function subscribeToMachineTopics(client, machine) {
 }
 
 /**
- * Generates dynamically the MQTT topics for a machine.
- * @param {Object} machine - The machine object.
- * @returns {Array<string>} The generated topics.
+ * Finds the subscription a topic was received on.
+ * @param {Map<string, Object>} topicRoutes - The subscriptions of the broker.
+ * @param {string} topic - The topic of the message.
+ * @returns {Object|null} The route of the subscription or null if no machine subscribed to the topic.
  */
-function generateMachineTopics(machine) {
-    const topics = [];
-    if (!oeeConfig) {
-        oeeLogger.info("oeeConfig is undefined or null. Please check the configuration file.");
-        return topics;
+function findTopicRoute(topicRoutes, topic) {
+    if (topicRoutes.has(topic)) {
+        return topicRoutes.get(topic);
     }
-
-    if (!(machine?.plant && machine?.area && machine?.name)) {
-        oeeLogger.error("Machine object is missing required properties.");
-        return topics;
+    const parts = topic.split("/");
+    for (const [subscription, route] of topicRoutes) {
+        const filter = subscription.split("/");
+        const matches = filter.length === parts.length && filter.every((segment, i) => segment === "+" || segment === parts[i]);
+        if (matches) {
+            return route;
+        }
     }
-
-    Object.keys(oeeConfig).forEach(key => {
-        const topicType = ["Hold", "Unhold", "Start", "End"].includes(key) ? "DCMD" : "DDATA";
-        topics.push(`spBv1.0/${machine.plant}/${machine.area}/${topicType}/${machine.name}/${key}`);
-    });
-    return topics;
+    return null;
 }
 
 /**
@@ -172,34 +189,97 @@ function onSubscribe(topics) {
 
 /**
  * Handles incoming MQTT messages.
+ * @param {Object} broker - The state of the broker the message was received from.
  * @param {string} topic - The topic of the message.
  * @param {Buffer} message - The message payload.
  */
-async function handleIncomingMessage(topic, message) {
+async function handleIncomingMessage(broker, topic, message) {
     metrics.messagesReceived++;
-    lastMessageTimestamp = Date.now();
-    const { machineName, dataType, metric } = parseTopic(topic);
-    oeeLogger.info(`Received message on topic: ${topic} - machine=${machineName}, metric=${metric}`);
+    broker.lastMessageTimestamp = Date.now();
+    const { client } = broker;
+    const route = findTopicRoute(broker.topicRoutes, topic);
+    if (!route) {
+        oeeLogger.warn(`No machine subscribed to topic ${topic}. Skipping message processing.`);
+        return;
+    }
+    const { machineId, payloadFormat, dataType } = route;
+    const topicParts = parseTopic(route.template, topic, dataType);
+    const metric = route.metric || topicParts.metric;
+    oeeLogger.info(`Received message on topic: ${topic} - machine=${machineId}, metric=${metric}`);
 
     try {
-        const machineId = await getMachineIdFromLineCode(machineName);
-        if (!machineId) {
-            oeeLogger.error(`Machine ${machineName} not found. Skipping message processing.`);
+        // Birth and death certificates are tracked independent of a running process order
+        if (SESSION_MESSAGE_TYPES.includes(dataType)) {
+            await handleSessionMessage(client, topicParts, decodeMessagePayload(message, payloadFormat), machineId);
             return;
         }
-        oeeLogger.info(`Machine ID Incoming Message for ${machineName} is ${machineId}`);
+
+        // Nachricht dekodieren und verarbeiten
+        let decodedMessage = decodeMessagePayload(message, payloadFormat, route.metric);
+        if (payloadFormat === "sparkplug" && dataType === "DDATA") {
+            decodedMessage = resolveDataMessage(client, topicParts, decodedMessage);
+        }
+        decodedMessage = mapMetricNames(decodedMessage, route.metricNames);
+        // Data of the machine acknowledges the commands sent via the API, also without a running order.
+        // Commands on topics without message type may be the published command itself and are left out.
+        if (isDataMessage(dataType, decodedMessage)) {
+            await acknowledgeMachineCommands(machineId, dataType ? decodedMessage : {
+                ...decodedMessage,
+                metrics: decodedMessage.metrics.filter(({ name }) => !COMMAND_METRICS.includes(name)),
+            });
+        }
+
         const hasRunningOrder = await checkForRunningOrder(machineId);
         if (!hasRunningOrder) {
             oeeLogger.warn(`No active process order for machine ID ${machineId}. Skipping message processing.`);
             return;
         }
-        // Nachricht dekodieren und verarbeiten
-        const decodedMessage = decodeMessagePayload(message);
-        processMessageByType(dataType, decodedMessage, machineId, metric);
+
+        if (dataType) {
+            processMessageByType(dataType, decodedMessage, machineId, metric);
+            return;
+        }
+        // Topics without message type carry data and commands, told apart by the metric name
+        const commands = decodedMessage.metrics.filter(({ name }) => COMMAND_METRICS.includes(name));
+        const data = decodedMessage.metrics.filter(({ name }) => !COMMAND_METRICS.includes(name));
+        if (commands.length > 0) {
+            processMessageByType("DCMD", { ...decodedMessage, metrics: commands }, machineId, metric);
+        }
+        if (data.length > 0) {
+            processMessageByType("DDATA", { ...decodedMessage, metrics: data }, machineId, metric);
+        }
 
     } catch (error) {
-        oeeLogger.error(`Error processing message for machine ${machineName}: ${error.message}`);
+        oeeLogger.error(`Error processing message for machine ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Checks whether a message carries data of the machine. Topics without message type are data
+ * if at least one metric is not a command.
+ * @param {string|null} dataType - The message type of the subscription.
+ * @param {Object} decodedMessage - The decoded message with the metric names of the OEE configuration.
+ * @returns {boolean} True for data messages.
+ */
+function isDataMessage(dataType, decodedMessage) {
+    if (dataType) {
+        return dataType === "DDATA";
     }
+    return (decodedMessage.metrics || []).some(({ name }) => !COMMAND_METRICS.includes(name));
+}
+
+/**
+ * Renames the metrics of a message whose names are topic values or payload keys of the
+ * metric_topics configuration to the metric names of the OEE configuration.
+ * @param {Object} decodedMessage - The decoded message.
+ * @param {Object} metricNames - Topic value or payload key -> metric name.
+ * @returns {Object} The message with the metric names of the OEE configuration.
+ */
+function mapMetricNames(decodedMessage, metricNames) {
+    return {
+        ...decodedMessage,
+        metrics: (decodedMessage.metrics || []).map(entry => ({ ...entry, name: metricNames[entry.name] || entry.name })),
+    };
 }
 
 /**
@@ -220,13 +300,14 @@ function processMessageByType(dataType, decodedMessage, machineId, metric) {
 }
 
 /**
- * Decodes the message payload using Sparkplug.
+ * Decodes the message payload with the decoder of the payload format of the machine.
  * @param {Buffer} message - The message payload.
+ * @param {string} payloadFormat - The payload format, e.g. sparkplug or json.
+ * @param {string|null} [metric=null] - The metric of the topic, null if the topic carries several metrics.
  * @returns {Object} The decoded message.
  */
-function decodeMessagePayload(message) {
-    const sparkplug = getSparkplugPayload("spBv1.0");
-    const decodedMessage = sparkplug.decodePayload(message);
+function decodeMessagePayload(message, payloadFormat, metric = null) {
+    const decodedMessage = getPayloadDecoder(payloadFormat)(message, metric);
     return decodedMessage;
 }
 
@@ -243,12 +324,21 @@ function logError(topic, message, error) {
 
 /**
  * Parses the topic into its components.
+ * @param {string} template - The topic template the topic was built from.
  * @param {string} topic - The topic string.
+ * @param {string|null} dataType - The message type of the subscription.
  * @returns {Object} The parsed topic components.
  */
-function parseTopic(topic) {
-    const [version, location, area, dataType, machineName, metric] = topic.split("/");
-    return { version, location, area, dataType, machineName, metric };
+function parseTopic(template, topic, dataType) {
+    const values = matchTopic(template, topic) || {};
+    return {
+        version: mqttConfig.namespace,
+        location: values.plant,
+        area: values.area,
+        dataType: values.message_type || dataType,
+        machineName: values.machine,
+        metric: values.metric,
+    };
 }
 
 /**
@@ -288,43 +378,47 @@ function getExponentialBackoffDelay(baseDelay, attempt) {
 }
 
 /**
- * Sets up a watchdog to monitor the MQTT client.
- * @param {mqtt.MqttClient} client - The MQTT client.
+ * Sets up a watchdog to monitor the MQTT client of a broker.
+ * Brokers without subscribed machines (e.g. the enterprise broker) are not expected to send messages.
+ * @param {Object} broker - The broker state.
  */
-function setupWatchdog(client) {
+function setupWatchdog(broker) {
     setInterval(() => {
-        const timeSinceLastMessage = Date.now() - lastMessageTimestamp;
-        if (timeSinceLastMessage > WATCHDOG_INTERVAL) {
-            oeeLogger.warn("No messages received for over 60 seconds. Attempting to reconnect...");
-            client.reconnect();
+        const timeSinceLastMessage = Date.now() - broker.lastMessageTimestamp;
+        if (broker.topicRoutes.size > 0 && timeSinceLastMessage > WATCHDOG_INTERVAL) {
+            oeeLogger.warn(`No messages received from broker ${broker.name} for over 60 seconds. Attempting to reconnect...`);
+            broker.client.reconnect();
         }
     }, WATCHDOG_INTERVAL);
 }
 
 /**
  * Handles the MQTT client's error event.
+ * @param {string} name - The broker name.
  * @param {Error} error - The error that occurred.
  */
-function handleClientError(error) {
-    oeeLogger.error(`MQTT client error: ${error.message}`);
+function handleClientError(name, error) {
+    oeeLogger.error(`MQTT client error (broker ${name}): ${error.message}`);
 }
 
 /**
  * Handles the MQTT client's reconnect event.
+ * @param {string} name - The broker name.
  */
-function handleClientReconnect() {
+function handleClientReconnect(name) {
     metrics.reconnections++;
-    oeeLogger.warn("MQTT client reconnecting...");
+    oeeLogger.warn(`MQTT client reconnecting to broker ${name}...`);
 }
 
 /**
  * Handles the MQTT client's close event.
+ * @param {string} name - The broker name.
  */
-function handleClientClose() {
+function handleClientClose(name) {
     if (metrics.lastConnectionTime) {
         metrics.totalConnectionDuration += Date.now() - metrics.lastConnectionTime;
     }
-    oeeLogger.warn("MQTT client connection closed");
+    oeeLogger.warn(`MQTT client connection to broker ${name} closed`);
 }
 
 /**
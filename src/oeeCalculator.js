@@ -8,12 +8,75 @@ const {
     moment,
     DATE_FORMAT
 } = require("./header");
+const { classifySpeed } = require("../services/speedLossService");
+const { getOverlapMinutes } = require("../utils/calendarUtils");
 
-const CALCULATION_MODE = config.calculationMode || "standard"; 
+const CALCULATION_MODE = config.calculationMode || "standard";
 
 // Classification levels for OEE metrics
 const CLASSIFICATION_LEVELS = config.classificationLevels;
 
+/**
+ * Calculate the OEE lenses for a single calculation run.
+ *
+ * - standard: availability against the planned production time (calendar time minus non-scheduled time).
+ * - teep: standard OEE multiplied by the utilization, i.e. measured against the full calendar time.
+ * - ooe: availability against the operating time, so breaks and planned downtimes count as losses.
+ * - sixBigLosses: the loss time in minutes per category. Rejects during start-up are not recorded
+ *   separately from the production rejects and are therefore reported as null.
+ *
+ * @param {Object} times - calendarTime, plannedProductionTime, unplannedDowntime, plannedDowntime, breakTime, microstops (minutes).
+ * @param {Object} standard - The standard availability, performance and quality in percent.
+ * @param {number} idealTakt - Ideal time per unit in minutes.
+ * @param {number} quantity - Produced quantity.
+ * @param {number} scrap - Rejected quantity.
+ * @returns {Object} - The metrics per calculation mode.
+ */
+function calculateModes(times, standard, idealTakt, quantity, scrap) {
+    const { calendarTime, plannedProductionTime, unplannedDowntime, plannedDowntime, breakTime, microstops } = times;
+    const { availability, performance, quality } = standard;
+    const oee = (availability * performance * quality) / 10000;
+
+    const utilization = calendarTime > 0 ? (plannedProductionTime / calendarTime) * 100 : 0;
+    const runTime = Math.max(0, plannedProductionTime - breakTime - plannedDowntime - unplannedDowntime);
+    const ooeAvailability = plannedProductionTime > 0 ? (runTime / plannedProductionTime) * 100 : 0;
+    const safeTakt = Number.isFinite(idealTakt) ? idealTakt : 0;
+    const idealTime = quantity * safeTakt;
+
+    return {
+        standard: { availability, performance, quality, oee },
+        teep: { utilization, availability, performance, quality, oee, teep: (oee * utilization) / 100 },
+        ooe: { availability: ooeAvailability, performance, quality, ooe: (ooeAvailability * performance * quality) / 10000 },
+        sixBigLosses: {
+            breakdowns: unplannedDowntime,
+            setupAndAdjustments: plannedDowntime,
+            smallStops: microstops,
+            reducedSpeed: Math.max(0, runTime - microstops - idealTime),
+            startupRejects: null,
+            productionRejects: Math.max(0, scrap) * safeTakt,
+            fullyProductiveTime: Math.max(0, quantity - Math.max(0, scrap)) * safeTakt,
+        },
+    };
+}
+
+/**
+ * Pick the headline metrics of the selected calculation mode.
+ * Six Big Losses is a breakdown of the standard OEE and therefore uses the standard values.
+ * @param {Object} modes - The metrics per calculation mode.
+ * @param {string} calculationMode - The selected calculation mode.
+ * @returns {{availability: number, performance: number, quality: number, oee: number}}
+ */
+function selectHeadline(modes, calculationMode) {
+    switch (calculationMode) {
+        case "teep":
+            return { ...modes.standard, oee: modes.teep.teep };
+        case "ooe":
+            return { ...modes.ooe, oee: modes.ooe.ooe };
+        default:
+            return modes.standard;
+    }
+}
+
 /**
  * Class representing an OEE (Overall Equipment Effectiveness) Calculator.
  */
@@ -159,9 +222,15 @@ class OEECalculator {
      * @param {number} ActualProductionQuantity - Actual production quantity.
      * @param {number} ActualProductionYield - Actual production yield.
      * @param {Object} processOrder - The process order object.
+     * @param {Object} [timeTotals={}] - Time totals of the timeline in minutes (breakTime, plannedDowntime, microstops) and
+     *   the `nonScheduledWindows` of the order. Non-scheduled time (holidays, closures, shifts not worked, gaps between shifts)
+     *   within the elapsed runtime is excluded from the planned production time.
+     * @param {string} [calculationMode=CALCULATION_MODE] - The calculation mode of the workcenter (standard, teep, ooe, sixBigLosses).
+     * @param {Object|null} [tact=null] - Tact master data of the material (`sollMin`/`sollMax` in seconds per unit).
+     *   If present, performance is based on the ideal cycle time `sollMin` instead of the planned takt of the order.
      * @throws {Error} - Throws an error if no data is found for the machine or required fields are missing.
      */
-    async calculateMetrics(machineId, totalUnplannedDowntime, totalPlannedDowntime, ActualProductionQuantity, ActualProductionYield, processOrder) {
+    async calculateMetrics(machineId, totalUnplannedDowntime, totalPlannedDowntime, ActualProductionQuantity, ActualProductionYield, processOrder, timeTotals = {}, calculationMode = CALCULATION_MODE, tact = null) {
         try {
             if (!this.oeeData[machineId]) {
                 throw new Error(`No data found for machineId: ${machineId}`);
@@ -203,24 +272,63 @@ class OEECalculator {
 
             const scrap = ActualProductionQuantity - ActualProductionYield;
 
+            const { nonScheduledWindows = [], breakTime = 0, plannedDowntime = 0, microstops = 0 } = timeTotals;
+            // Only the non-scheduled time within the elapsed runtime counts, not the rest of the planned order window
+            const runtime = this.oeeData[machineId].actualRuntime;
+            const runStart = moment.utc(actualprocessorderstart || start_date);
+            const totalNonScheduledTime = getOverlapMinutes(nonScheduledWindows, runStart, runStart.clone().add(runtime, "minutes"));
+            const plannedProductionTime = Math.max(0, runtime - totalNonScheduledTime);
+            const availability = plannedProductionTime > 0 ?
+                ((plannedProductionTime - totalUnplannedDowntime) / plannedProductionTime) * 100 :
+                0;
+            // Ideal and actual cycle time in seconds per unit, measured against the operating time
+            const operatingTime = Math.max(0, plannedProductionTime - totalUnplannedDowntime);
+            const idealCycleTime = tact ? tact.sollMin : null;
+            const actualCycleTime = ActualProductionQuantity > 0 ? (operatingTime * 60) / ActualProductionQuantity : null;
+            let performance;
+            if (idealCycleTime) {
+                performance = operatingTime > 0 ? ((ActualProductionQuantity * idealCycleTime) / 60 / operatingTime) * 100 : 0;
+            } else {
+                performance = actualTakt ? (plannedTakt / actualTakt) * 100 : 0;
+            }
+            const quality = ActualProductionQuantity > 0 ?
+                (ActualProductionYield / ActualProductionQuantity) * 100 :
+                0;
+
+            const modes = calculateModes({
+                calendarTime: this.oeeData[machineId].actualRuntime,
+                plannedProductionTime,
+                unplannedDowntime: totalUnplannedDowntime,
+                plannedDowntime,
+                breakTime,
+                microstops,
+            }, { availability, performance, quality }, idealCycleTime ? idealCycleTime / 60 : plannedTakt, ActualProductionQuantity, scrap);
+            const headline = selectHeadline(modes, calculationMode);
+
             this.oeeData[machineId] = {
                 ...this.oeeData[machineId],
                 ActualProductionQuantity,
                 ActualProductionYield,
                 totalUnplannedDowntime,
+                totalNonScheduledTime,
+                plannedProductionTime,
                 scrap,
                 plannedTakt,
                 actualTakt,
+                idealCycleTime,
+                actualCycleTime,
+                sollMin: tact ? tact.sollMin : null,
+                sollMax: tact ? tact.sollMax : null,
+                speedLoss: ActualProductionQuantity > 0 ? classifySpeed(actualCycleTime, tact) : null,
                 remainingTime,
                 expectedEndTime: expectedEndTime ? expectedEndTime.format(DATE_FORMAT) : null,
-                availability: this.oeeData[machineId].actualRuntime > 0 ?
-                    ((this.oeeData[machineId].actualRuntime - totalUnplannedDowntime) / this.oeeData[machineId].actualRuntime) * 100 :
-                    0,
-                performance: actualTakt ? (plannedTakt / actualTakt) * 100 : 0,
-                quality: ActualProductionQuantity > 0 ?
-                    (ActualProductionYield / ActualProductionQuantity) * 100 :
-                    0,
-                oee: (this.oeeData[machineId].availability * this.oeeData[machineId].performance * this.oeeData[machineId].quality) / 10000,
+                availability: headline.availability,
+                performance: headline.performance,
+                quality: headline.quality,
+                // OEE is derived from the values of this calculation, not the previous one
+                oee: headline.oee,
+                calculationMode,
+                modes,
             };
 
             this.oeeData[machineId].classification = this.classifyOEE(machineId);
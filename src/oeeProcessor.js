@@ -12,6 +12,11 @@ const { sendWebSocketMessage } = require("../websocket/webSocketUtils");
 const { influxdb } = require("../config/config");
 const { loadMachineData, loadDataAndPrepareOEE, loadProcessOrderDataByMachine, getPlantAndArea } = require("./dataLoader");
 const OEECalculator = require("./oeeCalculator");
+const { scheduleCalculatorStateSave, loadCalculatorStates, deleteCalculatorState } = require("../services/oeeStateService");
+const { getCalculationMode } = require("../services/oeeModeService");
+const { getTactForOrder, trackProduction } = require("../services/speedLossService");
+const { publishOEEResult } = require("./oeePublisher");
+const { updateEdgeNodeMetrics } = require("./sparkplugEdgeNode");
 
 require('dotenv').config(); // Load environment variables
 
@@ -141,6 +146,14 @@ async function processMetrics(machineId, buffer) {
         
         if (!processOrderData || processOrderData.length === 0) throw new Error(`No active process order found for machine ${machineId}`);
         const processOrder = processOrderData[0];
+
+        // A restored or stale calculator may still belong to the previous process order
+        if (calculator.oeeData[machineId]?.order_id && calculator.oeeData[machineId].order_id !== processOrder.order_id) {
+            oeeLogger.info(`Process order changed for machineId ${machineId}, reinitializing OEE calculator.`);
+            await calculator.init(machineId);
+            calculator.oeeData[machineId] = { ...calculator.oeeData[machineId], plant, area, lineId, ...buffer };
+        }
+
         let OEEData;        
         try {
             OEEData = await loadDataAndPrepareOEE(machineId);
@@ -152,10 +165,16 @@ async function processMetrics(machineId, buffer) {
         validateInputData(totalTimes, machineId);
         const ActualProductionQuantity = buffer?.ActualProductionQuantity || 0;
         const ActualProductionYield = buffer?.ActualProductionYield || 0;
-        await calculator.calculateMetrics(machineId, totalTimes.unplannedDowntime, totalTimes.plannedDowntime + totalTimes.breakTime + totalTimes.microstops, ActualProductionQuantity, ActualProductionYield, processOrder);
+        const calculationMode = await getCalculationMode(machineId);
+        const tact = await getTactForOrder(processOrder);
+        await calculator.calculateMetrics(machineId, totalTimes.unplannedDowntime, totalTimes.plannedDowntime + totalTimes.breakTime + totalTimes.microstops, ActualProductionQuantity, ActualProductionYield, processOrder, { ...totalTimes, nonScheduledWindows: OEEData.nonScheduledWindows }, calculationMode, tact);
+        await trackProduction(machineId, processOrder, ActualProductionQuantity, OEEData, tact);
         const metrics = calculator.getMetrics(machineId);
         if (!metrics) throw new Error(`Metrics could not be calculated for machineId: ${machineId}.`);
         logTabularData(metrics);
+        scheduleCalculatorStateSave(machineId, metrics, buffer);
+        publishOEEResult(metrics);
+        updateEdgeNodeMetrics(metrics);
        
         if (process.env.WEBSOCKET === 'true') {
             sendWebSocketMessage("OEEData", metrics);
@@ -188,9 +207,11 @@ function calculateTotalTimes(datasets) {
             case 2: totals.unplannedDowntime = total; break;
             case 3: totals.plannedDowntime = total; break;
             case 4: totals.microstops = total; break;
+            case 5: totals.nonScheduledTime = total; break;
+            case 6: totals.speedLoss = total; break;
         }
         return totals;
-    }, { productionTime: 0, breakTime: 0, unplannedDowntime: 0, plannedDowntime: 0, microstops: 0 });
+    }, { productionTime: 0, breakTime: 0, unplannedDowntime: 0, plannedDowntime: 0, microstops: 0, nonScheduledTime: 0, speedLoss: 0 });
 }
 
 function validateInputData(totalTimes, machineId) {
@@ -227,4 +248,42 @@ function validateOEEData(OEEData) {
     if (!OEEData || !Array.isArray(OEEData.datasets) || !OEEData.labels) throw new Error("Invalid OEEData format.");
 }
 
-module.exports = { updateMetric, processMetrics, getOEEMetrics };
\ No newline at end of file
+/**
+ * Rehydrates the OEE calculators and metric buffers from the state store so that
+ * the calculation of a running process order continues after a restart.
+ *
+ * @async
+ * @function restoreOEEState
+ * @returns {Promise<number>} The number of restored workcenters.
+ */
+async function restoreOEEState() {
+    const states = await loadCalculatorStates();
+
+    states.forEach(({ workcenter_id: machineId, oee_data: oeeData, metric_buffer: metricBuffer }) => {
+        const calculator = new OEECalculator();
+        calculator.oeeData[machineId] = oeeData;
+        oeeCalculators.set(machineId, calculator);
+        metricBuffers.set(machineId, { ...metricBuffer });
+        oeeLogger.info(`Restored OEE state for machineId ${machineId} (order ${oeeData?.order_id || "unknown"})`);
+    });
+
+    return states.length;
+}
+
+/**
+ * Drops the calculator, metric buffer and persisted state of a machine,
+ * e.g. after its process order has ended.
+ *
+ * @async
+ * @function resetMachineState
+ * @param {string} machineId - The ID of the machine.
+ * @returns {Promise<void>}
+ */
+async function resetMachineState(machineId) {
+    oeeCalculators.delete(machineId);
+    metricBuffers.delete(machineId);
+    await deleteCalculatorState(machineId);
+    oeeLogger.info(`OEE state reset for machineId ${machineId}`);
+}
+
+module.exports = { updateMetric, processMetrics, getOEEMetrics, restoreOEEState, resetMachineState };
\ No newline at end of file
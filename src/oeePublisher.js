@@ -0,0 +1,32 @@
+// This code republishes the computed OEE results to the enterprise broker, so systems above the
+// area level (MES, ERP, analytics) receive them without access to the area brokers.
+
+const { oeeLogger } = require("../utils/logger");
+const { mqtt: mqttConfig } = require("../config/config");
+const { buildTopic } = require("./topicTemplates");
+const { publishToBroker } = require("./mqttBrokers");
+
+const ENTERPRISE_BROKER = "enterprise";
+
+/**
+ * Publishes the OEE result of a machine as JSON to the enterprise broker. The topic is built from
+ * the enterpriseOeeTopic setting, the message is retained so new subscribers get the latest result.
+ * @param {Object} metrics - The metrics of the OEE calculator (plant, area, lineId, workcenter_id, availability, ...).
+ * @returns {boolean} True if the result was handed to the enterprise broker.
+ */
+function publishOEEResult(metrics) {
+    const topic = buildTopic(mqttConfig.enterpriseOeeTopic, {
+        plant: metrics.plant,
+        area: metrics.area,
+        machine: metrics.lineId,
+        workcenter_id: metrics.workcenter_id,
+    });
+    const payload = JSON.stringify({ timestamp: new Date().toISOString(), ...metrics });
+    const published = publishToBroker(ENTERPRISE_BROKER, topic, payload, { qos: 1, retain: true });
+    if (published) {
+        oeeLogger.info(`OEE result of machine ${metrics.workcenter_id} published to the enterprise broker on ${topic}.`);
+    }
+    return published;
+}
+
+module.exports = { publishOEEResult };
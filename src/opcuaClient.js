@@ -0,0 +1,302 @@
+// This code is responsible for reading the machine data of workcenters that expose their counters and states via OPC UA.
+// Per workcenter a session subscribes to the configured nodes, every value change is mapped to the metric name
+// of the OEE configuration and processed by the same message handlers as the Sparkplug messages from MQTT.
+
+const {
+    OPCUAClient,
+    AttributeIds,
+    ClientSubscription,
+    ClientMonitoredItem,
+    TimestampsToReturn,
+    MessageSecurityMode,
+    SecurityPolicy,
+    UserTokenType,
+    DataType,
+    Int64ToBigInt,
+    UInt64ToBigInt,
+} = require("node-opcua");
+const { oeeLogger, errorLogger } = require("../utils/logger");
+const { handleCommandMessage, handleOeeMessage } = require("./messageHandler");
+const { checkForRunningOrder, loadMachineData } = require("./dataLoader");
+const { getOpcUaConfigs } = require("../services/opcuaConfigService");
+const { COMMAND_METRICS } = require("./topicTemplates");
+
+const oeeConfig = require("../config/oeeConfig.json");
+
+const WATCHDOG_INTERVAL = 60000; // 60 seconds
+
+// Open connections per workcenter: { client, session, subscription, signature, status }
+const connections = new Map();
+let watchdog = null;
+
+/**
+ * Sets up the OPC UA connections of all enabled workcenters and checks every 60 seconds
+ * for new, changed or removed configurations.
+ * @returns {Promise<number>} The number of workcenters with an OPC UA configuration.
+ */
+async function setupOpcUaClient() {
+    oeeLogger.info("Setting up OPC UA client...");
+    const count = await syncOpcUaConnections();
+    if (!watchdog) {
+        watchdog = setInterval(() => {
+            syncOpcUaConnections().catch(error => errorLogger.error(`Error synchronizing OPC UA connections: ${error.message}`));
+        }, WATCHDOG_INTERVAL);
+    }
+    return count;
+}
+
+/**
+ * Opens the connections of new configurations, reopens changed ones and closes the
+ * connections of removed or disabled configurations and of workcenters without OEE.
+ * @returns {Promise<number>} The number of configured workcenters.
+ */
+async function syncOpcUaConnections() {
+    const configs = await getOpcUaConfigs({ enabledOnly: true, includePassword: true });
+    const machines = configs.length > 0 ? await loadMachineData() : [];
+    const oeeMachineIds = new Set((machines || []).filter(machine => machine.OEE).map(machine => machine.workcenter_id));
+    const wanted = new Map(configs
+        .filter(config => oeeMachineIds.has(config.workcenter_id))
+        .map(config => [config.workcenter_id, config]));
+
+    for (const workcenterId of [...connections.keys()]) {
+        const config = wanted.get(workcenterId);
+        if (!config || connections.get(workcenterId).signature !== getSignature(config)) {
+            await disconnectWorkcenter(workcenterId);
+        }
+    }
+
+    // Not awaited, the connect to an unreachable server is retried until it succeeds
+    [...wanted.values()]
+        .filter(config => !connections.has(config.workcenter_id))
+        .forEach(config => connectWorkcenter(config));
+    return wanted.size;
+}
+
+/**
+ * Builds the signature of a configuration to detect changes.
+ * @param {Object} config - The OPC UA configuration.
+ * @returns {string} The signature.
+ */
+function getSignature(config) {
+    return JSON.stringify(config);
+}
+
+/**
+ * Connects to the OPC UA server of a workcenter, opens a session and subscribes to the mapped nodes.
+ * The client retries the connect and reestablishes a lost connection until the workcenter is disconnected.
+ * @param {Object} config - The OPC UA configuration of the workcenter.
+ */
+async function connectWorkcenter(config) {
+    const workcenterId = config.workcenter_id;
+    const connection = { signature: getSignature(config), status: "connecting", client: null, session: null, subscription: null };
+    connections.set(workcenterId, connection);
+
+    try {
+        connection.client = OPCUAClient.create({
+            applicationName: "OEE-Calculator",
+            securityMode: MessageSecurityMode[config.security_mode],
+            securityPolicy: SecurityPolicy[config.security_policy],
+            endpointMustExist: false,
+            keepSessionAlive: true,
+            connectionStrategy: { maxRetry: -1, initialDelay: 1000, maxDelay: 30000 },
+        });
+        connection.client.on("connection_lost", () => {
+            connection.status = "reconnecting";
+            oeeLogger.warn(`OPC UA connection of workcenter ${workcenterId} lost. Reconnecting...`);
+        });
+        connection.client.on("connection_reestablished", () => {
+            connection.status = "connected";
+            oeeLogger.info(`OPC UA connection of workcenter ${workcenterId} reestablished.`);
+        });
+
+        oeeLogger.info(`Connecting to OPC UA server at ${config.endpoint_url} for workcenter ${workcenterId}...`);
+        await connection.client.connect(config.endpoint_url);
+        connection.session = await connection.client.createSession(config.username
+            ? { type: UserTokenType.UserName, userName: config.username, password: config.password }
+            : { type: UserTokenType.Anonymous });
+
+        connection.subscription = ClientSubscription.create(connection.session, {
+            requestedPublishingInterval: config.publishing_interval,
+            requestedLifetimeCount: 100,
+            requestedMaxKeepAliveCount: 10,
+            maxNotificationsPerPublish: 100,
+            publishingEnabled: true,
+            priority: 10,
+        });
+        Object.entries(config.node_mapping).forEach(([metric, nodeId]) =>
+            monitorNode(connection.subscription, workcenterId, metric, nodeId, config.sampling_interval));
+
+        connection.status = "connected";
+        oeeLogger.info(`Subscribed to ${Object.keys(config.node_mapping).length} OPC UA nodes of workcenter ${workcenterId}.`);
+    } catch (error) {
+        errorLogger.error(`Failed to connect to OPC UA server of workcenter ${workcenterId}: ${error.message}`);
+        await closeConnection(connection);
+        // Removed so the watchdog tries again, unless the workcenter was reconnected in the meantime
+        if (connections.get(workcenterId) === connection) {
+            connections.delete(workcenterId);
+        }
+    }
+}
+
+/**
+ * Monitors the value of a node and processes every change as the mapped metric.
+ * Commands ignore the initial value of the subscription, only a change triggers them.
+ * @param {ClientSubscription} subscription - The subscription of the workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @param {string} metric - The metric name of the OEE configuration.
+ * @param {string} nodeId - The node ID, e.g. ns=2;s=Line1.Counter.
+ * @param {number} samplingInterval - Milliseconds between the samples.
+ */
+function monitorNode(subscription, workcenterId, metric, nodeId, samplingInterval) {
+    const monitoredItem = ClientMonitoredItem.create(
+        subscription,
+        { nodeId, attributeId: AttributeIds.Value },
+        { samplingInterval, discardOldest: true, queueSize: 10 },
+        TimestampsToReturn.Both
+    );
+
+    let initial = true;
+    monitoredItem.on("changed", (dataValue) => {
+        const isInitial = initial;
+        initial = false;
+        if (isInitial && COMMAND_METRICS.includes(metric)) {
+            return;
+        }
+        handleDataChange(workcenterId, metric, dataValue);
+    });
+    monitoredItem.on("err", (message) => {
+        errorLogger.error(`Failed to monitor OPC UA node ${nodeId} (${metric}) of workcenter ${workcenterId}: ${message}`);
+    });
+}
+
+/**
+ * Handles a value change of a monitored node.
+ * @param {string} machineId - The ID of the machine.
+ * @param {string} metric - The metric name of the OEE configuration.
+ * @param {DataValue} dataValue - The new value of the node.
+ */
+async function handleDataChange(machineId, metric, dataValue) {
+    oeeLogger.info(`Received OPC UA value for machine ${machineId} - metric=${metric}`);
+    if (!dataValue.statusCode.isGood()) {
+        oeeLogger.warn(`OPC UA value of metric ${metric} for machine ${machineId} has status ${dataValue.statusCode.name}. Skipping.`);
+        return;
+    }
+
+    try {
+        const hasRunningOrder = await checkForRunningOrder(machineId);
+        if (!hasRunningOrder) {
+            oeeLogger.warn(`No active process order for machine ID ${machineId}. Skipping message processing.`);
+            return;
+        }
+
+        const decodedMessage = toDecodedMessage(metric, dataValue);
+        if (COMMAND_METRICS.includes(metric)) {
+            handleCommandMessage(decodedMessage, machineId, metric);
+        } else {
+            handleOeeMessage(decodedMessage, machineId, metric);
+        }
+    } catch (error) {
+        oeeLogger.error(`Error processing OPC UA value for machine ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Builds a message in the shape of a decoded Sparkplug payload from an OPC UA value.
+ * @param {string} metric - The metric name of the OEE configuration.
+ * @param {DataValue} dataValue - The value of the node.
+ * @returns {Object} The message with a single metric.
+ */
+function toDecodedMessage(metric, dataValue) {
+    const timestamp = (dataValue.sourceTimestamp || dataValue.serverTimestamp || new Date()).getTime();
+    return {
+        timestamp,
+        metrics: [{
+            name: metric,
+            type: oeeConfig[metric].type,
+            value: toMetricValue(dataValue.value, oeeConfig[metric].type),
+            timestamp,
+        }],
+    };
+}
+
+/**
+ * Converts the variant of an OPC UA value into a plain value.
+ * 64 bit integers are converted to numbers, texts to strings, dates to milliseconds
+ * and booleans of numeric metrics to 0 and 1.
+ * @param {Variant} variant - The variant of the value.
+ * @param {string} type - The type of the metric in the OEE configuration.
+ * @returns {any} The plain value.
+ */
+function toMetricValue(variant, type) {
+    const { dataType, value } = variant;
+    if (dataType === DataType.Int64 && Array.isArray(value)) {
+        return Number(Int64ToBigInt(value));
+    }
+    if (dataType === DataType.UInt64 && Array.isArray(value)) {
+        return Number(UInt64ToBigInt(value));
+    }
+    if (dataType === DataType.LocalizedText) {
+        return value?.text ?? null;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === "boolean" && type !== "string") {
+        return value ? 1 : 0;
+    }
+    return value;
+}
+
+/**
+ * Closes the subscription, session and connection of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ */
+async function disconnectWorkcenter(workcenterId) {
+    const connection = connections.get(workcenterId);
+    connections.delete(workcenterId);
+    if (connection) {
+        await closeConnection(connection);
+        oeeLogger.info(`OPC UA connection of workcenter ${workcenterId} closed.`);
+    }
+}
+
+/**
+ * Closes the parts of a connection that were opened.
+ * @param {Object} connection - The connection.
+ */
+async function closeConnection(connection) {
+    try {
+        if (connection.subscription) {
+            await connection.subscription.terminate();
+        }
+        if (connection.session) {
+            await connection.session.close();
+        }
+        if (connection.client) {
+            await connection.client.disconnect();
+        }
+    } catch (error) {
+        errorLogger.error(`Error closing OPC UA connection: ${error.message}`);
+    }
+}
+
+/**
+ * Returns the connection status of a workcenter.
+ * @param {string} workcenterId - The ID of the workcenter.
+ * @returns {string} connected, connecting, reconnecting or disconnected.
+ */
+function getOpcUaStatus(workcenterId) {
+    return connections.get(workcenterId)?.status || "disconnected";
+}
+
+/**
+ * Stops the watchdog and closes all OPC UA connections.
+ * @returns {Promise<void>}
+ */
+async function stopOpcUaClient() {
+    clearInterval(watchdog);
+    watchdog = null;
+    await Promise.all([...connections.keys()].map(disconnectWorkcenter));
+}
+
+module.exports = { setupOpcUaClient, syncOpcUaConnections, getOpcUaStatus, stopOpcUaClient };
@@ -0,0 +1,229 @@
+// This code interprets the PackML tags StateCurrent and ModeCurrent of packaging lines.
+// Every state change is recorded in the state history with its OEE loss category and
+// forwarded to the machine state handler, which opens and closes the downtimes.
+
+const { moment, oeeLogger, errorLogger } = require("./header");
+const { sendWebSocketMessage } = require("../websocket/webSocketUtils");
+const { getStateConfig } = require("../services/machineStateService");
+const { recordStateChange, loadCurrentStates } = require("../services/machineStateHistoryService");
+const { applyStateCategory } = require("./machineStateHandler");
+
+const STATE_TAG = "StateCurrent";
+const MODE_TAG = "ModeCurrent";
+
+// PackML states (ISA-TR88.00.02) by StateCurrent code and their OEE loss category
+const PACKML_STATES = {
+    1: { name: "Clearing", lossCategory: "unplanned" },
+    2: { name: "Stopped", lossCategory: "unplanned" },
+    3: { name: "Starting", lossCategory: "idle" },
+    4: { name: "Idle", lossCategory: "idle" },
+    5: { name: "Suspended", lossCategory: "downtime" },
+    6: { name: "Execute", lossCategory: "production" },
+    7: { name: "Stopping", lossCategory: "unplanned" },
+    8: { name: "Aborting", lossCategory: "unplanned" },
+    9: { name: "Aborted", lossCategory: "unplanned" },
+    10: { name: "Holding", lossCategory: "downtime" },
+    11: { name: "Held", lossCategory: "downtime" },
+    12: { name: "Unholding", lossCategory: "downtime" },
+    13: { name: "Suspending", lossCategory: "downtime" },
+    14: { name: "Unsuspending", lossCategory: "downtime" },
+    15: { name: "Resetting", lossCategory: "idle" },
+    16: { name: "Completing", lossCategory: "idle" },
+    17: { name: "Complete", lossCategory: "idle" },
+};
+
+// PackML modes by ModeCurrent code, other codes are user defined
+const PACKML_MODES = {
+    1: "Production",
+    2: "Maintenance",
+    3: "Manual",
+};
+const PRODUCTION_MODE = 1;
+
+// Machine state category of each loss category, see machineStateService
+const LOSS_CATEGORY_MACHINE_STATES = {
+    production: "running",
+    downtime: "idle",
+    unplanned: "fault",
+    idle: "idle",
+    planned: "setup",
+};
+
+// Current PackML state per machine: { stateCode, modeCode, lossCategory, since }
+const packmlStates = new Map();
+
+/**
+ * Checks whether a metric is a PackML tag.
+ * @param {string} name - The metric name.
+ * @returns {boolean} True for StateCurrent and ModeCurrent.
+ */
+function isPackMLMetric(name) {
+    return name === STATE_TAG || name === MODE_TAG;
+}
+
+/**
+ * Resolves a tag value, given as code or name, to its code.
+ * @param {Object} names - The names by code.
+ * @param {string|number} value - The tag value.
+ * @returns {number|null} The code or null if the value is unknown.
+ */
+function resolveCode(names, value) {
+    const code = Number(value);
+    if (Number.isInteger(code)) {
+        return code;
+    }
+    const entry = Object.entries(names).find(([, name]) =>
+        (typeof name === "string" ? name : name.name).toLowerCase() === String(value).toLowerCase()
+    );
+    return entry ? Number(entry[0]) : null;
+}
+
+/**
+ * Returns the display name of a mode.
+ * @param {number|null} modeCode - The ModeCurrent code.
+ * @returns {string|null} The mode name.
+ */
+function getModeName(modeCode) {
+    if (modeCode === null || modeCode === undefined) {
+        return null;
+    }
+    return PACKML_MODES[modeCode] || `Mode ${modeCode}`;
+}
+
+/**
+ * Determines the OEE loss category of a state. Outside the production mode
+ * (maintenance, manual, ...) every state is planned.
+ * @param {number} stateCode - The StateCurrent code.
+ * @param {number|null} modeCode - The ModeCurrent code, null if not received yet.
+ * @returns {string} The loss category.
+ */
+function getLossCategory(stateCode, modeCode) {
+    if (modeCode !== null && modeCode !== undefined && modeCode !== PRODUCTION_MODE) {
+        return "planned";
+    }
+    return PACKML_STATES[stateCode].lossCategory;
+}
+
+/**
+ * Processes a PackML tag of a machine.
+ * @param {string} machineId - The ID of the machine.
+ * @param {string} name - StateCurrent or ModeCurrent.
+ * @param {string|number} value - The state or mode, as code or name.
+ * @param {moment.Moment} [timestamp=moment.utc()] - The time of the change.
+ * @returns {Promise<Object|null>} The new PackML state or null if nothing changed or the change could not be recorded.
+ */
+async function handlePackMLMetric(machineId, name, value, timestamp = moment.utc()) {
+    try {
+        const current = packmlStates.get(machineId) || { stateCode: null, modeCode: null, lossCategory: null, since: null };
+        const next = { ...current };
+
+        if (name === STATE_TAG) {
+            const stateCode = resolveCode(PACKML_STATES, value);
+            if (!PACKML_STATES[stateCode]) {
+                oeeLogger.warn(`Unknown PackML state ${value} of machine ${machineId}. Skipping.`);
+                return null;
+            }
+            next.stateCode = stateCode;
+        } else {
+            const modeCode = resolveCode(PACKML_MODES, value);
+            if (modeCode === null) {
+                oeeLogger.warn(`Unknown PackML mode ${value} of machine ${machineId}. Skipping.`);
+                return null;
+            }
+            next.modeCode = modeCode;
+        }
+
+        if (next.stateCode === current.stateCode && next.modeCode === current.modeCode) {
+            return null;
+        }
+
+        // A mode without a state is kept until the first StateCurrent arrives
+        if (next.stateCode === null) {
+            packmlStates.set(machineId, next);
+            return null;
+        }
+
+        next.lossCategory = getLossCategory(next.stateCode, next.modeCode);
+        next.since = timestamp.toISOString();
+        const stateName = PACKML_STATES[next.stateCode].name;
+        const modeName = getModeName(next.modeCode);
+
+        await recordStateChange({
+            workcenter_id: machineId,
+            state_code: next.stateCode,
+            state: stateName,
+            mode_code: next.modeCode,
+            mode: modeName,
+            loss_category: next.lossCategory,
+            start_time: next.since,
+        });
+        // Only a recorded state becomes the current one, otherwise memory and history would diverge
+        packmlStates.set(machineId, next);
+
+        sendWebSocketMessage("PackMLState", {
+            workcenter_id: machineId,
+            state: stateName,
+            state_code: next.stateCode,
+            mode: modeName,
+            mode_code: next.modeCode,
+            loss_category: next.lossCategory,
+            since: next.since,
+        });
+        oeeLogger.info(`PackML state of machine ${machineId}: ${stateName} in mode ${modeName || "unknown"} (${next.lossCategory}).`);
+
+        const config = await getStateConfig(machineId);
+        if (config.enabled) {
+            await applyStateCategory(machineId, stateName, LOSS_CATEGORY_MACHINE_STATES[next.lossCategory], timestamp);
+        }
+        return next;
+    } catch (error) {
+        errorLogger.error(`Error processing PackML tag ${name} for machine ${machineId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Returns the current PackML state of a machine.
+ * @param {string} machineId - The ID of the machine.
+ * @returns {Object|null} The current state with names or null if none was received yet.
+ */
+function getPackMLState(machineId) {
+    const current = packmlStates.get(machineId);
+    if (!current || current.stateCode === null) {
+        return null;
+    }
+    return {
+        state: PACKML_STATES[current.stateCode].name,
+        state_code: current.stateCode,
+        mode: getModeName(current.modeCode),
+        mode_code: current.modeCode,
+        loss_category: current.lossCategory,
+        since: current.since,
+    };
+}
+
+/**
+ * Restores the current PackML states from the state history after a restart.
+ * @returns {Promise<number>} The number of restored PackML states.
+ */
+async function restorePackMLStates() {
+    const records = await loadCurrentStates();
+    for (const record of records) {
+        packmlStates.set(record.workcenter_id, {
+            stateCode: record.state_code,
+            modeCode: record.mode_code,
+            lossCategory: record.loss_category,
+            since: moment.utc(record.start_time).toISOString(),
+        });
+    }
+    return records.length;
+}
+
+module.exports = {
+    PACKML_STATES,
+    PACKML_MODES,
+    isPackMLMetric,
+    handlePackMLMetric,
+    getPackMLState,
+    restorePackMLStates,
+};
@@ -0,0 +1,108 @@
+// This code decodes MQTT payloads into the message shape of a decoded Sparkplug payload:
+// { timestamp, metrics: [{ name, value, timestamp }] }
+// Further formats can be added with registerPayloadDecoder.
+
+const { get: getSparkplugPayload } = require("sparkplug-payload");
+
+const decoders = new Map();
+
+/**
+ * Registers a payload decoder.
+ * @param {string} format - The name of the payload format, used in the MQTT configuration of a workcenter.
+ * @param {Function} decoder - (message: Buffer, metric: string|null) => decoded message. The metric is the one
+ * of the topic, null if the topic carries several metrics.
+ */
+function registerPayloadDecoder(format, decoder) {
+    decoders.set(format, decoder);
+}
+
+/**
+ * Returns the decoder of a payload format.
+ * @param {string} format - The name of the payload format.
+ * @returns {Function} The decoder.
+ */
+function getPayloadDecoder(format) {
+    const decoder = decoders.get(format);
+    if (!decoder) {
+        throw new Error(`Unknown payload format: ${format}`);
+    }
+    return decoder;
+}
+
+/**
+ * Returns the names of all registered payload formats.
+ * @returns {Array<string>} The payload formats.
+ */
+function getPayloadFormats() {
+    return [...decoders.keys()];
+}
+
+/**
+ * Converts the text of a flat value into a number or boolean if possible.
+ * @param {string} text - The text.
+ * @returns {number|boolean|string} The value.
+ */
+function parseFlatValue(text) {
+    const trimmed = text.trim();
+    if (trimmed === "true" || trimmed === "false") {
+        return trimmed === "true";
+    }
+    return trimmed !== "" && !isNaN(trimmed) ? Number(trimmed) : trimmed;
+}
+
+/**
+ * Converts a timestamp (milliseconds or ISO 8601) into milliseconds.
+ * @param {number|string} [timestamp] - The timestamp of the payload.
+ * @returns {number} The timestamp in milliseconds, now if missing.
+ */
+function toTimestamp(timestamp) {
+    const parsed = typeof timestamp === "number" ? timestamp : Date.parse(timestamp);
+    return Number.isFinite(parsed) ? parsed : Date.now();
+}
+
+// Sparkplug B protobuf
+registerPayloadDecoder("sparkplug", (message) => getSparkplugPayload("spBv1.0").decodePayload(message));
+
+// JSON: a Sparkplug-like {metrics: [...]}, a {value, timestamp} object or a plain value for the metric of the topic,
+// otherwise an object of metric name -> value
+registerPayloadDecoder("json", (message, metric) => {
+    const payload = JSON.parse(message.toString());
+    if (Array.isArray(payload?.metrics)) {
+        const timestamp = toTimestamp(payload.timestamp);
+        return {
+            timestamp,
+            metrics: payload.metrics.map(entry => ({ ...entry, timestamp: toTimestamp(entry.timestamp ?? timestamp) })),
+        };
+    }
+
+    const isObject = payload !== null && typeof payload === "object";
+    const timestamp = toTimestamp(isObject ? payload.timestamp : undefined);
+    if (metric) {
+        const value = isObject && "value" in payload ? payload.value : payload;
+        return { timestamp, metrics: [{ name: metric, value, timestamp }] };
+    }
+    if (!isObject) {
+        throw new Error("JSON payload without metric in the topic must be an object");
+    }
+    return {
+        timestamp,
+        metrics: Object.entries(payload)
+            .filter(([name]) => name !== "timestamp")
+            .map(([name, value]) => ({ name, value, timestamp })),
+    };
+});
+
+// Flat value: the payload is the plain value of the metric of the topic, e.g. "42" on factory/line3/counter/good
+registerPayloadDecoder("value", (message, metric) => {
+    if (!metric) {
+        throw new Error("Flat value payloads need the metric in the topic");
+    }
+    const timestamp = Date.now();
+    return { timestamp, metrics: [{ name: metric, value: parseFlatValue(message.toString()), timestamp }] };
+});
+
+module.exports = {
+    registerPayloadDecoder,
+    getPayloadDecoder,
+    getPayloadFormats,
+};
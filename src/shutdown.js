@@ -1,4 +1,8 @@
 const { defaultLogger } = require('../utils/logger');
+const { stopOpcUaClient } = require('./opcuaClient');
+const { endBrokerClients } = require('./mqttBrokers');
+const { stopSparkplugEdgeNode } = require('./sparkplugEdgeNode');
+const { flushPendingState } = require('../services/oeeStateService');
 
 /**
  * Gracefully shuts down the server.
@@ -11,14 +15,17 @@ function gracefulShutdown(server, mqttClient, signal) {
     defaultLogger.info(`${signal} signal received: closing HTTP server`);
     server.close(() => {
         defaultLogger.info('HTTP server closed');
-        if (mqttClient) {
-            mqttClient.end(() => {
-                defaultLogger.info('MQTT client disconnected');
-                process.exit(0);
+        // Calculator states and metrics matrix not yet written by the delayed persistence
+        flushPendingState().finally(() => stopOpcUaClient()).finally(() => {
+            defaultLogger.info('OPC UA connections closed');
+            // NDEATH of the edge node before the clients of all brokers are ended, including mqttClient
+            stopSparkplugEdgeNode().finally(() => {
+                endBrokerClients().finally(() => {
+                    defaultLogger.info('MQTT clients disconnected');
+                    process.exit(0);
+                });
             });
-        } else {
-            process.exit(0);
-        }
+        });
     });
 }
 
@@ -0,0 +1,295 @@
+// This code lets the service act as a Sparkplug B edge node that publishes the computed OEE.
+// Every workcenter is a device of the edge node: its DBIRTH carries all metrics, the DDATA messages only
+// the metrics that changed since the last publication (numbers by at least the deadband).
+
+const mqtt = require("mqtt");
+const { get: getSparkplugPayload } = require("sparkplug-payload");
+const { oeeLogger, errorLogger } = require("../utils/logger");
+const { mqtt: mqttConfig, sparkplugEdgeNode: edgeNodeConfig } = require("../config/config");
+const { buildConnectOptions } = require("./mqttBrokers");
+const { getMachineState } = require("./machineStateHandler");
+
+const NAMESPACE = "spBv1.0";
+const REBIRTH_METRIC = "Node Control/Rebirth";
+const sparkplug = getSparkplugPayload(NAMESPACE);
+
+// Published metrics of a device: name, Sparkplug type and how the value is read from the OEE metrics
+const DEVICE_METRICS = [
+    { name: "OEE/Availability", type: "Double", read: metrics => metrics.availability },
+    { name: "OEE/Performance", type: "Double", read: metrics => metrics.performance },
+    { name: "OEE/Quality", type: "Double", read: metrics => metrics.quality },
+    { name: "OEE/OEE", type: "Double", read: metrics => metrics.oee },
+    { name: "OEE/Classification", type: "String", read: metrics => metrics.classification },
+    { name: "Downtime/Active", type: "Boolean", read: (metrics, state) => Boolean(state?.downtime_type) },
+    { name: "Downtime/Type", type: "String", read: (metrics, state) => state?.downtime_type || null },
+    { name: "Downtime/State", type: "String", read: (metrics, state) => (state?.downtime_type ? state.state : null) },
+    { name: "Downtime/Since", type: "DateTime", read: (metrics, state) => (state?.downtime_type ? toMillis(state.since) : null) },
+];
+// Fixed properties of a device, only part of the DBIRTH
+const DEVICE_PROPERTIES = [
+    { name: "Properties/Plant", type: "String", read: metrics => metrics.plant },
+    { name: "Properties/Area", type: "String", read: metrics => metrics.area },
+    { name: "Properties/Line", type: "String", read: metrics => metrics.lineId },
+];
+
+// Devices per workcenter: { deviceId, metrics, published }
+const devices = new Map();
+let client = null;
+let timer = null;
+let bdSeq = 0;
+let seq = 0;
+let born = false;
+
+/**
+ * Converts a date into milliseconds.
+ * @param {Date|string|number|null} value - The date.
+ * @returns {number|null} The milliseconds or null if not a valid date.
+ */
+function toMillis(value) {
+    const millis = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(millis) ? millis : null;
+}
+
+/**
+ * Replaces the characters that are not allowed in Sparkplug IDs.
+ * @param {string} id - The ID.
+ * @returns {string} The ID without /, + and #.
+ */
+function toSparkplugId(id) {
+    return String(id).replace(/[/+#]/g, "_");
+}
+
+/**
+ * Builds the topic of a Sparkplug message of the edge node or one of its devices.
+ * @param {string} messageType - NBIRTH, NDEATH, NCMD, DBIRTH, DDATA, ...
+ * @param {string} [deviceId] - The device, missing for node messages.
+ * @returns {string} The topic.
+ */
+function buildEdgeNodeTopic(messageType, deviceId) {
+    return [NAMESPACE, edgeNodeConfig.groupId, messageType, edgeNodeConfig.edgeNodeId, deviceId]
+        .filter(Boolean)
+        .join("/");
+}
+
+/**
+ * Returns the sequence number of the next message, 0 to 255.
+ * @returns {number} The sequence number.
+ */
+function nextSeq() {
+    const current = seq;
+    seq = (seq + 1) % 256;
+    return current;
+}
+
+/**
+ * Encodes the NDEATH message of the current session. It is the last will of the connection.
+ * @returns {Buffer} The payload.
+ */
+function encodeDeath() {
+    return sparkplug.encodePayload({
+        timestamp: Date.now(),
+        metrics: [{ name: "bdSeq", type: "UInt64", value: bdSeq }],
+    });
+}
+
+/**
+ * Publishes a Sparkplug message with the next sequence number.
+ * @param {string} topic - The topic.
+ * @param {Array<Object>} metrics - The metrics.
+ */
+function publish(topic, metrics) {
+    const payload = sparkplug.encodePayload({ timestamp: Date.now(), seq: nextSeq(), metrics });
+    client.publish(topic, payload, { qos: 0 }, (error) => {
+        if (error) {
+            errorLogger.error(`Failed to publish Sparkplug message on ${topic}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Reads the current values of the published metrics of a device.
+ * @param {Object} device - The device.
+ * @returns {Object} The value per metric name.
+ */
+function readDeviceValues(device) {
+    const state = getMachineState(device.metrics.workcenter_id);
+    return Object.fromEntries(DEVICE_METRICS.map(({ name, read }) => [name, read(device.metrics, state) ?? null]));
+}
+
+/**
+ * Checks whether a metric changed enough since its last publication to be published again.
+ * @param {*} previous - The published value.
+ * @param {*} current - The current value.
+ * @returns {boolean} True if the value has to be published.
+ */
+function hasChanged(previous, current) {
+    if (typeof previous === "number" && typeof current === "number") {
+        return Math.abs(current - previous) >= edgeNodeConfig.deadband && current !== previous;
+    }
+    return previous !== current;
+}
+
+/**
+ * Publishes the NBIRTH of the edge node and the DBIRTH of every known device.
+ */
+function publishBirth() {
+    seq = 0;
+    publish(buildEdgeNodeTopic("NBIRTH"), [
+        { name: "bdSeq", type: "UInt64", value: bdSeq },
+        { name: REBIRTH_METRIC, type: "Boolean", value: false },
+    ]);
+    born = true;
+    devices.forEach(publishDeviceBirth);
+    oeeLogger.info(`Sparkplug edge node ${edgeNodeConfig.groupId}/${edgeNodeConfig.edgeNodeId} born with ${devices.size} devices.`);
+}
+
+/**
+ * Publishes the DBIRTH of a device with all its metrics.
+ * @param {Object} device - The device.
+ */
+function publishDeviceBirth(device) {
+    const values = readDeviceValues(device);
+    publish(buildEdgeNodeTopic("DBIRTH", device.deviceId), [
+        ...DEVICE_PROPERTIES.map(({ name, type, read }) => ({ name, type, value: read(device.metrics) ?? null })),
+        ...DEVICE_METRICS.map(({ name, type }) => ({ name, type, value: values[name] })),
+    ]);
+    device.published = values;
+}
+
+/**
+ * Publishes a DDATA message per device with the metrics that changed since the last publication.
+ */
+function publishDeviceData() {
+    if (!born || !client?.connected) {
+        return;
+    }
+    devices.forEach((device) => {
+        const values = readDeviceValues(device);
+        const changed = DEVICE_METRICS.filter(({ name }) => hasChanged(device.published[name], values[name]));
+        if (changed.length === 0) {
+            return;
+        }
+        publish(buildEdgeNodeTopic("DDATA", device.deviceId), changed.map(({ name, type }) => ({ name, type, value: values[name] })));
+        changed.forEach(({ name }) => { device.published[name] = values[name]; });
+        oeeLogger.debug(`Sparkplug DDATA of device ${device.deviceId} published with ${changed.length} metrics.`);
+    });
+}
+
+/**
+ * Handles an NCMD message of the edge node. A rebirth request publishes all births again.
+ * @param {Buffer} message - The Sparkplug payload.
+ */
+function handleNodeCommand(message) {
+    try {
+        const { metrics = [] } = sparkplug.decodePayload(message);
+        if (metrics.some(metric => metric.name === REBIRTH_METRIC && metric.value)) {
+            oeeLogger.info("Sparkplug rebirth of the edge node requested.");
+            publishBirth();
+        }
+    } catch (error) {
+        errorLogger.error(`Error handling Sparkplug NCMD message: ${error.message}`);
+    }
+}
+
+/**
+ * Connects the edge node to its broker, publishes the births and starts the periodic DDATA publication.
+ * Disabled unless SPARKPLUG_EDGE_NODE_ENABLED is set.
+ * @returns {mqtt.MqttClient|null} The client of the edge node or null if it is disabled.
+ */
+function setupSparkplugEdgeNode() {
+    if (!edgeNodeConfig.enabled) {
+        oeeLogger.info("Sparkplug edge node is disabled.");
+        return null;
+    }
+    const broker = mqttConfig.brokers[edgeNodeConfig.broker];
+    if (!broker?.url) {
+        throw new Error(`MQTT broker ${edgeNodeConfig.broker} of the Sparkplug edge node is not configured`);
+    }
+
+    const options = {
+        ...buildConnectOptions(broker),
+        clientId: `${broker.clientId}_${toSparkplugId(edgeNodeConfig.edgeNodeId)}`,
+        clean: true,
+        will: { topic: buildEdgeNodeTopic("NDEATH"), payload: encodeDeath(), qos: 1, retain: false },
+    };
+    oeeLogger.info(`Connecting Sparkplug edge node to MQTT broker ${edgeNodeConfig.broker} at ${broker.url}...`);
+    const edgeNodeClient = mqtt.connect(broker.url, options);
+    client = edgeNodeClient;
+
+    edgeNodeClient.on("connect", () => {
+        edgeNodeClient.subscribe(buildEdgeNodeTopic("NCMD"), { qos: 1 }, (error) => {
+            if (error) {
+                errorLogger.error(`Failed to subscribe to Sparkplug NCMD: ${error.message}`);
+            }
+        });
+        publishBirth();
+    });
+    edgeNodeClient.on("message", (topic, message) => {
+        if (topic === buildEdgeNodeTopic("NCMD")) {
+            handleNodeCommand(message);
+        }
+    });
+    // A new session has a new bdSeq, the last will of the reconnect carries it
+    edgeNodeClient.on("close", () => {
+        if (born) {
+            born = false;
+            bdSeq = (bdSeq + 1) % 256;
+            edgeNodeClient.options.will.payload = encodeDeath();
+        }
+    });
+    edgeNodeClient.on("error", (error) => {
+        errorLogger.error(`Sparkplug edge node MQTT error: ${error.message}`);
+    });
+
+    timer = setInterval(publishDeviceData, edgeNodeConfig.publishInterval);
+    return edgeNodeClient;
+}
+
+/**
+ * Takes over the latest OEE result of a workcenter. A new workcenter is born as device right away,
+ * changes of known workcenters are published with the next DDATA.
+ * @param {Object} metrics - The metrics of the OEE calculator (workcenter_id, plant, area, lineId, availability, ...).
+ */
+function updateEdgeNodeMetrics(metrics) {
+    if (!client || !metrics?.workcenter_id) {
+        return;
+    }
+    const existing = devices.get(metrics.workcenter_id);
+    if (existing) {
+        existing.metrics = metrics;
+        return;
+    }
+    const device = { deviceId: toSparkplugId(metrics.workcenter_id), metrics, published: {} };
+    devices.set(metrics.workcenter_id, device);
+    if (born && client.connected) {
+        publishDeviceBirth(device);
+    }
+}
+
+/**
+ * Publishes the NDEATH of the edge node and disconnects it.
+ * @returns {Promise<void>}
+ */
+function stopSparkplugEdgeNode() {
+    clearInterval(timer);
+    timer = null;
+    if (!client) {
+        return Promise.resolve();
+    }
+    const edgeNodeClient = client;
+    client = null;
+    return new Promise((resolve) => {
+        const end = () => edgeNodeClient.end(false, {}, () => {
+            oeeLogger.info("Sparkplug edge node disconnected.");
+            resolve();
+        });
+        if (born && edgeNodeClient.connected) {
+            born = false;
+            edgeNodeClient.publish(buildEdgeNodeTopic("NDEATH"), encodeDeath(), { qos: 1 }, end);
+        } else {
+            end();
+        }
+    });
+}
+
+module.exports = { setupSparkplugEdgeNode, updateEdgeNodeMetrics, stopSparkplugEdgeNode };
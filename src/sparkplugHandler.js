@@ -0,0 +1,370 @@
+// This code keeps track of the Sparkplug B sessions of the edge nodes and devices.
+// Topic layout: spBv1.0/<plant>/<area>/<message type>/<edge node = machine>[/<device>]
+
+const { get: getSparkplugPayload } = require("sparkplug-payload");
+const {
+    moment,
+    oeeLogger,
+    errorLogger,
+    apiClient
+} = require("./header");
+const { checkForRunningOrder, invalidateCache } = require("./dataLoader");
+const { sendWebSocketMessage } = require("../websocket/webSocketUtils");
+const { saveNodeState, saveDeviceState, loadSparkplugStates } = require("../services/sparkplugStateService");
+
+const SESSION_MESSAGE_TYPES = ["NBIRTH", "NDEATH", "DBIRTH", "DDEATH"];
+const REBIRTH_METRIC = "Node Control/Rebirth";
+const REBIRTH_INTERVAL = 30000; // Minimum time between two rebirth requests per edge node
+
+const nodeStates = new Map();
+const deviceStates = new Map();
+const lastRebirthRequest = new Map();
+
+/**
+ * Converts a Sparkplug number (plain number or protobuf Long) to a number.
+ * @param {number|Object} value - The value to convert.
+ * @returns {number|null} The number or null if the value is missing.
+ */
+function toNumber(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value.toNumber === "function") return value.toNumber();
+    return Number(value);
+}
+
+/**
+ * Builds the keys of the edge node and device a topic belongs to.
+ * @param {Object} topicParts - The parsed topic (location, area, machineName, metric).
+ * @returns {{nodeKey: string, deviceKey: string|null}} The keys.
+ */
+function getSessionKeys({ location, area, machineName, metric }) {
+    const nodeKey = `${location}/${area}/${machineName}`;
+    return { nodeKey, deviceKey: metric ? `${nodeKey}/${metric}` : null };
+}
+
+/**
+ * Builds the alias -> metric name mapping of a BIRTH message.
+ * @param {Array<Object>} metrics - The metrics of the BIRTH message.
+ * @returns {Object} The mapping.
+ */
+function buildAliasMap(metrics = []) {
+    return metrics.reduce((aliases, metric) => {
+        const alias = toNumber(metric.alias);
+        if (alias !== null && metric.name) {
+            aliases[alias] = metric.name;
+        }
+        return aliases;
+    }, {});
+}
+
+/**
+ * Checks that the edge node of a data message has a current session. Data of a node without NBIRTH
+ * (e.g. the service started after the birth) or after its NDEATH means the BIRTH is missing or stale,
+ * so a rebirth is requested. Sequence numbers are not checked: only the topics of the configured metrics
+ * are subscribed, the node also sends NDATA and data of other devices, so gaps are normal.
+ * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} topicParts - The parsed topic.
+ * @returns {boolean} True if the edge node has a current session.
+ */
+function checkSession(client, topicParts) {
+    const { nodeKey } = getSessionKeys(topicParts);
+    const node = nodeStates.get(nodeKey);
+    if (node?.online) {
+        return true;
+    }
+    oeeLogger.warn(`Data of edge node ${nodeKey} without ${node ? "current " : ""}NBIRTH. Requesting rebirth.`);
+    requestRebirth(client, topicParts);
+    return false;
+}
+
+/**
+ * Publishes an NCMD "Node Control/Rebirth" to an edge node.
+ * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} topicParts - The parsed topic.
+ */
+function requestRebirth(client, { version, location, area, machineName }) {
+    const nodeKey = `${location}/${area}/${machineName}`;
+    const lastRequest = lastRebirthRequest.get(nodeKey) || 0;
+    if (!client || Date.now() - lastRequest < REBIRTH_INTERVAL) {
+        return;
+    }
+    lastRebirthRequest.set(nodeKey, Date.now());
+
+    try {
+        const sparkplug = getSparkplugPayload("spBv1.0");
+        const payload = sparkplug.encodePayload({
+            timestamp: Date.now(),
+            metrics: [{ name: REBIRTH_METRIC, type: "Boolean", value: true }],
+        });
+        client.publish(`${version}/${location}/${area}/NCMD/${machineName}`, payload);
+        oeeLogger.info(`Rebirth requested from edge node ${nodeKey}.`);
+    } catch (error) {
+        errorLogger.error(`Failed to request rebirth from edge node ${nodeKey}: ${error.message}`);
+    }
+}
+
+/**
+ * Checks whether a workcenter already has an open communication loss (node or device).
+ * @param {string} machineId - The ID of the machine.
+ * @returns {boolean} True if a communication loss is open.
+ */
+function hasOpenCommunicationLoss(machineId) {
+    return [...nodeStates.values(), ...deviceStates.values()]
+        .some(state => state.workcenter_id === machineId && state.communication_loss_id);
+}
+
+/**
+ * Records a "communication loss" unplanned downtime if the machine has a running process order.
+ * The downtime starts at the death and is closed by the next birth.
+ * @param {Object} state - The node or device state the downtime is attached to.
+ * @param {string} machineId - The ID of the machine.
+ * @param {string} timestamp - The time of the death.
+ */
+async function openCommunicationLoss(state, machineId, timestamp) {
+    if (hasOpenCommunicationLoss(machineId)) {
+        return;
+    }
+
+    try {
+        const processOrder = await checkForRunningOrder(machineId);
+        if (!processOrder) {
+            oeeLogger.info(`Communication loss on machine ${machineId} without running process order. No downtime recorded.`);
+            return;
+        }
+
+        const response = await apiClient.post("/unplanneddowntime", {
+            start_date: timestamp,
+            end_date: timestamp,
+            order_id: processOrder.order_id,
+            workcenter_id: machineId,
+            durationInMinutes: 0,
+        });
+        state.communication_loss_id = response.data.plannedOrder_ID;
+        invalidateCache("unplannedDowntime");
+        sendWebSocketMessage("CommunicationLoss", { workcenter_id: machineId, state: "open", downtime: response.data });
+        oeeLogger.warn(`Communication loss downtime opened for machine ${machineId} at ${timestamp}.`);
+    } catch (error) {
+        errorLogger.error(`Failed to record communication loss for machine ${machineId}: ${error.message}`);
+    }
+}
+
+/**
+ * Closes the open communication loss of a node or device.
+ * @param {Object} state - The node or device state.
+ * @param {string} timestamp - The time of the birth.
+ */
+async function closeCommunicationLoss(state, timestamp) {
+    if (!state.communication_loss_id) {
+        return;
+    }
+
+    try {
+        const start = moment.utc(state.death_at);
+        const response = await apiClient.put(`/unplanneddowntime/${state.communication_loss_id}`, {
+            end_date: timestamp,
+            durationInMinutes: Math.max(0, moment.utc(timestamp).diff(start, "minutes")),
+        });
+        invalidateCache("unplannedDowntime");
+        sendWebSocketMessage("CommunicationLoss", { workcenter_id: state.workcenter_id, state: "closed", downtime: response.data });
+        oeeLogger.info(`Communication loss downtime closed for machine ${state.workcenter_id} at ${timestamp}.`);
+    } catch (error) {
+        errorLogger.error(`Failed to close communication loss ${state.communication_loss_id}: ${error.message}`);
+    }
+    state.communication_loss_id = null;
+}
+
+/**
+ * Handles an NBIRTH: the edge node is online, bdSeq starts a new session.
+ * @param {Object} topicParts - The parsed topic.
+ * @param {Object} payload - The decoded payload.
+ * @param {string} machineId - The ID of the machine.
+ */
+async function handleNodeBirth(topicParts, payload, machineId) {
+    const { nodeKey } = getSessionKeys(topicParts);
+    const timestamp = moment.utc().toISOString();
+    const bdSeqMetric = (payload.metrics || []).find(metric => metric.name === "bdSeq");
+    const node = {
+        ...(nodeStates.get(nodeKey) || {}),
+        node_key: nodeKey,
+        plant: topicParts.location,
+        area: topicParts.area,
+        edge_node_id: topicParts.machineName,
+        workcenter_id: machineId,
+        online: true,
+        bd_seq: bdSeqMetric ? toNumber(bdSeqMetric.value) : null,
+        last_seq: toNumber(payload.seq),
+        aliases: buildAliasMap(payload.metrics),
+        birth_at: timestamp,
+    };
+    nodeStates.set(nodeKey, node);
+
+    await closeCommunicationLoss(node, timestamp);
+    await saveNodeState(node);
+    oeeLogger.info(`Sparkplug edge node ${nodeKey} is online (bdSeq ${node.bd_seq}).`);
+}
+
+/**
+ * Handles an NDEATH: the edge node and all of its devices are offline.
+ * An NDEATH with a bdSeq of a previous session is ignored.
+ * @param {Object} topicParts - The parsed topic.
+ * @param {Object} payload - The decoded payload.
+ * @param {string} machineId - The ID of the machine.
+ */
+async function handleNodeDeath(topicParts, payload, machineId) {
+    const { nodeKey } = getSessionKeys(topicParts);
+    const node = nodeStates.get(nodeKey);
+    const bdSeqMetric = (payload.metrics || []).find(metric => metric.name === "bdSeq");
+    const bdSeq = bdSeqMetric ? toNumber(bdSeqMetric.value) : null;
+
+    if (node && node.bd_seq !== null && bdSeq !== null && node.bd_seq !== bdSeq) {
+        oeeLogger.info(`Ignoring NDEATH of edge node ${nodeKey} with bdSeq ${bdSeq} (current session ${node.bd_seq}).`);
+        return;
+    }
+
+    const timestamp = moment.utc().toISOString();
+    const deadNode = {
+        ...(node || { node_key: nodeKey, plant: topicParts.location, area: topicParts.area, edge_node_id: topicParts.machineName, aliases: {} }),
+        workcenter_id: machineId,
+        online: false,
+        last_seq: null,
+        death_at: timestamp,
+    };
+    nodeStates.set(nodeKey, deadNode);
+
+    for (const device of deviceStates.values()) {
+        if (device.node_key === nodeKey && device.online) {
+            device.online = false;
+            device.death_at = timestamp;
+            await saveDeviceState(device);
+        }
+    }
+
+    await openCommunicationLoss(deadNode, machineId, timestamp);
+    await saveNodeState(deadNode);
+    oeeLogger.warn(`Sparkplug edge node ${nodeKey} is offline.`);
+}
+
+/**
+ * Handles a DBIRTH: the device is online and its aliases are known.
+ * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} topicParts - The parsed topic.
+ * @param {Object} payload - The decoded payload.
+ * @param {string} machineId - The ID of the machine.
+ */
+async function handleDeviceBirth(client, topicParts, payload, machineId) {
+    const { nodeKey, deviceKey } = getSessionKeys(topicParts);
+    const timestamp = moment.utc().toISOString();
+    const device = {
+        ...(deviceStates.get(deviceKey) || {}),
+        device_key: deviceKey,
+        node_key: nodeKey,
+        device_id: topicParts.metric,
+        workcenter_id: machineId,
+        online: true,
+        aliases: buildAliasMap(payload.metrics),
+        birth_at: timestamp,
+    };
+    deviceStates.set(deviceKey, device);
+
+    await closeCommunicationLoss(device, timestamp);
+    await saveDeviceState(device);
+    oeeLogger.info(`Sparkplug device ${deviceKey} is online.`);
+}
+
+/**
+ * Handles a DDEATH: the device is offline. During a running process order a
+ * "communication loss" unplanned downtime is recorded.
+ * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} topicParts - The parsed topic.
+ * @param {Object} payload - The decoded payload.
+ * @param {string} machineId - The ID of the machine.
+ */
+async function handleDeviceDeath(client, topicParts, payload, machineId) {
+    const { nodeKey, deviceKey } = getSessionKeys(topicParts);
+    const timestamp = moment.utc().toISOString();
+    const device = {
+        ...(deviceStates.get(deviceKey) || { device_key: deviceKey, node_key: nodeKey, device_id: topicParts.metric, aliases: {} }),
+        workcenter_id: machineId,
+        online: false,
+        death_at: timestamp,
+    };
+    deviceStates.set(deviceKey, device);
+
+    await openCommunicationLoss(device, machineId, timestamp);
+    await saveDeviceState(device);
+    oeeLogger.warn(`Sparkplug device ${deviceKey} is offline.`);
+}
+
+/**
+ * Dispatches an NBIRTH, NDEATH, DBIRTH or DDEATH message.
+ * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} topicParts - The parsed topic.
+ * @param {Object} payload - The decoded payload.
+ * @param {string} machineId - The ID of the machine.
+ */
+async function handleSessionMessage(client, topicParts, payload, machineId) {
+    try {
+        switch (topicParts.dataType) {
+            case "NBIRTH": await handleNodeBirth(topicParts, payload, machineId); break;
+            case "NDEATH": await handleNodeDeath(topicParts, payload, machineId); break;
+            case "DBIRTH": await handleDeviceBirth(client, topicParts, payload, machineId); break;
+            case "DDEATH": await handleDeviceDeath(client, topicParts, payload, machineId); break;
+            default: oeeLogger.warn(`Unknown Sparkplug session message type: ${topicParts.dataType}`);
+        }
+    } catch (error) {
+        errorLogger.error(`Error handling ${topicParts.dataType} for ${topicParts.machineName}: ${error.message}`);
+    }
+}
+
+/**
+ * Prepares a DDATA message: checks the session of the edge node and replaces aliases with the
+ * metric names from the BIRTH messages. Messages of nodes without a known session are passed through.
+ * @param {mqtt.MqttClient} client - The MQTT client.
+ * @param {Object} topicParts - The parsed topic.
+ * @param {Object} payload - The decoded payload.
+ * @returns {Object} The payload with resolved metric names.
+ */
+function resolveDataMessage(client, topicParts, payload) {
+    checkSession(client, topicParts);
+    const { nodeKey, deviceKey } = getSessionKeys(topicParts);
+    const nodeAliases = nodeStates.get(nodeKey)?.aliases || {};
+    const deviceAliases = deviceStates.get(deviceKey)?.aliases || {};
+
+    const metrics = (payload.metrics || []).map((metric) => {
+        if (metric.name) return metric;
+        const alias = toNumber(metric.alias);
+        const name = deviceAliases[alias] || nodeAliases[alias];
+        if (!name) {
+            oeeLogger.warn(`Unknown alias ${alias} on ${deviceKey}. Requesting rebirth.`);
+            requestRebirth(client, topicParts);
+        }
+        return { ...metric, name };
+    });
+    return { ...payload, metrics: metrics.filter(metric => metric.name) };
+}
+
+/**
+ * Returns the current session state of all edge nodes and devices.
+ * @returns {{nodes: Array<Object>, devices: Array<Object>}} The session states.
+ */
+function getSparkplugSessions() {
+    return { nodes: [...nodeStates.values()], devices: [...deviceStates.values()] };
+}
+
+/**
+ * Restores the Sparkplug session states (including open communication losses) after a restart.
+ * @returns {Promise<number>} The number of restored edge nodes and devices.
+ */
+async function restoreSparkplugState() {
+    const { nodes, devices } = await loadSparkplugStates();
+    nodes.forEach(node => nodeStates.set(node.node_key, node));
+    devices.forEach(device => deviceStates.set(device.device_key, device));
+    return nodes.length + devices.length;
+}
+
+module.exports = {
+    SESSION_MESSAGE_TYPES,
+    handleSessionMessage,
+    resolveDataMessage,
+    getSparkplugSessions,
+    restoreSparkplugState,
+};
@@ -0,0 +1,139 @@
+// This code builds and parses MQTT topics from topic templates like "spBv1.0/group_id/message_type/edge_node_id"
+// or "factory/{machine}/{metric}". A segment is a placeholder if it is a placeholder name, with or without braces,
+// every other segment is taken literally.
+
+const oeeConfig = require("../config/oeeConfig.json");
+
+// Metrics published as commands (DCMD), all others as data (DDATA)
+const COMMAND_METRICS = ["Hold", "Unhold", "Start", "End"];
+
+// Sparkplug names of the template and the workcenter fields they stand for
+const PLACEHOLDER_ALIASES = {
+    group_id: ["plant", "area"],
+    edge_node_id: ["machine"],
+    device_id: ["metric"],
+};
+const PLACEHOLDERS = ["plant", "area", "machine", "workcenter_id", "message_type", "metric"];
+
+/**
+ * Splits a template into literal and placeholder segments.
+ * @param {string} template - The topic template.
+ * @returns {Array<{placeholder?: string, literal?: string}>} The segments.
+ */
+function parseTemplate(template) {
+    return template.split("/").flatMap((segment) => {
+        const name = segment.replace(/^\{(.+)\}$/, "$1");
+        if (PLACEHOLDER_ALIASES[name]) {
+            return PLACEHOLDER_ALIASES[name].map(placeholder => ({ placeholder }));
+        }
+        if (PLACEHOLDERS.includes(name)) {
+            return [{ placeholder: name }];
+        }
+        return [{ literal: segment }];
+    });
+}
+
+/**
+ * Checks whether a template contains a placeholder.
+ * @param {string} template - The topic template.
+ * @param {string} placeholder - The placeholder, e.g. metric.
+ * @returns {boolean} True if the placeholder is part of the template.
+ */
+function hasPlaceholder(template, placeholder) {
+    return parseTemplate(template).some(segment => segment.placeholder === placeholder);
+}
+
+/**
+ * Builds a topic from a template. Placeholders without a value (null) are left out,
+ * a value may span several segments, e.g. counter/good.
+ * @param {string} template - The topic template.
+ * @param {Object} values - The value per placeholder.
+ * @returns {string} The topic.
+ */
+function buildTopic(template, values) {
+    return parseTemplate(template)
+        .map(segment => (segment.literal !== undefined ? segment.literal : values[segment.placeholder]))
+        .filter(segment => segment !== null && segment !== undefined)
+        .join("/");
+}
+
+/**
+ * Reads the placeholder values from a topic. The last placeholder takes all remaining segments
+ * and may be missing, e.g. the device of Sparkplug node messages.
+ * @param {string} template - The topic template.
+ * @param {string} topic - The received topic.
+ * @returns {Object|null} The value per placeholder or null if the topic does not match the template.
+ */
+function matchTopic(template, topic) {
+    const segments = parseTemplate(template);
+    const parts = topic.split("/");
+    const values = {};
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (i >= parts.length) {
+            return i === segments.length - 1 && segment.placeholder ? values : null;
+        }
+        const part = i === segments.length - 1 ? parts.slice(i).join("/") : parts[i];
+        if (segment.literal !== undefined) {
+            if (segment.literal !== part) return null;
+        } else {
+            values[segment.placeholder] = part;
+        }
+    }
+    return values;
+}
+
+/**
+ * Generates dynamically the MQTT topics for a machine from the topic template of its configuration.
+ * With a {metric} placeholder every metric has its own topic, otherwise one topic carries all metrics.
+ * Sparkplug device topics end with the device (the metric), also if the template stops at the edge node.
+ * @param {Object} machine - The machine object.
+ * @param {Object} topicConfig - The MQTT topic configuration (payload_format, topic_template, metric_topics).
+ * @returns {Map<string, Object>} The generated topics and what they carry, empty if the machine has no plant, area or name.
+ */
+function generateMachineTopics(machine, topicConfig) {
+    const routes = new Map();
+    if (!(machine?.plant && machine?.area && machine?.name)) {
+        return routes;
+    }
+
+    const { payload_format: payloadFormat, topic_template: topicTemplate, metric_topics: metricTopics } = topicConfig;
+    const isSparkplug = payloadFormat === "sparkplug";
+    const template = isSparkplug && !hasPlaceholder(topicTemplate, "metric") ? `${topicTemplate}/device_id` : topicTemplate;
+    const withMessageType = hasPlaceholder(template, "message_type");
+    const values = { plant: machine.plant, area: machine.area, machine: machine.name, workcenter_id: machine.workcenter_id };
+    // Topic value of {metric} (or payload key) -> metric name of the OEE configuration
+    const metricNames = Object.fromEntries(Object.entries(metricTopics).map(([metric, name]) => [name, metric]));
+    const addRoute = (topic, metric, dataType) =>
+        routes.set(topic, { machineId: machine.workcenter_id, payloadFormat, template, metric, dataType, metricNames });
+
+    if (hasPlaceholder(template, "metric")) {
+        const metrics = Object.keys(metricTopics).length > 0 ? Object.keys(metricTopics) : Object.keys(oeeConfig);
+        metrics.forEach(metric => {
+            const topicType = COMMAND_METRICS.includes(metric) ? "DCMD" : "DDATA";
+            const topic = buildTopic(template, { ...values, message_type: topicType, metric: metricTopics[metric] || metric });
+            addRoute(topic, metric, withMessageType ? topicType : null);
+        });
+    } else if (withMessageType) {
+        ["DDATA", "DCMD"].forEach(topicType => addRoute(buildTopic(template, { ...values, message_type: topicType }), null, topicType));
+    } else {
+        addRoute(buildTopic(template, values), null, null);
+    }
+
+    // Sparkplug session messages of the edge node and its devices
+    if (isSparkplug && withMessageType) {
+        ["NBIRTH", "NDEATH"].forEach(topicType => addRoute(buildTopic(template, { ...values, message_type: topicType, metric: null }), null, topicType));
+        ["DBIRTH", "DDEATH"].forEach(topicType => addRoute(buildTopic(template, { ...values, message_type: topicType, metric: "+" }), null, topicType));
+    }
+    return routes;
+}
+
+module.exports = {
+    COMMAND_METRICS,
+    PLACEHOLDERS,
+    parseTemplate,
+    hasPlaceholder,
+    buildTopic,
+    matchTopic,
+    generateMachineTopics,
+};
@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const apiKeyService = require('../services/apiKeyService');
+
+const API_KEY_ID = '0b7c6d5e-4f3a-4b2c-9d1e-8f7a6b5c4d3e';
+
+/**
+ * Wraps API key values like a Sequelize instance, update merges the changes.
+ * @param {Object} values - The API key values.
+ * @returns {Object} The instance.
+ */
+const apiKeyInstance = (values) => {
+    const instance = {
+        ...values,
+        update: sinon.stub().callsFake(async (changes) => Object.assign(instance, changes)),
+        get: () => {
+            const { update, get, ...plain } = instance;
+            return plain;
+        },
+    };
+    return instance;
+};
+
+/**
+ * Expects a promise to be rejected.
+ * @param {Promise} promise - The promise.
+ * @param {string} message - The expected start of the error message.
+ * @returns {Promise<void>}
+ */
+const expectRejection = async (promise, message) => {
+    try {
+        await promise;
+        expect.fail('the call should have thrown');
+    } catch (error) {
+        expect(error.message.startsWith(message), error.message).to.equal(true);
+    }
+};
+
+describe('apiKeyService', () => {
+    afterEach(() => sinon.restore());
+
+    describe('issue', () => {
+        let create;
+
+        beforeEach(() => {
+            create = sinon.stub(ApiKey, 'create').callsFake(async values => apiKeyInstance({ api_key_id: API_KEY_ID, ...values }));
+        });
+
+        it('stores only the hash of the key', async () => {
+            const apiKey = await apiKeyService.issue({ name: 'Grafana', scopes: ['oee:read'] }, 'admin', { username: 'admin', role: 'Admin' });
+
+            expect(apiKey.key).to.match(/^oee_/);
+            const [values] = create.firstCall.args;
+            expect(values.key_hash).to.equal(crypto.createHash('sha256').update(apiKey.key).digest('hex'));
+            expect(values).to.not.have.property('key');
+            expect(apiKey).to.not.have.property('key_hash');
+        });
+
+        it('grants a user only the permissions of its role', async () => {
+            const supervisor = { username: 'supervisor', role: 'Supervisor' };
+            await apiKeyService.issue({ name: 'MES', scopes: ['microstops:write'] }, 'supervisor', supervisor);
+            await expectRejection(
+                apiKeyService.issue({ name: 'MES', scopes: ['microstops:write', 'users:write'] }, 'supervisor', supervisor),
+                'Invalid issuer: supervisor cannot grant scopes it does not hold: users:write'
+            );
+        });
+
+        it('grants an API key only its own scopes', async () => {
+            const integration = { username: 'provisioning', role: 'ApiKey', scopes: ['apikeys:write', 'oee:read'] };
+            await apiKeyService.issue({ name: 'Dashboard', scopes: ['oee:read'] }, 'provisioning', integration);
+            await expectRejection(
+                apiKeyService.issue({ name: 'Escalation', scopes: ['users:write'] }, 'provisioning', integration),
+                'Invalid issuer'
+            );
+            expect(create.calledOnce).to.equal(true);
+        });
+
+        it('lets the server grant every scope', async () => {
+            await apiKeyService.issue({ name: 'All', scopes: apiKeyService.API_KEY_SCOPES }, 'api', { role: 'System', system: true });
+            expect(create.calledOnce).to.equal(true);
+        });
+
+        it('rejects unknown scopes and an expiry in the past', async () => {
+            const admin = { username: 'admin', role: 'Admin' };
+            await expectRejection(apiKeyService.issue({ name: 'X', scopes: ['everything'] }, 'admin', admin), 'Invalid scopes: everything');
+            await expectRejection(
+                apiKeyService.issue({ name: 'X', scopes: ['oee:read'], expires_at: new Date(Date.now() - 1000) }, 'admin', admin),
+                'Invalid expiry'
+            );
+            expect(create.called).to.equal(false);
+        });
+    });
+
+    describe('verify', () => {
+        it('looks the key up by its hash', async () => {
+            const findOne = sinon.stub(ApiKey, 'findOne').resolves(apiKeyInstance({
+                api_key_id: API_KEY_ID, name: 'Grafana', scopes: ['oee:read'], last_used_at: new Date(),
+            }));
+
+            const apiKey = await apiKeyService.verify('oee_secret');
+
+            expect(findOne.firstCall.args[0].where).to.deep.equal({ key_hash: crypto.createHash('sha256').update('oee_secret').digest('hex') });
+            expect(apiKey).to.deep.equal({ api_key_id: API_KEY_ID, name: 'Grafana', scopes: ['oee:read'] });
+        });
+
+        it('rejects unknown, revoked and expired keys', async () => {
+            const findOne = sinon.stub(ApiKey, 'findOne').resolves(null);
+            expect(await apiKeyService.verify('oee_unknown')).to.equal(null);
+
+            findOne.resolves(apiKeyInstance({ api_key_id: API_KEY_ID, scopes: [], revoked_at: new Date() }));
+            expect(await apiKeyService.verify('oee_revoked')).to.equal(null);
+
+            findOne.resolves(apiKeyInstance({ api_key_id: API_KEY_ID, scopes: [], expires_at: new Date(Date.now() - 1000) }));
+            expect(await apiKeyService.verify('oee_expired')).to.equal(null);
+        });
+
+        it('tracks the last use at most once a minute', async () => {
+            const recent = apiKeyInstance({ api_key_id: API_KEY_ID, scopes: [], last_used_at: new Date(Date.now() - 10 * 1000) });
+            const stale = apiKeyInstance({ api_key_id: API_KEY_ID, scopes: [], last_used_at: new Date(Date.now() - 2 * 60 * 1000) });
+            sinon.stub(ApiKey, 'findOne').onFirstCall().resolves(recent).onSecondCall().resolves(stale);
+
+            await apiKeyService.verify('oee_key');
+            await apiKeyService.verify('oee_key');
+
+            expect(recent.update.called).to.equal(false);
+            expect(stale.update.calledOnce).to.equal(true);
+        });
+    });
+
+    describe('revoke', () => {
+        it('keeps the revoked key with its revocation time', async () => {
+            const apiKey = apiKeyInstance({ api_key_id: API_KEY_ID, name: 'Grafana', key_hash: 'hash', scopes: [], revoked_at: null });
+            sinon.stub(ApiKey, 'findByPk').resolves(apiKey);
+
+            const revoked = await apiKeyService.revoke(API_KEY_ID, 'admin');
+
+            expect(revoked.revoked_at).to.be.an.instanceOf(Date);
+            expect(revoked.active).to.equal(false);
+            expect(revoked).to.not.have.property('key_hash');
+
+            // Revoking again keeps the first revocation time
+            await apiKeyService.revoke(API_KEY_ID, 'admin');
+            expect(apiKey.update.calledOnce).to.equal(true);
+        });
+
+        it('rejects an invalid or unknown ID', async () => {
+            sinon.stub(ApiKey, 'findByPk').resolves(null);
+            await expectRejection(apiKeyService.revoke('not-a-uuid', 'admin'), 'Invalid UUID format');
+            await expectRejection(apiKeyService.revoke(API_KEY_ID, 'admin'), `API key with ID ${API_KEY_ID} not found.`);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { User, ApiKey } = require('../models');
+const { authenticate, authorize } = require('../routes/apiRoutes');
+
+const RESOURCES = ['processorders', 'microstops', 'users', 'apikeys'];
+const USERS = {
+    viewer: 'Viewer',
+    operator: 'Operator',
+    supervisor: 'Supervisor',
+    planner: 'Planner',
+    admin: 'Admin',
+};
+
+describe('apiRoutes authentication and authorization', () => {
+    let server;
+    let baseUrl;
+    const env = {};
+
+    before((done) => {
+        // Every resource answers with the authenticated principal once the permission check passed
+        const app = express();
+        RESOURCES.forEach((resource) => {
+            app.all(`/${resource}`, authenticate, authorize(resource), (req, res) => res.json({ user: req.user }));
+        });
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(done => server.close(done));
+
+    beforeEach(() => {
+        ['JWT_SECRET', 'API_KEY', 'TRUSTED_INTERNAL_IP'].forEach((name) => { env[name] = process.env[name]; });
+        process.env.JWT_SECRET = 'test-secret';
+        process.env.API_KEY = 'internal-api-key';
+        sinon.stub(User, 'findByPk').callsFake(async userId => (USERS[userId] ? { user_id: userId, username: userId, role: USERS[userId] } : null));
+        sinon.stub(ApiKey, 'findOne').resolves(null);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        Object.entries(env).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    });
+
+    /**
+     * Sends a request as a user of the test.
+     * @param {string} method - The HTTP method.
+     * @param {string} resource - The resource of the request.
+     * @param {Object} [headers] - The request headers.
+     * @returns {Promise<Response>} The response.
+     */
+    const request = (method, resource, headers = {}) => fetch(`${baseUrl}/${resource}`, { method, headers });
+
+    /**
+     * Returns the Authorization header of a user.
+     * @param {string} userId - The user of USERS.
+     * @returns {Object} The headers.
+     */
+    const bearer = userId => ({ Authorization: `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}` });
+
+    describe('authenticate', () => {
+        it('answers 401 without credentials', async () => {
+            const response = await request('GET', 'processorders');
+            expect(response.status).to.equal(401);
+        });
+
+        it('answers 401 for an invalid or unknown token', async () => {
+            expect((await request('GET', 'processorders', { Authorization: 'Bearer invalid' })).status).to.equal(401);
+            expect((await request('GET', 'processorders', bearer('nobody'))).status).to.equal(401);
+        });
+
+        it('answers 403 for an unknown API key', async () => {
+            expect((await request('GET', 'processorders', { 'X-API-Key': 'unknown-key' })).status).to.equal(403);
+        });
+
+        it('does not trust requests by their IP address', async () => {
+            process.env.TRUSTED_INTERNAL_IP = '127.0.0.1';
+            expect((await request('GET', 'users')).status).to.equal(401);
+        });
+
+        it('lets the server API key act as system', async () => {
+            const response = await request('DELETE', 'users', { 'X-API-Key': 'internal-api-key' });
+            expect(response.status).to.equal(200);
+            expect((await response.json()).user).to.deep.equal({ role: 'System', system: true });
+        });
+    });
+
+    describe('authorize', () => {
+        // [user, method, resource, expected status]
+        const matrix = [
+            ['viewer', 'GET', 'processorders', 200],
+            ['viewer', 'HEAD', 'processorders', 200],
+            ['viewer', 'POST', 'processorders', 403],
+            ['operator', 'PUT', 'microstops', 200],
+            ['operator', 'POST', 'processorders', 403],
+            ['planner', 'POST', 'processorders', 200],
+            ['planner', 'DELETE', 'microstops', 403],
+            ['supervisor', 'PATCH', 'microstops', 200],
+            ['supervisor', 'GET', 'users', 403],
+            ['admin', 'GET', 'users', 200],
+            ['admin', 'POST', 'apikeys', 200],
+        ];
+
+        matrix.forEach(([userId, method, resource, status]) => {
+            it(`answers ${status} to ${method} /${resource} of the role ${USERS[userId]}`, async () => {
+                expect((await request(method, resource, bearer(userId))).status).to.equal(status);
+            });
+        });
+
+        it('names the required roles of a denied permission', async () => {
+            const response = await request('POST', 'processorders', bearer('operator'));
+            const body = await response.json();
+            expect(body.permission).to.equal('processorders:write');
+            expect(body.required_roles).to.deep.equal(['Planner']);
+        });
+
+        it('limits an API key to its scopes', async () => {
+            ApiKey.findOne.resolves({
+                api_key_id: 'key-1',
+                name: 'mes',
+                scopes: ['processorders:read', 'microstops:write'],
+                last_used_at: new Date(),
+            });
+            const headers = { 'X-API-Key': 'oee_key' };
+
+            expect((await request('GET', 'processorders', headers)).status).to.equal(200);
+            expect((await request('PUT', 'processorders', headers)).status).to.equal(403);
+            expect((await request('POST', 'microstops', headers)).status).to.equal(200);
+            expect((await request('GET', 'microstops', headers)).status).to.equal(403);
+            expect((await request('GET', 'users', headers)).status).to.equal(403);
+        });
+    });
+});
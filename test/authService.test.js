@@ -0,0 +1,173 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const jwt = require('jsonwebtoken');
+const { sequelize, User, RefreshToken, LoginAttempt } = require('../models');
+const authService = require('../services/authService');
+
+const user = { user_id: '5d0c1e4a-2f7b-4c1e-9a3d-6b8e2f4a0002', username: 'operator' };
+
+/**
+ * Returns the lifetime of an access token in seconds.
+ * @param {string} token - The access token.
+ * @returns {number} The seconds between issue and expiry.
+ */
+const lifetimeOf = (token) => {
+    const { iat, exp } = jwt.decode(token);
+    return exp - iat;
+};
+
+describe('authService sessions', () => {
+    let jwtSecret;
+
+    beforeEach(() => {
+        jwtSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'test-secret';
+        sinon.stub(RefreshToken, 'create').resolves({ token_id: 'refresh-1' });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        process.env.JWT_SECRET = jwtSecret;
+    });
+
+    it('issues short-lived access tokens for sessions with refresh tokens', async () => {
+        const session = await authService.createSession(user);
+
+        expect(lifetimeOf(session.token)).to.equal(15 * 60);
+        expect(session.refreshToken).to.be.a('string');
+    });
+
+    it('keeps the one-hour access token for Google logins', async () => {
+        const session = await authService.createGoogleSession(user);
+
+        expect(lifetimeOf(session.token)).to.equal(60 * 60);
+    });
+});
+
+describe('authService lockout', () => {
+    let stored;
+    let attempt;
+    let transaction;
+
+    beforeEach(() => {
+        // The counter row in the database, increment changes it there and reload reads it back
+        stored = { failed_attempts: 0, locked_until: null };
+        attempt = {
+            ...stored,
+            increment: sinon.stub().callsFake(async (field) => { stored[field] += 1; }),
+            reload: sinon.stub().callsFake(async () => Object.assign(attempt, stored)),
+            update: sinon.stub().callsFake(async (changes) => Object.assign(attempt, Object.assign(stored, changes))),
+        };
+        transaction = { LOCK: { UPDATE: 'UPDATE' } };
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback(transaction));
+        sinon.stub(LoginAttempt, 'findOrCreate').resolves([attempt, false]);
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('increments the counter of the locked row in the database', async () => {
+        // Another request counted a failed login in the meantime
+        stored.failed_attempts = 2;
+        await authService.registerFailedLogin(user);
+
+        const [options] = LoginAttempt.findOrCreate.firstCall.args;
+        expect(options).to.include({ transaction, lock: 'UPDATE' });
+        expect(attempt.increment.firstCall.args).to.deep.equal(['failed_attempts', { transaction }]);
+        expect(stored.failed_attempts).to.equal(3);
+        expect(stored.locked_until).to.equal(null);
+    });
+
+    it('locks the account at the fifth failed login', async () => {
+        for (let failed = 0; failed < 5; failed += 1) {
+            await authService.registerFailedLogin(user);
+        }
+
+        expect(stored.failed_attempts).to.equal(0);
+        expect(stored.locked_until).to.be.above(new Date(Date.now() + 14 * 60 * 1000));
+    });
+
+    it('rejects the login of a locked account before checking the password', async () => {
+        const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+        sinon.stub(User, 'findOne').resolves({ ...user, password: 'hash' });
+        sinon.stub(LoginAttempt, 'findByPk').resolves({ locked_until: lockedUntil });
+
+        try {
+            await authService.login('operator', 'secret');
+            expect.fail('login should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal(`Account locked until ${lockedUntil.toISOString()}`);
+        }
+    });
+});
+
+describe('authService refresh tokens', () => {
+    let jwtSecret;
+    let stored;
+
+    beforeEach(() => {
+        jwtSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'test-secret';
+        stored = {
+            token_id: 'refresh-1',
+            user_id: user.user_id,
+            family_id: 'family-1',
+            revoked_at: null,
+            replaced_by: null,
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            update: sinon.stub().resolves(),
+        };
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+        sinon.stub(RefreshToken, 'findOne').callsFake(async () => stored);
+        sinon.stub(RefreshToken, 'create').resolves({ token_id: 'refresh-2' });
+        sinon.stub(RefreshToken, 'update').resolves([2]);
+        sinon.stub(User, 'findByPk').resolves(user);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        process.env.JWT_SECRET = jwtSecret;
+    });
+
+    /**
+     * Expects refreshSession to fail.
+     * @param {string} message - The expected error message.
+     * @returns {Promise<void>}
+     */
+    const expectRefreshError = async (message) => {
+        try {
+            await authService.refreshSession('refresh-token');
+            expect.fail('refreshSession should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal(message);
+        }
+    };
+
+    it('rotates the refresh token within its session', async () => {
+        const session = await authService.refreshSession('refresh-token');
+
+        expect(session.refreshTokenId).to.equal('refresh-2');
+        expect(RefreshToken.create.firstCall.args[0].family_id).to.equal('family-1');
+        const [changes] = stored.update.firstCall.args;
+        expect(changes.replaced_by).to.equal('refresh-2');
+        expect(changes.revoked_at).to.be.an.instanceOf(Date);
+    });
+
+    it('revokes the whole session when a rotated token is used again', async () => {
+        stored.revoked_at = new Date();
+        stored.replaced_by = 'refresh-2';
+
+        await expectRefreshError('Invalid refresh token: token reuse detected');
+        expect(RefreshToken.update.firstCall.args[1].where.family_id).to.equal('family-1');
+        expect(RefreshToken.create.called).to.equal(false);
+    });
+
+    it('rejects revoked and expired tokens', async () => {
+        stored.revoked_at = new Date();
+        await expectRefreshError('Invalid refresh token: revoked');
+
+        stored.revoked_at = null;
+        stored.expires_at = new Date(Date.now() - 1000);
+        await expectRefreshError('Invalid refresh token: expired');
+        expect(RefreshToken.create.called).to.equal(false);
+    });
+});
@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, AuditLog, ShiftCalendar, CalendarShift, CalendarException } = require('../models');
+const calendarService = require('../services/calendarService');
+
+const CALENDAR_ID = '7c2e4a1b-3d5f-4b6a-8e9c-0a1b2c3d4e01';
+const EXCEPTION_ID = '7c2e4a1b-3d5f-4b6a-8e9c-0a1b2c3d4e02';
+const AUDIT_CONTEXT = { user: 'planner', role: 'Planner', reason: 'Plant holidays 2026' };
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:new-year-2026',
+    'SUMMARY:Neujahr',
+    'DTSTART;VALUE=DATE:20260101',
+    'DTEND;VALUE=DATE:20260102',
+    'END:VEVENT',
+    'END:VCALENDAR',
+].join('\r\n');
+
+/**
+ * Wraps values like a Sequelize instance.
+ * @param {Object} values - The values.
+ * @returns {Object} The instance.
+ */
+const asInstance = values => ({
+    ...values,
+    dataValues: values,
+    get: () => values,
+    update: sinon.stub().resolves(),
+    destroy: sinon.stub().resolves(),
+});
+
+describe('calendarService', () => {
+    let auditLogCreate;
+
+    beforeEach(() => {
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+        auditLogCreate = sinon.stub(AuditLog, 'create').resolves();
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('keeps the shifts and exceptions of a deleted calendar in the audit log', async () => {
+        const calendar = asInstance({
+            calendar_id: CALENDAR_ID,
+            name: 'Plant 1',
+            shifts: [{ calendar_shift_id: 'cs-1' }],
+            exceptions: [{ exception_id: EXCEPTION_ID, name: 'Neujahr' }],
+        });
+        sinon.stub(ShiftCalendar, 'findByPk').resolves(calendar);
+        const destroyShifts = sinon.stub(CalendarShift, 'destroy').resolves(1);
+        const destroyExceptions = sinon.stub(CalendarException, 'destroy').resolves(1);
+
+        expect(await calendarService.delete(CALENDAR_ID, AUDIT_CONTEXT)).to.equal(true);
+
+        expect(destroyShifts.calledOnce && destroyExceptions.calledOnce && calendar.destroy.calledOnce).to.equal(true);
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'ShiftCalendar', entity_id: CALENDAR_ID, action: 'delete', changed_by: 'planner' });
+        expect(entry.before.exceptions).to.have.lengthOf(1);
+    });
+
+    it('records a removed exception in the audit log', async () => {
+        const exception = asInstance({ exception_id: EXCEPTION_ID, calendar_id: CALENDAR_ID, type: 'closure', name: 'Inventory' });
+        sinon.stub(CalendarException, 'findOne').resolves(exception);
+
+        await calendarService.removeException(CALENDAR_ID, EXCEPTION_ID, AUDIT_CONTEXT);
+
+        expect(exception.destroy.calledOnce).to.equal(true);
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'CalendarException', entity_id: EXCEPTION_ID, action: 'delete' });
+        expect(entry.before.name).to.equal('Inventory');
+    });
+
+    it('records nothing for an unknown exception', async () => {
+        sinon.stub(CalendarException, 'findOne').resolves(null);
+        try {
+            await calendarService.removeException(CALENDAR_ID, EXCEPTION_ID, AUDIT_CONTEXT);
+            expect.fail('expected an error');
+        } catch (error) {
+            expect(error.message).to.include(`Exception with ID ${EXCEPTION_ID} not found.`);
+        }
+        expect(auditLogCreate.called).to.equal(false);
+    });
+
+    it('audits a holiday import as one update of the calendar', async () => {
+        const imported = { exception_id: EXCEPTION_ID, name: 'Neujahr', ical_uid: 'new-year-2026' };
+        sinon.stub(ShiftCalendar, 'findByPk')
+            .onFirstCall().resolves(asInstance({ calendar_id: CALENDAR_ID, shifts: [], exceptions: [] }))
+            .onSecondCall().resolves(asInstance({ calendar_id: CALENDAR_ID, shifts: [], exceptions: [imported] }));
+        sinon.stub(CalendarException, 'findAll').resolves([]);
+        const bulkCreate = sinon.stub(CalendarException, 'bulkCreate').resolves();
+
+        const result = await calendarService.importHolidays(CALENDAR_ID, ICS, AUDIT_CONTEXT);
+
+        expect(result).to.deep.equal({ imported: 1, skipped: 0 });
+        expect(bulkCreate.firstCall.args[0][0]).to.include({ calendar_id: CALENDAR_ID, type: 'holiday', ical_uid: 'new-year-2026' });
+        expect(auditLogCreate.calledOnce).to.equal(true);
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'ShiftCalendar', entity_id: CALENDAR_ID, action: 'update', reason: 'Plant holidays 2026' });
+        expect(entry.changed_fields).to.deep.equal(['exceptions']);
+    });
+});
@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const { getNonScheduledWindows, getOverlapMinutes } = require('../utils/calendarUtils');
+
+const earlyShift = {
+    shift_id: 'S1',
+    shift_name: 'Early',
+    shift_start_time: '06:00',
+    shift_end_time: '14:00',
+    breaks: [],
+};
+const lateShift = { ...earlyShift, shift_id: 'S2', shift_name: 'Late', shift_start_time: '14:00', shift_end_time: '22:00' };
+
+/**
+ * Converts windows into ISO strings for comparison.
+ * @param {Array<Object>} windows - The windows with moment start and end.
+ * @returns {Array<Array<string>>} The start and end of every window.
+ */
+const toIso = windows => windows.map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+describe('calendarUtils', () => {
+    describe('getNonScheduledWindows', () => {
+        it('counts the gaps between shifts as non-scheduled time', () => {
+            // Europe/Berlin is UTC+1 in March, the shifts cover 05:00 to 21:00 UTC
+            const windows = getNonScheduledWindows([], [earlyShift, lateShift], '2026-03-02T00:00:00Z', '2026-03-03T00:00:00Z');
+
+            expect(toIso(windows)).to.deep.equal([
+                ['2026-03-02T00:00:00.000Z', '2026-03-02T05:00:00.000Z'],
+                ['2026-03-02T21:00:00.000Z', '2026-03-03T00:00:00.000Z'],
+            ]);
+        });
+
+        it('treats machines without shift models as always scheduled', () => {
+            expect(getNonScheduledWindows([], [], '2026-03-02T00:00:00Z', '2026-03-03T00:00:00Z')).to.deep.equal([]);
+        });
+
+        it('merges holidays with the gaps between shifts', () => {
+            const calendar = {
+                shifts: [],
+                exceptions: [{ start_date: '2026-03-02T04:00:00Z', end_date: '2026-03-02T08:00:00Z' }],
+            };
+            const windows = getNonScheduledWindows([calendar], [earlyShift], '2026-03-02T00:00:00Z', '2026-03-02T12:00:00Z');
+
+            expect(toIso(windows)).to.deep.equal([['2026-03-02T00:00:00.000Z', '2026-03-02T08:00:00.000Z']]);
+        });
+    });
+
+    describe('getOverlapMinutes', () => {
+        it('sums the overlap of the windows with the range in fractional minutes', () => {
+            const windows = [
+                { start: '2026-03-02T05:00:00Z', end: '2026-03-02T06:00:30Z' },
+                { start: '2026-03-02T07:00:00Z', end: '2026-03-02T09:00:00Z' },
+            ];
+            expect(getOverlapMinutes(windows, '2026-03-02T06:00:00Z', '2026-03-02T08:00:00Z')).to.equal(60.5);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { HoldStatus, MachineCommand } = require('../models');
+const { apiClient } = require('../src/header');
+const { handleHoldCommand, handleUnholdCommand, restoreHoldStatus } = require('../src/commandHandler');
+
+describe('commandHandler', () => {
+    beforeEach(() => {
+        sinon.stub(apiClient, 'get').resolves({ data: [{ order_id: 'O1' }] });
+        sinon.stub(apiClient, 'post').resolves({ data: [] });
+    });
+
+    afterEach(() => sinon.restore());
+
+    describe('open Holds', () => {
+        it('persists a Hold and removes it with the Unhold', async () => {
+            const upsert = sinon.stub(HoldStatus, 'upsert').resolves();
+            const destroy = sinon.stub(HoldStatus, 'destroy').resolves(1);
+
+            await handleHoldCommand(1, 'WC-HOLD-1');
+            expect(upsert.firstCall.args[0]).to.include({ workcenter_id: 'WC-HOLD-1', order_id: null });
+
+            await handleUnholdCommand(1, 'WC-HOLD-1');
+            expect(destroy.firstCall.args[0].where).to.deep.equal({ workcenter_id: 'WC-HOLD-1' });
+        });
+
+        it('closes a Hold opened before a restart with its original start', async () => {
+            const start = new Date(Date.now() - 10 * 60 * 1000);
+            sinon.stub(HoldStatus, 'findAll').resolves([{ workcenter_id: 'WC-HOLD-2', start_timestamp: start, order_id: null }]);
+            sinon.stub(HoldStatus, 'destroy').resolves(1);
+
+            expect(await restoreHoldStatus()).to.equal(1);
+            await handleUnholdCommand(1, 'WC-HOLD-2');
+
+            const [path, microstop] = apiClient.post.firstCall.args;
+            expect(path).to.equal('/microstops');
+            expect(microstop).to.include({ start_date: start.toISOString(), Order_ID: 'O1', workcenter_id: 'WC-HOLD-2' });
+        });
+
+        it('ignores a Hold or Unhold with a value other than 1', async () => {
+            const upsert = sinon.stub(HoldStatus, 'upsert').resolves();
+            const destroy = sinon.stub(HoldStatus, 'destroy').resolves(1);
+
+            await handleHoldCommand(0, 'WC-HOLD-4');
+            expect(upsert.called).to.equal(false);
+
+            await handleHoldCommand(1, 'WC-HOLD-4');
+            await handleUnholdCommand(0, 'WC-HOLD-4');
+            expect(destroy.called).to.equal(false);
+        });
+
+        it('closes a short Hold without a microstop', async () => {
+            sinon.stub(HoldStatus, 'upsert').resolves();
+            const destroy = sinon.stub(HoldStatus, 'destroy').resolves(1);
+
+            await handleHoldCommand(1, 'WC-HOLD-5');
+            await handleUnholdCommand(1, 'WC-HOLD-5');
+
+            expect(apiClient.post.called).to.equal(false);
+            expect(destroy.calledOnce).to.equal(true);
+        });
+
+        it('does not record the received commands as sent commands', async () => {
+            // Commands sent by the API are received again on their DCMD topic and already recorded by the publisher
+            const create = sinon.stub(MachineCommand, 'create');
+            sinon.stub(HoldStatus, 'upsert').resolves();
+            sinon.stub(HoldStatus, 'destroy').resolves(1);
+
+            await handleHoldCommand(1, 'WC-HOLD-6');
+            await handleUnholdCommand(1, 'WC-HOLD-6');
+
+            expect(create.called).to.equal(false);
+        });
+
+        it('ignores an Unhold without an open Hold', async () => {
+            sinon.stub(HoldStatus, 'findAll').resolves([]);
+            const destroy = sinon.stub(HoldStatus, 'destroy').resolves(0);
+
+            expect(await restoreHoldStatus()).to.equal(0);
+            await handleUnholdCommand(1, 'WC-HOLD-3');
+            expect(apiClient.post.called).to.equal(false);
+            expect(destroy.called).to.equal(false);
+        });
+    });
+});
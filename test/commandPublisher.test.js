@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { MachineCommand, MachineStateConfig, MqttTopicConfig } = require('../models');
+const { mqtt: mqttConfig } = require('../config/config');
+const { connectBroker, endBrokerClients } = require('../src/mqttBrokers');
+const { sendMachineCommand, acknowledgeMachineCommands } = require('../src/commandPublisher');
+
+const BROKER = 'command-test';
+let workcenterCount = 0;
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition - Returns true once the wait is over.
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+    const deadline = Date.now() + 2000;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met within the timeout');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('commandPublisher', () => {
+    let client;
+    let ackTimeout;
+    let machine;
+
+    beforeEach(() => {
+        // Every test has its own workcenter, the topic and state configurations are cached per workcenter
+        workcenterCount += 1;
+        machine = { workcenter_id: `WC-CMD-${workcenterCount}`, plant: 'Plant1', area: 'Area1', name: `Line${workcenterCount}` };
+
+        // The client never reaches a broker, it is marked as connected and its publish is recorded
+        mqttConfig.brokers[BROKER] = { url: 'mqtt://127.0.0.1:1', clientId: 'oee-test' };
+        client = connectBroker(BROKER);
+        client.on('error', () => {});
+        client.connected = true;
+        sinon.stub(client, 'publish');
+        ackTimeout = mqttConfig.commandAckTimeout;
+        mqttConfig.commandAckTimeout = 300;
+
+        sinon.stub(MqttTopicConfig, 'findByPk').resolves({
+            get: () => ({ broker: BROKER, payload_format: 'json', topic_template: 'spBv1.0/group_id/message_type/edge_node_id', metric_topics: {} }),
+        });
+        sinon.stub(MachineStateConfig, 'findByPk').resolves(null);
+        sinon.stub(MachineCommand, 'create').callsFake(async entry => ({ get: () => ({ command_id: 'cmd-1', status: 'sent', ...entry }) }));
+        sinon.stub(MachineCommand, 'findByPk').callsFake(async () => {
+            const values = { command_id: 'cmd-1' };
+            return { update: async (changes) => Object.assign(values, changes), get: () => values };
+        });
+    });
+
+    afterEach(async () => {
+        client.connected = false;
+        await endBrokerClients();
+        delete mqttConfig.brokers[BROKER];
+        mqttConfig.commandAckTimeout = ackTimeout;
+        sinon.restore();
+    });
+
+    /**
+     * Sends a Hold command and waits until it is published.
+     * @returns {Promise<{result: Promise<Object>}>} The pending result of the command.
+     */
+    const sendHold = async () => {
+        const result = sendMachineCommand(machine, 'Hold', { user: 'operator' });
+        await waitFor(() => client.publish.called);
+        return { result };
+    };
+
+    it('is acknowledged by a state change of the machine after the publish', async () => {
+        const { result } = await sendHold();
+
+        const count = await acknowledgeMachineCommands(machine.workcenter_id, {
+            timestamp: Date.now(),
+            metrics: [{ name: 'MachineState', value: 'Idle' }],
+        });
+
+        expect(count).to.equal(1);
+        const command = await result;
+        expect(command.status).to.equal('acknowledged');
+        expect(command.acknowledged_at).to.be.instanceOf(Date);
+    });
+
+    it('ignores counter ticks and data timestamped before the publish', async () => {
+        const { result } = await sendHold();
+
+        expect(await acknowledgeMachineCommands(machine.workcenter_id, {
+            timestamp: Date.now(),
+            metrics: [{ name: 'ActualProductionQuantity', value: 5 }],
+        })).to.equal(0);
+        expect(await acknowledgeMachineCommands(machine.workcenter_id, {
+            timestamp: Date.now() - 5000,
+            metrics: [{ name: 'MachineState', value: 'Idle' }],
+        })).to.equal(0);
+
+        expect((await result).status).to.equal('timeout');
+    });
+
+    it('is acknowledged by the command metric reported in the data of the machine', async () => {
+        const { result } = await sendHold();
+
+        const count = await acknowledgeMachineCommands(machine.workcenter_id, {
+            metrics: [{ name: 'Hold', value: 1, timestamp: Date.now() }],
+        });
+
+        expect(count).to.equal(1);
+        expect((await result).status).to.equal('acknowledged');
+    });
+});
@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const { parseICalEvents } = require('../utils/icalParser');
+
+/**
+ * Wraps event lines into a calendar.
+ * @param {...string} lines - The lines of the calendar body.
+ * @returns {string} The iCal content.
+ */
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('icalParser', () => {
+    describe('parseICalEvents', () => {
+        it('reads an all-day event in the plant time zone', () => {
+            const events = parseICalEvents(calendar(
+                'BEGIN:VEVENT', 'UID:xmas', 'SUMMARY:Christmas', 'DTSTART;VALUE=DATE:20261225', 'END:VEVENT'
+            ));
+
+            expect(events).to.deep.equal([{
+                uid: 'xmas',
+                name: 'Christmas',
+                start: new Date('2026-12-24T23:00:00.000Z'),
+                end: new Date('2026-12-25T23:00:00.000Z'),
+            }]);
+        });
+
+        it('expands a yearly RRULE into one event per occurrence', () => {
+            const events = parseICalEvents(calendar(
+                'BEGIN:VEVENT',
+                'UID:newyear',
+                'SUMMARY:New Year',
+                'DTSTART;VALUE=DATE:20260101',
+                'RRULE:FREQ=YEARLY;COUNT=3',
+                'EXDATE;VALUE=DATE:20270101',
+                'END:VEVENT'
+            ));
+
+            expect(events.map(event => event.uid)).to.deep.equal(['newyear/20260101', 'newyear/20280101']);
+            expect(events[1].start).to.deep.equal(new Date('2027-12-31T23:00:00.000Z'));
+            expect(events[1].end).to.deep.equal(new Date('2028-01-01T23:00:00.000Z'));
+        });
+
+        it('skips occurrences that do not exist in a month', () => {
+            const events = parseICalEvents(calendar(
+                'BEGIN:VEVENT',
+                'DTSTART:20260131T080000Z',
+                'DTEND:20260131T100000Z',
+                'RRULE:FREQ=MONTHLY;UNTIL=20260531T000000Z',
+                'END:VEVENT'
+            ));
+
+            expect(events.map(event => event.start.toISOString())).to.deep.equal([
+                '2026-01-31T08:00:00.000Z',
+                '2026-03-31T08:00:00.000Z',
+            ]);
+            expect(events.every(event => event.uid === null)).to.equal(true);
+        });
+
+        it('rejects RRULE parts it cannot expand', () => {
+            expect(() => parseICalEvents(calendar(
+                'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261101', 'RRULE:FREQ=YEARLY;BYDAY=1SU', 'END:VEVENT'
+            ))).to.throw('Invalid iCal content: RRULE BYDAY is not supported');
+        });
+
+        it('rejects END:VEVENT without BEGIN:VEVENT', () => {
+            expect(() => parseICalEvents(calendar('END:VEVENT')))
+                .to.throw('Invalid iCal content: END:VEVENT without BEGIN:VEVENT');
+        });
+
+        it('rejects a VEVENT that is not closed', () => {
+            expect(() => parseICalEvents(calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261225')))
+                .to.throw('Invalid iCal content: BEGIN:VEVENT without END:VEVENT');
+        });
+
+        it('rejects content without VCALENDAR', () => {
+            expect(() => parseICalEvents('BEGIN:VEVENT')).to.throw('Invalid iCal content');
+        });
+    });
+});
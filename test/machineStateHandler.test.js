@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { MachineStateConfig, MachineStateStatus } = require('../models');
+const { apiClient, moment } = require('../src/header');
+const { applyStateCategory } = require('../src/machineStateHandler');
+
+/**
+ * Waits for pending timers and promises.
+ * @param {number} [ms=10] - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+const settle = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('machineStateHandler', () => {
+    describe('applyStateCategory', () => {
+        let post;
+        let put;
+        let resolvePost;
+
+        beforeEach(() => {
+            // Default configuration: a fault opens an unplanned downtime right away
+            sinon.stub(MachineStateConfig, 'findByPk').resolves(null);
+            sinon.stub(MachineStateStatus, 'upsert').resolves();
+            sinon.stub(apiClient, 'get').resolves({ data: [{ order_id: 1 }] });
+            post = sinon.stub(apiClient, 'post').returns(new Promise((resolve) => { resolvePost = resolve; }));
+            put = sinon.stub(apiClient, 'put').resolves({ data: {} });
+        });
+
+        afterEach(() => sinon.restore());
+
+        it('closes a downtime that was still being opened when the state changed', async () => {
+            await applyStateCategory('WC-RACE', 'Fault', 'fault', moment.utc('2026-03-02T08:00:00Z'));
+            await settle();
+            expect(post.calledOnce).to.equal(true);
+
+            const change = applyStateCategory('WC-RACE', 'Running', 'running', moment.utc('2026-03-02T08:05:00Z'));
+            await settle();
+            expect(put.called).to.equal(false);
+
+            resolvePost({ data: { plannedOrder_ID: 7 } });
+            const next = await change;
+
+            expect(next.category).to.equal('running');
+            expect(put.calledOnce).to.equal(true);
+            const [endpoint, body] = put.firstCall.args;
+            expect(endpoint).to.equal('/unplanneddowntime/7');
+            expect(body).to.deep.equal({ end_date: '2026-03-02T08:05:00.000Z', durationInMinutes: 5 });
+        });
+    });
+});
@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, MachineStateHistory } = require('../models');
+const { recordStateChange, getTimeInStateStatistics } = require('../services/machineStateHistoryService');
+
+/**
+ * Builds a state history record.
+ * @param {Object} values - The record values.
+ * @returns {Object} The record with a get() returning the values.
+ */
+const stateRecord = values => ({ ...values, get: () => values });
+
+describe('machineStateHistoryService', () => {
+    let transaction;
+
+    beforeEach(() => {
+        transaction = {};
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback(transaction));
+    });
+
+    afterEach(() => sinon.restore());
+
+    describe('recordStateChange', () => {
+        const entry = { workcenter_id: 'WC1', state_code: 6, state: 'Execute', loss_category: 'production', start_time: '2026-03-02T08:10:00.000Z' };
+
+        it('ends the open state and records the next one in one transaction', async () => {
+            const open = { start_time: '2026-03-02T08:00:00.000Z', update: sinon.stub().resolves() };
+            sinon.stub(MachineStateHistory, 'findAll').resolves([open]);
+            const create = sinon.stub(MachineStateHistory, 'create').resolves();
+
+            await recordStateChange(entry);
+
+            expect(open.update.firstCall.args).to.deep.equal([{ end_time: entry.start_time, duration: 600 }, { transaction }]);
+            expect(create.firstCall.args).to.deep.equal([entry, { transaction }]);
+        });
+
+        it('fails if the state could not be recorded', async () => {
+            sinon.stub(MachineStateHistory, 'findAll').resolves([]);
+            sinon.stub(MachineStateHistory, 'create').rejects(new Error('connection lost'));
+            try {
+                await recordStateChange(entry);
+                expect.fail('recordStateChange should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Failed to record state Execute for workcenter WC1: connection lost');
+            }
+        });
+    });
+
+    describe('getTimeInStateStatistics', () => {
+        it('clips the states to the time range', async () => {
+            sinon.stub(MachineStateHistory, 'findAll').resolves([
+                // Started 30 minutes before the range
+                stateRecord({ state_code: 6, state: 'Execute', loss_category: 'production', start_time: '2026-03-02T05:30:00.000Z', end_time: '2026-03-02T07:00:00.000Z' }),
+                stateRecord({ state_code: 11, state: 'Held', loss_category: 'downtime', start_time: '2026-03-02T07:00:00.000Z', end_time: '2026-03-02T07:30:00.000Z' }),
+                // Still the current state, counts until the end of the range
+                stateRecord({ state_code: 6, state: 'Execute', loss_category: 'production', start_time: '2026-03-02T07:30:00.000Z', end_time: null }),
+            ]);
+
+            const statistics = await getTimeInStateStatistics('WC1', new Date('2026-03-02T06:00:00.000Z'), new Date('2026-03-02T08:00:00.000Z'));
+
+            expect(statistics.total_seconds).to.equal(7200);
+            expect(statistics.loss_categories.production).to.deep.equal({ seconds: 5400, percentage: 75 });
+            expect(statistics.loss_categories.downtime).to.deep.equal({ seconds: 1800, percentage: 25 });
+            expect(statistics.states[0]).to.include({ state: 'Execute', count: 2, seconds: 5400 });
+        });
+
+        it('counts a current state only until now', async () => {
+            const start = new Date(Date.now() - 60 * 60 * 1000);
+            sinon.stub(MachineStateHistory, 'findAll').resolves([
+                stateRecord({ state_code: 2, state: 'Stopped', loss_category: 'unplanned', start_time: start.toISOString(), end_time: null }),
+            ]);
+
+            const statistics = await getTimeInStateStatistics('WC1', start, new Date(Date.now() + 60 * 60 * 1000));
+
+            expect(statistics.total_seconds).to.be.closeTo(3600, 5);
+            expect(statistics.loss_categories.unplanned.percentage).to.equal(100);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, AuditLog, MqttTopicConfig } = require('../models');
+const { setMqttTopicConfig } = require('../services/mqttTopicConfigService');
+
+const AUDIT_CONTEXT = { user: 'admin', role: 'Admin', reason: 'Flat JSON payloads' };
+
+/**
+ * Wraps configuration values like a Sequelize instance.
+ * @param {Object} values - The configuration values.
+ * @returns {Object} The instance.
+ */
+const asInstance = values => ({ ...values, get: () => values });
+
+describe('mqttTopicConfigService', () => {
+    let auditLogCreate;
+
+    beforeEach(() => {
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+        auditLogCreate = sinon.stub(AuditLog, 'create').resolves();
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('records a changed configuration with its previous values', async () => {
+        const stored = { workcenter_id: 'WC-MQTT-1', payload_format: 'sparkplug', topic_template: null, metric_topics: {} };
+        const updated = { ...stored, payload_format: 'json', topic_template: 'factory/{machine}' };
+        sinon.stub(MqttTopicConfig, 'findByPk').callsFake(async () => asInstance(MqttTopicConfig.upsert.called ? updated : stored));
+        sinon.stub(MqttTopicConfig, 'upsert').resolves([asInstance(updated), false]);
+
+        const config = await setMqttTopicConfig('WC-MQTT-1', { payload_format: 'json', topic_template: 'factory/{machine}' }, AUDIT_CONTEXT);
+
+        expect(config.payload_format).to.equal('json');
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'MqttTopicConfig', entity_id: 'WC-MQTT-1', action: 'update', changed_by: 'admin', reason: 'Flat JSON payloads' });
+        expect(entry.changed_fields).to.have.members(['payload_format', 'topic_template']);
+    });
+
+    it('records a first configuration as created', async () => {
+        const created = { workcenter_id: 'WC-MQTT-2', payload_format: 'json', topic_template: null, metric_topics: {} };
+        sinon.stub(MqttTopicConfig, 'findByPk').callsFake(async () => (MqttTopicConfig.upsert.called ? asInstance(created) : null));
+        sinon.stub(MqttTopicConfig, 'upsert').resolves([asInstance(created), true]);
+
+        await setMqttTopicConfig('WC-MQTT-2', { payload_format: 'json' }, AUDIT_CONTEXT);
+
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ action: 'create' });
+        expect(entry.before).to.equal(null);
+    });
+
+    it('records nothing for an invalid configuration', async () => {
+        sinon.stub(MqttTopicConfig, 'findByPk').resolves(null);
+        const upsert = sinon.stub(MqttTopicConfig, 'upsert');
+        try {
+            await setMqttTopicConfig('WC-MQTT-3', { metric_topics: { Unknown: 'unknown' } }, AUDIT_CONTEXT);
+            expect.fail('expected an error');
+        } catch (error) {
+            expect(error.message).to.equal('Invalid metric: Unknown is not defined in the OEE configuration');
+        }
+        expect(upsert.called || auditLogCreate.called).to.equal(false);
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const OEECalculator = require('../src/oeeCalculator');
+
+const MACHINE_ID = 'WC1';
+
+/**
+ * Builds a process order of 480 planned units over the planned window.
+ * @param {Object} overrides - Fields to override.
+ * @returns {Object} The process order.
+ */
+function buildOrder(overrides = {}) {
+    return {
+        order_id: 1,
+        workcenter_id: MACHINE_ID,
+        start_date: '2026-03-02T06:00:00.000Z',
+        end_date: '2026-03-02T14:00:00.000Z',
+        plannedproductionquantity: 480,
+        confirmedproductionquantity: 0,
+        confirmedproductionyield: 0,
+        setuptime: 0,
+        processingtime: 480,
+        teardowntime: 0,
+        ...overrides,
+    };
+}
+
+/**
+ * Runs a calculation for an order and returns the metrics of the machine.
+ * @param {Object} processOrder - The process order.
+ * @param {Object} timeTotals - The time totals and non-scheduled windows.
+ * @param {Object} [options] - Downtime, quantity, yield, mode and tact of the calculation.
+ * @returns {Promise<Object>} The metrics.
+ */
+async function calculate(processOrder, timeTotals, { unplanned = 0, quantity = 480, yieldQuantity = 480, mode = 'standard', tact = null } = {}) {
+    const calculator = new OEECalculator();
+    calculator.setOEEData({ processOrder }, MACHINE_ID);
+    await calculator.calculateMetrics(MACHINE_ID, unplanned, 0, quantity, yieldQuantity, processOrder, timeTotals, mode, tact);
+    return calculator.getMetrics(MACHINE_ID);
+}
+
+describe('OEECalculator', () => {
+    afterEach(() => sinon.restore());
+
+    describe('non-scheduled time', () => {
+        const finishedOrder = buildOrder({
+            actualprocessorderstart: '2026-03-02T06:00:00.000Z',
+            actualprocessorderend: '2026-03-02T14:00:00.000Z',
+        });
+
+        it('subtracts only the non-scheduled time within the runtime', async () => {
+            const metrics = await calculate(finishedOrder, {
+                nonScheduledWindows: [
+                    { start: '2026-03-02T10:00:00.000Z', end: '2026-03-02T10:30:00.000Z' },
+                    // Holiday after the end of the order
+                    { start: '2026-03-03T00:00:00.000Z', end: '2026-03-04T00:00:00.000Z' },
+                ],
+            }, { unplanned: 45 });
+
+            expect(metrics.totalNonScheduledTime).to.equal(30);
+            expect(metrics.plannedProductionTime).to.equal(450);
+            expect(metrics.availability).to.be.closeTo((405 / 450) * 100, 1e-9);
+        });
+
+        it('ignores non-scheduled time that has not happened yet', async () => {
+            sinon.useFakeTimers(new Date('2026-03-02T08:00:00.000Z'));
+            const runningOrder = buildOrder({
+                end_date: '2026-03-06T14:00:00.000Z',
+                actualprocessorderstart: '2026-03-02T06:00:00.000Z',
+            });
+
+            const metrics = await calculate(runningOrder, {
+                nonScheduledWindows: [{ start: '2026-03-04T00:00:00.000Z', end: '2026-03-05T00:00:00.000Z' }],
+            }, { unplanned: 30 });
+
+            expect(metrics.totalNonScheduledTime).to.equal(0);
+            expect(metrics.plannedProductionTime).to.equal(120);
+            expect(metrics.availability).to.be.closeTo(75, 1e-9);
+        });
+
+        it('counts partial windows to the exact minute', async () => {
+            const metrics = await calculate(finishedOrder, {
+                nonScheduledWindows: [{ start: '2026-03-02T13:45:30.000Z', end: '2026-03-02T15:00:00.000Z' }],
+            });
+
+            expect(metrics.totalNonScheduledTime).to.equal(14.5);
+            expect(metrics.plannedProductionTime).to.equal(465.5);
+        });
+    });
+
+    describe('TEEP', () => {
+        const finishedOrder = buildOrder({
+            actualprocessorderstart: '2026-03-02T06:00:00.000Z',
+            actualprocessorderend: '2026-03-02T14:00:00.000Z',
+        });
+        const timeTotals = {
+            nonScheduledWindows: [{ start: '2026-03-02T12:00:00.000Z', end: '2026-03-02T14:00:00.000Z' }],
+        };
+
+        it('measures the OEE against the full calendar time', async () => {
+            const metrics = await calculate(finishedOrder, timeTotals, { unplanned: 36, yieldQuantity: 432, mode: 'teep' });
+            const { teep, standard } = metrics.modes;
+
+            expect(teep.utilization).to.equal(75);
+            expect(standard.availability).to.be.closeTo(90, 1e-9);
+            expect(standard.quality).to.be.closeTo(90, 1e-9);
+            expect(teep.teep).to.be.closeTo((standard.oee * 75) / 100, 1e-9);
+            expect(metrics.oee).to.be.closeTo(teep.teep, 1e-9);
+        });
+
+        it('keeps the standard OEE as headline outside the TEEP mode', async () => {
+            const metrics = await calculate(finishedOrder, timeTotals, { mode: 'standard' });
+
+            expect(metrics.modes.teep.utilization).to.equal(75);
+            expect(metrics.oee).to.be.closeTo(metrics.modes.standard.oee, 1e-9);
+            expect(metrics.oee).to.be.closeTo(100, 1e-9);
+        });
+
+        it('reports no utilization without calendar time', async () => {
+            const metrics = await calculate(buildOrder({
+                actualprocessorderstart: '2026-03-02T06:00:00.000Z',
+                actualprocessorderend: '2026-03-02T06:00:00.000Z',
+            }), {}, { mode: 'teep' });
+
+            expect(metrics.modes.teep.utilization).to.equal(0);
+            expect(metrics.oee).to.equal(0);
+        });
+    });
+    describe('speed loss', () => {
+        const finishedOrder = buildOrder({
+            actualprocessorderstart: '2026-03-02T06:00:00.000Z',
+            actualprocessorderend: '2026-03-02T14:00:00.000Z',
+        });
+
+        it('bases performance on the ideal cycle time of the Tact', async () => {
+            // 400 minutes of operating time, 1200 units at 15 s ideal cycle time are 300 minutes
+            const metrics = await calculate(finishedOrder, {}, {
+                unplanned: 80,
+                quantity: 1200,
+                yieldQuantity: 1200,
+                tact: { sollMin: 15, sollMax: 18 },
+            });
+
+            expect(metrics.idealCycleTime).to.equal(15);
+            expect(metrics.actualCycleTime).to.equal(20);
+            expect(metrics.performance).to.be.closeTo(75, 1e-9);
+            expect(metrics.speedLoss).to.equal('slow');
+        });
+
+        it('flags no speed loss within the Tact range', async () => {
+            const metrics = await calculate(finishedOrder, {}, {
+                quantity: 1800,
+                yieldQuantity: 1800,
+                tact: { sollMin: 15, sollMax: 18 },
+            });
+
+            expect(metrics.actualCycleTime).to.equal(16);
+            expect(metrics.speedLoss).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const {
+    ProcessOrder,
+    WorkCenter,
+    PlannedDowntime,
+    UnplannedDowntime,
+    Microstop,
+    ShiftModel,
+    SpeedLoss,
+    WorkCenterOEESettings,
+} = require('../models');
+const OEECalculator = require('../src/oeeCalculator');
+const { calculateHistoricalOEE } = require('../services/oeeHistoryService');
+const oeeRouter = require('../routes/oeeRoutes');
+
+const ORDER_ID = '8a6f3c1e-4d2b-4f7a-9c3e-1b2d3e4f5a6b';
+
+// 400 of 480 planned units over 8 hours, 30 minutes of unplanned downtime
+const processOrder = {
+    order_id: ORDER_ID,
+    processordernumber: 'PO-1',
+    workcenter_id: 'WC-HISTORY',
+    start_date: new Date('2026-03-02T06:00:00.000Z'),
+    end_date: new Date('2026-03-02T14:00:00.000Z'),
+    actualprocessorderstart: new Date('2026-03-02T06:00:00.000Z'),
+    actualprocessorderend: new Date('2026-03-02T14:00:00.000Z'),
+    plannedproductionquantity: 480,
+    confirmedproductionquantity: 400,
+    confirmedproductionyield: 380,
+    setuptime: 0,
+    processingtime: 480,
+    teardowntime: 0,
+};
+
+const unplannedDowntime = {
+    workcenter_id: 'WC-HISTORY',
+    start_date: new Date('2026-03-02T08:00:00.000Z'),
+    end_date: new Date('2026-03-02T08:30:00.000Z'),
+    durationInMinutes: 30,
+};
+
+/**
+ * Wraps plain objects like Sequelize instances.
+ * @param {Array<Object>} records - The records.
+ * @returns {Array<Object>} Objects with a get() returning the record.
+ */
+const asInstances = records => records.map(record => ({ ...record, get: () => record }));
+
+describe('oeeHistoryService', () => {
+    beforeEach(() => {
+        sinon.stub(ProcessOrder, 'findByPk').callsFake(async id => (id === ORDER_ID ? asInstances([processOrder])[0] : null));
+        sinon.stub(WorkCenter, 'findByPk').resolves(null);
+        sinon.stub(PlannedDowntime, 'findAll').resolves([]);
+        sinon.stub(UnplannedDowntime, 'findAll').resolves(asInstances([unplannedDowntime]));
+        sinon.stub(Microstop, 'findAll').resolves([]);
+        sinon.stub(SpeedLoss, 'findAll').resolves([]);
+        sinon.stub(ShiftModel, 'findAll').resolves([]);
+        sinon.stub(WorkCenterOEESettings, 'findByPk').resolves(null);
+    });
+
+    afterEach(() => sinon.restore());
+
+    describe('calculateHistoricalOEE', () => {
+        it('recalculates the OEE of a process order from the stored downtimes', async () => {
+            const result = await calculateHistoricalOEE(ORDER_ID);
+            expect(result.totals.unplannedDowntime).to.equal(30);
+            expect(result.metrics.oee).to.be.a('number');
+            expect(result.metrics.availability).to.be.below(100);
+        });
+
+        it('returns null for an unknown process order', async () => {
+            expect(await calculateHistoricalOEE('7b1e2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d')).to.equal(null);
+        });
+
+        it('fails if the calculator could not calculate the metrics', async () => {
+            // calculateMetrics only logs its own errors
+            sinon.stub(OEECalculator.prototype, 'calculateMetrics').resolves();
+            try {
+                await calculateHistoricalOEE(ORDER_ID);
+                expect.fail('calculateHistoricalOEE should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal(`OEE could not be calculated for process order ${ORDER_ID}.`);
+            }
+        });
+    });
+
+    describe('GET /oee/history/:orderId', () => {
+        let server;
+        let baseUrl;
+
+        before((done) => {
+            const app = express();
+            app.use('/oee', oeeRouter);
+            server = app.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}/oee/history`;
+                done();
+            });
+        });
+
+        after(done => server.close(done));
+
+        it('answers with the recalculated metrics', async () => {
+            const response = await fetch(`${baseUrl}/${ORDER_ID}`);
+            expect(response.status).to.equal(200);
+            expect((await response.json()).metrics.oee).to.be.a('number');
+        });
+
+        it('answers 400 for an invalid and 404 for an unknown order', async () => {
+            expect((await fetch(`${baseUrl}/not-a-uuid`)).status).to.equal(400);
+            expect((await fetch(`${baseUrl}/7b1e2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d`)).status).to.equal(404);
+        });
+
+        it('answers 500 instead of partial metrics if the calculation failed', async () => {
+            sinon.stub(OEECalculator.prototype, 'calculateMetrics').resolves();
+            const response = await fetch(`${baseUrl}/${ORDER_ID}`);
+            expect(response.status).to.equal(500);
+        });
+    });
+});
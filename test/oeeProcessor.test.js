@@ -0,0 +1,32 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { OEECalculatorState } = require('../models');
+const { getOEEMetrics, restoreOEEState, resetMachineState } = require('../src/oeeProcessor');
+
+describe('oeeProcessor', () => {
+    afterEach(() => sinon.restore());
+
+    describe('restoreOEEState', () => {
+        it('continues with the persisted calculator data and metric buffer', async () => {
+            sinon.stub(OEECalculatorState, 'findAll').resolves([{
+                get: () => ({
+                    workcenter_id: 'WC-RESTORE',
+                    order_id: 'O1',
+                    oee_data: { order_id: 'O1', oee: 72.5, availability: 90 },
+                    metric_buffer: { ActualProductionQuantity: 120 },
+                }),
+            }]);
+
+            expect(await restoreOEEState()).to.equal(1);
+            expect(await getOEEMetrics('WC-RESTORE')).to.include({ order_id: 'O1', oee: 72.5 });
+        });
+
+        it('drops the restored state when the process order ended', async () => {
+            const destroy = sinon.stub(OEECalculatorState, 'destroy').resolves(1);
+
+            await resetMachineState('WC-RESTORE');
+            expect(destroy.firstCall.args[0].where).to.deep.equal({ workcenter_id: 'WC-RESTORE' });
+            expect(await getOEEMetrics('WC-RESTORE')).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, MetricsMatrix, OEECalculatorState } = require('../models');
+const {
+    saveMetricsMatrix,
+    scheduleCalculatorStateSave,
+    flushPendingState,
+    deleteCalculatorState,
+} = require('../services/oeeStateService');
+
+describe('oeeStateService', () => {
+    let bulkCreate;
+    let destroy;
+
+    beforeEach(() => {
+        sinon.stub(sequelize, 'transaction').callsFake(async (callback) => callback({}));
+        bulkCreate = sinon.stub(MetricsMatrix, 'bulkCreate').resolves([]);
+        destroy = sinon.stub(MetricsMatrix, 'destroy').resolves(0);
+    });
+
+    afterEach(() => sinon.restore());
+
+    describe('saveMetricsMatrix', () => {
+        it('writes only the changed entries and removes dropped ones', async () => {
+            await saveMetricsMatrix([
+                { metric: 'A', source: 'MQTT', value: 1, valid: true },
+                { metric: 'B', source: 'MQTT', value: 2, valid: true },
+            ]);
+            expect(bulkCreate.firstCall.args[0].map(entry => entry.metric)).to.deep.equal(['A', 'B']);
+
+            await saveMetricsMatrix([{ metric: 'A', source: 'MQTT', value: 5, valid: true }]);
+            expect(bulkCreate.secondCall.args[0]).to.deep.equal([{ metric: 'A', source: 'MQTT', value: 5, valid: true }]);
+            expect(destroy.firstCall.args[0].where).to.deep.equal({ metric: ['B'] });
+        });
+
+        it('does not touch the database if nothing changed', async () => {
+            const matrix = [{ metric: 'C', source: 'MQTT', value: 1, valid: true }];
+            await saveMetricsMatrix(matrix);
+            bulkCreate.resetHistory();
+            destroy.resetHistory();
+            await saveMetricsMatrix(matrix.map(entry => ({ ...entry })));
+            expect(bulkCreate.called).to.equal(false);
+            expect(destroy.called).to.equal(false);
+        });
+    });
+
+    describe('scheduleCalculatorStateSave', () => {
+        it('writes only the latest state of a burst of messages', async () => {
+            const upsert = sinon.stub(OEECalculatorState, 'upsert').resolves();
+            scheduleCalculatorStateSave('WC1', { order_id: 'O1', oee: 10 }, {});
+            scheduleCalculatorStateSave('WC1', { order_id: 'O1', oee: 20 }, {});
+            await flushPendingState();
+            expect(upsert.calledOnce).to.equal(true);
+            expect(upsert.firstCall.args[0].oee_data.oee).to.equal(20);
+        });
+
+        it('drops the pending state of a deleted calculator', async () => {
+            const upsert = sinon.stub(OEECalculatorState, 'upsert').resolves();
+            sinon.stub(OEECalculatorState, 'destroy').resolves(1);
+            scheduleCalculatorStateSave('WC2', { order_id: 'O2' }, {});
+            await deleteCalculatorState('WC2');
+            await flushPendingState();
+            expect(upsert.called).to.equal(false);
+        });
+    });
+});
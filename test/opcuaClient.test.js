@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { OPCUAServer, DataType, Variant } = require('node-opcua');
+const { OpcUaConfig } = require('../models');
+const { apiClient } = require('../src/header');
+const { oeeLogger } = require('../utils/logger');
+const { syncOpcUaConnections, getOpcUaStatus, stopOpcUaClient } = require('../src/opcuaClient');
+
+const PORT = 48431;
+const WORKCENTER_ID = 'WC-OPCUA-SIM';
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition - Returns true once the wait is over.
+ * @param {number} [timeout=10000] - Milliseconds until the wait fails.
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 10000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met within the timeout');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+};
+
+/**
+ * Returns the metrics the client forwarded to the message handlers.
+ * @param {sinon.SinonSpy} info - The spy of oeeLogger.info.
+ * @returns {Array<string>} The metric names in the order of arrival.
+ */
+const forwardedMetrics = info => info.getCalls()
+    .map(({ args: [message] }) => String(message).match(new RegExp(`^Received OPC UA value for machine ${WORKCENTER_ID} - metric=(\\w+)$`)))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+describe('opcuaClient with a simulated OPC UA server', function () {
+    this.timeout(30000);
+
+    let server;
+    let counter;
+    let hold;
+    let info;
+
+    before(async () => {
+        server = new OPCUAServer({ port: PORT, allowAnonymous: true });
+        await server.initialize();
+        const addressSpace = server.engine.addressSpace;
+        const namespace = addressSpace.getOwnNamespace();
+        const line = namespace.addObject({ organizedBy: addressSpace.rootFolder.objects, browseName: 'Line1' });
+        counter = namespace.addVariable({
+            componentOf: line,
+            browseName: 'Counter',
+            nodeId: 's=Line1.Counter',
+            dataType: 'Int32',
+            value: { dataType: DataType.Int32, value: 100 },
+        });
+        hold = namespace.addVariable({
+            componentOf: line,
+            browseName: 'Hold',
+            nodeId: 's=Line1.Hold',
+            dataType: 'Int32',
+            value: { dataType: DataType.Int32, value: 0 },
+        });
+        await server.start();
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    beforeEach(() => {
+        const config = {
+            workcenter_id: WORKCENTER_ID,
+            enabled: true,
+            endpoint_url: `opc.tcp://localhost:${PORT}`,
+            security_mode: 'None',
+            security_policy: 'None',
+            username: null,
+            password: null,
+            publishing_interval: 100,
+            sampling_interval: 50,
+            node_mapping: { ActualProductionQuantity: 'ns=1;s=Line1.Counter', Hold: 'ns=1;s=Line1.Hold' },
+        };
+        sinon.stub(OpcUaConfig, 'findAll').resolves([{ get: () => config }]);
+        sinon.stub(apiClient, 'get').callsFake(async (endpoint) => ({
+            data: endpoint === '/workcenters' ? [{ workcenter_id: WORKCENTER_ID, OEE: true }] : [],
+        }));
+        info = sinon.spy(oeeLogger, 'info');
+    });
+
+    afterEach(async () => {
+        await stopOpcUaClient();
+        sinon.restore();
+    });
+
+    it('subscribes to the mapped nodes and forwards every value change', async () => {
+        expect(await syncOpcUaConnections()).to.equal(1);
+        await waitFor(() => getOpcUaStatus(WORKCENTER_ID) === 'connected');
+
+        // The initial value of a counter is forwarded
+        await waitFor(() => forwardedMetrics(info).includes('ActualProductionQuantity'));
+
+        counter.setValueFromSource(new Variant({ dataType: DataType.Int32, value: 101 }));
+        await waitFor(() => forwardedMetrics(info).filter(metric => metric === 'ActualProductionQuantity').length === 2);
+    });
+
+    it('forwards a command only on a change, not its initial value', async () => {
+        await syncOpcUaConnections();
+        await waitFor(() => getOpcUaStatus(WORKCENTER_ID) === 'connected');
+        await waitFor(() => forwardedMetrics(info).includes('ActualProductionQuantity'));
+        // Give the initial value of the command node the same time to arrive
+        await new Promise(resolve => setTimeout(resolve, 500));
+        expect(forwardedMetrics(info)).to.not.include('Hold');
+
+        hold.setValueFromSource(new Variant({ dataType: DataType.Int32, value: 1 }));
+        await waitFor(() => forwardedMetrics(info).includes('Hold'));
+    });
+
+    it('closes the connection once the configuration is removed', async () => {
+        await syncOpcUaConnections();
+        await waitFor(() => getOpcUaStatus(WORKCENTER_ID) === 'connected');
+
+        OpcUaConfig.findAll.resolves([]);
+        expect(await syncOpcUaConnections()).to.equal(0);
+
+        expect(getOpcUaStatus(WORKCENTER_ID)).to.equal('disconnected');
+    });
+});
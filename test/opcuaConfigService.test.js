@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, AuditLog, OpcUaConfig } = require('../models');
+const { setOpcUaConfig, deleteOpcUaConfig } = require('../services/opcuaConfigService');
+
+const WORKCENTER_ID = 'WC-OPCUA-1';
+const AUDIT_CONTEXT = { user: 'admin', role: 'Admin', reason: 'New PLC' };
+
+/**
+ * Wraps configuration values like a Sequelize instance.
+ * @param {Object} values - The configuration values.
+ * @returns {Object} The instance.
+ */
+const asInstance = values => ({ ...values, get: () => values, destroy: sinon.stub().resolves() });
+
+describe('opcuaConfigService', () => {
+    let auditLogCreate;
+
+    beforeEach(() => {
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+        auditLogCreate = sinon.stub(AuditLog, 'create').resolves();
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('records a changed configuration without the password', async () => {
+        const stored = { workcenter_id: WORKCENTER_ID, endpoint_url: 'opc.tcp://plc-1:4840', username: 'oee', password: 'secret' };
+        const updated = { ...stored, endpoint_url: 'opc.tcp://plc-2:4840', password: 'new-secret' };
+        sinon.stub(OpcUaConfig, 'findByPk')
+            .onFirstCall().resolves(asInstance(stored))
+            .onSecondCall().resolves(asInstance(updated));
+        const upsert = sinon.stub(OpcUaConfig, 'upsert').resolves([asInstance(updated), false]);
+
+        const config = await setOpcUaConfig(WORKCENTER_ID, { endpoint_url: 'opc.tcp://plc-2:4840', password: 'new-secret' }, AUDIT_CONTEXT);
+
+        expect(upsert.firstCall.args[0].password).to.equal('new-secret');
+        expect(config).to.not.have.property('password');
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'OpcUaConfig', entity_id: WORKCENTER_ID, action: 'update', changed_by: 'admin' });
+        expect(entry.changed_fields).to.deep.equal(['endpoint_url']);
+        expect(JSON.stringify(entry)).to.not.include('secret');
+    });
+
+    it('records a new configuration as created', async () => {
+        const created = { workcenter_id: WORKCENTER_ID, endpoint_url: 'opc.tcp://plc-1:4840', password: null };
+        sinon.stub(OpcUaConfig, 'findByPk')
+            .onFirstCall().resolves(null)
+            .onSecondCall().resolves(asInstance(created));
+        sinon.stub(OpcUaConfig, 'upsert').resolves([asInstance(created), true]);
+
+        await setOpcUaConfig(WORKCENTER_ID, { endpoint_url: 'opc.tcp://plc-1:4840' }, AUDIT_CONTEXT);
+
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ action: 'create' });
+        expect(entry.before).to.equal(null);
+        expect(entry.after.has_password).to.equal(false);
+    });
+
+    it('records a deleted configuration and nothing for a missing one', async () => {
+        const existing = asInstance({ workcenter_id: WORKCENTER_ID, endpoint_url: 'opc.tcp://plc-1:4840', password: 'secret' });
+        const findByPk = sinon.stub(OpcUaConfig, 'findByPk').resolves(existing);
+
+        expect(await deleteOpcUaConfig(WORKCENTER_ID, AUDIT_CONTEXT)).to.equal(true);
+        expect(existing.destroy.calledOnce).to.equal(true);
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'OpcUaConfig', action: 'delete' });
+        expect(entry.before).to.not.have.property('password');
+
+        findByPk.resolves(null);
+        expect(await deleteOpcUaConfig(WORKCENTER_ID, AUDIT_CONTEXT)).to.equal(false);
+        expect(auditLogCreate.calledOnce).to.equal(true);
+    });
+});
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, User, LoginAttempt, ProcessOrder, OrderOEESnapshot, ElectronicSignature } = require('../models');
+const orderReviewService = require('../services/orderReviewService');
+
+const ORDER_ID = '7a1f3c2e-4b5d-4e6f-8a9b-0c1d2e3f4a01';
+const REVIEWER = { user_id: 'u-reviewer', username: 'reviewer' };
+const APPROVER = { user_id: 'u-approver', username: 'approver' };
+const snapshot = { order_id: ORDER_ID, content_hash: 'hash-current' };
+
+/**
+ * Checks whether the native bcrypt module is built, the password check of signOrder needs it.
+ * @returns {boolean} True if bcrypt can be loaded.
+ */
+const bcryptAvailable = () => {
+    try {
+        require('bcrypt');
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Runs a function and returns the error it throws.
+ * @param {Function} fn - The (async) function.
+ * @returns {Promise<Error|null>} The error or null if none was thrown.
+ */
+const errorOf = async (fn) => {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+};
+
+describe('orderReviewService', () => {
+    let reviewRequired;
+
+    beforeEach(() => {
+        reviewRequired = process.env.ORDER_REVIEW_REQUIRED;
+        delete process.env.ORDER_REVIEW_REQUIRED;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        if (reviewRequired === undefined) {
+            delete process.env.ORDER_REVIEW_REQUIRED;
+        } else {
+            process.env.ORDER_REVIEW_REQUIRED = reviewRequired;
+        }
+    });
+
+    describe('checkSignature', () => {
+        it('approves with a review of another user on the current snapshot', () => {
+            const signatures = [{ ...REVIEWER, meaning: 'reviewed', snapshot_hash: 'hash-current' }];
+            expect(() => orderReviewService.checkSignature(signatures, snapshot, APPROVER, 'approved')).to.not.throw();
+        });
+
+        it('rejects an approval based on a review of a replaced snapshot', () => {
+            const signatures = [{ ...REVIEWER, meaning: 'reviewed', snapshot_hash: 'hash-replaced' }];
+            expect(() => orderReviewService.checkSignature(signatures, snapshot, APPROVER, 'approved'))
+                .to.throw('Invalid signature: approval requires a review of the current OEE snapshot signed by another user');
+        });
+
+        it('rejects an approval based on the own review', () => {
+            const signatures = [{ ...APPROVER, meaning: 'reviewed', snapshot_hash: 'hash-current' }];
+            expect(() => orderReviewService.checkSignature(signatures, snapshot, APPROVER, 'approved')).to.throw(/^Invalid signature/);
+        });
+
+        it('rejects a second signature with the same meaning', () => {
+            const signatures = [{ ...REVIEWER, meaning: 'reviewed', snapshot_hash: 'hash-current' }];
+            expect(() => orderReviewService.checkSignature(signatures, snapshot, REVIEWER, 'reviewed'))
+                .to.throw(`Invalid signature: reviewer already signed process order ${ORDER_ID} as reviewed`);
+        });
+    });
+
+    describe('createReviewSnapshot', () => {
+        const order = { order_id: ORDER_ID, workcenter_id: 'WC-1' };
+
+        it('replaces an unsigned snapshot', async () => {
+            const existing = { locked_at: null, update: sinon.stub().callsFake(async () => ({ get: () => ({ order_id: ORDER_ID }) })) };
+            sinon.stub(OrderOEESnapshot, 'findOne').resolves(existing);
+            sinon.stub(ElectronicSignature, 'count').resolves(0);
+
+            await orderReviewService.createReviewSnapshot(order, { oee: 80 });
+
+            expect(existing.update.calledOnce).to.equal(true);
+        });
+
+        it('refuses to replace a snapshot that has a signature', async () => {
+            const existing = { locked_at: null, update: sinon.stub() };
+            sinon.stub(OrderOEESnapshot, 'findOne').resolves(existing);
+            sinon.stub(ElectronicSignature, 'count').resolves(1);
+
+            const error = await errorOf(() => orderReviewService.createReviewSnapshot(order, { oee: 80 }));
+
+            expect(error.message).to.include(`Invalid state: OEE snapshot of process order ${ORDER_ID} is already signed`);
+            expect(existing.update.called).to.equal(false);
+        });
+    });
+
+    describe('checkOrderChange', () => {
+        it('rejects closing a released order outside the signature', async () => {
+            const error = await errorOf(() => orderReviewService.checkOrderChange(
+                { order_id: ORDER_ID, processorderstatus: 'REL' }, { processorderstatus: 'CLD' }));
+
+            expect(error.message).to.equal(`Invalid status change: process order ${ORDER_ID} is closed by its approval signature only`);
+        });
+
+        it('rejects changing the status of an order pending review', async () => {
+            const error = await errorOf(() => orderReviewService.checkOrderChange(
+                { order_id: ORDER_ID, processorderstatus: 'PRV' }, { processorderstatus: 'REL' }));
+
+            expect(error.message).to.match(/^Invalid status change/);
+        });
+
+        it('rejects reopening or editing a closed order', async () => {
+            const closed = { order_id: ORDER_ID, processorderstatus: 'CLD' };
+
+            expect((await errorOf(() => orderReviewService.checkOrderChange(closed, { processorderstatus: 'REL' }))).message)
+                .to.equal(`Invalid state: process order ${ORDER_ID} is closed and can no longer be changed`);
+            expect((await errorOf(() => orderReviewService.checkOrderChange(closed, { materialnumber: '4711' }))).message)
+                .to.match(/^Invalid state/);
+        });
+
+        it('accepts changes of a released order', async () => {
+            expect(await errorOf(() => orderReviewService.checkOrderChange(
+                { order_id: ORDER_ID, processorderstatus: 'REL' }, { processorderstatus: 'REL', setupTime: 10 }))).to.equal(null);
+        });
+
+        it('lets the End command close orders without review, but keeps signed orders locked', async () => {
+            process.env.ORDER_REVIEW_REQUIRED = 'false';
+            const findOne = sinon.stub(OrderOEESnapshot, 'findOne').resolves(null);
+
+            expect(await errorOf(() => orderReviewService.checkOrderChange(
+                { order_id: ORDER_ID, processorderstatus: 'REL' }, { processorderstatus: 'CLD' }))).to.equal(null);
+            expect(await errorOf(() => orderReviewService.checkOrderChange(
+                { order_id: ORDER_ID, processorderstatus: 'CLD' }, { processorderstatus: 'REL' }))).to.equal(null);
+
+            findOne.resolves({ locked_at: new Date() });
+            expect((await errorOf(() => orderReviewService.checkOrderChange(
+                { order_id: ORDER_ID, processorderstatus: 'CLD' }, { processorderstatus: 'REL' }))).message).to.match(/^Invalid state/);
+        });
+    });
+
+    describe('checkStoppageChange', () => {
+        it('rejects changes of stoppages of a closed order', async () => {
+            sinon.stub(ProcessOrder, 'findByPk').resolves({ order_id: ORDER_ID, processorderstatus: 'CLD' });
+
+            const error = await errorOf(() => orderReviewService.checkStoppageChange([ORDER_ID, null]));
+
+            expect(error.message).to.equal(`Invalid state: process order ${ORDER_ID} is closed, its downtimes and microstops can no longer be changed`);
+        });
+
+        it('accepts stoppages of running orders and without order', async () => {
+            sinon.stub(ProcessOrder, 'findByPk').resolves({ order_id: ORDER_ID, processorderstatus: 'REL' });
+
+            expect(await errorOf(() => orderReviewService.checkStoppageChange([ORDER_ID, undefined]))).to.equal(null);
+        });
+    });
+
+    describe('signOrder', () => {
+        it('rejects an approval whose review signed a replaced snapshot', async function () {
+            if (!bcryptAvailable()) {
+                this.skip();
+            }
+            const { hashPassword } = require('../services/authService');
+            const metrics = { oee: 80 };
+            const contentHash = crypto.createHash('sha256').update(`{"metrics":{"oee":80},"order_id":"${ORDER_ID}"}`).digest('hex');
+            sinon.stub(User, 'findByPk').resolves({ ...APPROVER, password: await hashPassword('secret') });
+            sinon.stub(LoginAttempt, 'findByPk').resolves(null);
+            sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+            sinon.stub(ProcessOrder, 'findByPk').resolves({ order_id: ORDER_ID, processorderstatus: 'PRV' });
+            sinon.stub(OrderOEESnapshot, 'findOne').resolves({ snapshot_id: 's-1', order_id: ORDER_ID, metrics, content_hash: contentHash });
+            sinon.stub(ElectronicSignature, 'findAll').resolves([{ ...REVIEWER, meaning: 'reviewed', snapshot_hash: 'hash-replaced' }]);
+            const create = sinon.stub(ElectronicSignature, 'create');
+
+            const error = await errorOf(() => orderReviewService.signOrder(
+                ORDER_ID, { password: 'secret', meaning: 'approved' }, { userId: APPROVER.user_id, role: 'quality' }));
+
+            expect(error.message).to.equal('Invalid signature: approval requires a review of the current OEE snapshot signed by another user');
+            expect(create.called).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, MachineStateConfig, MachineStateHistory } = require('../models');
+const { PACKML_STATES, handlePackMLMetric, getPackMLState } = require('../src/packmlInterpreter');
+
+// OEE loss category of every StateCurrent code in the production mode
+const EXPECTED_LOSS_CATEGORIES = {
+    1: 'unplanned', 2: 'unplanned', 3: 'idle', 4: 'idle', 5: 'downtime', 6: 'production',
+    7: 'unplanned', 8: 'unplanned', 9: 'unplanned', 10: 'downtime', 11: 'downtime', 12: 'downtime',
+    13: 'downtime', 14: 'downtime', 15: 'idle', 16: 'idle', 17: 'idle',
+};
+
+let machineCount = 0;
+
+describe('packmlInterpreter', () => {
+    let machineId;
+    let create;
+
+    beforeEach(() => {
+        // Every test has its own machine, the PackML states and state configurations are kept per machine
+        machineCount += 1;
+        machineId = `WC-PACKML-${machineCount}`;
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+        sinon.stub(MachineStateHistory, 'findAll').resolves([]);
+        create = sinon.stub(MachineStateHistory, 'create').resolves();
+        // The downtime detection is tested in machineStateHandler.test.js
+        sinon.stub(MachineStateConfig, 'findByPk').resolves({ get: () => ({ enabled: false }) });
+    });
+
+    afterEach(() => sinon.restore());
+
+    describe('handlePackMLMetric', () => {
+        it('maps all 17 PackML states to their loss category', async () => {
+            expect(Object.keys(PACKML_STATES)).to.have.lengthOf(17);
+            for (const [code, lossCategory] of Object.entries(EXPECTED_LOSS_CATEGORIES)) {
+                const state = await handlePackMLMetric(`${machineId}-${code}`, 'StateCurrent', Number(code));
+                expect(state.lossCategory, `state ${code}`).to.equal(lossCategory);
+            }
+        });
+
+        it('accepts the state name instead of the code', async () => {
+            const state = await handlePackMLMetric(machineId, 'StateCurrent', 'held');
+            expect(state.stateCode).to.equal(11);
+        });
+
+        it('counts every state outside the production mode as planned', async () => {
+            await handlePackMLMetric(machineId, 'StateCurrent', 2);
+            const maintenance = await handlePackMLMetric(machineId, 'ModeCurrent', 'Maintenance');
+            expect(maintenance.lossCategory).to.equal('planned');
+
+            const production = await handlePackMLMetric(machineId, 'ModeCurrent', 1);
+            expect(production.lossCategory).to.equal('unplanned');
+            expect(create.lastCall.args[0]).to.include({ state: 'Stopped', mode: 'Production', loss_category: 'unplanned' });
+        });
+
+        it('keeps a mode until the first state arrives', async () => {
+            expect(await handlePackMLMetric(machineId, 'ModeCurrent', 3)).to.equal(null);
+            expect(create.called).to.equal(false);
+
+            const state = await handlePackMLMetric(machineId, 'StateCurrent', 6);
+            expect(state).to.include({ modeCode: 3, lossCategory: 'planned' });
+        });
+
+        it('ignores unknown states and repeated values', async () => {
+            expect(await handlePackMLMetric(machineId, 'StateCurrent', 42)).to.equal(null);
+            await handlePackMLMetric(machineId, 'StateCurrent', 6);
+            expect(await handlePackMLMetric(machineId, 'StateCurrent', 'Execute')).to.equal(null);
+            expect(create.calledOnce).to.equal(true);
+        });
+
+        it('skips a transition the state history could not record', async () => {
+            await handlePackMLMetric(machineId, 'StateCurrent', 6);
+            create.rejects(new Error('connection lost'));
+
+            expect(await handlePackMLMetric(machineId, 'StateCurrent', 11)).to.equal(null);
+            expect(getPackMLState(machineId)).to.include({ state: 'Execute', loss_category: 'production' });
+
+            // The next value of the state is recorded again
+            create.resolves();
+            expect(await handlePackMLMetric(machineId, 'StateCurrent', 11)).to.include({ stateCode: 11 });
+        });
+    });
+});
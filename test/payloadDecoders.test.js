@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+const { get: getSparkplugPayload } = require('sparkplug-payload');
+const { getPayloadDecoder, getPayloadFormats } = require('../src/payloadDecoders');
+
+const TIMESTAMP = Date.parse('2026-03-02T06:00:00Z');
+
+/**
+ * Decodes a payload given as text or object.
+ * @param {string} format - The payload format.
+ * @param {string|Object} payload - The payload, objects are sent as JSON.
+ * @param {string|null} [metric] - The metric of the topic.
+ * @returns {Object} The decoded message.
+ */
+const decode = (format, payload, metric = null) =>
+    getPayloadDecoder(format)(Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)), metric);
+
+describe('payloadDecoders', () => {
+    it('registers the sparkplug, json and value formats', () => {
+        expect(getPayloadFormats()).to.include.members(['sparkplug', 'json', 'value']);
+        expect(() => getPayloadDecoder('xml')).to.throw('Unknown payload format: xml');
+    });
+
+    it('decodes Sparkplug B payloads', () => {
+        const message = getSparkplugPayload('spBv1.0').encodePayload({
+            timestamp: TIMESTAMP,
+            metrics: [{ name: 'Runtime', type: 'Int32', value: 480, timestamp: TIMESTAMP }],
+            seq: 1,
+        });
+
+        const decoded = getPayloadDecoder('sparkplug')(message, null);
+
+        expect(decoded.metrics[0]).to.include({ name: 'Runtime', value: 480 });
+    });
+
+    describe('json', () => {
+        it('keeps Sparkplug-like metrics and converts their timestamps', () => {
+            const decoded = decode('json', { timestamp: '2026-03-02T06:00:00Z', metrics: [{ name: 'Runtime', value: 480 }, { name: 'Hold', value: true, timestamp: TIMESTAMP + 1000 }] });
+
+            expect(decoded.timestamp).to.equal(TIMESTAMP);
+            expect(decoded.metrics).to.deep.equal([
+                { name: 'Runtime', value: 480, timestamp: TIMESTAMP },
+                { name: 'Hold', value: true, timestamp: TIMESTAMP + 1000 },
+            ]);
+        });
+
+        it('reads a value object or a plain value for the metric of the topic', () => {
+            expect(decode('json', { value: 42, timestamp: TIMESTAMP }, 'ActualProductionQuantity')).to.deep.equal({
+                timestamp: TIMESTAMP,
+                metrics: [{ name: 'ActualProductionQuantity', value: 42, timestamp: TIMESTAMP }],
+            });
+            expect(decode('json', '17', 'Runtime').metrics[0]).to.include({ name: 'Runtime', value: 17 });
+        });
+
+        it('reads every key of an object without a metric in the topic', () => {
+            const decoded = decode('json', { Runtime: 480, ActualPerformance: 95.5, timestamp: TIMESTAMP });
+            expect(decoded.metrics).to.deep.equal([
+                { name: 'Runtime', value: 480, timestamp: TIMESTAMP },
+                { name: 'ActualPerformance', value: 95.5, timestamp: TIMESTAMP },
+            ]);
+        });
+
+        it('rejects a plain value without a metric in the topic and invalid JSON', () => {
+            expect(() => decode('json', '42')).to.throw('JSON payload without metric in the topic must be an object');
+            expect(() => decode('json', '{"Runtime":', 'Runtime')).to.throw(SyntaxError);
+        });
+    });
+
+    describe('value', () => {
+        it('converts flat values into numbers and booleans', () => {
+            expect(decode('value', ' 42 ', 'counter/good').metrics[0]).to.include({ name: 'counter/good', value: 42 });
+            expect(decode('value', 'true', 'Hold').metrics[0].value).to.equal(true);
+            expect(decode('value', 'Execute', 'StateCurrent').metrics[0].value).to.equal('Execute');
+            expect(decode('value', '', 'StateCurrent').metrics[0].value).to.equal('');
+        });
+
+        it('needs the metric in the topic', () => {
+            expect(() => decode('value', '42')).to.throw('Flat value payloads need the metric in the topic');
+        });
+    });
+});
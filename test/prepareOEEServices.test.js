@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const { prepareOEEData } = require('../services/prepareOEEServices');
+
+const processOrder = {
+    order_id: 1,
+    workcenter_id: 'WC1',
+    start_date: '2026-03-02T06:00:00.000Z',
+    end_date: '2026-03-02T08:00:00.000Z',
+    actualprocessorderstart: '2026-03-02T06:00:00.000Z',
+    actualprocessorderend: '2026-03-02T08:00:00.000Z',
+    plannedproductionquantity: 120,
+    setuptime: 0,
+    processingtime: 120,
+    teardowntime: 0,
+};
+
+/**
+ * Builds the timeline of the order with the given downtimes and speed losses.
+ * @param {Object} data - Unplanned downtimes and speed losses.
+ * @returns {Object} The OEE timeline.
+ */
+const buildTimeline = ({ unplannedDowntimeData = [], speedLossData = [] }) => prepareOEEData(processOrder, 'WC1', {
+    plannedDowntimeData: [],
+    unplannedDowntimeData,
+    microstopsData: [],
+    shiftModels: [],
+    calendars: [],
+    speedLossData,
+});
+
+describe('prepareOEEServices', () => {
+    describe('prepareOEEData', () => {
+        it('takes the speed loss from the production time of the same hour', () => {
+            const timeline = buildTimeline({
+                speedLossData: [{ workcenter_id: 'WC1', start_date: '2026-03-02T06:00:00Z', end_date: '2026-03-02T07:00:00Z', loss_time: 12 }],
+            });
+            const [production, , , , , , speedLoss] = timeline.datasets.map(dataset => dataset.data);
+
+            expect(production).to.deep.equal([48, 60, 60]);
+            expect(speedLoss).to.deep.equal([12, 0, 0]);
+        });
+
+        it('never exceeds the hour with downtimes and speed loss', () => {
+            const timeline = buildTimeline({
+                unplannedDowntimeData: [{ workcenter_id: 'WC1', start_date: '2026-03-02T06:00:00Z', end_date: '2026-03-02T06:30:00Z' }],
+                speedLossData: [{ workcenter_id: 'WC1', start_date: '2026-03-02T06:00:00Z', end_date: '2026-03-02T07:00:00Z', loss_time: 40 }],
+            });
+            const hourTotals = timeline.labels.map((label, index) =>
+                timeline.datasets.reduce((total, dataset) => total + dataset.data[index], 0));
+
+            expect(timeline.datasets[0].data[0]).to.equal(0);
+            expect(timeline.datasets[6].data[0]).to.equal(30);
+            expect(hourTotals).to.deep.equal([60, 60, 60]);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const { sequelize, Rating, RatingHistory } = require('../models');
+const ratingRepository = require('../repositories/RatingRepository');
+const ratingsRouter = require('../routes/ratings');
+
+const RATING_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+
+describe('RatingRepository', () => {
+    let ratings;
+    let history;
+
+    beforeEach(() => {
+        // Ratings and their history are kept in memory instead of the database
+        ratings = new Map();
+        history = [];
+        const toInstance = values => ({
+            ...values,
+            update: async function (changes) { Object.assign(this, changes); ratings.set(this.id, this); },
+            destroy: async function () { ratings.delete(this.id); },
+        });
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+        sinon.stub(Rating, 'create').callsFake(async (data) => {
+            const rating = toInstance({ id: data.id || RATING_ID, ...data });
+            ratings.set(rating.id, rating);
+            return rating;
+        });
+        sinon.stub(Rating, 'findByPk').callsFake(async id => ratings.get(id) || null);
+        sinon.stub(RatingHistory, 'max').callsFake(async (field, { where }) => {
+            const versions = history.filter(version => version.rating_id === where.rating_id).map(version => version.version);
+            return versions.length > 0 ? Math.max(...versions) : null;
+        });
+        sinon.stub(RatingHistory, 'create').callsFake(async (version) => { history.push(version); });
+        sinon.stub(RatingHistory, 'findAll').callsFake(async ({ where }) => history
+            .filter(version => version.rating_id === where.rating_id)
+            .map(version => ({ dataValues: version })));
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('records every change as a new version with who, what and before', async () => {
+        await ratingRepository.create({ description: 'Good', color: 'green' }, 'alice');
+        await ratingRepository.update(RATING_ID, { color: 'lime' }, 'bob');
+        await ratingRepository.delete(RATING_ID, 'system');
+
+        const versions = await ratingRepository.getHistory(RATING_ID);
+        expect(versions.map(({ version, action, changed_by }) => [version, action, changed_by])).to.deep.equal([
+            [1, 'create', 'alice'],
+            [2, 'update', 'bob'],
+            [3, 'delete', 'system'],
+        ]);
+        expect(versions[1].previous).to.deep.equal({ id: RATING_ID, description: 'Good', color: 'green' });
+        expect(versions[1].current).to.deep.equal({ id: RATING_ID, description: 'Good', color: 'lime' });
+        expect(versions[2].current).to.equal(null);
+    });
+
+    it('does not record a version for an unknown rating', async () => {
+        try {
+            await ratingRepository.update(RATING_ID, { color: 'lime' }, 'bob');
+            expect.fail('update should have thrown');
+        } catch (error) {
+            expect(error.message).to.include('not found');
+        }
+        expect(history).to.have.lengthOf(0);
+    });
+
+    describe('ratings routes', () => {
+        let server;
+        let baseUrl;
+        let user;
+
+        before((done) => {
+            const app = express();
+            app.use(express.json());
+            // Stands in for the authentication of the API routes
+            app.use((req, res, next) => {
+                req.user = user;
+                next();
+            });
+            app.use('/ratings', ratingsRouter);
+            server = app.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}/ratings`;
+                done();
+            });
+        });
+
+        after(done => server.close(done));
+
+        /**
+         * Creates a rating through the API.
+         * @param {Object} headers - Additional request headers.
+         * @returns {Promise<Response>} The response.
+         */
+        const postRating = headers => fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ description: 'Good', color: 'green' }),
+        });
+
+        it('records the authenticated user and ignores the X-User header', async () => {
+            user = { username: 'alice', role: 'Supervisor' };
+            expect((await postRating({ 'X-User': 'mallory' })).status).to.equal(201);
+            expect(history[0].changed_by).to.equal('alice');
+        });
+
+        it('records changes with the server API key as system', async () => {
+            user = { role: 'System', system: true };
+            await postRating({ 'X-User': 'mallory' });
+            expect(history[0].changed_by).to.equal('system');
+        });
+
+        it('serves the history of a rating', async () => {
+            user = { username: 'alice', role: 'Supervisor' };
+            await postRating();
+
+            const response = await fetch(`${baseUrl}/${RATING_ID}/history`);
+            expect(response.status).to.equal(200);
+            expect((await response.json()).map(version => version.action)).to.deep.equal(['create']);
+        });
+
+        it('answers 400 for an invalid and 404 for an unknown rating', async () => {
+            expect((await fetch(`${baseUrl}/not-a-uuid/history`)).status).to.equal(400);
+            expect((await fetch(`${baseUrl}/${RATING_ID}/history`)).status).to.equal(404);
+        });
+    });
+});
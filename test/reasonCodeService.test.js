@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, AuditLog, ReasonCode, WorkCenter } = require('../models');
+const reasonCodeService = require('../services/reasonCodeService');
+
+const MAINTENANCE_ID = '0b8c6a52-6b0e-4d8f-9a52-3f7c1f0e0001';
+const ELECTRICAL_ID = '0b8c6a52-6b0e-4d8f-9a52-3f7c1f0e0002';
+const PRESS_ID = '0b8c6a52-6b0e-4d8f-9a52-3f7c1f0e0003';
+const WORKCENTER_ID = '0b8c6a52-6b0e-4d8f-9a52-3f7c1f0e00aa';
+
+/**
+ * Wraps a plain reason code like a Sequelize instance.
+ * @param {Object} values - The values of the reason code.
+ * @returns {Object} The instance.
+ */
+const asInstance = values => ({ ...values, get: () => values, update: sinon.stub().resolves() });
+
+const tree = [
+    { reason_code_id: MAINTENANCE_ID, parent_id: null, level: 'category', code: 'MAINT', description: 'Maintenance', active: true },
+    { reason_code_id: ELECTRICAL_ID, parent_id: MAINTENANCE_ID, level: 'reason', code: 'MAINT-ELEC', description: 'Electrical', active: true },
+    { reason_code_id: PRESS_ID, parent_id: MAINTENANCE_ID, level: 'reason', code: 'MAINT-PRESS', description: 'Press', active: true, workcenter_id: 'OTHER' },
+];
+
+describe('reasonCodeService', () => {
+    afterEach(() => sinon.restore());
+
+    describe('validateReasonCode', () => {
+        /**
+         * Stubs the reason-code tree and the workcenter.
+         * @param {Array<Object>} nodes - The reason codes.
+         */
+        const stubTree = (nodes) => {
+            sinon.stub(ReasonCode, 'findAll').resolves(nodes.map(asInstance));
+            sinon.stub(WorkCenter, 'findByPk').resolves({ workcenter_id: WORKCENTER_ID, area: 'Assembly' });
+        };
+
+        it('accepts an active code by code or UUID', async () => {
+            stubTree(tree);
+            expect((await reasonCodeService.validateReasonCode('MAINT-ELEC', WORKCENTER_ID)).reason_code_id).to.equal(ELECTRICAL_ID);
+            expect((await reasonCodeService.validateReasonCode(ELECTRICAL_ID, WORKCENTER_ID)).code).to.equal('MAINT-ELEC');
+        });
+
+        it('rejects a code below an inactive category', async () => {
+            stubTree(tree.map(node => (node.reason_code_id === MAINTENANCE_ID ? { ...node, active: false } : node)));
+            try {
+                await reasonCodeService.validateReasonCode('MAINT-ELEC', WORKCENTER_ID);
+                expect.fail('expected an error');
+            } catch (error) {
+                expect(error.message).to.equal(`Invalid reason code: MAINT-ELEC is not an active reason code of workcenter ${WORKCENTER_ID}`);
+            }
+        });
+
+        it('rejects a code of another workcenter', async () => {
+            stubTree(tree);
+            try {
+                await reasonCodeService.validateReasonCode('MAINT-PRESS', WORKCENTER_ID);
+                expect.fail('expected an error');
+            } catch (error) {
+                expect(error.message).to.match(/^Invalid reason code: MAINT-PRESS/);
+            }
+        });
+
+        it('accepts the unclassified placeholder only if allowed', async () => {
+            stubTree(tree);
+            expect(await reasonCodeService.validateReasonCode('TBD', WORKCENTER_ID, { allowUnclassified: true })).to.equal(null);
+            try {
+                await reasonCodeService.validateReasonCode('TBD', WORKCENTER_ID);
+                expect.fail('expected an error');
+            } catch (error) {
+                expect(error.message).to.match(/^Invalid reason code: TBD/);
+            }
+        });
+    });
+
+    describe('update', () => {
+        let auditLogCreate;
+
+        beforeEach(() => {
+            sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+            auditLogCreate = sinon.stub(AuditLog, 'create').resolves();
+        });
+
+        it('rejects a change of the code', async () => {
+            const instance = asInstance(tree[1]);
+            sinon.stub(ReasonCode, 'findByPk').resolves(instance);
+            try {
+                await reasonCodeService.update(ELECTRICAL_ID, { code: 'MAINT-ELECTRIC' });
+                expect.fail('expected an error');
+            } catch (error) {
+                expect(error.message).to.include('Invalid code: MAINT-ELEC cannot be changed');
+            }
+            expect(instance.update.called).to.equal(false);
+            expect(auditLogCreate.called).to.equal(false);
+        });
+
+        it('updates the other fields with an unchanged code', async () => {
+            const instance = asInstance(tree[1]);
+            sinon.stub(ReasonCode, 'findByPk').resolves(instance);
+            await reasonCodeService.update(ELECTRICAL_ID, { code: 'MAINT-ELEC', description: 'Electrical maintenance' }, { user: 'planner', role: 'Planner', reason: 'Renamed' });
+            expect(instance.update.calledOnceWith({ code: 'MAINT-ELEC', description: 'Electrical maintenance' })).to.equal(true);
+
+            const [entry] = auditLogCreate.firstCall.args;
+            expect(entry).to.include({ entity: 'ReasonCode', entity_id: ELECTRICAL_ID, action: 'update', changed_by: 'planner', reason: 'Renamed' });
+        });
+    });
+
+    describe('create', () => {
+        it('rejects a duplicate code', async () => {
+            sinon.stub(ReasonCode, 'findOne').resolves(asInstance(tree[0]));
+            const create = sinon.stub(ReasonCode, 'create');
+            try {
+                await reasonCodeService.create({ code: 'MAINT', description: 'Maintenance' });
+                expect.fail('expected an error');
+            } catch (error) {
+                expect(error.message).to.include('Invalid code: MAINT already exists');
+            }
+            expect(create.called).to.equal(false);
+        });
+
+        it('records the created code in the audit log', async () => {
+            sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+            const auditLogCreate = sinon.stub(AuditLog, 'create').resolves();
+            sinon.stub(ReasonCode, 'findByPk').resolves(asInstance(tree[0]));
+            sinon.stub(ReasonCode, 'findOne').resolves(null);
+            sinon.stub(ReasonCode, 'create').callsFake(async values => asInstance({ reason_code_id: ELECTRICAL_ID, ...values }));
+
+            const reasonCode = await reasonCodeService.create({ code: 'MAINT-ELEC', description: 'Electrical', parent_id: MAINTENANCE_ID }, { user: 'planner', role: 'Planner', reason: null });
+
+            expect(reasonCode.level).to.equal('reason');
+            const [entry] = auditLogCreate.firstCall.args;
+            expect(entry).to.include({ entity: 'ReasonCode', entity_id: ELECTRICAL_ID, action: 'create', changed_by: 'planner' });
+            expect(entry.before).to.equal(null);
+            expect(entry.after.code).to.equal('MAINT-ELEC');
+        });
+
+        it('rejects children of a detail', async () => {
+            sinon.stub(ReasonCode, 'findByPk').resolves(asInstance({ ...tree[1], level: 'detail' }));
+            try {
+                await reasonCodeService.create({ code: 'X', description: 'X', parent_id: ELECTRICAL_ID });
+                expect.fail('expected an error');
+            } catch (error) {
+                expect(error.message).to.include('Invalid parent: MAINT-ELEC is a detail and cannot have children');
+            }
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, AuditLog, ShiftModel, ShiftBreak } = require('../models');
+const shiftBreakService = require('../services/shiftBreakService');
+
+const SHIFT_ID = '5a1d3c2e-7b4f-4e6a-9c8d-1f2e3d4c5b01';
+const BREAK_ID = '5a1d3c2e-7b4f-4e6a-9c8d-1f2e3d4c5b02';
+const AUDIT_CONTEXT = { user: 'supervisor', role: 'Supervisor', reason: 'New break schedule' };
+
+/**
+ * Wraps break values like a Sequelize instance, update merges the changes.
+ * @param {Object} values - The break values.
+ * @returns {Object} The instance.
+ */
+const breakInstance = (values) => {
+    const instance = {
+        ...values,
+        update: sinon.stub().callsFake(async changes => Object.assign(instance, changes)),
+        destroy: sinon.stub().resolves(),
+        get: () => {
+            const { update, destroy, get, ...plain } = instance;
+            return plain;
+        },
+    };
+    Object.defineProperty(instance, 'dataValues', { get: () => instance.get() });
+    return instance;
+};
+
+describe('shiftBreakService', () => {
+    let auditLogCreate;
+
+    beforeEach(() => {
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+        auditLogCreate = sinon.stub(AuditLog, 'create').resolves();
+        sinon.stub(ShiftModel, 'findByPk').resolves({ shift_id: SHIFT_ID });
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('records a created break in the audit log', async () => {
+        sinon.stub(ShiftBreak, 'create').callsFake(async values => breakInstance({ break_id: BREAK_ID, ...values }));
+
+        const shiftBreak = await shiftBreakService.create(SHIFT_ID, { break_start: '09:00', break_end: '09:15' }, AUDIT_CONTEXT);
+
+        expect(shiftBreak.shift_id).to.equal(SHIFT_ID);
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'ShiftBreak', entity_id: BREAK_ID, action: 'create', changed_by: 'supervisor', reason: 'New break schedule' });
+        expect(entry.after.break_start).to.equal('09:00');
+    });
+
+    it('records the changed fields of an updated break', async () => {
+        const existing = breakInstance({ break_id: BREAK_ID, shift_id: SHIFT_ID, break_start: '09:00', break_end: '09:15' });
+        sinon.stub(ShiftBreak, 'findOne').resolves(existing);
+
+        await shiftBreakService.update(SHIFT_ID, BREAK_ID, { break_end: '09:30' }, AUDIT_CONTEXT);
+
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'ShiftBreak', action: 'update' });
+        expect(entry.changed_fields).to.deep.equal(['break_end']);
+        expect(entry.before.break_end).to.equal('09:15');
+        expect(entry.after.break_end).to.equal('09:30');
+    });
+
+    it('keeps a deleted break in the audit log', async () => {
+        const existing = breakInstance({ break_id: BREAK_ID, shift_id: SHIFT_ID, break_start: '09:00', break_end: '09:15' });
+        sinon.stub(ShiftBreak, 'findOne').resolves(existing);
+
+        expect(await shiftBreakService.delete(SHIFT_ID, BREAK_ID, AUDIT_CONTEXT)).to.equal(true);
+
+        expect(existing.destroy.calledOnce).to.equal(true);
+        const [entry] = auditLogCreate.firstCall.args;
+        expect(entry).to.include({ entity: 'ShiftBreak', entity_id: BREAK_ID, action: 'delete' });
+        expect(entry.before.break_start).to.equal('09:00');
+        expect(entry.after).to.equal(null);
+    });
+
+    it('records nothing for an unknown break', async () => {
+        sinon.stub(ShiftBreak, 'findOne').resolves(null);
+        try {
+            await shiftBreakService.update(SHIFT_ID, BREAK_ID, { break_end: '09:30' }, AUDIT_CONTEXT);
+            expect.fail('expected an error');
+        } catch (error) {
+            expect(error.message).to.include(`Break with ID ${BREAK_ID} not found.`);
+        }
+        expect(auditLogCreate.called).to.equal(false);
+    });
+});
@@ -0,0 +1,42 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ShiftModel, ShiftReport, WorkCenter, CalendarShift } = require('../models');
+const { finalizeDueShifts } = require('../services/shiftReportService');
+
+describe('shiftReportService', () => {
+    describe('finalizeDueShifts', () => {
+        let findOne;
+
+        beforeEach(() => {
+            const shiftModel = {
+                shift_id: 'S1',
+                workcenter_id: 'WC1',
+                shift_name: 'Early',
+                shift_start_time: '06:00',
+                shift_end_time: '14:00',
+                breaks: [],
+            };
+            sinon.stub(ShiftModel, 'findAll').resolves([{ ...shiftModel, get: () => shiftModel }]);
+            sinon.stub(WorkCenter, 'findByPk').resolves(null);
+            sinon.stub(CalendarShift, 'findAll').resolves([]);
+            // Every shift already has its report, the test counts the lookups
+            findOne = sinon.stub(ShiftReport, 'findOne').resolves({ report_id: 'R1' });
+        });
+
+        afterEach(() => sinon.restore());
+
+        it('looks only at shifts that ended since the last run', async () => {
+            await finalizeDueShifts(new Date('2026-03-02T14:30:00Z'));
+            const afterFirstRun = findOne.callCount;
+            expect(afterFirstRun).to.be.greaterThan(0);
+
+            await finalizeDueShifts(new Date('2026-03-02T14:31:00Z'));
+            await finalizeDueShifts(new Date('2026-03-02T20:00:00Z'));
+            expect(findOne.callCount).to.equal(afterFirstRun);
+
+            // The early shift of the next day ends at 13:00 UTC
+            await finalizeDueShifts(new Date('2026-03-03T13:01:00Z'));
+            expect(findOne.callCount).to.equal(afterFirstRun + 1);
+        });
+    });
+});
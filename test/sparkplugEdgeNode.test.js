@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const net = require('net');
+const { get: getSparkplugPayload } = require('sparkplug-payload');
+const { mqtt: mqttConfig, sparkplugEdgeNode: edgeNodeConfig } = require('../config/config');
+const { setupSparkplugEdgeNode, updateEdgeNodeMetrics, stopSparkplugEdgeNode } = require('../src/sparkplugEdgeNode');
+
+const sparkplug = getSparkplugPayload('spBv1.0');
+const TEST_CONFIG = { enabled: true, broker: 'edgeNodeTest', groupId: 'OEE', edgeNodeId: 'Calculator', publishInterval: 10000, deadband: 0.5 };
+
+/**
+ * Returns the value per metric name of a decoded message, Long values as numbers.
+ * @param {Object} payload - The decoded Sparkplug payload.
+ * @returns {Object} The values.
+ */
+const valuesOf = payload => Object.fromEntries(payload.metrics.map(({ name, value }) => [name, typeof value === 'object' && value !== null ? Number(value) : value]));
+
+describe('sparkplugEdgeNode', () => {
+    let broker;
+    let brokerUrl;
+    let client;
+    let clock;
+    let workcenterId;
+    let previousConfig;
+    let testNumber = 0;
+    const sockets = new Set();
+
+    before((done) => {
+        // Accepts the connection of the client but never answers, so the client neither connects nor closes
+        broker = net.createServer(socket => sockets.add(socket));
+        broker.listen(0, '127.0.0.1', () => {
+            brokerUrl = `mqtt://127.0.0.1:${broker.address().port}`;
+            done();
+        });
+    });
+
+    after((done) => {
+        sockets.forEach(socket => socket.destroy());
+        broker.close(done);
+    });
+
+    beforeEach(() => {
+        previousConfig = { ...edgeNodeConfig };
+        Object.assign(edgeNodeConfig, TEST_CONFIG);
+        mqttConfig.brokers.edgeNodeTest = { url: brokerUrl, clientId: 'oee-test' };
+        clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+
+        // The devices of the module stay known between tests, every test uses its own workcenter
+        testNumber += 1;
+        workcenterId = `WC-EDGE-${testNumber}`;
+        client = setupSparkplugEdgeNode();
+        client.on('error', () => {});
+        client.published = [];
+        sinon.stub(client, 'subscribe').callsFake((topic, opts, callback) => callback(null));
+        sinon.stub(client, 'publish').callsFake((topic, payload, opts, callback) => {
+            client.published.push({ topic, payload: sparkplug.decodePayload(payload) });
+            callback();
+        });
+        // The client never finished its connection, it has to end as a disconnected client
+        const end = client.end.bind(client);
+        sinon.stub(client, 'end').callsFake((force, opts, callback) => {
+            client.connected = false;
+            return end(force, opts, callback);
+        });
+        updateEdgeNodeMetrics({ workcenter_id: workcenterId, plant: 'Plant1', area: 'Packaging', lineId: 'Line3', availability: 90, performance: 95, quality: 99, oee: 80 });
+        client.connected = true;
+        client.emit('connect');
+    });
+
+    afterEach(async () => {
+        await stopSparkplugEdgeNode();
+        clock.restore();
+        sinon.restore();
+        delete mqttConfig.brokers.edgeNodeTest;
+        Object.assign(edgeNodeConfig, previousConfig);
+    });
+
+    /**
+     * Returns the published messages of a message type.
+     * @param {string} messageType - NBIRTH, DBIRTH, DDATA, ...
+     * @param {string} [deviceId] - Only the messages of this device.
+     * @returns {Array<Object>} The decoded payloads.
+     */
+    const messagesOf = (messageType, deviceId) => client.published
+        .filter(({ topic }) => topic.startsWith(`spBv1.0/OEE/${messageType}/Calculator`) && (!deviceId || topic.endsWith(`/${deviceId}`)))
+        .map(({ payload }) => payload);
+
+    /**
+     * Updates the OEE metrics of the test workcenter and runs the periodic DDATA publication.
+     * @param {Object} changes - The changed metrics.
+     * @returns {Array<Object>} The DDATA messages of the test workcenter.
+     */
+    const publishChanges = (changes) => {
+        updateEdgeNodeMetrics({ workcenter_id: workcenterId, plant: 'Plant1', area: 'Packaging', lineId: 'Line3', availability: 90, performance: 95, quality: 99, oee: 80, ...changes });
+        client.published = [];
+        clock.tick(TEST_CONFIG.publishInterval);
+        return messagesOf('DDATA', workcenterId);
+    };
+
+    it('publishes the births of the edge node and its devices on connect', () => {
+        expect(client.subscribe.calledWith('spBv1.0/OEE/NCMD/Calculator')).to.equal(true);
+        const [nbirth] = messagesOf('NBIRTH');
+        expect(Number(nbirth.seq)).to.equal(0);
+        expect(valuesOf(nbirth)).to.have.property('Node Control/Rebirth', false);
+
+        const [dbirth] = messagesOf('DBIRTH', workcenterId);
+        expect(valuesOf(dbirth)).to.include({ 'Properties/Plant': 'Plant1', 'OEE/OEE': 80, 'Downtime/Active': false });
+    });
+
+    it('publishes only the changed metrics in DDATA', () => {
+        const [ddata] = publishChanges({ availability: 92, quality: 98 });
+        expect(valuesOf(ddata)).to.deep.equal({ 'OEE/Availability': 92, 'OEE/Quality': 98 });
+        expect(publishChanges({ availability: 92, quality: 98 })).to.have.lengthOf(0);
+    });
+
+    it('publishes a number only if it changed by at least the deadband since its last publication', () => {
+        expect(publishChanges({ oee: 80.3 })).to.have.lengthOf(0);
+        expect(publishChanges({ oee: 80.4 })).to.have.lengthOf(0);
+        const [ddata] = publishChanges({ oee: 80.5 });
+        expect(valuesOf(ddata)).to.deep.equal({ 'OEE/OEE': 80.5 });
+    });
+
+    it('starts a new session with the next bdSeq and last will after a reconnect', () => {
+        const bdSeq = valuesOf(messagesOf('NBIRTH')[0]).bdSeq;
+        expect(valuesOf(sparkplug.decodePayload(client.options.will.payload)).bdSeq).to.equal(bdSeq);
+
+        client.connected = false;
+        client.emit('close');
+        expect(client.options.will.topic).to.equal('spBv1.0/OEE/NDEATH/Calculator');
+        expect(valuesOf(sparkplug.decodePayload(client.options.will.payload)).bdSeq).to.equal((bdSeq + 1) % 256);
+        expect(publishChanges({ availability: 50 })).to.have.lengthOf(0);
+
+        client.published = [];
+        client.connected = true;
+        client.emit('connect');
+        const nbirth = messagesOf('NBIRTH')[0];
+        expect(valuesOf(nbirth).bdSeq).to.equal((bdSeq + 1) % 256);
+        expect(Number(nbirth.seq)).to.equal(0);
+        expect(valuesOf(messagesOf('DBIRTH', workcenterId)[0])).to.include({ 'OEE/Availability': 50 });
+    });
+
+    it('publishes the NDEATH of the session when it stops', async () => {
+        const bdSeq = valuesOf(messagesOf('NBIRTH')[0]).bdSeq;
+        client.published = [];
+        await stopSparkplugEdgeNode();
+        expect(client.published.map(({ topic }) => topic)).to.deep.equal(['spBv1.0/OEE/NDEATH/Calculator']);
+        expect(valuesOf(client.published[0].payload).bdSeq).to.equal(bdSeq);
+    });
+
+    it('publishes all births again on a rebirth request', () => {
+        /**
+         * Sends an NCMD to the edge node.
+         * @param {boolean} rebirth - The value of the rebirth metric.
+         */
+        const sendCommand = (rebirth) => {
+            client.published = [];
+            const payload = sparkplug.encodePayload({ timestamp: Date.now(), metrics: [{ name: 'Node Control/Rebirth', type: 'Boolean', value: rebirth }] });
+            client.emit('message', 'spBv1.0/OEE/NCMD/Calculator', payload);
+        };
+
+        sendCommand(false);
+        expect(client.published).to.have.lengthOf(0);
+
+        sendCommand(true);
+        expect(messagesOf('NBIRTH')).to.have.lengthOf(1);
+        expect(messagesOf('DBIRTH', workcenterId)).to.have.lengthOf(1);
+    });
+});
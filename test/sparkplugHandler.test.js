@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { get: getSparkplugPayload } = require('sparkplug-payload');
+const { SparkplugNode, SparkplugDevice } = require('../models');
+const { apiClient } = require('../src/header');
+const { handleSessionMessage, resolveDataMessage } = require('../src/sparkplugHandler');
+
+const sparkplug = getSparkplugPayload('spBv1.0');
+
+/**
+ * Builds the parsed topic of a message of an edge node.
+ * @param {string} machineName - The edge node.
+ * @param {string} dataType - The message type.
+ * @param {string|null} [metric=null] - The device or metric of the topic.
+ * @returns {Object} The parsed topic.
+ */
+const topicOf = (machineName, dataType, metric = null) => ({
+    version: 'spBv1.0',
+    location: 'Plant1',
+    area: 'Area1',
+    machineName,
+    metric,
+    dataType,
+});
+
+/**
+ * Returns the names of the metrics of the NCMD messages published by the client.
+ * @param {sinon.SinonSpy} publish - The publish spy of the client.
+ * @returns {Array<Array<string>>} The topic and the metric names per message.
+ */
+const published = publish => publish.getCalls().map(({ args: [topic, payload] }) =>
+    [topic, ...sparkplug.decodePayload(payload).metrics.map(metric => metric.name)]);
+
+describe('sparkplugHandler', () => {
+    let client;
+
+    beforeEach(() => {
+        client = { publish: sinon.spy() };
+        sinon.stub(SparkplugNode, 'upsert').resolves();
+        sinon.stub(SparkplugDevice, 'upsert').resolves();
+        // No running process order, so a death records no communication loss
+        sinon.stub(apiClient, 'get').resolves({ data: [] });
+    });
+
+    afterEach(() => sinon.restore());
+
+    /**
+     * Publishes the NBIRTH of an edge node with an alias for the Counter metric.
+     * @param {string} machineName - The edge node.
+     */
+    const birth = machineName => handleSessionMessage(client, topicOf(machineName, 'NBIRTH'), {
+        seq: 0,
+        metrics: [{ name: 'bdSeq', value: 1 }, { name: 'Counter', alias: 1 }],
+    }, 'WC1');
+
+    describe('resolveDataMessage', () => {
+        it('does not request a rebirth for gaps in the sequence', async () => {
+            await birth('Gaps');
+            // The node sends NDATA and data of other devices in between, which are not subscribed
+            [5, 17, 200, 3].forEach((seq) => {
+                resolveDataMessage(client, topicOf('Gaps', 'DDATA', 'Counter'), { seq, metrics: [{ name: 'Counter', value: seq }] });
+            });
+
+            expect(client.publish.called).to.equal(false);
+        });
+
+        it('resolves aliases of the NBIRTH', async () => {
+            await birth('Aliases');
+            const message = resolveDataMessage(client, topicOf('Aliases', 'DDATA', 'Counter'), { seq: 9, metrics: [{ alias: 1, value: 42 }] });
+
+            expect(message.metrics).to.have.lengthOf(1);
+            expect(message.metrics[0]).to.include({ name: 'Counter', value: 42 });
+            expect(client.publish.called).to.equal(false);
+        });
+
+        it('requests a rebirth once for data of a node without NBIRTH', () => {
+            resolveDataMessage(client, topicOf('Unknown', 'DDATA', 'Counter'), { seq: 4, metrics: [{ name: 'Counter', value: 1 }] });
+            resolveDataMessage(client, topicOf('Unknown', 'DDATA', 'Counter'), { seq: 5, metrics: [{ name: 'Counter', value: 2 }] });
+
+            expect(published(client.publish)).to.deep.equal([['spBv1.0/Plant1/Area1/NCMD/Unknown', 'Node Control/Rebirth']]);
+        });
+
+        it('requests a rebirth for data after the NDEATH', async () => {
+            await birth('Dead');
+            await handleSessionMessage(client, topicOf('Dead', 'NDEATH'), { metrics: [{ name: 'bdSeq', value: 1 }] }, 'WC1');
+            resolveDataMessage(client, topicOf('Dead', 'DDATA', 'Counter'), { seq: 1, metrics: [{ name: 'Counter', value: 1 }] });
+
+            expect(published(client.publish)).to.deep.equal([['spBv1.0/Plant1/Area1/NCMD/Dead', 'Node Control/Rebirth']]);
+        });
+
+        it('requests a rebirth for an unknown alias', async () => {
+            await birth('Stale');
+            const message = resolveDataMessage(client, topicOf('Stale', 'DDATA', 'Counter'), { seq: 1, metrics: [{ alias: 7, value: 1 }] });
+
+            expect(message.metrics).to.deep.equal([]);
+            expect(published(client.publish)).to.deep.equal([['spBv1.0/Plant1/Area1/NCMD/Stale', 'Node Control/Rebirth']]);
+        });
+    });
+
+    describe('handleSessionMessage', () => {
+        it('ignores an NDEATH of a previous session', async () => {
+            await birth('Session');
+            await handleSessionMessage(client, topicOf('Session', 'NDEATH'), { metrics: [{ name: 'bdSeq', value: 0 }] }, 'WC1');
+            resolveDataMessage(client, topicOf('Session', 'DDATA', 'Counter'), { seq: 1, metrics: [{ name: 'Counter', value: 1 }] });
+
+            expect(client.publish.called).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Tact } = require('../models');
+const { tact: tactConfig } = require('../config/config');
+const { getTactForOrder } = require('../services/speedLossService');
+
+// 480 units in 8 hours, a planned takt of 60 seconds per unit
+const processOrder = {
+    workcenter_id: 'WC1',
+    materialnumber: 'M1',
+    start_date: '2026-03-02T06:00:00.000Z',
+    end_date: '2026-03-02T14:00:00.000Z',
+    plannedproductionquantity: 480,
+};
+
+/**
+ * Stubs the Tact lookup with a record.
+ * @param {Object} values - sollMin and sollMax of the record.
+ */
+const stubTact = (values) => {
+    const tact = { tact_id: `T-${values.sollMin}-${values.sollMax}`, workcenter_id: 'WC1', material: 'M1', ...values };
+    sinon.stub(Tact, 'findOne').resolves({ get: () => tact });
+};
+
+describe('speedLossService', () => {
+    describe('getTactForOrder', () => {
+        afterEach(() => {
+            sinon.restore();
+            tactConfig.unit = 'seconds';
+        });
+
+        it('returns a plausible Tact in seconds per unit', async () => {
+            stubTact({ sollMin: 45, sollMax: 55 });
+            const tact = await getTactForOrder(processOrder);
+            expect(tact).to.include({ sollMin: 45, sollMax: 55 });
+        });
+
+        it('ignores a Tact that is maintained in another unit', async () => {
+            // 1 minute per unit read as 1 second is 60 times faster than planned
+            stubTact({ sollMin: 1, sollMax: 2 });
+            expect(await getTactForOrder(processOrder)).to.equal(null);
+        });
+
+        it('converts a Tact maintained in minutes', async () => {
+            tactConfig.unit = 'minutes';
+            stubTact({ sollMin: 1, sollMax: 2 });
+            const tact = await getTactForOrder(processOrder);
+            expect(tact).to.include({ sollMin: 60, sollMax: 120 });
+        });
+
+        it('ignores a Tact whose range is inverted', async () => {
+            stubTact({ sollMin: 55, sollMax: 45 });
+            expect(await getTactForOrder(processOrder)).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    sequelize,
+    AuditLog,
+    Microstop,
+    UnplannedDowntime,
+    DowntimeReason,
+    ReasonCode,
+    StoppageClassification,
+    WorkCenter,
+} = require('../models');
+const { classifyStoppage } = require('../services/stoppageClassificationService');
+
+const WORKCENTER_ID = '0b8c6a52-6b0e-4d8f-9a52-3f7c1f0e00aa';
+const ELECTRICAL_ID = '0b8c6a52-6b0e-4d8f-9a52-3f7c1f0e0002';
+const auditContext = { user: 'operator', role: 'operator', reason: 'Fuse replaced' };
+
+/**
+ * Wraps a plain record like a Sequelize instance, update merges the changes.
+ * @param {Object} values - The values of the record.
+ * @returns {Object} The instance.
+ */
+const asInstance = (values) => {
+    const instance = { ...values, get: () => ({ ...values }) };
+    instance.update = sinon.stub().callsFake(async (changes) => {
+        Object.assign(values, changes);
+        Object.assign(instance, changes);
+        return instance;
+    });
+    return instance;
+};
+
+describe('stoppageClassificationService.classifyStoppage', () => {
+    let transaction;
+
+    beforeEach(() => {
+        transaction = { id: 'tx' };
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback(transaction));
+        sinon.stub(AuditLog, 'create').resolves();
+        sinon.stub(WorkCenter, 'findByPk').resolves({ workcenter_id: WORKCENTER_ID, area: 'Assembly' });
+        sinon.stub(ReasonCode, 'findAll').resolves([
+            { reason_code_id: ELECTRICAL_ID, parent_id: null, level: 'reason', code: 'MAINT-ELEC', description: 'Electrical', active: true },
+        ].map(asInstance));
+        sinon.stub(StoppageClassification, 'create').callsFake(async values => asInstance({ classification_id: 1, ...values }));
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('changes the reason of a microstop and records it in the audit log within one transaction', async () => {
+        const microstop = asInstance({ microstop_ID: 42, workcenter_id: WORKCENTER_ID, reason: 'TBD' });
+        sinon.stub(Microstop, 'findByPk').resolves(microstop);
+
+        const result = await classifyStoppage({ stoppage_type: 'microstop', id: 42, reason_code: 'MAINT-ELEC' }, auditContext);
+
+        expect(result.reason_code).to.equal('MAINT-ELEC');
+        expect(result.classified_by).to.equal('operator');
+        expect(microstop.update.firstCall.args).to.deep.equal([{ reason: 'MAINT-ELEC' }, { transaction }]);
+        expect(StoppageClassification.create.firstCall.args[1]).to.deep.equal({ transaction });
+
+        const [entry, options] = AuditLog.create.firstCall.args;
+        expect(options).to.deep.equal({ transaction });
+        expect(entry).to.include({ entity: 'Microstop', entity_id: '42', action: 'update', changed_by: 'operator', reason: 'Fuse replaced' });
+        expect(entry.changed_fields).to.deep.equal(['reason']);
+        expect(entry.before.reason).to.equal('TBD');
+        expect(entry.after.reason).to.equal('MAINT-ELEC');
+    });
+
+    it('assigns the reason of a downtime within the transaction of its audit entry', async () => {
+        sinon.stub(UnplannedDowntime, 'findByPk').resolves(asInstance({ plannedOrder_ID: 7, workcenter_id: WORKCENTER_ID }));
+        sinon.stub(DowntimeReason, 'findByPk').resolves(null);
+        sinon.stub(DowntimeReason, 'upsert').resolves();
+
+        await classifyStoppage({ stoppage_type: 'unplanned', id: 7, reason_code: 'MAINT-ELEC' }, auditContext);
+
+        expect(DowntimeReason.upsert.firstCall.args[1]).to.deep.equal({ transaction });
+        const [entry] = AuditLog.create.firstCall.args;
+        expect(entry).to.include({ entity: 'UnplannedDowntime', entity_id: '7' });
+        expect(entry.before.reason_code).to.equal(null);
+        expect(entry.after.reason_code).to.equal('MAINT-ELEC');
+    });
+
+    it('records nothing for an invalid reason code', async () => {
+        sinon.stub(Microstop, 'findByPk').resolves(asInstance({ microstop_ID: 42, workcenter_id: WORKCENTER_ID, reason: 'TBD' }));
+
+        const error = await classifyStoppage({ stoppage_type: 'microstop', id: 42, reason_code: 'UNKNOWN' }, auditContext).catch(e => e);
+
+        expect(error.message).to.match(/^Invalid reason code: UNKNOWN/);
+        expect(StoppageClassification.create.called).to.equal(false);
+        expect(AuditLog.create.called).to.equal(false);
+    });
+});
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const { buildTopic, matchTopic, hasPlaceholder, generateMachineTopics } = require('../src/topicTemplates');
+
+const SPARKPLUG_TEMPLATE = 'spBv1.0/group_id/message_type/edge_node_id';
+const MACHINE = { workcenter_id: 'WC-1', plant: 'Plant1', area: 'Packaging', name: 'Line3' };
+
+describe('topicTemplates', () => {
+    describe('buildTopic', () => {
+        it('expands the Sparkplug names to the workcenter fields', () => {
+            const topic = buildTopic(`${SPARKPLUG_TEMPLATE}/device_id`, { ...MACHINE, machine: MACHINE.name, message_type: 'DDATA', metric: 'Runtime' });
+            expect(topic).to.equal('spBv1.0/Plant1/Packaging/DDATA/Line3/Runtime');
+        });
+
+        it('leaves out placeholders without a value and keeps values spanning several segments', () => {
+            expect(buildTopic(`${SPARKPLUG_TEMPLATE}/device_id`, { plant: 'P', area: 'A', machine: 'M', message_type: 'NBIRTH', metric: null }))
+                .to.equal('spBv1.0/P/A/NBIRTH/M');
+            expect(buildTopic('factory/{machine}/{metric}', { machine: 'line3', metric: 'counter/good' })).to.equal('factory/line3/counter/good');
+        });
+    });
+
+    describe('matchTopic', () => {
+        it('reads the values of a Sparkplug device topic', () => {
+            expect(matchTopic(`${SPARKPLUG_TEMPLATE}/device_id`, 'spBv1.0/Plant1/Packaging/DCMD/Line3/Hold')).to.deep.equal({
+                plant: 'Plant1', area: 'Packaging', message_type: 'DCMD', machine: 'Line3', metric: 'Hold',
+            });
+        });
+
+        it('accepts a missing last placeholder, e.g. the device of node messages', () => {
+            expect(matchTopic(`${SPARKPLUG_TEMPLATE}/device_id`, 'spBv1.0/Plant1/Packaging/NBIRTH/Line3')).to.deep.equal({
+                plant: 'Plant1', area: 'Packaging', message_type: 'NBIRTH', machine: 'Line3',
+            });
+        });
+
+        it('gives the last placeholder all remaining segments', () => {
+            expect(matchTopic('factory/{machine}/{metric}', 'factory/line3/counter/good')).to.deep.equal({ machine: 'line3', metric: 'counter/good' });
+        });
+
+        it('rejects topics with other literals or too few segments', () => {
+            expect(matchTopic('factory/{machine}/{metric}', 'plant/line3/counter')).to.equal(null);
+            expect(matchTopic(`${SPARKPLUG_TEMPLATE}/device_id`, 'spBv1.0/Plant1')).to.equal(null);
+        });
+    });
+
+    describe('generateMachineTopics', () => {
+        it('keeps the Sparkplug topics of the default template', () => {
+            const routes = generateMachineTopics(MACHINE, { payload_format: 'sparkplug', topic_template: SPARKPLUG_TEMPLATE, metric_topics: {} });
+
+            expect(hasPlaceholder(SPARKPLUG_TEMPLATE, 'metric')).to.equal(false);
+            expect(routes.get('spBv1.0/Plant1/Packaging/DDATA/Line3/Runtime')).to.include({ machineId: 'WC-1', metric: 'Runtime', dataType: 'DDATA' });
+            expect(routes.get('spBv1.0/Plant1/Packaging/DCMD/Line3/Hold')).to.include({ metric: 'Hold', dataType: 'DCMD' });
+            expect(routes.has('spBv1.0/Plant1/Packaging/DDATA/Line3/Hold')).to.equal(false);
+            ['NBIRTH', 'NDEATH'].forEach(type => expect(routes.has(`spBv1.0/Plant1/Packaging/${type}/Line3`)).to.equal(true));
+            ['DBIRTH', 'DDEATH'].forEach(type => expect(routes.has(`spBv1.0/Plant1/Packaging/${type}/Line3/+`)).to.equal(true));
+        });
+
+        it('creates one flat value topic per metric', () => {
+            const routes = generateMachineTopics(MACHINE, { payload_format: 'value', topic_template: 'factory/{machine}/{metric}', metric_topics: {} });
+            const route = routes.get('factory/Line3/Runtime');
+
+            expect(route).to.include({ payloadFormat: 'value', metric: 'Runtime', dataType: null });
+            expect(matchTopic(route.template, 'factory/Line3/Runtime')).to.deep.equal({ machine: 'Line3', metric: 'Runtime' });
+            expect([...routes.keys()].some(topic => topic.includes('BIRTH'))).to.equal(false);
+        });
+
+        it('renames the topics of the metric_topics and maps them back', () => {
+            const routes = generateMachineTopics(MACHINE, {
+                payload_format: 'value',
+                topic_template: 'factory/{machine}/{metric}',
+                metric_topics: { ActualProductionQuantity: 'counter/good', Runtime: 'runtime' },
+            });
+
+            expect([...routes.keys()]).to.deep.equal(['factory/Line3/counter/good', 'factory/Line3/runtime']);
+            const route = routes.get('factory/Line3/counter/good');
+            expect(route.metric).to.equal('ActualProductionQuantity');
+            expect(route.metricNames).to.deep.equal({ 'counter/good': 'ActualProductionQuantity', runtime: 'Runtime' });
+        });
+
+        it('uses one topic for all metrics without a {metric} placeholder', () => {
+            const routes = generateMachineTopics(MACHINE, { payload_format: 'json', topic_template: 'factory/{plant}/{machine}', metric_topics: {} });
+            expect([...routes.keys()]).to.deep.equal(['factory/Plant1/Line3']);
+            expect(routes.get('factory/Plant1/Line3').metric).to.equal(null);
+        });
+
+        it('generates nothing for a machine without plant, area or name', () => {
+            const routes = generateMachineTopics({ ...MACHINE, area: null }, { payload_format: 'sparkplug', topic_template: SPARKPLUG_TEMPLATE, metric_topics: {} });
+            expect(routes.size).to.equal(0);
+        });
+    });
+});
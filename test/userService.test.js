@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, User, RefreshToken } = require('../models');
+const userService = require('../services/userService');
+
+const USER_ID = '5d0c1e4a-2f7b-4c1e-9a3d-6b8e2f4a0001';
+
+/**
+ * Checks whether the native bcrypt module is built, password hashing needs it.
+ * @returns {boolean} True if bcrypt can be loaded.
+ */
+const bcryptAvailable = () => {
+    try {
+        require('bcrypt');
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Wraps a plain user like a Sequelize instance, update merges the changes.
+ * @param {Object} values - The values of the user.
+ * @returns {Object} The instance.
+ */
+const asInstance = (values) => {
+    const instance = { ...values, get: () => ({ ...values }) };
+    instance.update = sinon.stub().callsFake(async (changes) => {
+        Object.assign(values, changes);
+        return instance;
+    });
+    return instance;
+};
+
+describe('userService.updateUser', () => {
+    let user;
+
+    beforeEach(() => {
+        user = asInstance({ user_id: USER_ID, username: 'operator', password: 'old-hash' });
+        sinon.stub(User, 'findByPk').resolves(user);
+        sinon.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+        sinon.stub(RefreshToken, 'update').resolves([2]);
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('rejects an empty password', async () => {
+        const error = await userService.updateUser(USER_ID, { password: '' }).catch(e => e);
+
+        expect(error).to.be.an('error');
+        expect(error.message).to.include('Invalid password');
+        expect(user.update.called).to.equal(false);
+        expect(RefreshToken.update.called).to.equal(false);
+    });
+
+    it('rejects a password of only blanks', async () => {
+        const error = await userService.updateUser(USER_ID, { password: '   ' }).catch(e => e);
+
+        expect(error.message).to.include('Invalid password');
+    });
+
+    it('hashes a new password and revokes all refresh tokens of the user', async function () {
+        if (!bcryptAvailable()) {
+            this.skip();
+        }
+        const result = await userService.updateUser(USER_ID, { password: 'new-secret' });
+
+        const [changes] = user.update.firstCall.args;
+        expect(changes.password).to.match(/^\$2[aby]\$/);
+        expect(result).to.not.have.property('password');
+        expect(RefreshToken.update.calledOnce).to.equal(true);
+        const [values, options] = RefreshToken.update.firstCall.args;
+        expect(values.revoked_at).to.be.instanceOf(Date);
+        expect(options.where.user_id).to.equal(USER_ID);
+    });
+
+    it('keeps the refresh tokens when the password does not change', async () => {
+        await userService.updateUser(USER_ID, { username: 'shift-lead' });
+
+        expect(user.update.calledOnce).to.equal(true);
+        expect(RefreshToken.update.called).to.equal(false);
+    });
+});
@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const WebSocket = require('ws');
+const { apiClient } = require('../src/header');
+const { invalidateCache } = require('../src/dataLoader');
+const { subscribe, unsubscribe, scopeMatches, routeMessage } = require('../websocket/webSocketUtils');
+
+const WORKCENTERS = [
+    { workcenter_id: 'WC-A1', name: 'Line1', plant: 'Plant1', area: 'Packaging' },
+    { workcenter_id: 'WC-A2', name: 'Line2', plant: 'Plant1', area: 'Filling' },
+    { workcenter_id: 'WC-B1', name: 'Line1', plant: 'Plant2', area: 'Packaging' },
+];
+
+/**
+ * Creates an open client that records the messages sent to it.
+ * @param {...string} scopes - The subscribed scope patterns, none for an unsubscribed client.
+ * @returns {Object} The client.
+ */
+const createClient = (...scopes) => {
+    const client = { readyState: WebSocket.OPEN, send: sinon.spy() };
+    if (scopes.length > 0) {
+        subscribe(client, { scopes });
+    }
+    return client;
+};
+
+/**
+ * Returns the payloads a client received.
+ * @param {Object} client - The client of createClient.
+ * @returns {Array<Object>} The received messages ({ type, data }).
+ */
+const received = client => client.send.getCalls().map(call => JSON.parse(call.args[0]));
+
+describe('webSocketUtils', () => {
+    describe('scopeMatches', () => {
+        const scope = { plant: 'Plant1', area: 'Packaging', workcenterId: 'WC-A1', workcenterName: 'Line1' };
+
+        it('matches a workcenter by its name or ID, regardless of case', () => {
+            expect(scopeMatches('Plant1/Packaging/Line1', scope)).to.equal(true);
+            expect(scopeMatches('plant1/packaging/WC-A1', scope)).to.equal(true);
+            expect(scopeMatches('Plant1/Packaging/Line2', scope)).to.equal(false);
+        });
+
+        it('matches single segments with + and *', () => {
+            expect(scopeMatches('Plant1/+/Line1', scope)).to.equal(true);
+            expect(scopeMatches('*/Packaging/*', scope)).to.equal(true);
+            expect(scopeMatches('+/Filling/+', scope)).to.equal(false);
+        });
+
+        it('matches everything below a pattern with # or fewer segments', () => {
+            expect(scopeMatches('#', scope)).to.equal(true);
+            expect(scopeMatches('Plant1/#', scope)).to.equal(true);
+            expect(scopeMatches('Plant1/Packaging', scope)).to.equal(true);
+            expect(scopeMatches('Plant2/#', scope)).to.equal(false);
+        });
+
+        it('matches an unscoped message only with #', () => {
+            expect(scopeMatches('#', null)).to.equal(true);
+            expect(scopeMatches('Plant1/#', null)).to.equal(false);
+            expect(scopeMatches('+/+/+', null)).to.equal(false);
+        });
+    });
+
+    describe('subscribe', () => {
+        it('rejects invalid scope patterns', () => {
+            expect(() => subscribe({}, { scopes: ['Plant1/#/Line1'] })).to.throw('Invalid scope: Plant1/#/Line1');
+            expect(() => subscribe({}, { scopes: ['a/b/c/d'] })).to.throw('Invalid scope');
+            expect(() => subscribe({}, { scopes: [] })).to.throw('at least one scope is required');
+        });
+    });
+
+    describe('routeMessage', () => {
+        beforeEach(() => {
+            invalidateCache();
+            sinon.stub(apiClient, 'get').resolves({ data: WORKCENTERS });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            invalidateCache();
+        });
+
+        it('delivers a message only to the clients of its area', async () => {
+            const packaging = createClient('Plant1/Packaging');
+            const filling = createClient('Plant1/Filling');
+            const everything = createClient('#');
+
+            await routeMessage([packaging, filling, everything], 'OEEData', { workcenter_id: 'WC-A1', oee: 80 });
+
+            expect(received(packaging)).to.deep.equal([{ type: 'OEEData', data: { workcenter_id: 'WC-A1', oee: 80 } }]);
+            expect(filling.send.called).to.equal(false);
+            expect(everything.send.calledOnce).to.equal(true);
+        });
+
+        it('filters the entries of a list payload per client', async () => {
+            const plant1 = createClient('Plant1/#');
+            const line1 = createClient('+/Packaging/Line1');
+            const microstops = [
+                { ID: 1, workcenter_id: 'WC-A1' },
+                { ID: 2, workcenter_id: 'WC-A2' },
+                { ID: 3, workcenter_id: 'WC-B1' },
+            ];
+
+            await routeMessage([plant1, line1], 'Microstops', microstops);
+
+            expect(received(plant1)[0].data.map(entry => entry.ID)).to.deep.equal([1, 2]);
+            expect(received(line1)[0].data.map(entry => entry.ID)).to.deep.equal([1, 3]);
+        });
+
+        it('does not send unscoped messages to scoped clients', async () => {
+            const scoped = createClient('Plant1/+/+');
+            const everything = createClient('#');
+
+            await routeMessage([scoped, everything], 'Ratings', [{ id: 'r1', description: 'Good' }]);
+
+            expect(scoped.send.called).to.equal(false);
+            expect(received(everything)[0].data).to.have.lengthOf(1);
+        });
+
+        it('sends nothing to unsubscribed clients or for other message types', async () => {
+            const unsubscribed = createClient();
+            const oeeOnly = createClient('#');
+            subscribe(oeeOnly, { scopes: ['#'], types: ['OEEData'] });
+            const removed = createClient('#');
+            unsubscribe(removed);
+
+            await routeMessage([unsubscribed, oeeOnly, removed], 'Microstops', [{ ID: 1, workcenter_id: 'WC-A1' }]);
+
+            expect(unsubscribed.send.called).to.equal(false);
+            expect(oeeOnly.send.called).to.equal(false);
+            expect(removed.send.called).to.equal(false);
+        });
+    });
+});
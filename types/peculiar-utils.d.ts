@@ -0,0 +1,3 @@
+// @peculiar/asn1-schema ships CommonJS declarations importing the ESM-only @peculiar/utils,
+// which TypeScript rejects. Its declarations only need the buffer type of the package.
+export type BufferSourceLike = import('@peculiar/utils/bytes', { with: { 'resolution-mode': 'import' } }).BufferSourceLike;
@@ -0,0 +1,183 @@
+const moment = require('moment-timezone');
+const { getShiftInstances } = require('./shiftUtils');
+
+/**
+ * Ermittelt, ob eine Schicht an einem Tag laut Schichtkalender gearbeitet wird und welche Crew sie besetzt.
+ * Ohne Crew-Rotation entscheidet allein das Wochentagsmuster.
+ *
+ * @param {Object} calendar - Der Schichtkalender (mit `rotation_start_date`).
+ * @param {Object} calendarShift - Die Zuordnung der Schicht zum Kalender (`weekdays`, `crew_rotation`).
+ * @param {string} shiftDate - Das lokale Datum des Schichtbeginns (YYYY-MM-DD).
+ * @returns {{scheduled: boolean, crew: string|null}} - Ob die Schicht geplant ist und die Crew.
+ */
+function resolveShiftDay(calendar, calendarShift, shiftDate) {
+  const day = moment.utc(shiftDate, 'YYYY-MM-DD');
+  const weekdays = calendarShift.weekdays || [];
+  if (!weekdays.includes(day.isoWeekday())) {
+    return { scheduled: false, crew: null };
+  }
+
+  const rotation = calendarShift.crew_rotation || [];
+  if (rotation.length === 0) {
+    return { scheduled: true, crew: null };
+  }
+
+  const anchor = moment.utc(calendar.rotation_start_date || shiftDate, 'YYYY-MM-DD');
+  const offset = day.diff(anchor, 'days');
+  const crew = rotation[((offset % rotation.length) + rotation.length) % rotation.length];
+  return { scheduled: crew !== null && crew !== undefined && crew !== '', crew: crew || null };
+}
+
+/**
+ * Liefert alle Schichten eines Kalenders in einem Zeitraum mit Planungsstatus und Crew.
+ * Schichten, die in einen Feiertag oder eine Schließung fallen, gelten als nicht geplant.
+ *
+ * @param {Object} calendar - Der Schichtkalender mit `shifts` und `exceptions`.
+ * @param {Array<Object>} shiftModels - Die im Kalender referenzierten Schichtmodelle.
+ * @param {Date|string} from - Beginn des Zeitraums.
+ * @param {Date|string} to - Ende des Zeitraums.
+ * @returns {Array<Object>} - Die Schichten, sortiert nach Beginn.
+ */
+function getCalendarSchedule(calendar, shiftModels, from, to) {
+  const shiftModelsById = new Map(shiftModels.map((shift) => [shift.shift_id, shift]));
+  const exceptions = calendar.exceptions || [];
+
+  return (calendar.shifts || [])
+    .filter((calendarShift) => shiftModelsById.has(calendarShift.shift_id))
+    .flatMap((calendarShift) => {
+      const shiftModel = shiftModelsById.get(calendarShift.shift_id);
+      return getShiftInstances(shiftModel, from, to).map((instance) => {
+        const { scheduled, crew } = resolveShiftDay(calendar, calendarShift, instance.shiftDate);
+        const exception = exceptions.find((entry) =>
+          instance.start.isBefore(moment.utc(entry.end_date)) && instance.end.isAfter(moment.utc(entry.start_date)));
+
+        return {
+          shift_id: shiftModel.shift_id,
+          shift_name: shiftModel.shift_name,
+          workcenter_id: shiftModel.workcenter_id,
+          shift_date: instance.shiftDate,
+          start: instance.start.toISOString(),
+          end: instance.end.toISOString(),
+          crew,
+          scheduled: scheduled && !exception,
+          exception: exception ? { type: exception.type, name: exception.name } : null,
+        };
+      });
+    })
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Fasst überlappende Zeitfenster zusammen.
+ *
+ * @param {Array<{start: moment.Moment, end: moment.Moment}>} windows - Die Zeitfenster.
+ * @returns {Array<{start: moment.Moment, end: moment.Moment}>} - Die zusammengefassten Zeitfenster.
+ */
+function mergeWindows(windows) {
+  const sorted = [...windows].sort((a, b) => a.start.valueOf() - b.start.valueOf());
+  return sorted.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && !window.start.isAfter(last.end)) {
+      last.end = moment.max(last.end, window.end);
+    } else {
+      merged.push({ start: window.start.clone(), end: window.end.clone() });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Ermittelt die Lücken zwischen den Schichten eines Zeitraums, also die Zeiten, die von keiner Schicht
+ * der Schichtmodelle abgedeckt sind. Ohne Schichtmodelle gibt es keine Lücken.
+ *
+ * @param {Array<Object>} shiftModels - Die Schichtmodelle der Maschine.
+ * @param {moment.Moment} rangeStart - Beginn des Zeitraums.
+ * @param {moment.Moment} rangeEnd - Ende des Zeitraums.
+ * @returns {Array<{start: moment.Moment, end: moment.Moment}>} - Die Lücken, sortiert nach Beginn.
+ */
+function getShiftGaps(shiftModels, rangeStart, rangeEnd) {
+  if (!shiftModels || shiftModels.length === 0) {
+    return [];
+  }
+  const covered = mergeWindows(
+    shiftModels.flatMap((shiftModel) => getShiftInstances(shiftModel, rangeStart, rangeEnd))
+      .map(({ start, end }) => ({ start, end }))
+  );
+
+  const gaps = [];
+  let cursor = rangeStart.clone();
+  covered.forEach(({ start, end }) => {
+    if (start.isAfter(cursor)) {
+      gaps.push({ start: cursor.clone(), end: start.clone() });
+    }
+    cursor = moment.max(cursor, end);
+  });
+  if (rangeEnd.isAfter(cursor)) {
+    gaps.push({ start: cursor.clone(), end: rangeEnd.clone() });
+  }
+  return gaps;
+}
+
+/**
+ * Summiert die Minuten, in denen Zeitfenster einen Zeitraum überlappen, minutengenau mit Nachkommastellen.
+ * Die Zeitfenster dürfen sich nicht überlappen (siehe getNonScheduledWindows).
+ *
+ * @param {Array<{start: *, end: *}>} windows - Die Zeitfenster (Moment, Date oder ISO-String).
+ * @param {Date|string|moment.Moment} from - Beginn des Zeitraums.
+ * @param {Date|string|moment.Moment} to - Ende des Zeitraums.
+ * @returns {number} - Die überlappenden Minuten.
+ */
+function getOverlapMinutes(windows, from, to) {
+  const rangeStart = moment.utc(from);
+  const rangeEnd = moment.utc(to);
+  return (windows || []).reduce((total, window) => {
+    const start = moment.max(moment.utc(window.start), rangeStart);
+    const end = moment.min(moment.utc(window.end), rangeEnd);
+    return end.isAfter(start) ? total + end.diff(start, 'minutes', true) : total;
+  }, 0);
+}
+
+/**
+ * Ermittelt die nicht geplanten Zeiten (Non-Scheduled Time) einer Maschine in einem Zeitraum:
+ * Feiertage und Schließungen der Kalender, Schichten, die laut Wochentagsmuster oder Crew-Rotation
+ * an einem Tag nicht gearbeitet werden, sowie die Lücken zwischen den Schichten.
+ * Schichtmodelle ohne Kalender gelten als immer geplant, Maschinen ohne Schichtmodelle als durchgehend geplant.
+ *
+ * @param {Array<Object>} calendars - Die für die Maschine gültigen Kalender mit `shifts` und `exceptions`.
+ * @param {Array<Object>} shiftModels - Die Schichtmodelle der Maschine.
+ * @param {Date|string|moment.Moment} from - Beginn des Zeitraums.
+ * @param {Date|string|moment.Moment} to - Ende des Zeitraums.
+ * @returns {Array<{start: moment.Moment, end: moment.Moment}>} - Die zusammengefassten Zeitfenster.
+ */
+function getNonScheduledWindows(calendars, shiftModels, from, to) {
+  const rangeStart = moment.utc(from);
+  const rangeEnd = moment.utc(to);
+  const windows = [];
+
+  (calendars || []).forEach((calendar) => {
+    (calendar.exceptions || []).forEach((exception) => {
+      windows.push({ start: moment.utc(exception.start_date), end: moment.utc(exception.end_date) });
+    });
+
+    getCalendarSchedule(calendar, shiftModels || [], rangeStart, rangeEnd)
+      .filter((instance) => !instance.scheduled && !instance.exception)
+      .forEach((instance) => {
+        windows.push({ start: moment.utc(instance.start), end: moment.utc(instance.end) });
+      });
+  });
+
+  windows.push(...getShiftGaps(shiftModels, rangeStart, rangeEnd));
+
+  return mergeWindows(
+    windows
+      .map(({ start, end }) => ({ start: moment.max(start, rangeStart), end: moment.min(end, rangeEnd) }))
+      .filter(({ start, end }) => end.isAfter(start))
+  );
+}
+
+module.exports = {
+  resolveShiftDay,
+  getCalendarSchedule,
+  getNonScheduledWindows,
+  getOverlapMinutes,
+};
@@ -62,6 +62,7 @@ function formatDateToLocalString(dateInput, format = 'DD.MM.YYYY HH:mm:ss') {
 }
 
 module.exports = {
+  TIMEZONE,
   parseDateAsUTC,
   formatDateToUTCString,
   formatDateToLocalString,
@@ -0,0 +1,260 @@
+const moment = require('moment-timezone');
+const { TIMEZONE } = require('./dateUtils');
+
+/**
+ * Entfaltet umbrochene iCal-Zeilen (RFC 5545, Abschnitt 3.1).
+ *
+ * @param {string} content - Der Inhalt der iCal-Datei.
+ * @returns {Array<string>} - Die entfalteten Zeilen.
+ */
+function unfoldLines(content) {
+  return content
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim() !== '');
+}
+
+/**
+ * Zerlegt eine iCal-Zeile in Name, Parameter und Wert.
+ *
+ * @param {string} line - Die Zeile, z. B. "DTSTART;VALUE=DATE:20261225".
+ * @returns {{name: string, params: Object, value: string}} - Die Bestandteile der Zeile.
+ */
+function parseLine(line) {
+  const separator = line.indexOf(':');
+  const head = separator >= 0 ? line.slice(0, separator) : line;
+  const value = separator >= 0 ? line.slice(separator + 1) : '';
+  const [name, ...paramParts] = head.split(';');
+
+  const params = paramParts.reduce((acc, part) => {
+    const [key, paramValue] = part.split('=');
+    acc[key.toUpperCase()] = paramValue;
+    return acc;
+  }, {});
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+/**
+ * Wandelt einen DATE- oder DATE-TIME-Wert in einen Zeitpunkt um.
+ * Ganztägige und ortsbezogene Werte ohne TZID werden in der Werkszeitzone interpretiert.
+ *
+ * @param {string} value - Der Wert, z. B. "20261225" oder "20261225T080000Z".
+ * @param {Object} params - Die Parameter der Zeile (VALUE, TZID).
+ * @returns {{date: moment.Moment, allDay: boolean}} - Der Zeitpunkt und ob es ein ganztägiger Wert ist.
+ * @throws {Error} - Wenn der Wert ungültig ist.
+ */
+function parseDateValue(value, params) {
+  const allDay = params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+  let date;
+
+  if (allDay) {
+    date = moment.tz(value, 'YYYYMMDD', true, TIMEZONE);
+  } else if (value.endsWith('Z')) {
+    date = moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true);
+  } else {
+    const zone = params.TZID && moment.tz.zone(params.TZID) ? params.TZID : TIMEZONE;
+    date = moment.tz(value, 'YYYYMMDD[T]HHmmss', true, zone);
+  }
+
+  if (!date.isValid()) {
+    throw new Error(`Invalid iCal date value: ${value}`);
+  }
+
+  return { date, allDay };
+}
+
+/**
+ * Entfernt die iCal-Maskierung aus einem Textwert.
+ *
+ * @param {string} value - Der maskierte Text.
+ * @returns {string} - Der Text ohne Maskierung.
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// Einheiten der unterstützten Wiederholungsfrequenzen (RRULE FREQ)
+const RECURRENCE_UNITS = {
+  DAILY: 'days',
+  WEEKLY: 'weeks',
+  MONTHLY: 'months',
+  YEARLY: 'years',
+};
+// Unterstützte Bestandteile einer RRULE, z. B. "FREQ=YEARLY;INTERVAL=1;COUNT=10"
+const RECURRENCE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'];
+// Wiederholungen ohne COUNT und UNTIL werden bis so viele Jahre in die Zukunft erzeugt
+const RECURRENCE_HORIZON_YEARS = 5;
+// Obergrenze der Termine je Wiederholungsregel
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Zerlegt eine Wiederholungsregel (RRULE). Unterstützt werden Wiederholungen im festen Abstand
+ * (FREQ DAILY, WEEKLY, MONTHLY oder YEARLY mit INTERVAL, COUNT und UNTIL).
+ *
+ * @param {string} value - Der Wert der RRULE, z. B. "FREQ=YEARLY;COUNT=5".
+ * @returns {{unit: string, interval: number, count: number|null, until: moment.Moment|null}} - Die Regel.
+ * @throws {Error} - Wenn die Regel ungültig ist oder nicht unterstützte Bestandteile enthält (z. B. BYDAY).
+ */
+function parseRecurrenceRule(value) {
+  const parts = value.trim().split(';').filter(Boolean).reduce((acc, part) => {
+    const [key, partValue = ''] = part.split('=');
+    acc[key.toUpperCase()] = partValue.toUpperCase();
+    return acc;
+  }, {});
+
+  const unsupported = Object.keys(parts).filter((key) => !RECURRENCE_PARTS.includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Invalid iCal content: RRULE ${unsupported.join(', ')} is not supported`);
+  }
+  const unit = RECURRENCE_UNITS[parts.FREQ];
+  if (!unit) {
+    throw new Error(`Invalid iCal content: RRULE FREQ ${parts.FREQ || '(missing)'} is not supported`);
+  }
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  if (!Number.isInteger(interval) || interval < 1 || (count !== null && (!Number.isInteger(count) || count < 1))) {
+    throw new Error(`Invalid iCal content: RRULE ${value.trim()} has an invalid INTERVAL or COUNT`);
+  }
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL, {}).date : null;
+
+  return { unit, interval, count, until };
+}
+
+/**
+ * Erzeugt die Beginne aller Termine einer Wiederholungsregel. Termine, die es nicht gibt
+ * (z. B. der 31. in Monaten mit 30 Tagen), und Ausnahmen (EXDATE) werden übersprungen.
+ *
+ * @param {moment.Moment} start - Der Beginn des ersten Termins (DTSTART).
+ * @param {Object} rule - Die Regel (siehe parseRecurrenceRule).
+ * @param {Array<moment.Moment>} exceptionDates - Die ausgenommenen Beginne (EXDATE).
+ * @returns {Array<moment.Moment>} - Die Beginne der Termine, höchstens MAX_OCCURRENCES.
+ */
+function expandRecurrence(start, rule, exceptionDates) {
+  const horizon = rule.until || moment.max(moment(), start).add(RECURRENCE_HORIZON_YEARS, 'years');
+  const starts = [];
+  let generated = 0;
+
+  for (let step = 0; starts.length < MAX_OCCURRENCES; step += 1) {
+    const occurrence = start.clone().add(step * rule.interval, rule.unit);
+    if (occurrence.isAfter(horizon) || (rule.count !== null && generated >= rule.count)) {
+      break;
+    }
+    if (occurrence.date() !== start.date()) {
+      continue;
+    }
+    generated += 1;
+    if (!exceptionDates.some((date) => date.isSame(occurrence))) {
+      starts.push(occurrence);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Wandelt einen gelesenen VEVENT in Termine um, bei einer Wiederholungsregel in einen Termin je Wiederholung.
+ * Wiederholte Termine erhalten die UID mit dem Beginn als Suffix, damit ein erneuter Import sie erkennt.
+ *
+ * @param {Object} event - Der gelesene VEVENT (uid, summary, start, end, allDay, rule, exceptionDates).
+ * @returns {Array<{uid: string|null, name: string, start: Date, end: Date}>} - Die Termine.
+ */
+function toEvents(event) {
+  const end = event.end
+    || (event.allDay ? event.start.clone().add(1, 'day') : event.start.clone());
+  const duration = end.diff(event.start);
+  const name = event.summary || 'Holiday';
+
+  if (!event.rule) {
+    return [{ uid: event.uid || null, name, start: event.start.toDate(), end: end.toDate() }];
+  }
+  return expandRecurrence(event.start, event.rule, event.exceptionDates).map((start) => ({
+    uid: event.uid
+      ? `${event.uid}/${event.allDay ? start.format('YYYYMMDD') : start.clone().utc().format('YYYYMMDD[T]HHmmss[Z]')}`
+      : null,
+    name,
+    start: start.toDate(),
+    end: start.clone().add(duration, 'milliseconds').toDate(),
+  }));
+}
+
+/**
+ * Liest die Termine (VEVENT) einer iCal-Datei, z. B. eines Feiertagskalenders.
+ * Ohne DTEND endet ein ganztägiger Termin am Folgetag, ein Termin mit Uhrzeit zum Beginn.
+ * Wiederkehrende Termine (RRULE) werden in einzelne Termine aufgelöst, RDATE wird nicht unterstützt.
+ *
+ * @param {string} content - Der Inhalt der iCal-Datei.
+ * @returns {Array<{uid: string|null, name: string, start: Date, end: Date}>} - Die Termine.
+ * @throws {Error} - Wenn der Inhalt kein gültiger iCal-Kalender ist.
+ */
+function parseICalEvents(content) {
+  if (typeof content !== 'string' || !content.includes('BEGIN:VCALENDAR')) {
+    throw new Error('Invalid iCal content: BEGIN:VCALENDAR is missing');
+  }
+
+  const events = [];
+  let current = null;
+
+  unfoldLines(content).forEach((line) => {
+    const { name, params, value } = parseLine(line);
+
+    if (name === 'BEGIN' && value === 'VEVENT') {
+      if (current) {
+        throw new Error('Invalid iCal content: BEGIN:VEVENT inside another VEVENT');
+      }
+      current = { exceptionDates: [] };
+    } else if (name === 'END' && value === 'VEVENT') {
+      if (!current) {
+        throw new Error('Invalid iCal content: END:VEVENT without BEGIN:VEVENT');
+      }
+      if (!current.start) {
+        throw new Error('Invalid iCal content: VEVENT without DTSTART');
+      }
+      events.push(...toEvents(current));
+      current = null;
+    } else if (current) {
+      switch (name) {
+        case 'UID':
+          current.uid = value.trim();
+          break;
+        case 'SUMMARY':
+          current.summary = unescapeText(value);
+          break;
+        case 'DTSTART': {
+          const { date, allDay } = parseDateValue(value.trim(), params);
+          current.start = date;
+          current.allDay = allDay;
+          break;
+        }
+        case 'DTEND':
+          current.end = parseDateValue(value.trim(), params).date;
+          break;
+        case 'RRULE':
+          current.rule = parseRecurrenceRule(value);
+          break;
+        case 'EXDATE':
+          value.split(',').forEach((date) => {
+            current.exceptionDates.push(parseDateValue(date.trim(), params).date);
+          });
+          break;
+        case 'RDATE':
+          throw new Error('Invalid iCal content: RDATE is not supported');
+        default:
+          break;
+      }
+    }
+  });
+
+  if (current) {
+    throw new Error('Invalid iCal content: BEGIN:VEVENT without END:VEVENT');
+  }
+
+  return events;
+}
+
+module.exports = {
+  parseICalEvents,
+};
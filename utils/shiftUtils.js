@@ -0,0 +1,106 @@
+const moment = require('moment-timezone');
+const { TIMEZONE } = require('./dateUtils');
+
+/**
+ * Baut aus einem lokalen Datum und einer Uhrzeit (TIME-Spalte) einen Zeitpunkt in der Werkszeitzone.
+ *
+ * @param {string} date - Das lokale Datum (YYYY-MM-DD).
+ * @param {string} time - Die Uhrzeit (HH:mm oder HH:mm:ss).
+ * @returns {moment.Moment} - Der resultierende Zeitpunkt.
+ */
+function atLocalTime(date, time) {
+  return moment.tz(`${date} ${time}`, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm'], TIMEZONE);
+}
+
+/**
+ * Liefert die Pausen eines Schichtmodells. Sind keine Pausen in `shift_breaks` hinterlegt,
+ * wird die einzelne Pause aus `break_start`/`break_end` des Schichtmodells verwendet.
+ *
+ * @param {Object} shift - Das Schichtmodell (optional mit `breaks`).
+ * @returns {Array<{break_start: string, break_end: string}>} - Die Pausen des Schichtmodells.
+ */
+function getShiftBreaks(shift) {
+  if (Array.isArray(shift.breaks) && shift.breaks.length > 0) {
+    return shift.breaks;
+  }
+  if (shift.break_start && shift.break_end && shift.break_start !== shift.break_end) {
+    return [{ break_start: shift.break_start, break_end: shift.break_end }];
+  }
+  return [];
+}
+
+/**
+ * Expandiert ein Schichtmodell in die konkreten Schichten, die einen Zeitraum überlappen.
+ * Schichten, deren Ende nicht nach dem Beginn liegt, laufen über Mitternacht in den Folgetag.
+ * Pausen vor Schichtbeginn gehören zum Folgetag (z. B. 02:00 in einer Nachtschicht ab 22:00).
+ *
+ * @param {Object} shift - Das Schichtmodell.
+ * @param {Date|string|moment.Moment} from - Beginn des Zeitraums.
+ * @param {Date|string|moment.Moment} to - Ende des Zeitraums.
+ * @returns {Array<Object>} - Die Schichten ({ shiftModel, shiftDate, start, end, breaks: [{ start, end }] }).
+ */
+function getShiftInstances(shift, from, to) {
+  const rangeStart = moment.utc(from);
+  const rangeEnd = moment.utc(to);
+  const shiftBreaks = getShiftBreaks(shift);
+  const instances = [];
+
+  // Einen Tag früher beginnen, damit Nachtschichten vom Vortag erfasst werden
+  const day = rangeStart.clone().tz(TIMEZONE).subtract(1, 'day').startOf('day');
+  const lastDay = rangeEnd.clone().tz(TIMEZONE).startOf('day');
+
+  while (!day.isAfter(lastDay)) {
+    const shiftDate = day.format('YYYY-MM-DD');
+    const start = atLocalTime(shiftDate, shift.shift_start_time);
+    const end = atLocalTime(shiftDate, shift.shift_end_time);
+    if (!end.isAfter(start)) {
+      end.add(1, 'day');
+    }
+
+    if (start.isBefore(rangeEnd) && end.isAfter(rangeStart)) {
+      const breaks = shiftBreaks.map((shiftBreak) => {
+        const breakStart = atLocalTime(shiftDate, shiftBreak.break_start);
+        if (breakStart.isBefore(start)) {
+          breakStart.add(1, 'day');
+        }
+        const breakEnd = atLocalTime(breakStart.format('YYYY-MM-DD'), shiftBreak.break_end);
+        if (!breakEnd.isAfter(breakStart)) {
+          breakEnd.add(1, 'day');
+        }
+        return {
+          start: moment.max(breakStart, start),
+          end: moment.min(breakEnd, end),
+        };
+      }).filter(({ start: breakStart, end: breakEnd }) => breakEnd.isAfter(breakStart));
+
+      instances.push({ shiftModel: shift, shiftDate, start, end, breaks });
+    }
+    day.add(1, 'day');
+  }
+
+  return instances;
+}
+
+/**
+ * Liefert alle Pausenfenster der Schichtmodelle, die einen Zeitraum überlappen.
+ *
+ * @param {Array<Object>} shifts - Die Schichtmodelle.
+ * @param {Date|string|moment.Moment} from - Beginn des Zeitraums.
+ * @param {Date|string|moment.Moment} to - Ende des Zeitraums.
+ * @returns {Array<{start: moment.Moment, end: moment.Moment}>} - Die Pausenfenster.
+ */
+function getBreakWindows(shifts, from, to) {
+  const rangeStart = moment.utc(from);
+  const rangeEnd = moment.utc(to);
+
+  return shifts
+    .flatMap((shift) => getShiftInstances(shift, rangeStart, rangeEnd))
+    .flatMap((instance) => instance.breaks)
+    .filter(({ start, end }) => start.isBefore(rangeEnd) && end.isAfter(rangeStart));
+}
+
+module.exports = {
+  getShiftBreaks,
+  getShiftInstances,
+  getBreakWindows,
+};
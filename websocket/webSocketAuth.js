@@ -0,0 +1,125 @@
+const { URL } = require('url');
+const { defaultLogger, errorLogger } = require('../utils/logger');
+const { verifyApplicationToken } = require('../services/authService');
+const { hasPermission, getRolesWithPermission } = require('../config/permissions');
+
+// Subprotocol announcing the token in Sec-WebSocket-Protocol, e.g. new WebSocket(url, ['bearer', token])
+const TOKEN_PROTOCOL = 'bearer';
+
+// Close code sent when the token of a connection expires
+const CLOSE_TOKEN_EXPIRED = 4001;
+
+// Permission required for write messages such as classifyStoppage and updateRating
+const CLASSIFY_PERMISSION = 'downtime:classify';
+const CLASSIFICATION_ROLES = getRolesWithPermission(CLASSIFY_PERMISSION);
+
+/**
+ * Extracts the application JWT from the handshake request, either from the `token`
+ * query parameter or from the Sec-WebSocket-Protocol header after the bearer subprotocol.
+ *
+ * @param {Object} req - The HTTP upgrade request.
+ * @returns {string|null} The token or null if none was sent.
+ */
+function extractToken(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const queryToken = url.searchParams.get('token');
+    if (queryToken) {
+        return queryToken;
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    const index = protocols.indexOf(TOKEN_PROTOCOL);
+    return index !== -1 && protocols[index + 1] ? protocols[index + 1] : null;
+}
+
+/**
+ * Verifies the JWT of a WebSocket handshake (verifyClient of the ws server) and attaches the user to the request.
+ *
+ * @param {Object} info - The handshake information ({ origin, secure, req }).
+ * @param {Function} callback - Called with (result, code, message).
+ */
+function verifyWebSocketClient(info, callback) {
+    const token = extractToken(info.req);
+    if (!token) {
+        defaultLogger.warn('WebSocket connection rejected: no token provided');
+        return callback(false, 401, 'Unauthorized');
+    }
+
+    verifyApplicationToken(token)
+        .then((user) => {
+            info.req.user = user;
+            callback(true);
+        })
+        .catch((error) => {
+            defaultLogger.warn(`WebSocket connection rejected: ${error.message}`);
+            callback(false, 401, 'Unauthorized');
+        });
+}
+
+/**
+ * Selects the subprotocol of the handshake so the token itself is never echoed to the client.
+ *
+ * @param {Set<string>} protocols - The subprotocols requested by the client.
+ * @returns {string|false} The bearer subprotocol or false if none was requested.
+ */
+function handleProtocols(protocols) {
+    return protocols.has(TOKEN_PROTOCOL) ? TOKEN_PROTOCOL : false;
+}
+
+/**
+ * Attaches a verified user to a socket and closes the socket when the token expires.
+ * Calling it again (after re-authentication) replaces the user and the expiry timer.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {Object} user - The verified user (userId, username, role, expiresAt).
+ */
+function attachUser(ws, user) {
+    if (!ws.user) {
+        ws.once('close', () => clearTimeout(ws.tokenExpiryTimer));
+    }
+    clearTimeout(ws.tokenExpiryTimer);
+    ws.user = user;
+    if (user.expiresAt) {
+        ws.tokenExpiryTimer = setTimeout(() => {
+            defaultLogger.info(`WebSocket token of user ${user.username} expired, closing connection.`);
+            ws.close(CLOSE_TOKEN_EXPIRED, 'Token expired');
+        }, Math.max(0, user.expiresAt - Date.now()));
+    }
+}
+
+/**
+ * Re-authenticates an open connection with a new token, e.g. after a token refresh.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {string} token - The new application JWT.
+ * @returns {Promise<Object>} The verified user.
+ * @throws {Error} If the token is invalid or belongs to another user.
+ */
+async function reauthenticate(ws, token) {
+    const user = await verifyApplicationToken(token);
+    if (ws.user && ws.user.userId !== user.userId) {
+        errorLogger.warn(`WebSocket re-authentication of user ${ws.user.username} with a token of ${user.username} rejected.`);
+        throw new Error('Token belongs to another user');
+    }
+    attachUser(ws, user);
+    return user;
+}
+
+/**
+ * Checks whether the user of a connection may classify downtimes.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @returns {boolean} True if the role of the user is allowed to classify downtimes.
+ */
+function canClassify(ws) {
+    return Boolean(ws.user) && hasPermission(ws.user.role, CLASSIFY_PERMISSION);
+}
+
+module.exports = {
+    CLASSIFICATION_ROLES,
+    verifyWebSocketClient,
+    handleProtocols,
+    attachUser,
+    reauthenticate,
+    canClassify,
+};
@@ -1,4 +1,123 @@
 const { defaultLogger, errorLogger } = require('../utils/logger');
+const { sendWebSocketMessage, sendToClient, subscribe, unsubscribe } = require('./webSocketUtils');
+const { loadMicrostops, invalidateCache } = require('../src/dataLoader');
+const { classifyStoppage, getUnclassifiedStoppages } = require('../services/stoppageClassificationService');
+const { CLASSIFICATION_ROLES, attachUser, reauthenticate, canClassify } = require('./webSocketAuth');
+
+// Message fields holding credentials, they are never written to the log
+const REDACTED_FIELDS = ['token'];
+
+/**
+ * Returns a copy of a message for the log without credentials, e.g. the JWT of an authenticate message.
+ *
+ * @param {Object} message - The parsed message.
+ * @returns {Object} The message with redacted credentials.
+ */
+function redactMessage(message) {
+    if (!message || typeof message.data !== 'object' || message.data === null) {
+        return message;
+    }
+    const data = { ...message.data };
+    REDACTED_FIELDS.filter(field => field in data).forEach((field) => {
+        data[field] = '[redacted]';
+    });
+    return { ...message, data };
+}
+
+/**
+ * Returns the identity of the operator sending a message.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {Object} data - The message data.
+ * @returns {string} The operator identity.
+ */
+function getOperator(ws, data) {
+    if (ws.user && ws.user.username) {
+        return ws.user.username;
+    }
+    return data && data.operator ? String(data.operator) : 'anonymous';
+}
+
+/**
+ * Returns the audit context of a message: the operator, the role and the comment as reason for change.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {Object} data - The message data.
+ * @returns {Object} The audit context ({ user, role, reason }).
+ */
+function getMessageAuditContext(ws, data) {
+    return {
+        user: getOperator(ws, data),
+        role: ws.user && ws.user.role ? ws.user.role : null,
+        reason: data && data.comment ? String(data.comment).slice(0, 1000) : null,
+    };
+}
+
+/**
+ * Classifies a stoppage on behalf of an operator and reports failures back to the operator.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {Object} data - The classification (stoppage_type, id, reason_code, comment).
+ * @param {Object} [options] - Options passed to the classification service.
+ * @returns {Promise<Object|null>} The classification or null if it failed.
+ */
+async function handleClassification(ws, data, options) {
+    if (!canClassify(ws)) {
+        defaultLogger.warn(`User ${getOperator(ws, data)} with role ${ws.user && ws.user.role} tried to classify stoppage ${data.id}.`);
+        ws.send(JSON.stringify({
+            type: 'ClassificationError',
+            data: { id: data.id, message: `Forbidden: classifying downtimes requires one of the roles ${CLASSIFICATION_ROLES.join(', ')}` },
+        }));
+        return null;
+    }
+
+    try {
+        return await classifyStoppage(data, getMessageAuditContext(ws, data), options);
+    } catch (error) {
+        errorLogger.error(`Error classifying stoppage: ${error.message}`);
+        ws.send(JSON.stringify({ type: 'ClassificationError', data: { id: data.id, message: error.message } }));
+        return null;
+    }
+}
+
+/**
+ * Replaces the token of an open connection (e.g. after a token refresh) and extends its lifetime.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {Object} data - The message data ({ token }).
+ */
+async function handleAuthenticate(ws, data) {
+    try {
+        const user = await reauthenticate(ws, data.token);
+        ws.send(JSON.stringify({ type: 'Authenticated', data: { username: user.username, role: user.role, expires_at: user.expiresAt } }));
+    } catch (error) {
+        ws.send(JSON.stringify({ type: 'AuthenticationError', data: { message: error.message } }));
+    }
+}
+
+/**
+ * Subscribes a client to scopes and message types and sends it the current microstops
+ * and the classification backlog of its scopes.
+ *
+ * @param {Object} ws - The WebSocket client connection.
+ * @param {Object} data - The subscription ({ scopes, types }).
+ */
+async function handleSubscribe(ws, data) {
+    try {
+        ws.send(JSON.stringify({ type: 'Subscriptions', data: subscribe(ws, data) }));
+    } catch (error) {
+        ws.send(JSON.stringify({ type: 'SubscriptionError', data: { message: error.message } }));
+        return;
+    }
+
+    try {
+        await sendToClient(ws, 'Microstops', await loadMicrostops());
+        await sendToClient(ws, 'UnclassifiedStoppages', await getUnclassifiedStoppages());
+    } catch (error) {
+        errorLogger.error(`Error sending initial data to subscribed client: ${error.message}`);
+    }
+}
+
 /**
  * Handles WebSocket connections and message processing.
  * 
@@ -7,7 +126,9 @@ const { defaultLogger, errorLogger } = require('../utils/logger');
 function handleWebSocketConnections(wss) {
     // Event listener for new WebSocket connections
     wss.on('connection', (ws, req) => {
-        defaultLogger.info('WebSocket connection established');
+        // The user was verified during the handshake (see webSocketAuth.verifyWebSocketClient)
+        attachUser(ws, req.user);
+        defaultLogger.info(`WebSocket connection established for user ${req.user.username} (${req.user.role})`);
 
         // Set up ping/pong mechanism to detect broken connections
         ws.isAlive = true;
@@ -31,33 +152,42 @@ function handleWebSocketConnections(wss) {
         }, 30000); // Ping every 30 seconds
 
         // Handle incoming messages from WebSocket clients
-        ws.on('message', (message) => {
+        ws.on('message', async (message) => {
+            let parsedMessage;
             try {
-                const parsedMessage = JSON.parse(message); // Parse the received message
-                defaultLogger.info(`Received message: ${message}`);
-
-                // Check the message type and act accordingly
-                if (parsedMessage.type === 'updateRating') {
-                    const { ProcessOrderID, ID, Reason } = parsedMessage.data;
-
-                    // Process and save the rating, handling any errors
-                    saveRating(ProcessOrderID, ID, Reason, (error, updatedStoppages) => {
-                        if (error) {
-                            errorLogger.error(`Error saving rating: ${error.message}`);
-                            return;
-                        }
-
-                        // Broadcast the updated data to all connected WebSocket clients
-                        wss.clients.forEach(client => {
-                            if (client.readyState === ws.OPEN) {
-                                client.send(JSON.stringify({ type: 'Microstops', data: updatedStoppages }));
-                            }
-                        });
-                    });
-                }
+                parsedMessage = JSON.parse(message); // Parse the received message
+                defaultLogger.info(`Received message: ${JSON.stringify(redactMessage(parsedMessage))}`);
             } catch (err) {
                 errorLogger.error(`Error processing WebSocket message: ${err.message}`);
                 ws.send(JSON.stringify({ error: 'Invalid message format' })); // Optional: Notify client of the error
+                return;
+            }
+
+            // Check the message type and act accordingly
+            if (parsedMessage.type === 'authenticate') {
+                await handleAuthenticate(ws, parsedMessage.data || {});
+            } else if (parsedMessage.type === 'subscribe') {
+                await handleSubscribe(ws, parsedMessage.data || {});
+            } else if (parsedMessage.type === 'unsubscribe') {
+                ws.send(JSON.stringify({ type: 'Subscriptions', data: unsubscribe(ws, parsedMessage.data || {}) }));
+            } else if (parsedMessage.type === 'classifyStoppage') {
+                await handleClassification(ws, parsedMessage.data || {});
+            } else if (parsedMessage.type === 'updateRating') {
+                // Drag and drop of a rating label onto a microstop in the old dashboard
+                const { ID, Reason } = parsedMessage.data || {};
+                const classification = await handleClassification(
+                    ws,
+                    { stoppage_type: 'microstop', id: ID, reason_code: Reason, operator: parsedMessage.data && parsedMessage.data.operator },
+                    { legacyDescription: true }
+                );
+                if (classification) {
+                    try {
+                        invalidateCache('microstops');
+                        sendWebSocketMessage('Microstops', await loadMicrostops());
+                    } catch (error) {
+                        errorLogger.error(`Error broadcasting microstops: ${error.message}`);
+                    }
+                }
             }
         });
 
@@ -1,10 +1,17 @@
 const WebSocket = require("ws");
 const { oeeLogger, errorLogger } = require("../utils/logger");
-const { loadMicrostops } = require("../src/dataLoader");
+const { loadMachineData } = require("../src/dataLoader");
 
 let wsServer = null; // Holds the WebSocket server instance
 let pingInterval = null; // Holds the ping interval
 
+// Scope pattern covering all plants, areas and workcenters
+const ALL_SCOPES = "#";
+// Wildcards for a single segment of a scope pattern
+const SEGMENT_WILDCARDS = ["+", "*"];
+// Segments of a scope: plant/area/workcenter
+const SCOPE_DEPTH = 3;
+
 /**
  * Sets the WebSocket server and handles client connections.
  *
@@ -58,14 +65,8 @@ async function handleWebSocketConnection(ws) {
         ws.isAlive = true;
     });
 
-    // Send initial data to the newly connected client
-    try {
-        const machineStoppagesData = await loadMicrostops();
-        sendWebSocketMessage("Microstops", machineStoppagesData);
-        oeeLogger.info("Initial machine stoppage data sent to WebSocket client.");
-    } catch (error) {
-        errorLogger.error(`Error loading machine stoppage data: ${error.message}`);
-    }
+    // Messages are only delivered after the client subscribed to scopes (see subscribe)
+    ws.subscriptions = { scopes: new Set(), types: new Set() };
 
     // Event listener for client disconnection
     ws.on("close", () => {
@@ -91,7 +92,211 @@ function stopPingIntervalIfNoClients() {
 }
 
 /**
- * Sends data to all connected WebSocket clients with a specific type.
+ * Validates a scope pattern such as "Plant1/Packaging/Line3", "Plant1/+/Line3" or "Plant1/#".
+ * A pattern with fewer segments covers everything below it.
+ *
+ * @param {string} pattern - The scope pattern.
+ * @returns {boolean} True if the pattern is valid.
+ */
+function isValidScope(pattern) {
+    if (typeof pattern !== "string" || pattern.length === 0) {
+        return false;
+    }
+    const segments = pattern.split("/");
+    return segments.length <= SCOPE_DEPTH
+        && segments.every((segment, index) => segment.length > 0 && (segment !== ALL_SCOPES || index === segments.length - 1));
+}
+
+/**
+ * Checks whether a scope pattern matches the scope of a message.
+ *
+ * @param {string} pattern - The subscribed scope pattern.
+ * @param {Object|null} scope - The scope of the message ({ plant, area, workcenterId, workcenterName }), null if unscoped.
+ * @returns {boolean} True if the message falls under the pattern.
+ */
+function scopeMatches(pattern, scope) {
+    if (pattern === ALL_SCOPES) {
+        return true;
+    }
+    if (!scope) {
+        return false;
+    }
+    const values = [[scope.plant], [scope.area], [scope.workcenterId, scope.workcenterName]];
+    return pattern.split("/").every((segment, index) =>
+        segment === ALL_SCOPES
+        || SEGMENT_WILDCARDS.includes(segment)
+        || values[index].some(value => value !== undefined && value !== null && String(value).toLowerCase() === segment.toLowerCase())
+    );
+}
+
+/**
+ * Checks whether a client is subscribed to a message.
+ *
+ * @param {WebSocket} client - The WebSocket client connection.
+ * @param {string} type - The message type.
+ * @param {Object|null} scope - The scope of the message.
+ * @returns {boolean} True if the message is delivered to the client.
+ */
+function isSubscribed(client, type, scope) {
+    return isTypeSubscribed(client, type)
+        && [...client.subscriptions.scopes].some(pattern => scopeMatches(pattern, scope));
+}
+
+/**
+ * Checks whether a client is subscribed to a message type in any scope.
+ *
+ * @param {WebSocket} client - The WebSocket client connection.
+ * @param {string} type - The message type.
+ * @returns {boolean} True if the client has scopes and receives the type.
+ */
+function isTypeSubscribed(client, type) {
+    const subscriptions = client.subscriptions;
+    if (!subscriptions || subscriptions.scopes.size === 0) {
+        return false;
+    }
+    return subscriptions.types.size === 0 || subscriptions.types.has(type);
+}
+
+/**
+ * Subscribes a client to scopes and message types. Without types all message types are delivered.
+ *
+ * @param {WebSocket} ws - The WebSocket client connection.
+ * @param {Object} data - The subscription ({ scopes: ["plant/area/workcenter", ...], types: ["OEEData", ...] }).
+ * @returns {Object} The current subscriptions of the client.
+ * @throws {Error} If a scope pattern is invalid.
+ */
+function subscribe(ws, data = {}) {
+    const scopes = Array.isArray(data.scopes) ? data.scopes : [];
+    const types = Array.isArray(data.types) ? data.types : [];
+    const invalidScope = scopes.find(scope => !isValidScope(scope));
+    if (invalidScope !== undefined || scopes.length === 0) {
+        throw new Error(`Invalid scope: ${invalidScope === undefined ? "at least one scope is required" : invalidScope}`);
+    }
+
+    ws.subscriptions = ws.subscriptions || { scopes: new Set(), types: new Set() };
+    scopes.forEach(scope => ws.subscriptions.scopes.add(scope));
+    types.forEach(type => ws.subscriptions.types.add(String(type)));
+    return getSubscriptions(ws);
+}
+
+/**
+ * Removes scopes and message types from the subscriptions of a client. Without scopes and types
+ * all subscriptions are removed.
+ *
+ * @param {WebSocket} ws - The WebSocket client connection.
+ * @param {Object} data - The subscriptions to remove ({ scopes, types }).
+ * @returns {Object} The remaining subscriptions of the client.
+ */
+function unsubscribe(ws, data = {}) {
+    ws.subscriptions = ws.subscriptions || { scopes: new Set(), types: new Set() };
+    const scopes = Array.isArray(data.scopes) ? data.scopes : [];
+    const types = Array.isArray(data.types) ? data.types : [];
+    if (scopes.length === 0 && types.length === 0) {
+        ws.subscriptions.scopes.clear();
+        ws.subscriptions.types.clear();
+    }
+    scopes.forEach(scope => ws.subscriptions.scopes.delete(scope));
+    types.forEach(type => ws.subscriptions.types.delete(String(type)));
+    return getSubscriptions(ws);
+}
+
+/**
+ * Returns the subscriptions of a client.
+ *
+ * @param {WebSocket} ws - The WebSocket client connection.
+ * @returns {Object} The subscriptions ({ scopes, types }).
+ */
+function getSubscriptions(ws) {
+    const subscriptions = ws.subscriptions || { scopes: new Set(), types: new Set() };
+    return { scopes: [...subscriptions.scopes], types: [...subscriptions.types] };
+}
+
+/**
+ * Returns the workcenter a payload belongs to.
+ *
+ * @param {Object} item - The payload or an entry of a list payload.
+ * @returns {string|null} The workcenter ID.
+ */
+function getWorkcenterId(item) {
+    if (!item || typeof item !== "object") {
+        return null;
+    }
+    return item.workcenter_id || item.machine_id || item.machineId || null;
+}
+
+/**
+ * Resolves the scopes (plant, area, workcenter) of the workcenters in a payload.
+ *
+ * @param {Array<Object>} items - The payload entries.
+ * @returns {Promise<Map<string, Object>>} The scope per workcenter ID.
+ */
+async function resolveScopes(items) {
+    const scopes = new Map();
+    const workcenterIds = [...new Set(items.map(getWorkcenterId).filter(Boolean))];
+    if (workcenterIds.length === 0) {
+        return scopes;
+    }
+
+    let machines = [];
+    try {
+        machines = await loadMachineData();
+    } catch (error) {
+        errorLogger.error(`Error loading workcenters for WebSocket routing: ${error.message}`);
+    }
+    workcenterIds.forEach(workcenterId => {
+        const machine = (machines || []).find(m => m.workcenter_id === workcenterId);
+        const item = items.find(entry => getWorkcenterId(entry) === workcenterId);
+        scopes.set(workcenterId, {
+            plant: machine ? machine.plant : item.plant,
+            area: machine ? machine.area : item.area,
+            workcenterId,
+            workcenterName: machine ? machine.name : undefined,
+        });
+    });
+    return scopes;
+}
+
+/**
+ * Delivers a message to the given clients according to their subscriptions. List payloads
+ * (e.g. Microstops) are filtered per client to the entries of its scopes.
+ *
+ * @param {Array<WebSocket>} clients - The candidate clients.
+ * @param {string} type - The type of data being sent.
+ * @param {Object|Array} data - The data to send.
+ * @param {boolean} [includeEmpty=false] - Also sends list payloads without visible entries.
+ */
+async function routeMessage(clients, type, data, includeEmpty = false) {
+    const openClients = clients.filter(client => client.readyState === WebSocket.OPEN);
+    if (openClients.length === 0) {
+        return;
+    }
+
+    const items = Array.isArray(data) ? data : [data];
+    const scopes = await resolveScopes(items);
+    const scopeOf = (item) => scopes.get(getWorkcenterId(item)) || null;
+
+    openClients.forEach((client) => {
+        let payload = null;
+        if (Array.isArray(data)) {
+            const visible = data.filter(item => isSubscribed(client, type, scopeOf(item)));
+            payload = visible.length > 0 || (includeEmpty && isTypeSubscribed(client, type)) ? visible : null;
+        } else if (isSubscribed(client, type, scopeOf(data))) {
+            payload = data;
+        }
+        if (payload === null) {
+            return;
+        }
+
+        try {
+            client.send(JSON.stringify({ type, data: payload }));
+        } catch (error) {
+            errorLogger.error(`Error sending data to WebSocket client: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Sends data to the connected WebSocket clients subscribed to its type and scope.
  *
  * @param {string} type - The type of data being sent.
  * @param {Object} data - The data to send.
@@ -107,19 +312,23 @@ function sendWebSocketMessage(type, data) {
         return;
     }
 
-    const payload = JSON.stringify({ type, data });
-
-    wsServer.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            try {
-                client.send(payload);
-            } catch (error) {
-                errorLogger.error(`Error sending data to WebSocket client: ${error.message}`);
-            }
-        }
+    routeMessage([...wsServer.clients], type, data).catch((error) => {
+        errorLogger.error(`Error routing WebSocket message ${type}: ${error.message}`);
     });
 }
 
+/**
+ * Sends data to a single client, filtered by its subscriptions (e.g. the initial data after subscribing).
+ *
+ * @param {WebSocket} ws - The WebSocket client connection.
+ * @param {string} type - The type of data being sent.
+ * @param {Object} data - The data to send.
+ * @returns {Promise<void>}
+ */
+function sendToClient(ws, type, data) {
+    return routeMessage([ws], type, data, true);
+}
+
 /**
  * Closes the WebSocket server and cleans up resources.
  */
@@ -147,5 +356,10 @@ function closeWebSocketServer() {
 module.exports = {
     setWebSocketServer,
     sendWebSocketMessage,
+    sendToClient,
+    subscribe,
+    unsubscribe,
+    scopeMatches,
+    routeMessage,
     closeWebSocketServer,
 };
\ No newline at end of file